@@ -18,11 +18,22 @@ CREATE TABLE roles (
 CREATE TABLE users (
   id BIGINT PRIMARY KEY AUTO_INCREMENT,
   username VARCHAR(50) UNIQUE NOT NULL,           -- tên đăng nhập
-  password VARCHAR(255) NOT NULL,                 -- mật khẩu (hash)
+  password VARCHAR(255) NOT NULL,                 -- mật khẩu (hash scrypt; dòng cũ plaintext được băm lại khi đăng nhập)
+  password_changed_at TIMESTAMP NULL,             -- lần đổi mật khẩu gần nhất
   role_id BIGINT NOT NULL,                        -- FK → roles.id
   wallet_address VARCHAR(100) UNIQUE NOT NULL,    -- ví ETH của nhân viên
-  private_key VARCHAR(100) NOT NULL,              -- khóa riêng của ví ETH
+  private_key VARCHAR(255) NULL,                  -- khóa riêng của ví ETH, mã hóa bằng key vault (services/keyVault.js)
+  key_version INT NULL,                           -- phiên bản master key đã bọc khóa (NULL = chưa mã hóa / không giữ khóa)
   image_url VARCHAR(255) DEFAULT NULL,          -- URL ảnh đại diện
+  full_name VARCHAR(255) DEFAULT NULL,            -- họ tên (bản sao hồ sơ trên blockchain)
+  email VARCHAR(255) DEFAULT NULL,                -- email (bản sao hồ sơ trên blockchain)
+  phone VARCHAR(50) DEFAULT NULL,                 -- số điện thoại (bản sao hồ sơ trên blockchain)
+  department_id BIGINT NULL,                      -- FK → departments.id (khóa ngoại thêm ở mục 2️⃣3️⃣)
+  position_id BIGINT NULL,                        -- FK → positions.id
+  department VARCHAR(100) DEFAULT NULL,           -- tên phòng ban (= departments.name, bản sao trên blockchain, dùng để phân ca)
+  position VARCHAR(100) DEFAULT NULL,             -- tên chức vụ (= positions.name, bản sao trên blockchain, dùng để tính lương)
+  status TINYINT NOT NULL DEFAULT 1,              -- 1 = hoạt động, 0 = bị khóa (đồng bộ với trạng thái trên blockchain)
+  token_version INT NOT NULL DEFAULT 0,           -- tăng lên để thu hồi mọi access token của user
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (role_id) REFERENCES roles(id)
@@ -36,18 +47,70 @@ CREATE TABLE users (
 CREATE TABLE cards (
   id BIGINT PRIMARY KEY AUTO_INCREMENT,
   card_uid VARCHAR(50) UNIQUE NOT NULL,            -- UID RFID
-  user_id BIGINT NULL,                             -- FK → users.id (có thể null)
-  is_active BOOLEAN DEFAULT TRUE,                  -- thẻ còn hiệu lực hay không
+  user_id BIGINT NULL,                             -- FK → users.id (có thể null); thẻ đã thu hồi vẫn giữ người từng dùng
+  status ENUM('issued', 'active', 'suspended', 'lost', 'stolen', 'expired', 'retired') NOT NULL DEFAULT 'issued',
+                                                   -- issued: đã đăng ký, chưa gán; retired: thu hồi vĩnh viễn (không xóa thẻ)
+  is_active BOOLEAN AS (status = 'active') STORED, -- thẻ còn hiệu lực hay không (suy ra từ status)
+  status_reason VARCHAR(255) NULL,                 -- lý do lần đổi trạng thái gần nhất
+  status_changed_at TIMESTAMP NULL,
+  expires_at DATETIME NULL,                        -- hết hạn lúc này (NULL = không thời hạn)
+  replaced_by_card_id BIGINT NULL,                 -- thẻ thay thế (khi mất / hỏng / hết hạn được cấp lại)
   issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,   -- ngày cấp thẻ
-  deactivated_at TIMESTAMP NULL,                   -- ngày thu hồi (nếu có)
+  deactivated_at TIMESTAMP NULL,                   -- ngày thẻ hết hiệu lực (NULL khi đang active)
+  retired_at TIMESTAMP NULL,                       -- ngày thu hồi vĩnh viễn
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_cards_user (user_id, status),
+  INDEX idx_cards_expiry (status, expires_at),
   FOREIGN KEY (user_id) REFERENCES users(id)
     ON UPDATE CASCADE
-    ON DELETE SET NULL                            -- nếu user bị xóa -> giữ thẻ, user_id = NULL
+    ON DELETE SET NULL,                           -- nếu user bị xóa -> giữ thẻ, user_id = NULL
+  FOREIGN KEY (replaced_by_card_id) REFERENCES cards(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
+
+-- =======================
+-- 4️⃣ Bảng Shifts (ca làm việc)
+-- =======================
+CREATE TABLE shifts (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) UNIQUE NOT NULL,               -- tên ca: Ca sáng, Ca đêm...
+  start_time TIME NOT NULL,                        -- giờ bắt đầu ca (giờ địa phương)
+  end_time TIME NOT NULL,                          -- giờ kết thúc; <= start_time nghĩa là ca qua nửa đêm
+  weekdays TINYINT UNSIGNED NOT NULL DEFAULT 127,  -- bitmask ngày làm: bit0 = Chủ nhật ... bit6 = Thứ bảy
+  grace_before_minutes INT NOT NULL DEFAULT 15,    -- được quẹt sớm bao nhiêu phút trước giờ vào/ra
+  grace_after_minutes INT NOT NULL DEFAULT 60,     -- được quẹt trễ bao nhiêu phút sau giờ vào/ra
+  is_default BOOLEAN DEFAULT FALSE,                -- ca áp dụng cho nhân viên chưa được phân ca
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- =======================
+-- 5️⃣ Bảng Shift Assignments (phân ca)
+-- =======================
+CREATE TABLE shift_assignments (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  shift_id BIGINT NOT NULL,                        -- FK → shifts.id
+  user_id BIGINT NULL,                             -- phân ca cho 1 nhân viên...
+  department VARCHAR(100) NULL,                    -- ...hoặc cho cả phòng ban
+  weekdays TINYINT UNSIGNED NULL,                  -- ghi đè ngày làm của ca (NULL = theo ca)
+  effective_from DATE NOT NULL,                    -- áp dụng từ ngày
+  effective_to DATE NULL,                          -- đến ngày (NULL = không thời hạn)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (shift_id) REFERENCES shifts(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  INDEX idx_shift_assignments_user (user_id),
+  INDEX idx_shift_assignments_department (department)
 );
 
 -- =======================
--- 4️⃣ Bảng Access Logs
+-- 6️⃣ Bảng Access Logs
 -- =======================
 CREATE TABLE access_logs (
   id BIGINT PRIMARY KEY AUTO_INCREMENT,
@@ -56,15 +119,644 @@ CREATE TABLE access_logs (
   access_type TINYINT(1) NOT NULL,               -- 0: entry, 1: exit
   access_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   status TINYINT(1) DEFAULT 1,                   -- 0: denied, 1: success
+  shift_id BIGINT NULL,                          -- ca dùng để xét trạng thái
+  shift_date DATE NULL,                          -- ngày bắt đầu của ca đó
+  device_id BIGINT NULL,                         -- đầu đọc ghi nhận lượt quẹt (FK → devices.id, thêm ở mục 1️⃣6️⃣)
+  device_seq BIGINT NULL,                        -- số thứ tự lượt quẹt do đầu đọc cấp (chống gửi trùng khi offline)
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_access_logs_device_seq (device_id, device_seq),
+  INDEX idx_access_logs_user_time (user_id, access_time),
   FOREIGN KEY (user_id) REFERENCES users(id)
     ON UPDATE CASCADE
     ON DELETE CASCADE,
   FOREIGN KEY (card_id) REFERENCES cards(id)
+    ON UPDATE CASCADE
+    ON DELETE RESTRICT,                           -- thẻ chỉ được thu hồi (retired), không xóa mất lịch sử ra vào
+  FOREIGN KEY (shift_id) REFERENCES shifts(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
+
+-- =======================
+-- 7️⃣ Bảng Pay Rates (mức lương theo nhân viên / chức vụ)
+-- =======================
+CREATE TABLE pay_rates (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  user_id BIGINT NULL,                             -- mức lương riêng của 1 nhân viên...
+  position VARCHAR(100) NULL,                      -- ...hoặc của cả chức vụ
+  rate_unit ENUM('minute', 'hour') NOT NULL,       -- đơn giá tính theo phút hay theo giờ
+  rate_wei DECIMAL(65, 0) NOT NULL,                -- đơn giá (wei / đơn vị)
+  overtime_multiplier DECIMAL(6, 3) NOT NULL DEFAULT 1.5, -- hệ số tăng ca
+  overtime_after_minutes INT NULL,                 -- số phút / phiên trước khi tính tăng ca (NULL = không tăng ca)
+  effective_from DATETIME NOT NULL,                -- hiệu lực từ
+  effective_to DATETIME NULL,                      -- hiệu lực đến (NULL = không thời hạn)
+  created_by BIGINT NULL,                          -- admin tạo
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  INDEX idx_pay_rates_user (user_id, effective_from),
+  INDEX idx_pay_rates_position (position, effective_from)
+);
+
+-- =======================
+-- 8️⃣ Bảng Payroll Periods (kỳ lương)
+-- =======================
+CREATE TABLE payroll_periods (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  period_type ENUM('weekly', 'biweekly', 'monthly') NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,                          -- ngày cuối kỳ (bao gồm)
+  status ENUM('draft', 'approved', 'settling', 'settled', 'partially_settled') NOT NULL DEFAULT 'draft',
+  created_by BIGINT NULL,
+  approved_by BIGINT NULL,
+  approved_at TIMESTAMP NULL,
+  settled_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_payroll_periods_range (start_date, end_date),
+  FOREIGN KEY (created_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (approved_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
+
+-- =======================
+-- 9️⃣ Bảng Payroll Items (kết quả chi trả từng nhân viên trong kỳ)
+-- =======================
+CREATE TABLE payroll_items (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  period_id BIGINT NOT NULL,                       -- FK → payroll_periods.id
+  user_id BIGINT NOT NULL,                         -- FK → users.id
+  sessions_count INT NOT NULL DEFAULT 0,
+  minutes_worked INT NOT NULL DEFAULT 0,
+  amount_wei DECIMAL(65, 0) NOT NULL,              -- tổng tiền phải trả (wei)
+  status ENUM('pending', 'processing', 'paid', 'failed') NOT NULL DEFAULT 'pending',
+  transfer_tx_hash VARCHAR(66) NULL,               -- TX chuyển ETH (lưu ngay sau khi gửi để không trả 2 lần)
+  record_tx_hash VARCHAR(66) NULL,                 -- TX ghi sổ creditForWork
+  error VARCHAR(500) NULL,
+  claimed_at DATETIME NULL,                        -- lúc chuyển sang processing (quá lâu = lần chạy trước đã chết giữa chừng)
+  paid_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_payroll_items_period_user (period_id, user_id),
+  FOREIGN KEY (period_id) REFERENCES payroll_periods(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE
+);
+
+-- =======================
+-- 🔟 Bảng Work Sessions (ghép cặp vào/ra)
+-- =======================
+CREATE TABLE work_sessions (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  user_id BIGINT NOT NULL,                         -- FK → users.id
+  entry_log_id BIGINT NULL UNIQUE,                 -- lần quẹt vào (mỗi log chỉ thuộc 1 phiên)
+  exit_log_id BIGINT NULL UNIQUE,                  -- lần quẹt ra
+  shift_id BIGINT NULL,                            -- ca của lần quẹt vào
+  status ENUM('open', 'closed', 'auto_closed', 'disputed') NOT NULL DEFAULT 'open',
+  checkin_at DATETIME NOT NULL,
+  checkout_at DATETIME NULL,
+  minutes_worked INT NULL,
+  credit_status ENUM('pending', 'crediting', 'credited', 'failed') NOT NULL DEFAULT 'pending',
+  pay_rate_id BIGINT NULL,                         -- mức lương đã dùng (NULL = mức mặc định)
+  amount_wei DECIMAL(65, 0) NULL,                  -- tiền lương của phiên theo pay rate (wei)
+  payroll_item_id BIGINT NULL,                     -- kỳ lương đã gộp phiên này (NULL = chưa)
+  credited_amount_wei DECIMAL(65, 0) NULL,         -- số tiền đã ghi có (wei)
+  transfer_tx_hash VARCHAR(66) NULL,               -- TX chuyển ETH
+  record_tx_hash VARCHAR(66) NULL,                 -- TX ghi sổ creditForWork
+  credited_at TIMESTAMP NULL,
+  credit_error VARCHAR(500) NULL,
+  credit_claimed_at DATETIME NULL,                 -- lúc chuyển sang crediting (quá lâu = lần chạy trước đã chết giữa chừng)
+  note VARCHAR(255) NULL,                          -- lý do auto-close / tranh chấp
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  FOREIGN KEY (entry_log_id) REFERENCES access_logs(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (exit_log_id) REFERENCES access_logs(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (shift_id) REFERENCES shifts(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (pay_rate_id) REFERENCES pay_rates(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (payroll_item_id) REFERENCES payroll_items(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  INDEX idx_work_sessions_user_checkin (user_id, checkin_at),
+  INDEX idx_work_sessions_status (status)
+);
+
+-- =======================
+-- 1️⃣1️⃣ Bảng Chain Jobs (outbox cho mọi giao dịch blockchain, có retry)
+-- =======================
+CREATE TABLE chain_jobs (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  type VARCHAR(50) NOT NULL,                       -- credit_session | settle_payroll_item | record_withdraw | record_purchase | register_employee | update_employee_profile
+  reference VARCHAR(100) NULL UNIQUE,              -- khóa nghiệp vụ, vd. work_session:12 (chống tạo job trùng)
+  payload JSON NOT NULL,
+  status ENUM('pending', 'running', 'succeeded', 'failed', 'dead') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 8,
+  next_run_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,  -- thời điểm được chạy (lần thử kế tiếp)
+  locked_at DATETIME NULL,                         -- worker nhận job lúc nào (phát hiện job bị treo)
+  last_error VARCHAR(1000) NULL,
+  result JSON NULL,                                -- kết quả lần chạy thành công (tx hash...)
+  completed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_chain_jobs_due (status, next_run_at),
+  INDEX idx_chain_jobs_type (type)
+);
+
+-- =======================
+-- 1️⃣2️⃣ Bảng Password Reset Tokens (mã đặt lại mật khẩu dùng một lần)
+-- =======================
+CREATE TABLE password_reset_tokens (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  user_id BIGINT NOT NULL,                         -- FK → users.id
+  token_hash CHAR(64) NOT NULL UNIQUE,             -- SHA-256 của mã (không lưu mã gốc)
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,                           -- đã dùng / bị vô hiệu
+  created_by BIGINT NULL,                          -- admin tạo mã
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE
+);
+
+-- =======================
+-- 1️⃣3️⃣ Bảng Refresh Tokens (xoay vòng, mỗi token chỉ dùng một lần)
+-- =======================
+CREATE TABLE refresh_tokens (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  user_id BIGINT NOT NULL,                         -- FK → users.id
+  family_id CHAR(36) NOT NULL,                     -- các token xoay vòng từ cùng một lần đăng nhập
+  token_hash CHAR(64) NOT NULL UNIQUE,             -- SHA-256 của token
+  user_agent VARCHAR(255) NULL,
+  ip_address VARCHAR(45) NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  revoked_reason VARCHAR(30) NULL,                 -- rotated | logout | logout_all | reuse_detected | password_changed | deactivated
+  replaced_by BIGINT NULL,                         -- token mới thay thế khi xoay vòng
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  INDEX idx_refresh_tokens_user (user_id),
+  INDEX idx_refresh_tokens_family (family_id)
+);
+
+-- =======================
+-- 1️⃣4️⃣ Bảng Revoked Access Tokens (access token bị thu hồi khi logout, theo jti)
+-- =======================
+CREATE TABLE revoked_access_tokens (
+  jti CHAR(36) PRIMARY KEY,
+  user_id BIGINT NOT NULL,
+  expires_at DATETIME NOT NULL,                    -- sau thời điểm này token tự hết hạn, có thể xóa bản ghi
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =======================
+-- 1️⃣5️⃣ Bảng Permissions + Role Permissions (phân quyền theo role)
+-- =======================
+CREATE TABLE permissions (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  code VARCHAR(50) UNIQUE NOT NULL,             -- dạng resource:action, vd. cards:write
+  description VARCHAR(255)
+);
+
+CREATE TABLE role_permissions (
+  role_id BIGINT NOT NULL,                      -- FK → roles.id
+  permission_id BIGINT NOT NULL,                -- FK → permissions.id
+  PRIMARY KEY (role_id, permission_id),
+  FOREIGN KEY (role_id) REFERENCES roles(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  FOREIGN KEY (permission_id) REFERENCES permissions(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE
+);
+
+-- =======================
+-- 1️⃣6️⃣ Bảng Devices (đầu đọc RFID) + nonce chống replay
+-- =======================
+CREATE TABLE devices (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  device_code VARCHAR(50) UNIQUE NOT NULL,       -- mã đầu đọc, gửi trong header X-Device-Id
+  name VARCHAR(100) NOT NULL,
+  location VARCHAR(100) NULL,                    -- cửa / vị trí lắp đặt
+  direction ENUM('entry', 'exit', 'both') NOT NULL DEFAULT 'both',
+  auth_type ENUM('hmac', 'api_key') NOT NULL DEFAULT 'hmac',
+  hmac_secret CHAR(64) NULL,                     -- secret dùng ký HMAC (chế độ hmac)
+  api_key_hash CHAR(64) NULL,                    -- sha256 của API key (chế độ api_key)
+  is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  last_seen_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE device_nonces (
+  device_id BIGINT NOT NULL,                     -- FK → devices.id
+  nonce VARCHAR(64) NOT NULL,                    -- X-Nonce, mỗi giá trị chỉ được dùng một lần
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (device_id, nonce),
+  INDEX idx_device_nonces_created (created_at),
+  FOREIGN KEY (device_id) REFERENCES devices(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE
+);
+
+ALTER TABLE access_logs
+  ADD FOREIGN KEY (device_id) REFERENCES devices(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL;
+
+-- =======================
+-- 1️⃣7️⃣ Bảng Chain Transactions (giao dịch gửi từ ví owner, quản lý nonce + theo dõi receipt)
+-- =======================
+CREATE TABLE chain_transactions (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  purpose VARCHAR(50) NOT NULL,                    -- wage_transfer | credit_for_work | register_employee | add_product ...
+  reference VARCHAR(100) NULL,                     -- khóa nghiệp vụ, vd. work_session:12, payroll_item:5
+  from_address VARCHAR(42) NOT NULL,
+  to_address VARCHAR(42) NOT NULL,
+  nonce BIGINT NULL,                               -- NULL = chưa gửi được lên node
+  value_wei DECIMAL(65, 0) NOT NULL DEFAULT 0,
+  data MEDIUMTEXT NULL,                            -- calldata (0x...)
+  gas BIGINT NOT NULL,
+  gas_price DECIMAL(65, 0) NULL,                   -- giá gas của lần gửi gần nhất
+  tx_hash VARCHAR(66) NULL,                        -- hash hiện tại (đổi khi tăng phí)
+  replaced_hashes JSON NULL,                       -- các hash cũ đã bị thay bằng lần tăng phí
+  status ENUM('pending', 'mined', 'failed', 'dropped') NOT NULL DEFAULT 'pending',
+  speedups INT NOT NULL DEFAULT 0,
+  block_number BIGINT NULL,
+  gas_used BIGINT NULL,
+  error VARCHAR(1000) NULL,
+  submitted_at DATETIME NULL,                      -- lần gửi (hoặc tăng phí) gần nhất
+  mined_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_chain_transactions_nonce (from_address, nonce),
+  INDEX idx_chain_transactions_hash (tx_hash),
+  INDEX idx_chain_transactions_reference (reference, purpose),
+  INDEX idx_chain_transactions_status (status)
+);
+
+-- =======================
+-- 1️⃣8️⃣ Chỉ mục sự kiện contract (mirror event on-chain vào MySQL)
+-- =======================
+CREATE TABLE chain_events (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  contract VARCHAR(20) NOT NULL,                   -- employee | product
+  contract_address VARCHAR(42) NOT NULL,
+  event_name VARCHAR(50) NOT NULL,                 -- EmployeeCredited, ProductPurchased ...
+  block_number BIGINT NOT NULL,
+  block_hash VARCHAR(66) NOT NULL,
+  tx_hash VARCHAR(66) NOT NULL,
+  log_index INT NOT NULL,
+  user_code VARCHAR(50) NULL,
+  product_code VARCHAR(50) NULL,
+  wallet_address VARCHAR(42) NULL,                 -- ví nhân viên (EmployeeRegistered) / người mua (ProductPurchased)
+  amount_wei DECIMAL(65, 0) NULL,                  -- amount / totalAmount / price
+  event_time DATETIME NULL,                        -- thời gian của block chứa event
+  payload JSON NOT NULL,                           -- toàn bộ tham số của event
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_chain_events_log (tx_hash, log_index),
+  INDEX idx_chain_events_user (user_code, block_number, log_index),
+  INDEX idx_chain_events_product (product_code, block_number),
+  INDEX idx_chain_events_name (event_name, block_number),
+  INDEX idx_chain_events_block (block_number)
+);
+
+-- Hash của các block đã index (block có event + block checkpoint) để phát hiện reorg
+CREATE TABLE chain_indexed_blocks (
+  block_number BIGINT PRIMARY KEY,
+  block_hash VARCHAR(66) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE chain_index_checkpoints (
+  name VARCHAR(50) PRIMARY KEY,                    -- contract_events
+  last_block BIGINT NOT NULL,                      -- block cuối cùng đã xử lý xong
+  last_block_hash VARCHAR(66) NULL,
+  reorgs INT NOT NULL DEFAULT 0,                   -- số lần phải tua lại do reorg
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- =======================
+-- 1️⃣9️⃣ Đối soát MySQL ↔ sổ sách contract ↔ số dư ví
+-- =======================
+CREATE TABLE reconciliation_runs (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  status ENUM('running', 'completed', 'failed') NOT NULL DEFAULT 'running',
+  triggered_by BIGINT NULL,                        -- NULL = job định kỳ
+  employees INT NOT NULL DEFAULT 0,
+  flagged INT NOT NULL DEFAULT 0,                  -- số nhân viên có ít nhất một chênh lệch
+  indexed_to_block BIGINT NULL,                    -- chỉ mục sự kiện đã tới block nào lúc đối soát
+  error VARCHAR(1000) NULL,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP NULL,
+  FOREIGN KEY (triggered_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
+
+CREATE TABLE reconciliation_items (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  run_id BIGINT NOT NULL,
+  user_id BIGINT NOT NULL,
+  wallet_address VARCHAR(100) NOT NULL,
+  sessions_closed INT NOT NULL DEFAULT 0,
+  sessions_unpriced INT NOT NULL DEFAULT 0,        -- phiên đã đóng nhưng chưa tính tiền
+  sessions_unresolved INT NOT NULL DEFAULT 0,      -- phiên disputed / auto_closed
+  expected_wei DECIMAL(65, 0) NOT NULL DEFAULT 0,  -- tiền lương theo phiên (MySQL)
+  db_credited_wei DECIMAL(65, 0) NOT NULL DEFAULT 0,
+  chain_credited_wei DECIMAL(65, 0) NOT NULL DEFAULT 0,   -- EmployeeCredited (chỉ mục sự kiện)
+  chain_withdrawn_wei DECIMAL(65, 0) NOT NULL DEFAULT 0,
+  chain_purchased_wei DECIMAL(65, 0) NOT NULL DEFAULT 0,
+  contract_book_balance_wei DECIMAL(65, 0) NULL,   -- getEmployeeBookBalance (NULL = chưa đăng ký trên contract)
+  funded_wei DECIMAL(65, 0) NOT NULL DEFAULT 0,    -- tiền nạp ví (fund_wallet + gas_subsidy)
+  wage_transferred_wei DECIMAL(65, 0) NOT NULL DEFAULT 0, -- tiền lương đã chuyển (wage_transfer đã mine)
+  gas_spent_wei DECIMAL(65, 0) NOT NULL DEFAULT 0, -- phí gas của giao dịch rút / mua do ví nhân viên gửi
+  expected_wallet_wei DECIMAL(65, 0) NOT NULL DEFAULT 0,
+  wallet_balance_wei DECIMAL(65, 0) NULL,
+  wallet_diff_wei DECIMAL(65, 0) NULL,             -- số dư thật - số dư kỳ vọng
+  flags JSON NOT NULL,                             -- [{ reason, severity, detail }]
+  flagged BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_reconciliation_items_run_user (run_id, user_id),
+  INDEX idx_reconciliation_items_flagged (run_id, flagged),
+  FOREIGN KEY (run_id) REFERENCES reconciliation_runs(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id)
     ON UPDATE CASCADE
     ON DELETE CASCADE
 );
 
+-- =======================
+-- 2️⃣0️⃣ Gas station: nạp ETH trả phí gas cho ví nhân viên
+-- =======================
+CREATE TABLE gas_subsidies (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  user_id BIGINT NOT NULL,
+  wallet_address VARCHAR(100) NOT NULL,
+  amount_wei DECIMAL(65, 0) NOT NULL,
+  balance_before_wei DECIMAL(65, 0) NOT NULL,      -- số dư ETH của ví lúc quyết định nạp
+  trigger_source ENUM('monitor', 'withdraw', 'purchase', 'manual', 'offboarding') NOT NULL,
+  status ENUM('sent', 'failed') NOT NULL DEFAULT 'sent',
+  chain_tx_id BIGINT NULL,                         -- chain_transactions.id (purpose = gas_subsidy)
+  tx_hash VARCHAR(100) NULL,
+  error VARCHAR(500) NULL,
+  created_by BIGINT NULL,                          -- NULL = tự động
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_gas_subsidies_user (user_id, created_at),
+  INDEX idx_gas_subsidies_created (created_at),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
+
+-- =======================
+-- 2️⃣1️⃣ Cảnh báo quỹ (ví owner trả lương)
+-- =======================
+CREATE TABLE treasury_alerts (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  level ENUM('ok', 'low', 'critical', 'payroll_blocked') NOT NULL,  -- ok = đã hồi phục
+  reasons JSON NOT NULL,                           -- ["balance_below_minimum", "runway_below_minimum", "liabilities_not_covered"]
+  balance_wei DECIMAL(65, 0) NULL,                 -- số dư ETH của ví owner lúc cảnh báo
+  liability_wei DECIMAL(65, 0) NULL,               -- tổng lương đang nợ
+  runway_days DECIMAL(10, 2) NULL,
+  message VARCHAR(1000) NOT NULL,
+  channels JSON NOT NULL,                          -- kết quả gửi theo từng kênh [{ channel, ok, error }]
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_treasury_alerts_level (level, id)
+);
+
+-- =======================
+-- 2️⃣2️⃣ Lịch sử thay đổi hồ sơ nhân viên (PATCH /employee/:userCode)
+-- =======================
+CREATE TABLE employee_profile_changes (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  user_id BIGINT NOT NULL,
+  changes JSON NOT NULL,                           -- { field: { from, to } } chỉ các trường thực sự đổi
+  changed_by BIGINT NULL,                          -- người sửa
+  chain_job_id BIGINT NULL,                        -- job update_employee_profile ghi thay đổi lên contract
+  tx_hash VARCHAR(66) NULL,                        -- TX updateEmployeeProfile (sự kiện EmployeeUpdated)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_employee_profile_changes_user (user_id, id),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  FOREIGN KEY (changed_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (chain_job_id) REFERENCES chain_jobs(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
+
+-- =======================
+-- 2️⃣3️⃣ Phòng ban (cây phòng ban + người quản lý) và chức vụ
+-- =======================
+CREATE TABLE departments (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) UNIQUE NOT NULL,               -- tên chuẩn; collation không phân biệt hoa thường nên "HR" và "hr" là một
+  description VARCHAR(255) NULL,
+  parent_id BIGINT NULL,                           -- phòng ban cha (NULL = cấp cao nhất)
+  manager_id BIGINT NULL,                          -- người quản lý: xem được dữ liệu của phòng ban này và mọi phòng ban con
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_departments_manager (manager_id),
+  FOREIGN KEY (parent_id) REFERENCES departments(id)
+    ON UPDATE CASCADE
+    ON DELETE RESTRICT,
+  FOREIGN KEY (manager_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
+
+CREATE TABLE positions (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) UNIQUE NOT NULL,               -- tên chuẩn, dùng cho mức lương theo chức vụ
+  description VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users
+  ADD FOREIGN KEY (department_id) REFERENCES departments(id)
+    ON UPDATE CASCADE
+    ON DELETE RESTRICT,
+  ADD FOREIGN KEY (position_id) REFERENCES positions(id)
+    ON UPDATE CASCADE
+    ON DELETE RESTRICT;
+
+-- =======================
+-- 2️⃣4️⃣ Offboarding (nhân viên nghỉ việc)
+-- =======================
+CREATE TABLE offboardings (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  user_id BIGINT NOT NULL,
+  status ENUM('in_progress', 'completed', 'incomplete') NOT NULL DEFAULT 'in_progress',
+  reason VARCHAR(255) NULL,
+  sweep_policy ENUM('none', 'treasury', 'address') NOT NULL DEFAULT 'none',  -- xử lý số dư còn lại trong ví
+  sweep_to VARCHAR(100) NULL,                      -- địa chỉ nhận khi sweep_policy = 'address'
+  steps JSON NULL,                                 -- kết quả từng bước; bước đã xong được bỏ qua khi chạy lại
+  warnings JSON NULL,                              -- việc còn phải xử lý trước khi chạy lại
+  started_by BIGINT NULL,
+  locked_at DATETIME NULL,                         -- đang chạy (NULL = không)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP NULL,
+  INDEX idx_offboardings_user (user_id, id),
+  INDEX idx_offboardings_status (status),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  FOREIGN KEY (started_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
+
+-- =======================
+-- 2️⃣5️⃣ Import nhân viên hàng loạt từ CSV / XLSX
+-- =======================
+CREATE TABLE employee_imports (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  file_name VARCHAR(255) NOT NULL,
+  format ENUM('csv', 'xlsx') NOT NULL,
+  -- validated/invalid: dry run; queued → processing → completed / completed_with_errors sau khi xác nhận
+  status ENUM('validated', 'invalid', 'queued', 'processing', 'completed', 'completed_with_errors') NOT NULL,
+  assign_cards BOOLEAN NOT NULL DEFAULT FALSE,     -- gán thẻ RFID theo cột card_uid
+  total_rows INT NOT NULL DEFAULT 0,
+  invalid_rows INT NOT NULL DEFAULT 0,
+  processed_rows INT NOT NULL DEFAULT 0,
+  succeeded_rows INT NOT NULL DEFAULT 0,
+  failed_rows INT NOT NULL DEFAULT 0,
+  created_by BIGINT NULL,
+  confirmed_by BIGINT NULL,                        -- worker tạo nhân viên với quyền của người này
+  confirmed_at DATETIME NULL,
+  started_at DATETIME NULL,
+  finished_at DATETIME NULL,
+  locked_at DATETIME NULL,                         -- lần cập nhật tiến độ gần nhất của worker
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_employee_imports_status (status),
+  FOREIGN KEY (created_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (confirmed_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
+
+CREATE TABLE employee_import_rows (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  import_id BIGINT NOT NULL,
+  line_number INT NOT NULL,                        -- dòng trong file (dòng 1 là tiêu đề)
+  status ENUM('invalid', 'valid', 'processing', 'succeeded', 'failed') NOT NULL,
+  data JSON NOT NULL,                              -- dữ liệu đã chuẩn hóa; mật khẩu chỉ lưu dạng băm
+  errors JSON NULL,                                -- lỗi kiểm tra / lỗi khi tạo / lỗi gán thẻ
+  user_id BIGINT NULL,                             -- nhân viên đã tạo
+  card_assigned BOOLEAN NOT NULL DEFAULT FALSE,
+  result JSON NULL,                                -- ví, job đăng ký blockchain
+  processed_at DATETIME NULL,
+  UNIQUE KEY uq_employee_import_rows_line (import_id, line_number),
+  FOREIGN KEY (import_id) REFERENCES employee_imports(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
+
+-- =======================
+-- 2️⃣6️⃣ Onboarding nhân viên (saga MySQL ↔ blockchain)
+-- =======================
+CREATE TABLE employee_onboardings (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  idempotency_key VARCHAR(100) UNIQUE NULL,        -- header Idempotency-Key (gửi lại → cùng onboarding)
+  request_hash CHAR(64) NOT NULL,                  -- SHA-256 nội dung yêu cầu (không gồm mật khẩu)
+  request JSON NOT NULL,                           -- dữ liệu nhân viên; mật khẩu băm bị xóa khi hoàn tất / hoàn tác
+  username VARCHAR(50) NOT NULL,
+  user_id BIGINT NULL,                             -- NULL trước bước user_created và sau khi hoàn tác
+  status ENUM('in_progress', 'completed', 'failed', 'rolled_back') NOT NULL DEFAULT 'in_progress',
+  -- bước đã hoàn thành gần nhất
+  step ENUM('requested', 'user_created', 'wallet_funded', 'registration_queued', 'registered') NOT NULL DEFAULT 'requested',
+  wallet_address VARCHAR(100) NULL,
+  fund_tx_hash VARCHAR(66) NULL,
+  register_job_id BIGINT NULL,                     -- chain_jobs.id (register_employee)
+  last_error VARCHAR(500) NULL,
+  refund_tx_hash VARCHAR(66) NULL,                 -- trả ETH đã nạp về ví owner khi hoàn tác
+  created_by BIGINT NULL,
+  rolled_back_by BIGINT NULL,
+  locked_at DATETIME NULL,                         -- đang được request / worker chạy
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL,
+  rolled_back_at DATETIME NULL,
+  INDEX idx_employee_onboardings_status (status, updated_at),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (register_job_id) REFERENCES chain_jobs(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (rolled_back_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
+
+-- =======================
+-- 2️⃣7️⃣ Lịch sử vòng đời thẻ (cấp, gán, khóa, báo mất, hết hạn, thay thẻ, thu hồi)
+-- =======================
+CREATE TABLE card_status_changes (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  card_id BIGINT NOT NULL,
+  from_status VARCHAR(20) NULL,                    -- NULL khi thẻ vừa được đăng ký
+  to_status VARCHAR(20) NOT NULL,
+  reason VARCHAR(255) NULL,
+  user_id BIGINT NULL,                             -- người giữ thẻ lúc đổi trạng thái
+  replacement_card_id BIGINT NULL,                 -- thẻ cũ / thẻ mới của lần thay thẻ
+  changed_by BIGINT NULL,                          -- NULL = hệ thống (đầu đọc, job hết hạn)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_card_status_changes_card (card_id, id),
+  FOREIGN KEY (card_id) REFERENCES cards(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (replacement_card_id) REFERENCES cards(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  FOREIGN KEY (changed_by) REFERENCES users(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+);
 
 -- ==========================
 -- 🛠️ Thêm dữ liệu mẫu ban đầu
@@ -78,14 +770,73 @@ VALUES
   ('employee', 'Nhân viên thông thường');
 
 -- 2️⃣ Thêm tài khoản admin mặc định
--- ⚠️ Mật khẩu nên được hash (ví dụ bằng bcrypt trong NodeJS), 
--- ở đây tạm để plaintext 'admin123' cho demo
+-- Mật khẩu 'admin123' đã băm bằng scrypt (utils/password.js)
+-- ⚠️ Đổi mật khẩu ngay sau lần đăng nhập đầu tiên qua POST /api/auth/change-password
 
 INSERT INTO users (username, password, role_id, wallet_address, private_key)
 VALUES (
   'admin',
-  'admin123',             -- ⚠️ Thay bằng mật khẩu đã mã hóa trong thực tế
+  'scrypt$16384$8$1$8VgsbtceethvpPzB+LduCA==$YuM3WnjmzKv6kNKt+QQGYnuw/6mGsO8dqeRIsCuyrueFTWSe65sWf0ZySnYErcQwcBg5DYHXq0y3EHxeRTiDOA==',
   (SELECT id FROM roles WHERE role_name = 'admin'),
-  '0x5B3bD1EE972C6a00bd89785901964C8858231B90',  -- địa chỉ ví mặc định hoặc null
-  '0x6e1f3255611c765199b9d9f0064a303d108ee47f2761e454f83f0b9f89d864da'   -- khóa riêng mặc định hoặc null
-);
\ No newline at end of file
+  '0x5B3bD1EE972C6a00bd89785901964C8858231B90',  -- địa chỉ ví mặc định
+  NULL                                           -- server không giữ khóa riêng của admin
+);
+
+-- 3️⃣ Ca mặc định (tương đương khung giờ cũ 7–8h vào, 17–18h ra)
+INSERT INTO shifts (name, start_time, end_time, weekdays, grace_before_minutes, grace_after_minutes, is_default)
+VALUES ('Hành chính', '07:00:00', '17:00:00', 127, 0, 119, TRUE);
+
+-- 4️⃣ Danh sách permission và quyền mặc định của từng role
+INSERT INTO permissions (code, description)
+VALUES
+  ('cards:read', 'Xem danh sách thẻ'),
+  ('cards:write', 'Thêm / gán / đổi trạng thái / thay / thu hồi thẻ'),
+  ('access_logs:read', 'Xem lịch sử ra vào của mọi nhân viên'),
+  ('employees:read', 'Xem danh sách nhân viên'),
+  ('employees:write', 'Thêm nhân viên, khóa / mở tài khoản'),
+  ('employees:offboard', 'Cho nhân viên nghỉ việc: khóa tài khoản, thu hồi thẻ, trả lương cuối và thu hồi số dư ví'),
+  ('onboardings:manage', 'Xem onboarding nhân viên bị lỗi / kẹt, chạy lại hoặc hoàn tác'),
+  ('departments:read', 'Xem phòng ban, chức vụ và người quản lý'),
+  ('departments:write', 'Tạo / sửa / xóa phòng ban, chức vụ và gán người quản lý'),
+  ('org:all_departments', 'Xem dữ liệu của mọi phòng ban (không có quyền này chỉ thấy cây phòng ban của mình)'),
+  ('wallet:withdraw', 'Rút tiền từ ví của chính mình'),
+  ('products:write', 'Thêm / sửa / xóa sản phẩm'),
+  ('shifts:read', 'Xem ca làm việc và phân ca'),
+  ('shifts:write', 'Tạo / sửa / xóa ca làm việc và phân ca'),
+  ('work_sessions:read', 'Xem phiên làm việc của mọi nhân viên'),
+  ('work_sessions:manage', 'Tự động đóng, xử lý tranh chấp, ghi có phiên làm việc'),
+  ('pay_rates:read', 'Xem mức lương'),
+  ('pay_rates:write', 'Tạo / sửa / xóa mức lương'),
+  ('payroll:read', 'Xem kỳ lương'),
+  ('payroll:manage', 'Tạo, duyệt và chi trả kỳ lương'),
+  ('chain_jobs:manage', 'Theo dõi và chạy lại giao dịch blockchain lỗi'),
+  ('chain_transactions:read', 'Xem trạng thái giao dịch gửi từ ví owner'),
+  ('chain_events:read', 'Xem sự kiện contract đã index và báo cáo tổng hợp'),
+  ('reconciliation:read', 'Xem và xuất CSV kết quả đối soát'),
+  ('reconciliation:run', 'Chạy đối soát MySQL / contract / số dư ví'),
+  ('gas_station:read', 'Xem trạng thái gas station và sổ nạp gas'),
+  ('gas_station:manage', 'Chạy kiểm tra và nạp gas thủ công cho ví nhân viên'),
+  ('treasury:read', 'Xem số dư quỹ, khoản lương đang nợ, số ngày còn trả được và cảnh báo'),
+  ('treasury:manage', 'Chạy kiểm tra quỹ và gửi cảnh báo ngay'),
+  ('users:reset_password', 'Tạo mã đặt lại mật khẩu cho nhân viên'),
+  ('roles:manage', 'Quản lý phân quyền'),
+  ('keys:manage', 'Xem trạng thái key vault, mã hóa lại khóa riêng khi xoay master key'),
+  ('devices:manage', 'Đăng ký, cấu hình và cấp lại secret cho đầu đọc RFID');
+
+-- admin: toàn quyền
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p WHERE r.role_name = 'admin';
+
+-- manager: tương đương các quyền trước đây (mọi role trừ employee), giới hạn trong cây phòng ban mình quản lý
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+  ON p.code IN ('cards:read', 'cards:write', 'access_logs:read', 'employees:read', 'employees:write', 'departments:read', 'wallet:withdraw',
+                'shifts:read', 'shifts:write', 'work_sessions:read', 'pay_rates:read', 'payroll:read',
+                'chain_transactions:read', 'chain_events:read', 'reconciliation:read', 'gas_station:read',
+                'treasury:read')
+WHERE r.role_name = 'manager';
+
+-- employee: chỉ dữ liệu của chính mình
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.code IN ('wallet:withdraw')
+WHERE r.role_name = 'employee';
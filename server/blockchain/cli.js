@@ -0,0 +1,230 @@
+// Quản lý contract theo từng mạng: node blockchain/cli.js <command> [--network <name>]
+import Web3 from "web3";
+import dotenv from "dotenv";
+import { NETWORKS, getNetwork, createProvider } from "./networks.js";
+import {
+  CONTRACT_NAMES,
+  compileContracts,
+  loadCompiled,
+  readArtifact,
+  writeArtifact,
+  deployContract,
+  inspectDeployment,
+  linkPayrollToken,
+} from "./deployer.js";
+
+dotenv.config();
+
+const USAGE = `Usage: npm run chain -- <command> [--network <name>] [options]
+
+Commands:
+  networks                  list network profiles
+  compile                   compile contracts into build/compiled/
+  deploy                    deploy contracts not yet deployed on the network
+      --only <Contract>     only this contract (${CONTRACT_NAMES.join(", ")})
+      --upgrade             also replace contracts whose on-chain code differs from the compiled one
+      --force               redeploy even when up to date (starts from empty contract state)
+  status                    deployment state, owner and record counts per contract
+  verify-owner              check that the server's owner account owns every contract
+  migrate [--dry-run]       re-register employees and products from MySQL / indexed events
+                            into the contracts currently in build/<network>/
+
+The network defaults to CHAIN_NETWORK (or "local").`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith("--")) throw new Error(`Unexpected argument "${arg}"`);
+    const key = arg.slice(2);
+    if (["network", "only"].includes(key)) {
+      if (!rest[i + 1]) throw new Error(`--${key} needs a value`);
+      options[key] = rest[++i];
+    } else {
+      options[key] = true;
+    }
+  }
+  return { command, options };
+}
+
+async function connect(network) {
+  const web3 = new Web3(await createProvider(network));
+  let owner;
+  if (network.ownerPrivateKey) {
+    const key = network.ownerPrivateKey.startsWith("0x") ? network.ownerPrivateKey : `0x${network.ownerPrivateKey}`;
+    owner = web3.eth.accounts.wallet.add(key)[0].address;
+  } else {
+    [owner] = await web3.eth.getAccounts();
+  }
+  if (!owner) throw new Error(`No owner account on "${network.name}" (node has no unlocked accounts and no owner key is set)`);
+
+  const chainId = Number(await web3.eth.getChainId());
+  if (network.chainId && network.chainId !== chainId) {
+    throw new Error(`"${network.name}" expects chain id ${network.chainId} but the node reports ${chainId}`);
+  }
+  return { web3, owner, chainId };
+}
+
+function selectContracts(only) {
+  if (!only) return CONTRACT_NAMES;
+  if (!CONTRACT_NAMES.includes(only)) throw new Error(`Unknown contract "${only}" (${CONTRACT_NAMES.join(", ")})`);
+  return [only];
+}
+
+async function commandNetworks() {
+  const current = process.env.CHAIN_NETWORK || "local";
+  for (const [name, profile] of Object.entries(NETWORKS)) {
+    const target = profile.kind === "in-process" ? "in-process" : profile.url || "(no RPC URL configured)";
+    console.log(`${name === current ? "*" : " "} ${name.padEnd(8)} ${profile.description} – ${target}`);
+  }
+}
+
+async function commandCompile() {
+  const compiled = await compileContracts();
+  for (const name of CONTRACT_NAMES) {
+    console.log(`✅ ${name} compiled (${compiled[name].compiler})`);
+  }
+}
+
+async function commandDeploy(network, options) {
+  if (network.ephemeral) {
+    console.warn(`⚠️ "${network.name}" lives inside the server process and is deployed on startup; nothing to do here`);
+    return;
+  }
+  const compiled = await loadCompiled();
+  const { web3, owner, chainId } = await connect(network);
+  console.log(`Deploying to "${network.name}" (chain ${chainId}) from ${owner}`);
+
+  const replaced = [];
+  for (const name of selectContracts(options.only)) {
+    const artifact = await readArtifact(network.name, name);
+    const { state } = await inspectDeployment(web3, artifact, compiled[name]);
+
+    if (state === "up_to_date" && !options.force) {
+      console.log(`= ${name} is up to date at ${artifact.address}`);
+      continue;
+    }
+    if (state === "outdated" && !options.upgrade && !options.force) {
+      console.log(`! ${name} at ${artifact.address} differs from the compiled contract; re-run with --upgrade to replace it`);
+      continue;
+    }
+
+    const deployed = await deployContract(web3, network, compiled[name], owner);
+    await writeArtifact(network.name, name, deployed);
+    console.log(`✅ ${name} deployed at ${deployed.address} (tx ${deployed.transactionHash})`);
+    if (state !== "not_deployed" && state !== "missing_code") replaced.push(name);
+  }
+
+  const artifacts = {};
+  for (const name of CONTRACT_NAMES) artifacts[name] = await readArtifact(network.name, name);
+  for (const link of await linkPayrollToken(web3, artifacts, owner)) {
+    console.log(`🔗 ${link}(${artifacts.PayrollToken.address})`);
+  }
+
+  if (replaced.length) {
+    console.log(`\n${replaced.join(", ")} replaced: previous artifacts are in build/${network.name}/history/.`);
+    console.log(`Restart the server, then run: npm run chain -- migrate --network ${network.name}`);
+  }
+}
+
+// Thông tin riêng của từng contract trong lệnh status
+const STATUS_FIELDS = {
+  EmployeeContract: async (c) => ({
+    employeeCount: await c.methods.employeeCount().call(),
+    payrollToken: await c.methods.payrollToken().call(),
+  }),
+  ProductContract: async (c) => ({
+    productCount: await c.methods.productCount().call(),
+    paymentToken: await c.methods.paymentToken().call(),
+  }),
+  PayrollToken: async (c) => ({
+    symbol: await c.methods.symbol().call(),
+    totalSupply: `${Web3.utils.fromWei(await c.methods.totalSupply().call(), "ether")}`,
+  }),
+};
+
+async function commandStatus(network) {
+  const compiled = await loadCompiled();
+  const { web3, owner, chainId } = await connect(network);
+  const head = await web3.eth.getBlockNumber();
+  console.log(`Network "${network.name}" – chain ${chainId}, block ${head}, owner account ${owner}`);
+
+  for (const name of CONTRACT_NAMES) {
+    const artifact = await readArtifact(network.name, name);
+    const { address, state } = await inspectDeployment(web3, artifact, compiled[name]);
+    console.log(`\n${name}`);
+    console.log(`  address:  ${address || "-"}`);
+    console.log(`  state:    ${state}`);
+    if (state !== "up_to_date" && state !== "outdated") continue;
+
+    const contract = new web3.eth.Contract(artifact.abi, address);
+    const contractOwner = await contract.methods.owner().call();
+    console.log(`  owner:    ${contractOwner}${contractOwner.toLowerCase() === owner.toLowerCase() ? "" : "  (≠ owner account)"}`);
+    for (const [label, value] of Object.entries(await STATUS_FIELDS[name](contract))) {
+      console.log(`  ${label}: ${value}`);
+    }
+    console.log(`  deployed: ${artifact.deployedAt || "-"} (block ${artifact.blockNumber ?? "-"})`);
+  }
+}
+
+async function commandVerifyOwner(network) {
+  const { web3, owner } = await connect(network);
+  let ok = true;
+  for (const name of CONTRACT_NAMES) {
+    const artifact = await readArtifact(network.name, name);
+    if (!artifact?.address) {
+      console.log(`✖ ${name}: not deployed on "${network.name}"`);
+      ok = false;
+      continue;
+    }
+    const contractOwner = await new web3.eth.Contract(artifact.abi, artifact.address).methods.owner().call();
+    const match = contractOwner.toLowerCase() === owner.toLowerCase();
+    console.log(`${match ? "✅" : "✖"} ${name}: owner ${contractOwner}${match ? "" : `, server signs as ${owner}`}`);
+    ok = ok && match;
+  }
+  if (!ok) process.exitCode = 1;
+}
+
+async function commandMigrate(network, options) {
+  if (network.ephemeral) throw new Error(`"${network.name}" only exists inside the server process; migrate cannot reach it`);
+  // contractInstance đọc CHAIN_NETWORK khi được import
+  process.env.CHAIN_NETWORK = network.name;
+  const { migrateContractState } = await import("../services/contractMigrationService.js");
+
+  const summary = await migrateContractState({ dryRun: Boolean(options["dry-run"]) });
+  const count = (items, action) => items.filter((i) => i.action.startsWith(action)).length;
+  console.log(
+    `\n${options["dry-run"] ? "Dry run: " : ""}employees ${count(summary.employees, "register")} registered, ` +
+    `${count(summary.employees, "exists")} already present; products ${count(summary.products, "add")} added, ` +
+    `${count(summary.products, "exists")} already present`
+  );
+}
+
+const COMMANDS = {
+  networks: commandNetworks,
+  compile: commandCompile,
+  deploy: commandDeploy,
+  status: commandStatus,
+  "verify-owner": commandVerifyOwner,
+  migrate: commandMigrate,
+};
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  if (!command || options.help || !COMMANDS[command]) {
+    console.log(USAGE);
+    if (command && !options.help && !COMMANDS[command]) process.exitCode = 1;
+    return;
+  }
+  const network = command === "compile" || command === "networks" ? null : getNetwork(options.network);
+  await COMMANDS[command](network, options);
+}
+
+main()
+  .catch((err) => {
+    console.error(`❌ ${err.message || err}`);
+    process.exitCode = 1;
+  })
+  // Pool MySQL (migrate) giữ tiến trình chạy tiếp
+  .finally(() => process.exit());
@@ -1,31 +1,54 @@
 import Web3 from "web3";
 import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import dotenv from 'dotenv';
+import { getNetwork, createProvider } from "./networks.js";
+import { artifactPath, loadCompiled, deployContract, linkPayrollToken } from "./deployer.js";
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Prefer explicit GANACHE_HOST env; fall back to legacy IP env for compatibility
-const ganacheHost = process.env.GANACHE_HOST || process.env.IP || "127.0.0.1";
-const GANACHE_URL = `http://${ganacheHost}:7545`;
-const web3 = new Web3(GANACHE_URL);
-
-const empPath = path.join(__dirname, "build", "EmployeeContract.json");
-const prodPath = path.join(__dirname, "build", "ProductContract.json");
-
-const empJson = JSON.parse(fs.readFileSync(empPath, "utf8"));
-const prodJson = JSON.parse(fs.readFileSync(prodPath, "utf8"));
-
-const empAddress = empJson.address;
-const empAbi = empJson.abi;
-const prodAddress = prodJson.address;
-const prodAbi = prodJson.abi;
-
-const employeeContract = new web3.eth.Contract(empAbi, empAddress);
-const productContract = new web3.eth.Contract(prodAbi, prodAddress);
-
-export { web3, employeeContract, productContract };
+// Mạng blockchain đang dùng (CHAIN_NETWORK, mặc định local)
+const network = getNetwork();
+const web3 = new Web3(await createProvider(network));
+
+// Ví owner ký giao dịch bằng khóa riêng (testnet); null = dùng tài khoản unlocked đầu tiên của node
+const ownerAccount = network.ownerPrivateKey
+  ? web3.eth.accounts.privateKeyToAccount(
+      network.ownerPrivateKey.startsWith("0x") ? network.ownerPrivateKey : `0x${network.ownerPrivateKey}`
+    )
+  : null;
+
+function readDeployment(name, { optional = false } = {}) {
+  const file = artifactPath(network.name, name);
+  if (!fs.existsSync(file)) {
+    if (optional) return null;
+    throw new Error(`${name} is not deployed on "${network.name}" (run: npm run chain -- deploy --network ${network.name})`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Chuỗi trong tiến trình (dev) bắt đầu trống mỗi lần chạy: deploy luôn lúc khởi động
+async function deployEphemeral(name) {
+  const compiled = (await loadCompiled())[name];
+  const [deployer] = await web3.eth.getAccounts();
+  const artifact = await deployContract(web3, network, compiled, deployer);
+  console.log(`${name} deployed on "${network.name}" at ${artifact.address}`);
+  return artifact;
+}
+
+const empJson = network.ephemeral ? await deployEphemeral("EmployeeContract") : readDeployment("EmployeeContract");
+const prodJson = network.ephemeral ? await deployEphemeral("ProductContract") : readDeployment("ProductContract");
+// PayrollToken chỉ bắt buộc khi PAYROLL_CURRENCY=token (xem utils/payrollToken.js)
+const tokenJson = network.ephemeral
+  ? await deployEphemeral("PayrollToken")
+  : readDeployment("PayrollToken", { optional: true });
+
+if (network.ephemeral) {
+  const [deployer] = await web3.eth.getAccounts();
+  await linkPayrollToken(web3, { EmployeeContract: empJson, ProductContract: prodJson, PayrollToken: tokenJson }, deployer);
+}
+
+const employeeContract = new web3.eth.Contract(empJson.abi, empJson.address);
+const productContract = new web3.eth.Contract(prodJson.abi, prodJson.address);
+const payrollTokenContract = tokenJson ? new web3.eth.Contract(tokenJson.abi, tokenJson.address) : null;
+
+export { web3, network, ownerAccount, employeeContract, productContract, payrollTokenContract };
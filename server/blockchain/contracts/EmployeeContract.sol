@@ -1,6 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+interface IERC20Payroll {
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
 contract EmployeeContract {
     struct Employee {
         string userCode;
@@ -37,9 +41,15 @@ contract EmployeeContract {
 
     event EmployeeRegistered(string userCode, string fullName, address wallet);
     event EmployeeStatusChanged(string userCode, bool active);
+    // fields[i] = tên trường đã đổi (fullName, email, phone, department, position), values[i] = giá trị mới
+    event EmployeeUpdated(string userCode, string[] fields, string[] values, uint256 timestamp);
     event EmployeeCredited(string userCode, uint256 amount, uint256 timestamp);
     event EmployeeWithdrawn(string userCode, uint256 amount, uint256 timestamp);
     event EmployeePurchased(string userCode, uint256 totalAmount, uint256 timestamp);
+    event PayrollTokenChanged(address token);
+
+    // Token trả lương khi PAYROLL_CURRENCY=token (address(0) = trả bằng ETH)
+    IERC20Payroll public payrollToken;
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Not authorized");
@@ -83,21 +93,39 @@ contract EmployeeContract {
         emit EmployeeRegistered(userCode, fullName, wallet);
     }
 
-    // Ghi nhận khoản tiền lương/credit cho nhân viên dựa trên khoảng thời gian checkin/checkout
-    // amount tính tự động: mỗi 1 phút = 0.1 ETH
-    function creditForWork(string memory userCode, uint256 checkin, uint256 checkout) public onlyOwner {
+    // Ghi nhận khoản tiền lương/credit cho nhân viên cho khoảng thời gian checkin/checkout.
+    // amount là số wei backend đã thực sự chuyển (tính theo pay rate off-chain),
+    // để sổ sách trên chain khớp với giao dịch chuyển tiền thật.
+    function creditForWork(string memory userCode, uint256 checkin, uint256 checkout, uint256 amount) public onlyOwner {
         require(employees[userCode].wallet != address(0), "Employee not found");
         require(checkout >= checkin, "Invalid time range");
+        if (amount == 0) {
+            return; // Không credit nếu số tiền bằng 0
+        }
 
-        uint256 secondsWorked = checkout - checkin;
-        uint256 minutesWorked = secondsWorked / 60;
-        if (minutesWorked == 0) {
-            return; // Không credit nếu dưới 1 phút
+        _bookCredit(userCode, amount);
+    }
+
+    // Ghi có bằng payroll token: chuyển token từ owner (đã approve cho contract) sang ví nhân viên
+    // và ghi sổ trong cùng một giao dịch, nên không thể có tiền chuyển mà thiếu sổ (hoặc ngược lại).
+    function creditForWorkWithToken(string memory userCode, uint256 checkin, uint256 checkout, uint256 amount) public onlyOwner {
+        require(address(payrollToken) != address(0), "Payroll token not set");
+        require(employees[userCode].wallet != address(0), "Employee not found");
+        require(checkout >= checkin, "Invalid time range");
+        if (amount == 0) {
+            return;
         }
 
-        uint256 amountPerMinute = 100000000000000000; // 0.1 ETH in wei
-        uint256 amount = minutesWorked * amountPerMinute;
+        require(payrollToken.transferFrom(owner, employees[userCode].wallet, amount), "Token transfer failed");
+        _bookCredit(userCode, amount);
+    }
+
+    function setPayrollToken(address token) public onlyOwner {
+        payrollToken = IERC20Payroll(token);
+        emit PayrollTokenChanged(token);
+    }
 
+    function _bookCredit(string memory userCode, uint256 amount) internal {
         totalCredited[userCode] += amount;
         logs[userCode].push(LogEntry({timestamp: block.timestamp, action: 0, amount: amount}));
         emit EmployeeCredited(userCode, amount, block.timestamp);
@@ -146,6 +174,63 @@ contract EmployeeContract {
         emit EmployeeStatusChanged(userCode, isActive);
     }
 
+    // Cập nhật hồ sơ nhân viên; chỉ các trường khác giá trị hiện tại được ghi và đưa vào event
+    function updateEmployeeProfile(
+        string memory userCode,
+        string memory fullName,
+        string memory email,
+        string memory phone,
+        string memory department,
+        string memory position
+    ) public onlyOwner {
+        Employee storage emp = employees[userCode];
+        require(emp.wallet != address(0), "Employee not found");
+
+        string[] memory fields = new string[](5);
+        string[] memory values = new string[](5);
+        uint256 n = 0;
+
+        if (_differs(emp.fullName, fullName)) {
+            emp.fullName = fullName;
+            (fields[n], values[n]) = ("fullName", fullName);
+            n++;
+        }
+        if (_differs(emp.email, email)) {
+            emp.email = email;
+            (fields[n], values[n]) = ("email", email);
+            n++;
+        }
+        if (_differs(emp.phone, phone)) {
+            emp.phone = phone;
+            (fields[n], values[n]) = ("phone", phone);
+            n++;
+        }
+        if (_differs(emp.department, department)) {
+            emp.department = department;
+            (fields[n], values[n]) = ("department", department);
+            n++;
+        }
+        if (_differs(emp.position, position)) {
+            emp.position = position;
+            (fields[n], values[n]) = ("position", position);
+            n++;
+        }
+        if (n == 0) {
+            return; // Không có gì thay đổi
+        }
+
+        // Thu gọn mảng về đúng số trường đã đổi
+        assembly {
+            mstore(fields, n)
+            mstore(values, n)
+        }
+        emit EmployeeUpdated(userCode, fields, values, block.timestamp);
+    }
+
+    function _differs(string memory a, string memory b) internal pure returns (bool) {
+        return keccak256(bytes(a)) != keccak256(bytes(b));
+    }
+
     // Lấy thông tin 1 nhân viên
     function getEmployee(string memory userCode)
         public
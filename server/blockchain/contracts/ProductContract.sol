@@ -1,6 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+interface IERC20Payment {
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
 contract ProductContract {
     struct Product {
         string productCode;
@@ -12,6 +16,8 @@ contract ProductContract {
 
     address public owner;
     uint256 public productCount;
+    // Token thanh toán khi PAYROLL_CURRENCY=token (address(0) = chỉ nhận ETH)
+    IERC20Payment public paymentToken;
 
     mapping(string => Product) private products;
     string[] private productCodes;
@@ -20,6 +26,7 @@ contract ProductContract {
     event ProductUpdated(string productCode, string name, uint256 price, string image);
     event ProductDeleted(string productCode);
     event ProductPurchased(string productCode, address buyer, uint256 price, uint256 timestamp);
+    event PaymentTokenChanged(address token);
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Not authorized");
@@ -92,6 +99,32 @@ contract ProductContract {
 
     // Buy multiple products with quantities in a single transaction
     function buyProducts(string[] memory productCodes, uint256[] memory quantities) public payable {
+        uint256 totalPrice = _totalPrice(productCodes, quantities);
+
+        require(msg.value == totalPrice, "Incorrect total payment amount");
+
+        // Transfer received ETH to owner
+        payable(owner).transfer(msg.value);
+
+        _emitPurchases(productCodes, quantities);
+    }
+
+    // Mua bằng payroll token: người mua approve trước cho contract, token chuyển thẳng về owner
+    function buyProductsWithToken(string[] memory productCodes, uint256[] memory quantities) public {
+        require(address(paymentToken) != address(0), "Payment token not set");
+        uint256 totalPrice = _totalPrice(productCodes, quantities);
+
+        require(paymentToken.transferFrom(msg.sender, owner, totalPrice), "Token transfer failed");
+
+        _emitPurchases(productCodes, quantities);
+    }
+
+    function setPaymentToken(address token) public onlyOwner {
+        paymentToken = IERC20Payment(token);
+        emit PaymentTokenChanged(token);
+    }
+
+    function _totalPrice(string[] memory productCodes, uint256[] memory quantities) internal view returns (uint256) {
         require(productCodes.length == quantities.length, "Code and quantity arrays must match");
         require(productCodes.length > 0, "Must buy at least one product");
 
@@ -104,15 +137,13 @@ contract ProductContract {
             uint256 itemPrice = products[productCodes[i]].price * quantities[i];
             totalPrice += itemPrice;
         }
+        return totalPrice;
+    }
 
-        require(msg.value == totalPrice, "Incorrect total payment amount");
-
-        // Transfer received ETH to owner
-        payable(owner).transfer(msg.value);
-
-        // Emit event for each product purchased
+    // Emit event for each product purchased
+    function _emitPurchases(string[] memory productCodes, uint256[] memory quantities) internal {
         for (uint256 i = 0; i < productCodes.length; i++) {
             emit ProductPurchased(productCodes[i], msg.sender, products[productCodes[i]].price * quantities[i], block.timestamp);
         }
     }
-}
\ No newline at end of file
+}
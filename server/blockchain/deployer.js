@@ -0,0 +1,229 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/*
+ * Build layout:
+ *
+ *   build/compiled/<Contract>.json          abi + bytecode from the last `compile`
+ *   build/<network>/<Contract>.json         deployed address + abi on that network
+ *   build/<network>/history/<Contract>-<ts>.json   artifacts replaced by an upgrade
+ */
+
+export const CONTRACTS_DIR = path.join(__dirname, "contracts");
+export const BUILD_DIR = path.join(__dirname, "build");
+export const CONTRACT_NAMES = ["EmployeeContract", "ProductContract", "PayrollToken"];
+
+// Tham số constructor của từng contract
+const CONSTRUCTOR_ARGS = {
+  PayrollToken: () => [process.env.PAYROLL_TOKEN_NAME || "Payroll Token", process.env.PAYROLL_TOKEN_SYMBOL || "PAY"],
+};
+
+const COMPILED_DIR = path.join(BUILD_DIR, "compiled");
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function readSources() {
+  const sources = {};
+  for (const file of (await fs.readdir(CONTRACTS_DIR)).filter((f) => f.endsWith(".sol")).sort()) {
+    sources[file] = { content: await fs.readFile(path.join(CONTRACTS_DIR, file), "utf8") };
+  }
+  return sources;
+}
+
+const sourcesHash = (sources) => sha256(JSON.stringify(sources));
+
+/**
+ * Compile every contract with solc and write build/compiled/*.json.
+ * @returns {Promise<Object<string, {abi: object[], bytecode: string, deployedBytecode: string}>>}
+ */
+export async function compileContracts() {
+  const { default: solc } = await import("solc");
+  const sources = await readSources();
+
+  const input = {
+    language: "Solidity",
+    sources,
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { "*": { "*": ["abi", "evm.bytecode", "evm.deployedBytecode"] } },
+    },
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+
+  const errors = (output.errors || []).filter((e) => e.severity === "error");
+  for (const e of output.errors || []) {
+    if (e.severity === "error") console.error(e.formattedMessage);
+  }
+  if (errors.length) throw new Error("Solidity compilation failed");
+
+  const hash = sourcesHash(sources);
+  const compiled = {};
+  await fs.mkdir(COMPILED_DIR, { recursive: true });
+  for (const name of CONTRACT_NAMES) {
+    const c = output.contracts[`${name}.sol`][name];
+    compiled[name] = {
+      contractName: name,
+      compiler: solc.version(),
+      sourcesHash: hash,
+      abi: c.abi,
+      bytecode: `0x${c.evm.bytecode.object}`,
+      deployedBytecode: `0x${c.evm.deployedBytecode.object}`,
+    };
+    await fs.writeFile(path.join(COMPILED_DIR, `${name}.json`), JSON.stringify(compiled[name], null, 2), "utf8");
+  }
+  return compiled;
+}
+
+/**
+ * Compiled contracts, recompiling when the .sol sources changed since the last compile.
+ * @returns {Promise<Object<string, object>>}
+ */
+export async function loadCompiled() {
+  const hash = sourcesHash(await readSources());
+  const compiled = {};
+  for (const name of CONTRACT_NAMES) {
+    const artifact = await readJson(path.join(COMPILED_DIR, `${name}.json`));
+    if (!artifact || artifact.sourcesHash !== hash) return compileContracts();
+    compiled[name] = artifact;
+  }
+  return compiled;
+}
+
+/**
+ * @param {string} network
+ * @param {string} name
+ * @returns {string}
+ */
+export function artifactPath(network, name) {
+  return path.join(BUILD_DIR, network, `${name}.json`);
+}
+
+/**
+ * @param {string} network
+ * @param {string} name
+ * @returns {Promise<object|null>} deployed artifact, or null when not deployed on that network
+ */
+export function readArtifact(network, name) {
+  return readJson(artifactPath(network, name));
+}
+
+/**
+ * Save a deployment, moving the artifact it replaces into history/.
+ * @param {string} network
+ * @param {string} name
+ * @param {object} artifact
+ */
+export async function writeArtifact(network, name, artifact) {
+  const file = artifactPath(network, name);
+  const previous = await readJson(file);
+  if (previous) {
+    const historyDir = path.join(BUILD_DIR, network, "history");
+    await fs.mkdir(historyDir, { recursive: true });
+    const stamp = (previous.deployedAt || new Date().toISOString()).replace(/[:.]/g, "-");
+    await fs.writeFile(path.join(historyDir, `${name}-${stamp}.json`), JSON.stringify(previous, null, 2), "utf8");
+  }
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(artifact, null, 2), "utf8");
+}
+
+/**
+ * Deploy one compiled contract. Gas is estimated (+20%) and capped by the profile.
+ * @param {import("web3").default} web3
+ * @param {object} network - from getNetwork
+ * @param {object} compiled - entry of compileContracts()
+ * @param {string} from - deployer (unlocked, or in web3.eth.accounts.wallet)
+ * @returns {Promise<object>} artifact for build/<network>/
+ */
+export async function deployContract(web3, network, compiled, from) {
+  const args = CONSTRUCTOR_ARGS[compiled.contractName]?.() || [];
+  const deployment = new web3.eth.Contract(compiled.abi).deploy({ data: compiled.bytecode, arguments: args });
+  const estimated = BigInt(await deployment.estimateGas({ from }));
+  const gas = (estimated * 120n) / 100n;
+  if (gas > BigInt(network.maxDeployGas)) {
+    throw new Error(`${compiled.contractName} needs ${gas} gas, above the ${network.maxDeployGas} limit of "${network.name}"`);
+  }
+
+  let transactionHash = null;
+  const instance = await deployment
+    .send({ from, gas: gas.toString() })
+    .on("transactionHash", (hash) => {
+      transactionHash = hash;
+    });
+  const receipt = transactionHash ? await web3.eth.getTransactionReceipt(transactionHash) : null;
+
+  return {
+    contractName: compiled.contractName,
+    network: network.name,
+    chainId: Number(await web3.eth.getChainId()),
+    address: instance.options.address,
+    abi: compiled.abi,
+    deployer: from,
+    constructorArgs: args,
+    transactionHash,
+    blockNumber: receipt ? Number(receipt.blockNumber) : null,
+    deployedBytecodeHash: sha256(compiled.deployedBytecode.toLowerCase()),
+    compiler: compiled.compiler,
+    sourcesHash: compiled.sourcesHash,
+    deployedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Compare what is on chain at the artifact address with the compiled contract.
+ * @returns {Promise<{address: string|null, state: "not_deployed"|"missing_code"|"outdated"|"up_to_date"}>}
+ */
+export async function inspectDeployment(web3, artifact, compiled) {
+  if (!artifact?.address) return { address: null, state: "not_deployed" };
+
+  const code = await web3.eth.getCode(artifact.address);
+  if (!code || code === "0x") return { address: artifact.address, state: "missing_code" };
+
+  const upToDate = sha256(String(code).toLowerCase()) === sha256(compiled.deployedBytecode.toLowerCase());
+  return { address: artifact.address, state: upToDate ? "up_to_date" : "outdated" };
+}
+
+/**
+ * Point EmployeeContract / ProductContract at the deployed PayrollToken when they
+ * are not already. `from` must own both contracts.
+ * @param {import("web3").default} web3
+ * @param {Object<string, object|null>} artifacts - deployed artifacts by contract name
+ * @param {string} from
+ * @returns {Promise<string[]>} setters that were called
+ */
+export async function linkPayrollToken(web3, artifacts, from) {
+  const token = artifacts.PayrollToken?.address;
+  if (!token) return [];
+
+  const links = [
+    { name: "EmployeeContract", getter: "payrollToken", setter: "setPayrollToken" },
+    { name: "ProductContract", getter: "paymentToken", setter: "setPaymentToken" },
+  ];
+  const updated = [];
+  for (const { name, getter, setter } of links) {
+    const artifact = artifacts[name];
+    if (!artifact?.address) continue;
+    const contract = new web3.eth.Contract(artifact.abi, artifact.address);
+    const current = await contract.methods[getter]().call();
+    if (String(current).toLowerCase() === token.toLowerCase()) continue;
+
+    const method = contract.methods[setter](token);
+    const gas = (BigInt(await method.estimateGas({ from })) * 120n) / 100n;
+    await method.send({ from, gas: gas.toString() });
+    updated.push(`${name}.${setter}`);
+  }
+  return updated;
+}
@@ -0,0 +1,86 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/*
+ * Named chain profiles. CHAIN_NETWORK picks the one the server (and, by
+ * default, the CLI) uses; each network keeps its own build artifacts in
+ * blockchain/build/<network>/.
+ *
+ *   local    – Ganache GUI / ganache-cli over HTTP, owner = first unlocked account
+ *   dev      – in-process Ganache (ganache devDependency); chain lives only as long as the
+ *              process, so contracts are deployed on startup
+ *   testnet  – any JSON-RPC endpoint; the owner signs with TESTNET_OWNER_PRIVATE_KEY
+ */
+
+// Prefer explicit GANACHE_HOST env; fall back to legacy IP env for compatibility
+const ganacheHost = process.env.GANACHE_HOST || process.env.IP || "127.0.0.1";
+const ganachePort = process.env.GANACHE_PORT || 7545;
+
+const optionalNumber = (value) => (value === undefined || value === "" ? null : Number(value));
+
+export const NETWORKS = {
+  local: {
+    description: "Local Ganache over HTTP",
+    kind: "http",
+    url: process.env.GANACHE_URL || `http://${ganacheHost}:${ganachePort}`,
+    chainId: optionalNumber(process.env.GANACHE_CHAIN_ID),
+    ownerPrivateKey: process.env.GANACHE_OWNER_PRIVATE_KEY || null,
+    maxDeployGas: Number(process.env.GANACHE_MAX_DEPLOY_GAS) || 6000000,
+    ephemeral: false,
+  },
+  dev: {
+    description: "In-process Ganache chain (reset on every start)",
+    kind: "in-process",
+    url: null,
+    chainId: Number(process.env.DEV_CHAIN_ID) || 1337,
+    ownerPrivateKey: null,
+    maxDeployGas: 6000000,
+    ephemeral: true,
+  },
+  testnet: {
+    description: "Public test network over JSON-RPC",
+    kind: "http",
+    url: process.env.TESTNET_RPC_URL || null,
+    chainId: optionalNumber(process.env.TESTNET_CHAIN_ID),
+    ownerPrivateKey: process.env.TESTNET_OWNER_PRIVATE_KEY || null,
+    maxDeployGas: Number(process.env.TESTNET_MAX_DEPLOY_GAS) || 6000000,
+    ephemeral: false,
+  },
+};
+
+/**
+ * @param {string} [name] - profile name, CHAIN_NETWORK (or "local") by default
+ * @returns {object} profile with its `name`
+ */
+export function getNetwork(name = process.env.CHAIN_NETWORK || "local") {
+  const profile = NETWORKS[name];
+  if (!profile) {
+    throw new Error(`Unknown network "${name}" (available: ${Object.keys(NETWORKS).join(", ")})`);
+  }
+  if (profile.kind === "http" && !profile.url) {
+    throw new Error(`Network "${name}" has no RPC URL configured`);
+  }
+  return { name, ...profile };
+}
+
+/**
+ * Web3 provider for a profile: the RPC URL, or an in-process Ganache chain.
+ * @param {object} network - from getNetwork
+ * @returns {Promise<string|object>}
+ */
+export async function createProvider(network) {
+  if (network.kind !== "in-process") return network.url;
+
+  let ganache;
+  try {
+    ({ default: ganache } = await import("ganache"));
+  } catch (err) {
+    throw new Error(`Network "${network.name}" needs the ganache dev dependency (npm install without --omit=dev)`);
+  }
+  return ganache.provider({
+    chain: { chainId: network.chainId },
+    wallet: { deterministic: true },
+    logging: { quiet: true },
+  });
+}
@@ -1,54 +1,100 @@
 import { web3, employeeContract as contract } from "../contractInstance.js";
+import { getTransactionByHash, listTransactions, sendOwnerContractCall, sendOwnerTransaction, waitForTransaction } from "../../services/chainTxService.js";
+import { withPayrollFunding } from "./payrollToken.js";
 
 /**
- * Credit ETH to employee based on checkin/checkout times
+ * Send wage ETH from the owner account (ganache account[0]) to the employee wallet.
+ * With a reference (e.g. work_session:12) a transfer already sent for it is
+ * reused instead of paying twice.
  * @param {string} userCode - Employee user code
- * @param {number} checkin - Unix timestamp in seconds
- * @param {number} checkout - Unix timestamp in seconds
- * @returns {Promise<{message: string, minutes: number, amountEth: string, transferTx: string, recordTx: string}>}
+ * @param {string|bigint} amountWei - Amount to transfer, in wei
+ * @param {string} [reference] - business reference tracked in chain_transactions
+ * @returns {Promise<{wallet: string, transferTx: string}>}
  */
-export async function creditEmployeeWork(userCode, checkin, checkout) {
-  try {
-    
-    // get employee wallet
-    const emp = await contract.methods.getEmployee(userCode).call();
-    if (!emp || !emp[0]) {
-      throw new Error("Employee not found");
-    }
-    const wallet = emp[6];
+export async function transferWage(userCode, amountWei, reference) {
+  // get employee wallet
+  const emp = await contract.methods.getEmployee(userCode).call();
+  if (!emp || !emp[0]) {
+    throw new Error("Employee not found");
+  }
+  const wallet = emp[6];
 
-    // compute minutes and amount (0.1 ETH per minute)
-    const seconds = Number(checkout) - Number(checkin);
-    if (seconds <= 0) {
-      throw new Error("Invalid time range");
+  const receipt = await sendOwnerTransaction(
+    { to: wallet, value: amountWei, gas: 21000 },
+    { purpose: "wage_transfer", reference, reuse: Boolean(reference) }
+  );
+  return { wallet, transferTx: receipt.transactionHash };
+}
+
+/**
+ * Transfer the wage unless a previous attempt already did. A previous transfer
+ * that was mined successfully is reused; one that reverted is sent again.
+ * @param {string} userCode - Employee user code
+ * @param {string|bigint} amountWei - Amount to transfer, in wei
+ * @param {string|null} previousTx - transfer hash stored by an earlier attempt
+ * @param {string} [reference] - business reference tracked in chain_transactions
+ * @returns {Promise<string>} transfer transaction hash (the sped-up hash if it was replaced)
+ */
+export async function ensureWageTransfer(userCode, amountWei, previousTx, reference) {
+  if (previousTx) {
+    // Giao dịch có thể đã được tăng phí: lấy hash hiện tại từ bộ theo dõi
+    const tracked = await getTransactionByHash(previousTx);
+    if (tracked?.status === "pending") {
+      throw new Error(`Previous transfer ${tracked.tx_hash} is not mined yet; verify before retrying`);
     }
-    const minutes = Math.floor(seconds / 60);
-    if (minutes <= 0) {
-      return { message: "Less than 1 minute, nothing to credit", minutes: 0, amountEth: "0" };
+    const hash = tracked?.tx_hash || previousTx;
+    const receipt = await web3.eth.getTransactionReceipt(hash).catch(() => null);
+    if (!receipt && !tracked) {
+      throw new Error(`Previous transfer ${previousTx} is not mined yet; verify before retrying`);
     }
+    if (receipt?.status) return hash;
+  }
 
-    const amountEth = (0.1 * minutes).toString();
-    const amountWei = web3.utils.toWei(amountEth, "ether");
-
-    // send ETH from owner (ganache account[0]) to employee wallet
-    const accounts = await web3.eth.getAccounts();
-    const owner = accounts[0];
-
-    const sendTx = await web3.eth.sendTransaction({ from: owner, to: wallet, value: amountWei, gas: 21000 });
+  const { transferTx } = await transferWage(userCode, amountWei, reference);
+  return transferTx;
+}
 
-    // record on-chain in contract (bookkeeping)
-    const receipt = await contract.methods.creditForWork(userCode, Number(checkin), Number(checkout)).send({ from: owner, gas: 3000000 });
-    
-    return {
-      message: "Credited",
-      minutes,
-      amountEth,
-      transferTx: sendTx.transactionHash,
-      recordTx: receipt.transactionHash,
-    };
-  } catch (err) {
-    console.log("❌ Error in creditEmployeeWork:", err);
+/**
+ * Record a wage credit in EmployeeContract (bookkeeping) for a checkin/checkout period.
+ * @param {string} userCode - Employee user code
+ * @param {number} checkin - Unix timestamp in seconds
+ * @param {number} checkout - Unix timestamp in seconds
+ * @param {string|bigint} amountWei - Amount that was transferred, in wei
+ * @param {string} [reference] - business reference tracked in chain_transactions
+ * @returns {Promise<string>} transaction hash
+ */
+export async function recordWorkCredit(userCode, checkin, checkout, amountWei, reference) {
+  const receipt = await sendOwnerContractCall(
+    contract,
+    contract.methods.creditForWork(userCode, Number(checkin), Number(checkout), String(amountWei)),
+    { gas: 3000000, purpose: "credit_for_work", reference, reuse: Boolean(reference) }
+  );
+  return receipt.transactionHash;
+}
 
-    throw err;
+/**
+ * Pay and record a wage in PayrollToken with one contract call: EmployeeContract
+ * pulls the tokens from the owner account into the employee wallet and books
+ * the credit. With a reference the call is sent at most once, and a retry
+ * whose call was already sent only waits for it (no tokens are minted for it).
+ * @param {string} userCode - Employee user code
+ * @param {number} checkin - Unix timestamp in seconds
+ * @param {number} checkout - Unix timestamp in seconds
+ * @param {string|bigint} amountWei - Amount to credit, in token base units
+ * @param {string} [reference] - business reference tracked in chain_transactions
+ * @returns {Promise<string>} transaction hash (both the transfer and the record)
+ */
+export async function creditWorkWithToken(userCode, checkin, checkout, amountWei, reference) {
+  if (reference) {
+    const sent = (await listTransactions({ reference, purpose: "credit_for_work" }))
+      .find((tx) => ["pending", "mined"].includes(tx.status));
+    if (sent) return (await waitForTransaction(sent.id)).transactionHash;
   }
+
+  const receipt = await withPayrollFunding(amountWei, reference, () => sendOwnerContractCall(
+    contract,
+    contract.methods.creditForWorkWithToken(userCode, Number(checkin), Number(checkout), String(amountWei)),
+    { gas: 3000000, purpose: "credit_for_work", reference, reuse: Boolean(reference) }
+  ));
+  return receipt.transactionHash;
 }
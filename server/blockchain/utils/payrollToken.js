@@ -0,0 +1,134 @@
+import dotenv from "dotenv";
+import { web3, network, employeeContract, payrollTokenContract } from "../contractInstance.js";
+import { getOwnerAddress, listTransactions, sendOwnerContractCall, waitForTransaction } from "../../services/chainTxService.js";
+
+dotenv.config();
+
+// Đơn vị trả lương: "eth" (chuyển ETH gốc, mặc định) hoặc "token" (PayrollToken ERC-20)
+export const PAYROLL_CURRENCY = (process.env.PAYROLL_CURRENCY || "eth").toLowerCase();
+// Tự phát hành thêm token khi ví owner không đủ để trả lương
+export const PAYROLL_TOKEN_AUTO_MINT = process.env.PAYROLL_TOKEN_AUTO_MINT !== "false";
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+// Phát hành + ghi có chạy nối tiếp (một tiến trình server): lần sau đọc số dư sau khi lần trước đã tiêu
+let fundingQueue = Promise.resolve();
+
+if (!["eth", "token"].includes(PAYROLL_CURRENCY)) {
+  throw new Error(`PAYROLL_CURRENCY must be "eth" or "token", got "${PAYROLL_CURRENCY}"`);
+}
+if (PAYROLL_CURRENCY === "token" && !payrollTokenContract) {
+  throw new Error(`PAYROLL_CURRENCY=token but PayrollToken is not deployed on "${network.name}" (run: npm run chain -- deploy --network ${network.name})`);
+}
+
+/**
+ * @returns {boolean} true when wages are paid in PayrollToken
+ */
+export function isTokenPayroll() {
+  return PAYROLL_CURRENCY === "token";
+}
+
+let tokenInfo = null;
+
+/**
+ * Symbol, decimals and address of the payroll token (null in ETH mode).
+ * @returns {Promise<{address: string, symbol: string, decimals: number}|null>}
+ */
+export async function getPayrollTokenInfo() {
+  if (!isTokenPayroll()) return null;
+  if (!tokenInfo) {
+    const [symbol, decimals] = await Promise.all([
+      payrollTokenContract.methods.symbol().call(),
+      payrollTokenContract.methods.decimals().call(),
+    ]);
+    tokenInfo = { address: payrollTokenContract.options.address, symbol, decimals: Number(decimals) };
+  }
+  return tokenInfo;
+}
+
+/**
+ * @param {string} address
+ * @returns {Promise<bigint>} token balance in base units
+ */
+export async function getTokenBalance(address) {
+  return BigInt(await payrollTokenContract.methods.balanceOf(address).call());
+}
+
+/**
+ * @param {string} owner
+ * @param {string} spender
+ * @returns {Promise<bigint>}
+ */
+export async function getTokenAllowance(owner, spender) {
+  return BigInt(await payrollTokenContract.methods.allowance(owner, spender).call());
+}
+
+/**
+ * Balance of an address in the payroll currency (ETH or token), in wei / base units.
+ * @param {string} address
+ * @returns {Promise<bigint>}
+ */
+export async function getPayrollBalance(address) {
+  return isTokenPayroll() ? getTokenBalance(address) : BigInt(await web3.eth.getBalance(address));
+}
+
+/**
+ * Make sure EmployeeContract can pull `amountWei` tokens from the owner account:
+ * mints the shortfall (unless PAYROLL_TOKEN_AUTO_MINT=false) and grants an
+ * unlimited allowance the first time. A mint still pending for the same
+ * reference (earlier attempt that timed out) is waited on before the balance
+ * is read, so a retry does not mint twice. Call through withPayrollFunding so
+ * concurrent payments do not both count the same balance.
+ * @param {string|bigint} amountWei
+ * @param {string} [reference] - business reference of the payment
+ */
+export async function ensurePayrollFunding(amountWei, reference) {
+  const owner = await getOwnerAddress();
+  const amount = BigInt(amountWei);
+
+  if (reference) {
+    const [pendingMint] = await listTransactions({ status: "pending", reference, purpose: "mint_payroll_token", limit: 1 });
+    if (pendingMint) await waitForTransaction(pendingMint.id);
+  }
+
+  const balance = await getTokenBalance(owner);
+  if (balance < amount) {
+    if (!PAYROLL_TOKEN_AUTO_MINT) {
+      throw new Error(`Owner holds ${balance} payroll tokens, ${amount} needed (auto mint disabled)`);
+    }
+    await sendOwnerContractCall(
+      payrollTokenContract,
+      payrollTokenContract.methods.mint(owner, (amount - balance).toString()),
+      { gas: 200000, purpose: "mint_payroll_token", reference }
+    );
+  }
+
+  const spender = employeeContract.options.address;
+  if ((await getTokenAllowance(owner, spender)) < amount) {
+    await sendOwnerContractCall(
+      payrollTokenContract,
+      payrollTokenContract.methods.approve(spender, MAX_UINT256.toString()),
+      { gas: 200000, purpose: "approve_payroll_token" }
+    );
+  }
+}
+
+/**
+ * Fund `amountWei` and run `send` (the payment pulling those tokens) while no
+ * other payment of this process is being funded, so the shortfall is computed
+ * from a balance no other payment is about to spend.
+ * @param {string|bigint} amountWei
+ * @param {string} [reference] - business reference of the payment
+ * @param {() => Promise<T>} send
+ * @returns {Promise<T>}
+ * @template T
+ */
+export function withPayrollFunding(amountWei, reference, send) {
+  const fundAndSend = async () => {
+    await ensurePayrollFunding(amountWei, reference);
+    return send();
+  };
+  const run = fundingQueue.then(fundAndSend, fundAndSend);
+  fundingQueue = run.catch(() => {});
+  return run;
+}
@@ -0,0 +1,111 @@
+import dotenv from "dotenv";
+import { web3 } from "../contractInstance.js";
+import { withEmployeePrivateKey } from "../../services/keyVault.js";
+import connection from "../../services/connectDatabase.js";
+import { httpError } from "../../utils/httpError.js";
+
+dotenv.config();
+
+/*
+ * A signer signs transactions for one wallet:
+ *
+ *   { type: string, address: string, signTransaction(tx) => Promise<{rawTransaction, transactionHash}> }
+ *
+ * Employee signers are created by the backend named in SIGNER_BACKEND
+ * ("custodial" by default: the key vault key, decrypted only while signing).
+ * A hardware or remote signer registers its own backend with
+ * registerSignerBackend and is selected through the same variable.
+ */
+
+// Chế độ cũ: client gửi khóa riêng trong body (privateKey / buyerPrivateKey)
+export const ALLOW_BODY_PRIVATE_KEY = process.env.ALLOW_BODY_PRIVATE_KEY === "true";
+
+const SIGNER_BACKEND = process.env.SIGNER_BACKEND || "custodial";
+
+const backends = new Map();
+
+/**
+ * @param {string} name - value of SIGNER_BACKEND selecting this backend
+ * @param {(userId: number|string) => Promise<object>} factory - returns a signer for the employee
+ */
+export function registerSignerBackend(name, factory) {
+  backends.set(name, factory);
+}
+
+/**
+ * Signer for a raw private key (legacy body-key mode).
+ * @param {string} privateKey - hex, with or without 0x
+ * @returns {{type: string, address: string, signTransaction: Function}}
+ */
+export function createPrivateKeySigner(privateKey) {
+  const key = String(privateKey).trim();
+  const account = web3.eth.accounts.privateKeyToAccount(key.startsWith("0x") ? key : `0x${key}`);
+  return {
+    type: "private_key",
+    address: account.address,
+    signTransaction: (tx) => account.signTransaction(tx),
+  };
+}
+
+registerSignerBackend("custodial", async (userId) => {
+  const [rows] = await connection.promise().query("SELECT wallet_address FROM users WHERE id = ?", [userId]);
+  if (!rows[0]) throw httpError(404, "Employee not found");
+
+  return {
+    type: "custodial",
+    address: rows[0].wallet_address,
+    // Khóa chỉ được giải mã trong lúc ký, không giữ lại trong signer
+    signTransaction: (tx) =>
+      withEmployeePrivateKey(userId, (privateKey) => web3.eth.accounts.signTransaction(tx, privateKey)),
+  };
+});
+
+/**
+ * Signer for an employee's custodied wallet, from the SIGNER_BACKEND backend.
+ * @param {number|string} userId
+ * @returns {Promise<{type: string, address: string, signTransaction: Function}>}
+ */
+export async function getEmployeeSigner(userId) {
+  const factory = backends.get(SIGNER_BACKEND);
+  if (!factory) throw new Error(`Unknown SIGNER_BACKEND "${SIGNER_BACKEND}"`);
+  return factory(userId);
+}
+
+/**
+ * Signer for a request: the employee's custodied key, or, only when
+ * ALLOW_BODY_PRIVATE_KEY=true, a private key sent in the request body.
+ * @param {number|string} userId - logged-in employee
+ * @param {string} [bodyPrivateKey]
+ * @returns {Promise<object>}
+ */
+export async function resolveRequestSigner(userId, bodyPrivateKey) {
+  if (!bodyPrivateKey) return getEmployeeSigner(userId);
+
+  if (!ALLOW_BODY_PRIVATE_KEY) {
+    throw httpError(400, "Sending a private key is disabled; the server signs with your custodied wallet");
+  }
+  try {
+    return createPrivateKeySigner(bodyPrivateKey);
+  } catch (err) {
+    throw httpError(400, "Invalid private key format");
+  }
+}
+
+/**
+ * Fill in nonce, gas price and chain id, sign with `signer` and broadcast.
+ * @param {{address: string, signTransaction: Function}} signer
+ * @param {object} tx - at least `to`, plus `value` / `data` / `gas`
+ * @returns {Promise<object>} transaction receipt
+ */
+export async function signAndSend(signer, tx) {
+  const [nonce, gasPrice, chainId] = await Promise.all([
+    tx.nonce ?? web3.eth.getTransactionCount(signer.address, "pending"),
+    tx.gasPrice ?? web3.eth.getGasPrice(),
+    tx.chainId ?? web3.eth.getChainId(),
+  ]);
+
+  const signed = await signer.signTransaction({ ...tx, from: signer.address, nonce, gasPrice, chainId });
+  if (!signed || !signed.rawTransaction) throw new Error("Failed to sign transaction");
+
+  return web3.eth.sendSignedTransaction(signed.rawTransaction);
+}
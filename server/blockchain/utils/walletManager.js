@@ -1,36 +1,43 @@
-import Web3 from "web3";
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const ganacheHost = process.env.GANACHE_HOST || process.env.IP || "127.0.0.1";
-const web3 = new Web3(`http://${ganacheHost}:7545`);
-
-export async function createAndFundWallet() {
+import { web3 } from "../contractInstance.js";
+import { sendOwnerTransaction } from "../../services/chainTxService.js";
+
+/**
+ * Create a new employee wallet and fund it with 0.01 ETH from the owner account.
+ * @param {string} [reference] - business reference of the funding transaction (e.g. user:12)
+ * @returns {Promise<{address: string, privateKey: string, fundedTx: string}>}
+ */
+export async function createAndFundWallet(reference) {
   // 1. Tạo ví mới
   const newAccount = web3.eth.accounts.create();
 
   console.log("New employee wallet created:", newAccount.address);
 
-  // 2. Lấy ví admin từ Ganache (ví đầu tiên)
-  const accounts = await web3.eth.getAccounts();
-  const admin = accounts[0];
+  // 2. Gửi 0.01 ETH từ ví owner qua bộ quản lý nonce
+  const tx = await fundWallet(newAccount.address, reference);
 
-  // 3. Gửi 0.01 ETH cho ví nhân viên
-  const tx = await web3.eth.sendTransaction({
-    from: admin,
-    to: newAccount.address,
-    value: web3.utils.toWei("0.01", "ether"),
-    gas: 21000,
-  });
-
-  console.log(`Funded 0.01 ETH to ${newAccount.address}`);
-  console.log("Transaction hash:", tx.transactionHash);
-
-  // 4. Trả về thông tin ví
+  // 3. Trả về thông tin ví
   return {
     address: newAccount.address,
     privateKey: newAccount.privateKey,
     fundedTx: tx.transactionHash,
   };
 }
+
+/**
+ * Fund an employee wallet with 0.01 ETH from the owner account. With a
+ * reference, a retry waits on the transaction already sent instead of
+ * funding the wallet twice.
+ * @param {string} address
+ * @param {string} [reference] - business reference of the funding transaction
+ * @returns {Promise<object>} the receipt
+ */
+export async function fundWallet(address, reference) {
+  const tx = await sendOwnerTransaction(
+    { to: address, value: web3.utils.toWei("0.01", "ether"), gas: 21000 },
+    { purpose: "fund_wallet", reference, reuse: Boolean(reference) }
+  );
+
+  console.log(`Funded 0.01 ETH to ${address}`);
+  console.log("Transaction hash:", tx.transactionHash);
+  return tx;
+}
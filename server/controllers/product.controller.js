@@ -1,5 +1,10 @@
-import { productContract, web3, employeeContract } from '../blockchain/contractInstance.js';
+import { employeeContract, productContract, payrollTokenContract, web3 } from '../blockchain/contractInstance.js';
 import ipfs from '../blockchain/ipfsClient.js';
+import { enqueueJob, runJobNow } from '../services/chainJobService.js';
+import { resolveRequestSigner, signAndSend } from '../blockchain/utils/signer.js';
+import { getOwnerAddress, sendOwnerContractCall } from '../services/chainTxService.js';
+import { sponsorGas } from '../services/gasStationService.js';
+import { PAYROLL_CURRENCY, isTokenPayroll, getTokenBalance, getTokenAllowance } from '../blockchain/utils/payrollToken.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -12,7 +17,6 @@ const GAS_LIMITS = {
   ADD_PRODUCT: 3000000,
   UPDATE_PRODUCT: 3000000,
   DELETE_PRODUCT: 300000,
-  RECORD_PURCHASE: 300000,
 };
 
 const ASSETS_DIR = path.resolve(__dirname, '../assets/images');
@@ -139,8 +143,7 @@ async function getImageHash(req) {
 
 // Helper to get admin account
 async function getAdminAccount() {
-  const accounts = await web3.eth.getAccounts();
-  return accounts[0];
+  return getOwnerAddress();
 }
 
 async function addProduct(req, res) {
@@ -184,9 +187,11 @@ async function addProduct(req, res) {
     
     // Convert price to Wei and send transaction
     const priceWei = web3.utils.toWei(String(priceNum), 'ether');
-    const tx = await productContract.methods
-      .addProduct(normalizedCode, normalizedName, priceWei, imageHash)
-      .send({ from: admin, gas: GAS_LIMITS.ADD_PRODUCT });
+    const tx = await sendOwnerContractCall(
+      productContract,
+      productContract.methods.addProduct(normalizedCode, normalizedName, priceWei, imageHash),
+      { gas: GAS_LIMITS.ADD_PRODUCT, purpose: 'add_product', reference: `product:${normalizedCode}` }
+    );
     
     return res.json({ 
       message: 'Product added successfully', 
@@ -243,9 +248,11 @@ async function updateProduct(req, res) {
     
     // Convert price to Wei and send transaction
     const priceWei = web3.utils.toWei(String(priceNum), 'ether');
-    const tx = await productContract.methods
-      .updateProduct(normalizedCode, normalizedName, priceWei, imageHash)
-      .send({ from: admin, gas: GAS_LIMITS.UPDATE_PRODUCT });
+    const tx = await sendOwnerContractCall(
+      productContract,
+      productContract.methods.updateProduct(normalizedCode, normalizedName, priceWei, imageHash),
+      { gas: GAS_LIMITS.UPDATE_PRODUCT, purpose: 'update_product', reference: `product:${normalizedCode}` }
+    );
     
     return res.json({ 
       message: 'Product updated successfully', 
@@ -282,17 +289,12 @@ async function listProducts(req, res) {
 
 async function buyProducts(req, res) {
   try {
-    const { userCode, buyerPrivateKey, products } = req.body;
+    const { buyerPrivateKey, products } = req.body;
+    const userCode = String(req.body.userCode ?? req.user.id).trim();
 
-    // Validate inputs
-    const userCodeValidation = validateRequired(userCode, 'userCode');
-    if (!userCodeValidation.valid) {
-      return res.status(400).json({ message: userCodeValidation.error });
-    }
-
-    const privateKeyValidation = validateRequired(buyerPrivateKey, 'buyerPrivateKey');
-    if (!privateKeyValidation.valid) {
-      return res.status(400).json({ message: privateKeyValidation.error });
+    // Only the logged-in employee's own wallet can pay
+    if (userCode !== String(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied for this userCode' });
     }
 
     if (!Array.isArray(products) || products.length === 0) {
@@ -338,63 +340,108 @@ async function buyProducts(req, res) {
       }
     }
 
-    // Prepare buyer account from private key
-    const pkeyStr = String(buyerPrivateKey).trim();
-    const fullKey = pkeyStr.startsWith('0x') ? pkeyStr : '0x' + pkeyStr;
-    
-    let account, from;
+    // Custodied wallet of the buyer (or the body key in legacy mode)
+    let signer;
     try {
-      account = web3.eth.accounts.privateKeyToAccount(fullKey);
-      from = account.address;
+      signer = await resolveRequestSigner(req.user.id, buyerPrivateKey);
     } catch (err) {
-      return res.status(400).json({ message: 'Invalid private key format' });
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      throw err;
+    }
+    const from = signer.address;
+
+    // Chỉ được mua bằng ví của chính mình (khóa trong body ở chế độ cũ có thể là ví khác)
+    let emp;
+    try {
+      emp = await employeeContract.methods.getEmployee(String(req.user.id)).call();
+    } catch (err) {
+      // getEmployee revert "Employee not found"
+      emp = null;
+    }
+    if (!emp || !emp[0]) return res.status(404).json({ message: 'Employee not found' });
+    if (emp[6].toLowerCase() !== from.toLowerCase()) {
+      return res.status(400).json({ message: 'Signer does not match employee wallet' });
     }
 
     // Build transaction data
     const codes = normalizedProducts.map(p => p.productCode);
     const quantities = normalizedProducts.map(p => p.quantity);
-    const txData = productContract.methods.buyProducts(codes, quantities).encodeABI();
+    const payWithToken = isTokenPayroll();
+    const txData = payWithToken
+      ? productContract.methods.buyProductsWithToken(codes, quantities).encodeABI()
+      : productContract.methods.buyProducts(codes, quantities).encodeABI();
+    const txValue = payWithToken ? 0n : totalPriceWei;
+    const gasPrice = await web3.eth.getGasPrice();
+
+    // Token: kiểm tra số dư và approve cho ProductContract trước khi mua
+    let approveTx = null;
+    const gasSubsidies = [];
+    if (payWithToken) {
+      if ((await getTokenBalance(from)) < totalPriceWei) {
+        return res.status(400).json({ message: 'Insufficient token balance' });
+      }
+      if ((await getTokenAllowance(from, productContract.options.address)) < totalPriceWei) {
+        const approveData = payrollTokenContract.methods
+          .approve(productContract.options.address, totalPriceWei.toString())
+          .encodeABI();
+        const approveGas = await web3.eth.estimateGas({ to: payrollTokenContract.options.address, data: approveData, from });
+        gasSubsidies.push(await sponsorGas({
+          userId: req.user.id,
+          wallet: from,
+          gasWei: BigInt(approveGas) * BigInt(gasPrice),
+          source: 'purchase',
+        }));
+        const approved = await signAndSend(signer, {
+          to: payrollTokenContract.options.address,
+          data: approveData,
+          value: 0n,
+          gas: BigInt(Math.floor(Number(approveGas) * 1.2) + 10000),
+          gasPrice,
+        });
+        approveTx = approved.transactionHash;
+      }
+    }
 
     // Estimate gas and prepare transaction
     const gasEstimate = await web3.eth.estimateGas({ 
       to: productContract.options.address, 
       data: txData, 
-      value: String(totalPriceWei), 
+      value: String(txValue), 
       from 
     });
     const gasLimit = Math.floor(Number(gasEstimate) * 1.2) + 10000;
-    const gasPrice = await web3.eth.getGasPrice();
 
-    const tx = {
-      from,
+    // Gas station nạp phí gas nếu ví không đủ (trong hạn mức)
+    gasSubsidies.push(await sponsorGas({
+      userId: req.user.id,
+      wallet: from,
+      gasWei: BigInt(gasLimit) * BigInt(gasPrice),
+      spendWei: txValue,
+      source: 'purchase',
+    }));
+
+    // Sign (server-side signer) and send transaction
+    const receipt = await signAndSend(signer, {
       to: productContract.options.address,
       data: txData,
-      value: String(totalPriceWei),
-      gas: gasLimit,
+      value: txValue,
+      gas: BigInt(gasLimit),
       gasPrice,
-    };
-
-    // Sign and send transaction
-    const signed = await account.signTransaction(tx);
-    if (!signed || !signed.rawTransaction) {
-      throw new Error('Failed to sign transaction');
-    }
-    
-    const receipt = await web3.eth.sendSignedTransaction(signed.rawTransaction);
+    });
 
-    // Record purchase in EmployeeContract logs (non-blocking)
+    // Record purchase in EmployeeContract logs via the chain job outbox, so a
+    // failed record is retried instead of lost (the purchase already succeeded)
+    let recordJob = null;
     try {
-      const admin = await getAdminAccount();
-      const ownerCheck = await verifyContractOwner(employeeContract, admin);
-      
-      if (ownerCheck.isOwner) {
-        await employeeContract.methods
-          .recordPurchase(String(userCode).trim(), String(totalPriceWei))
-          .send({ from: admin, gas: GAS_LIMITS.RECORD_PURCHASE });
-      }
+      const job = await enqueueJob(
+        'record_purchase',
+        // approveTx: để đối soát coi giao dịch approve là hoạt động bình thường của ví
+        { userCode, amountWei: String(totalPriceWei), purchaseTx: receipt.transactionHash, ...(approveTx && { approveTx }) },
+        { reference: `purchase:${receipt.transactionHash}` }
+      );
+      recordJob = await runJobNow(job.id);
     } catch (logErr) {
-      console.warn('Warning: could not record purchase in EmployeeContract:', logErr.message || logErr);
-      // Continue even if logging fails - the purchase was already successful
+      console.warn('Warning: could not queue purchase record in EmployeeContract:', logErr.message || logErr);
     }
 
     // Prepare response
@@ -403,6 +450,10 @@ async function buyProducts(req, res) {
       products: normalizedProducts,
       totalPriceWei: String(totalPriceWei),
       totalPriceEth: web3.utils.fromWei(String(totalPriceWei), 'ether'),
+      currency: PAYROLL_CURRENCY,
+      approveTx,
+      gasSubsidies: gasSubsidies.filter((g) => g.status !== 'not_needed'),
+      recordJob: recordJob && { id: recordJob.id, status: recordJob.status, error: recordJob.last_error },
     };
 
     return res.json({ 
@@ -455,9 +506,11 @@ async function deleteProduct(req, res) {
     }
 
     // Delete product
-    const tx = await productContract.methods
-      .deleteProduct(normalizedCode)
-      .send({ from: admin, gas: GAS_LIMITS.DELETE_PRODUCT });
+    const tx = await sendOwnerContractCall(
+      productContract,
+      productContract.methods.deleteProduct(normalizedCode),
+      { gas: GAS_LIMITS.DELETE_PRODUCT, purpose: 'delete_product', reference: `product:${normalizedCode}` }
+    );
     
     return res.json({ 
       message: 'Product deleted successfully', 
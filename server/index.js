@@ -8,6 +8,35 @@ import productRouter from "./routes/product.js";
 import cors from "cors";
 import aiRouter from "./routes/ai.js";
 import imageRouter from "./routes/imageRoute.js";
+import shiftRouter from "./routes/shift.js";
+import workSessionRouter from "./routes/work_session.js";
+import payRateRouter from "./routes/pay_rate.js";
+import payrollRouter from "./routes/payroll.js";
+import chainJobRouter from "./routes/chain_job.js";
+import roleRouter from "./routes/role.js";
+import deviceRouter from "./routes/device.js";
+import keyVaultRouter from "./routes/key_vault.js";
+import chainTransactionRouter from "./routes/chain_transaction.js";
+import chainEventRouter from "./routes/chain_event.js";
+import reconciliationRouter from "./routes/reconciliation.js";
+import gasStationRouter from "./routes/gas_station.js";
+import treasuryRouter from "./routes/treasury.js";
+import departmentRouter from "./routes/department.js";
+import positionRouter from "./routes/position.js";
+import offboardingRouter from "./routes/offboarding.js";
+import employeeImportRouter from "./routes/employee_import.js";
+import onboardingRouter from "./routes/onboarding.js";
+import { startChainJobWorker } from "./services/chainJobService.js";
+import { startChainTxPoller } from "./services/chainTxService.js";
+import { startChainIndexer } from "./services/chainIndexerService.js";
+import { startReconciliationJob } from "./services/reconciliationService.js";
+import { startGasStation } from "./services/gasStationService.js";
+import { startTreasuryMonitor } from "./services/treasuryService.js";
+import { startEmployeeImportWorker } from "./services/employeeImportService.js";
+import { startOnboardingWorker } from "./services/onboardingService.js";
+import { startCardExpiryJob } from "./services/cardService.js";
+import { isKeyVaultConfigured } from "./services/keyVault.js";
+import "./services/chainJobHandlers.js";
 import { apiLimiter } from "./middleware/rateLimiter.js";
 
 const app = express();
@@ -26,7 +55,12 @@ app.use(cors({
   ],
 }));
 
-app.use(express.json());
+// Giữ nguyên body gốc để xác thực chữ ký HMAC của đầu đọc RFID
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
@@ -36,6 +70,24 @@ app.use('/api', apiLimiter, employeeRouter);
 app.use('/api', apiLimiter, authRouter);
 app.use('/api', apiLimiter, aiRouter);
 app.use('/api', apiLimiter, productRouter);
+app.use('/api', apiLimiter, shiftRouter);
+app.use('/api', apiLimiter, workSessionRouter);
+app.use('/api', apiLimiter, payRateRouter);
+app.use('/api', apiLimiter, payrollRouter);
+app.use('/api', apiLimiter, chainJobRouter);
+app.use('/api', apiLimiter, roleRouter);
+app.use('/api', apiLimiter, deviceRouter);
+app.use('/api', apiLimiter, keyVaultRouter);
+app.use('/api', apiLimiter, chainTransactionRouter);
+app.use('/api', apiLimiter, chainEventRouter);
+app.use('/api', apiLimiter, reconciliationRouter);
+app.use('/api', apiLimiter, gasStationRouter);
+app.use('/api', apiLimiter, treasuryRouter);
+app.use('/api', apiLimiter, departmentRouter);
+app.use('/api', apiLimiter, positionRouter);
+app.use('/api', apiLimiter, offboardingRouter);
+app.use('/api', apiLimiter, employeeImportRouter);
+app.use('/api', apiLimiter, onboardingRouter);
 app.use(apiLimiter, imageRouter);
 
 // Run server
@@ -43,4 +95,21 @@ const PORT = 3000;
 app.listen(PORT, () => {
   console.log(`Server đang chạy: http://localhost:${PORT}`);
   console.log(`Swagger Docs: http://localhost:${PORT}/api-docs`);
+
+  if (!isKeyVaultConfigured()) {
+    console.warn("⚠️ KEY_VAULT_MASTER_KEYS is not set: creating employees (wallet keys) is disabled");
+  }
+
+  // Worker chạy các giao dịch blockchain trong outbox chain_jobs
+  startChainJobWorker();
+
+  // Theo dõi receipt và tăng phí cho giao dịch bị kẹt của ví owner
+  startChainTxPoller();
+  startChainIndexer();
+  startReconciliationJob();
+  startGasStation();
+  startTreasuryMonitor();
+  startEmployeeImportWorker();
+  startOnboardingWorker();
+  startCardExpiryJob();
 });
\ No newline at end of file
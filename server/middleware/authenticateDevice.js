@@ -0,0 +1,51 @@
+import { authenticateToken } from "./authenticateToken.js";
+import { requirePermission } from "./requirePermission.js";
+import { authenticateDeviceRequest } from "../services/deviceService.js";
+
+/**
+ * Authenticate an RFID reader from its X-Device-Id / X-Timestamp / X-Nonce and
+ * X-Signature (HMAC) or X-Api-Key headers. Sets req.device.
+ * Needs req.rawBody, captured by express.json in index.js.
+ */
+export const authenticateDevice = async (req, res, next) => {
+  try {
+    req.device = await authenticateDeviceRequest({
+      deviceCode: req.get("X-Device-Id"),
+      timestamp: req.get("X-Timestamp"),
+      nonce: req.get("X-Nonce"),
+      signature: req.get("X-Signature"),
+      apiKey: req.get("X-Api-Key"),
+      rawBody: req.rawBody,
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error authenticating device:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+
+  next();
+};
+
+/**
+ * Authenticate a reader that signs its requests (auth_type hmac). API key
+ * devices are refused: X-Timestamp / X-Nonce are not covered by any secret in
+ * that mode, so a captured request can be replayed with a fresh nonce. Used
+ * for endpoints that record swipes.
+ */
+export const authenticateSignedDevice = (req, res, next) => authenticateDevice(req, res, () => {
+  if (req.device.auth_type !== "hmac") {
+    return res.status(403).json({ message: "This endpoint requires an HMAC-signed device (auth_type hmac)" });
+  }
+  next();
+});
+
+/**
+ * Accept either a signed reader request (X-Device-Id present) or a logged-in
+ * user holding `permission`, for endpoints used both by readers and the admin UI.
+ * @param {string} permission
+ */
+export const authenticateDeviceOrUser = (permission) => (req, res, next) => {
+  if (req.get("X-Device-Id")) return authenticateDevice(req, res, next);
+
+  return authenticateToken(req, res, () => requirePermission(permission)(req, res, next));
+};
@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import { checkAccessToken } from "../services/tokenService.js";
 
 dotenv.config();
 
@@ -9,11 +10,20 @@ export const authenticateToken = (req, res, next) => {
 
   if (!token) return res.status(401).json({ message: "Access token missing" });
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) return res.status(403).json({ message: "Invalid token" });
-    
+
+    // Token hợp lệ về chữ ký nhưng có thể đã bị thu hồi (logout, khóa tài khoản, đổi mật khẩu)
+    try {
+      const revokedReason = await checkAccessToken(user);
+      if (revokedReason) return res.status(401).json({ message: revokedReason });
+    } catch (dbErr) {
+      console.error("❌ Error checking token revocation:", dbErr);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+
     req.user = user; // Gán thông tin user cho request
     req.accessToken = token; // Gán accessToken cho request
     next();
   });
-};
\ No newline at end of file
+};
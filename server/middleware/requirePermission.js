@@ -0,0 +1,37 @@
+import { hasPermission } from "../services/permissionService.js";
+
+/**
+ * Allow the request only if the role of the logged-in user has every given
+ * permission. Use after authenticateToken:
+ *   router.post("/cards", authenticateToken, requirePermission("cards:write"), handler)
+ * @param {...string} permissions - e.g. "cards:write"
+ */
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  if (!req.user) return res.status(401).json({ message: "Access token missing" });
+
+  try {
+    for (const permission of permissions) {
+      if (!(await hasPermission(req.user, permission))) {
+        return res.status(403).json({ message: "Access denied for this role", permission });
+      }
+    }
+  } catch (err) {
+    console.error("❌ Error checking permissions:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+
+  next();
+};
+
+/**
+ * Like requirePermission, but a user may always access their own data: the
+ * route parameter `param` equal to the user's id passes without the permission.
+ * @param {string} permission
+ * @param {string} param - name of the route parameter holding a user id / userCode
+ */
+export const requirePermissionOrSelf = (permission, param) => async (req, res, next) => {
+  if (!req.user) return res.status(401).json({ message: "Access token missing" });
+  if (String(req.params[param]) === String(req.user.id)) return next();
+
+  return requirePermission(permission)(req, res, next);
+};
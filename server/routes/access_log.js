@@ -1,7 +1,10 @@
 import express, { json } from "express";
 import connection from "../services/connectDatabase.js";
 import { authenticateToken } from "../middleware/authenticateToken.js";
-import { creditEmployeeWork } from "../blockchain/utils/creditEmployeeWork.js";
+import { requirePermission, requirePermissionOrSelf } from "../middleware/requirePermission.js";
+import { authenticateSignedDevice } from "../middleware/authenticateDevice.js";
+import { BATCH_MAX_SWIPES, recordSwipe, recordSwipeBatch, resolveAccessType } from "../services/accessLogService.js";
+import { assertUserInScope, getDepartmentScope, scopeCondition } from "../services/organizationService.js";
 
 const accessLogRouter = express.Router();
 
@@ -18,7 +21,15 @@ const accessLogRouter = express.Router();
  * /api/access-log:
  *   post:
  *     summary: Access Log add access log entry
+ *     description: |
+ *       Chỉ đầu đọc RFID đã đăng ký mới được gọi. Request phải có X-Device-Id, X-Timestamp (unix giây),
+ *       X-Nonce (duy nhất cho mỗi request) và X-Signature. Request lặp lại nonce bị từ chối.
+ *       Đầu đọc auth_type api_key bị từ chối (403): API key không ký X-Timestamp / X-Nonce nên không chống được gửi lại.
+ *       Đầu đọc cố định chiều vào / ra thì access_type có thể bỏ trống.
  *     tags: [AccessLog]
+ *     security:
+ *       - deviceId: []
+ *         deviceSignature: []
  *     requestBody:
  *       required: true
  *       content:
@@ -32,11 +43,15 @@ const accessLogRouter = express.Router();
  *                 example: "HH II XX UU"
  *               access_type:
  *                 type: integer
- *                 description: The type of access (1 for entry, 0 for exit)
+ *                 description: The type of access (0 for entry, 1 for exit); defaults to the reader direction
  *                 example: 1
+ *               seq:
+ *                 type: integer
+ *                 description: Số thứ tự lượt quẹt của đầu đọc (tùy chọn); gửi lại cùng seq sẽ không bị ghi trùng
+ *                 example: 1024
  *     responses:
  *       200:
- *         description: Access log entry added successfully
+ *         description: Access log entry added successfully (entry opens a work session, exit closes it), or duplicate seq ignored
  *         content:
  *           application/json:
  *             schema:
@@ -44,7 +59,33 @@ const accessLogRouter = express.Router();
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Access Log received"
+ *                   example: "Access log entry added successfully"
+ *                 log_id:
+ *                   type: integer
+ *                   example: 10
+ *                 status:
+ *                   type: integer
+ *                   example: 1
+ *                 session:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 4
+ *                     status:
+ *                       type: string
+ *                       example: "closed"
+ *       400:
+ *         description: access_type thiếu hoặc ngược chiều với đầu đọc
+ *       401:
+ *         description: Thiếu / sai chữ ký, timestamp quá hạn hoặc nonce đã dùng
+ *       403:
+ *         description: Đầu đọc đã bị vô hiệu hóa, hoặc thẻ không ở trạng thái active / đã quá expires_at
+ *       404:
+ *         description: Card not found
+ *       409:
+ *         description: Lượt quẹt gửi bù thuộc kỳ lương đã duyệt / chi trả – đã lưu log nhưng không ghép phiên
  *       500:
  *         description: Internal server error
  *         content:
@@ -56,94 +97,145 @@ const accessLogRouter = express.Router();
  *                   type: string
  *                   example: "Internal server error"
  */
-accessLogRouter.post("/access-log", async (req, res) => {
-    console.log("✅ Access Log endpoint hit");
+accessLogRouter.post("/access-log", authenticateSignedDevice, async (req, res) => {
+    console.log(`✅ Access Log endpoint hit (device: ${req.device.device_code})`);
     const data = JSON.parse(JSON.stringify(req.body));
 
-    const code = data["code"].replace(/\s/g, "").trim();
-    const access_type = data["access_type"];
-
-    let status = 0;
-
-    const now = new Date();
-
-    const vnDate = new Date().toLocaleString('en-US', { timeZone: 'Asia/Ho_Chi_Minh' });
-    const vnHour = new Date(vnDate).getHours();
-    console.log(vnHour);
-
-    if (vnHour >= 7 && vnHour <= 8 || vnHour >= 17 && vnHour <= 18) {
-        status = 1;
-    }
-
-
-    connection.query("SELECT * FROM cards WHERE card_uid = ?", [code], (error, results) => {
-        if (error) {
-            console.error("❌ Database query error:", error);
-            res.status(500).json({ message: "Database query error", error });
-            return;
-        }
-
-        if (results.length === 0) {
-            console.log("❌ Card not found");
-            res.status(404).json({ message: "Card not found" });
-            return;
+    // Đầu đọc chỉ lắp một chiều thì chiều vào / ra lấy theo thiết bị
+    const { accessType, error } = resolveAccessType(req.device, data["access_type"]);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const result = await recordSwipe({
+            code: data["code"],
+            accessType,
+            at: new Date(),
+            deviceId: req.device.id,
+            deviceSeq: data["seq"] ?? null,
+        });
+
+        if (result.error === "DUPLICATE") {
+            return res.status(200).json({ message: result.message, log_id: result.log_id, duplicate: true });
         }
-
-        const userId = results[0].user_id;
-        const cardId = results[0].id;
-
-        if (!userId) {
-            console.log("❌ Card is not assigned to any user");
-            res.status(400).json({ message: "Not successful" });
-            return;
+        if (!result.ok) {
+            console.log(`❌ ${result.message}`);
+            const httpStatus = { CARD_NOT_FOUND: 404, CARD_INACTIVE: 403, PERIOD_LOCKED: 409 }[result.error] || 400;
+            return res.status(httpStatus).json({ message: result.message, log_id: result.log_id });
         }
-        else {
-
-            if (Number(access_type) === 1) {
-                // Người dùng vừa ra, tìm lần vào cuối cùng
-                connection.query(
-                    "SELECT * FROM access_logs WHERE user_id = ? AND access_type = 0 ORDER BY access_time DESC LIMIT 1",
-                    [parseInt(userId)],
-                    (lastLogError, lastLogResults) => {
-                        if (lastLogError) {
-                            console.error("❌ Error fetching last access log:", lastLogError);
-                            return res.status(500).json({ message: "Không thành công", lastLogError });
-                        }
 
-                        if (lastLogResults.length === 0) {
-                            return res.json({ message: "Chưa có lần vào trước đó." });
-                        }
-
-                        const checkin = new Date(lastLogResults[0].access_time);
-                        const checkout = now; // thời gian hiện tại khi ra
-
-                        // Nếu cần truyền giây sang creditEmployeeWork
-                        const checkinSeconds = Math.floor(checkin.getTime() / 1000);
-                        const checkoutSeconds = Math.floor(checkout.getTime() / 1000);
+        console.log(`✅ Access log entry added successfully (shift: ${result.shift.name || "none"}, status: ${result.status})`);
+        res.status(200).json({
+            message: "Access log entry added successfully",
+            log_id: result.log_id,
+            status: result.status,
+            shift: result.shift,
+            session: result.session,
+        });
+    } catch (error) {
+        console.error("❌ Error recording access log:", error);
+        res.status(500).json({ message: "Not successful", error: error.message });
+    }
+});
 
-                        const s = creditEmployeeWork(userId+"", checkinSeconds, checkoutSeconds);
-                        console.log("✅ Employee credited successfully:", s);``
-                    }
-                );
-            }
 
+/**
+ * @swagger
+ * /api/access-log/batch:
+ *   post:
+ *     summary: Đầu đọc tải lên các lượt quẹt lưu tạm khi mất mạng
+ *     description: |
+ *       Mỗi lượt quẹt mang thời điểm gốc trên đầu đọc và số thứ tự seq riêng của đầu đọc.
+ *       Server bỏ qua seq đã ghi, xử lý các lượt trong cùng một lô theo thứ tự thời gian rồi seq, áp dụng cùng
+ *       quy tắc vào / ra, ca làm và ghi có như quẹt trực tiếp. Không có thứ tự giữa các lô của những đầu đọc khác nhau:
+ *       lượt quẹt đến muộn hơn các lượt mới hơn của cùng nhân viên được ghép vào phiên tương ứng, không ghép được
+ *       thì tạo phiên disputed. Lượt đến muộn mà phiên bắt đầu trong kỳ lương đã duyệt / chi trả bị từ chối
+ *       (PERIOD_LOCKED) nhưng vẫn lưu log.
+ *
+ *       Kết quả từng lượt: recorded / duplicate / rejected → đầu đọc xóa khỏi bộ đệm;
+ *       error → giữ lại và gửi lại sau. Chỉ nhận đầu đọc auth_type hmac (api_key bị từ chối với 403).
+ *     tags: [AccessLog]
+ *     security:
+ *       - deviceId: []
+ *         deviceSignature: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [swipes]
+ *             properties:
+ *               swipes:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required: [seq, code, timestamp]
+ *                   properties:
+ *                     seq: { type: integer, example: 1024 }
+ *                     code: { type: string, example: "HH II XX UU" }
+ *                     access_type: { type: integer, enum: [0, 1], description: "Bỏ trống nếu đầu đọc chỉ một chiều" }
+ *                     timestamp:
+ *                       oneOf:
+ *                         - { type: string, format: date-time }
+ *                         - { type: integer, description: "unix giây" }
+ *                       example: "2025-03-01T08:02:11+07:00"
+ *     responses:
+ *       200:
+ *         description: Kết quả từng lượt quẹt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     recorded: { type: integer, example: 3 }
+ *                     duplicate: { type: integer, example: 1 }
+ *                     rejected: { type: integer, example: 0 }
+ *                     error: { type: integer, example: 0 }
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       seq: { type: integer, example: 1024 }
+ *                       result: { type: string, enum: [recorded, duplicate, rejected, error] }
+ *                       log_id: { type: integer, nullable: true }
+ *                       status: { type: integer, nullable: true }
+ *                       late: { type: boolean, description: "Đến sau các lượt quẹt mới hơn của nhân viên" }
+ *                       session: { type: object, nullable: true }
+ *                       error: { type: string, nullable: true, example: "CARD_INACTIVE", description: "CARD_NOT_FOUND, CARD_NOT_ASSIGNED, CARD_INACTIVE (thẻ bị khóa / báo mất / hết hạn / thu hồi), PERIOD_LOCKED (log đã lưu, phiên thuộc kỳ lương đã duyệt), ..." }
+ *                       message: { type: string, nullable: true }
+ *       400:
+ *         description: swipes rỗng hoặc vượt quá số lượng cho phép
+ *       401:
+ *         description: Thiếu / sai chữ ký, timestamp quá hạn hoặc nonce đã dùng
+ *       403:
+ *         description: Đầu đọc đã bị vô hiệu hóa
+ */
+accessLogRouter.post("/access-log/batch", authenticateSignedDevice, async (req, res) => {
+    const swipes = req.body?.swipes;
+    if (!Array.isArray(swipes) || swipes.length === 0) {
+        return res.status(400).json({ message: "swipes must be a non-empty array" });
+    }
+    if (swipes.length > BATCH_MAX_SWIPES) {
+        return res.status(400).json({ message: `A batch may contain at most ${BATCH_MAX_SWIPES} swipes` });
+    }
+    console.log(`✅ Access Log batch endpoint hit (device: ${req.device.device_code}, swipes: ${swipes.length})`);
 
-            connection.query(
-                "INSERT INTO access_logs (user_id, card_id, access_type, status, access_time, updated_at) VALUES (?, ?, ?, ?, ?, ?)",
-                [parseInt(userId), parseInt(cardId), parseInt(access_type), parseInt(status), now, now],
-                (insertError, insertResults) => {
-                    if (insertError) {
-                        console.error("❌ Error inserting access log:", insertError);
-                        res.status(500).json({ message: "Not successful", insertError });
-                        return;
-                    }
+    try {
+        const results = await recordSwipeBatch(req.device, swipes);
+        const summary = { recorded: 0, duplicate: 0, rejected: 0, error: 0 };
+        for (const item of results) summary[item.result] += 1;
 
-                    console.log("✅ Access log entry added successfully");
-                    res.status(200).json({ message: "Access log entry added successfully", insertResults });
-                }
-            );
-        }
-    });
+        res.status(200).json({ message: "Batch processed", summary, results });
+    } catch (error) {
+        console.error("❌ Error recording access log batch:", error);
+        res.status(500).json({ message: "Not successful", error: error.message });
+    }
 });
 
 
@@ -152,6 +244,7 @@ accessLogRouter.post("/access-log", async (req, res) => {
  * /api/access-logs:
  *   get:
  *     summary: Access Log endpoint to retrieve all access logs
+ *     description: Không có quyền org:all_departments thì chỉ trả về log của nhân viên thuộc cây phòng ban của người gọi
  *     tags: [AccessLog]
  *     responses:
  *       200:
@@ -187,6 +280,14 @@ accessLogRouter.post("/access-log", async (req, res) => {
  *                   username:
  *                     type: string
  *                     example: "John Doe"
+ *                   device_id:
+ *                     type: integer
+ *                     nullable: true
+ *                     example: 2
+ *                   device_code:
+ *                     type: string
+ *                     nullable: true
+ *                     example: "GATE-01-IN"
  *                   updated_at:
  *                     type: string
  *                     format: date-time
@@ -203,17 +304,20 @@ accessLogRouter.post("/access-log", async (req, res) => {
  *                   example: "Internal server error"
  */
 
-accessLogRouter.get("/access-logs", authenticateToken, async (req, res) => {
+accessLogRouter.get("/access-logs", authenticateToken, requirePermission("access_logs:read"), async (req, res) => {
     console.log("✅ Get Access Logs endpoint hit");
 
-    const userData = req.user;
-
-    if (userData.role_id == 3) {
-        return res.status(403).json({ message: "Access denied for this role" });
+    // Quản lý chỉ thấy log của nhân viên trong cây phòng ban của mình
+    let scope;
+    try {
+        scope = await getDepartmentScope(req.user);
+    } catch (err) {
+        console.error('Error resolving department scope:', err);
+        return res.status(500).json({ message: 'Internal server error' });
     }
+    const filter = scopeCondition(scope, "users.department_id");
 
-
-    connection.query('SELECT access_logs.id , access_time , access_type , access_logs.status, card_id , cards.card_uid , access_logs.user_id , users.username FROM access_logs LEFT JOIN cards ON access_logs.card_id = cards.id LEFT JOIN users ON users.id = access_logs.user_id', (err, results) => {
+    connection.query(`SELECT access_logs.id , access_time , access_type , access_logs.status, card_id , cards.card_uid , access_logs.user_id , users.username , access_logs.device_id , devices.device_code FROM access_logs LEFT JOIN cards ON access_logs.card_id = cards.id LEFT JOIN users ON users.id = access_logs.user_id LEFT JOIN devices ON devices.id = access_logs.device_id WHERE ${filter.sql}`, filter.params, (err, results) => {
         if (err) {
             console.error('Error fetching access logs from database:', err);
             return res.status(500).json({ message: 'Internal server error' });
@@ -227,6 +331,7 @@ accessLogRouter.get("/access-logs", authenticateToken, async (req, res) => {
  * /api/access-logs/{userId}:
  *   get:
  *     summary: Access Log endpoint to retrieve all access logs for a specific user
+ *     description: Quản lý chỉ xem được nhân viên thuộc cây phòng ban của mình (403 nếu ngoài phạm vi)
  *     tags: [AccessLog]
  *     parameters:
  *       - in: path
@@ -270,6 +375,14 @@ accessLogRouter.get("/access-logs", authenticateToken, async (req, res) => {
  *                   username:
  *                     type: string
  *                     example: "John Doe"
+ *                   device_id:
+ *                     type: integer
+ *                     nullable: true
+ *                     example: 2
+ *                   device_code:
+ *                     type: string
+ *                     nullable: true
+ *                     example: "GATE-01-IN"
  *                   updated_at:
  *                     type: string
  *                     format: date-time
@@ -286,17 +399,19 @@ accessLogRouter.get("/access-logs", authenticateToken, async (req, res) => {
  *                   example: "Internal server error"
  */
 
-accessLogRouter.get("/access-logs/:userId", authenticateToken, async (req, res) => {
+accessLogRouter.get("/access-logs/:userId", authenticateToken, requirePermissionOrSelf("access_logs:read", "userId"), async (req, res) => {
     const userId = req.params.userId;
-    const userData = req.user;
+    console.log(`✅ Get Access Logs for User ID: ${userId} endpoint hit`);
 
-    if (userData.role_id == 3 && userId != userData.id) {
-        return res.status(403).json({ message: "Access denied for this userId" });
+    try {
+        await assertUserInScope(req.user, userId);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Error resolving department scope:', err);
+        return res.status(500).json({ message: 'Internal server error' });
     }
 
-    console.log(`✅ Get Access Logs for User ID: ${userId} endpoint hit`);
-
-    connection.query('SELECT access_logs.id , access_time , access_type , access_logs.status, card_id , cards.card_uid , access_logs.user_id , users.username FROM access_logs LEFT JOIN cards ON access_logs.card_id = cards.id LEFT JOIN users ON users.id = access_logs.user_id WHERE access_logs.user_id = ?', [userId], (err, results) => {
+    connection.query('SELECT access_logs.id , access_time , access_type , access_logs.status, card_id , cards.card_uid , access_logs.user_id , users.username , access_logs.device_id , devices.device_code FROM access_logs LEFT JOIN cards ON access_logs.card_id = cards.id LEFT JOIN users ON users.id = access_logs.user_id LEFT JOIN devices ON devices.id = access_logs.device_id WHERE access_logs.user_id = ?', [userId], (err, results) => {
         if (err) {
             console.error('Error fetching access logs from database:', err);
             return res.status(500).json({ message: 'Internal server error' });
@@ -1,10 +1,19 @@
 import express, { json } from "express";
-import connection from "../services/connectDatabase.js";
-import { generateAccessToken } from "../utils/token.js";
 import { loginLimiter } from "../middleware/rateLimiter.js";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import {
+    authenticateUser,
+    changePassword,
+    createPasswordResetToken,
+    resetPasswordWithToken,
+} from "../services/authService.js";
+import { issueTokens, logout, revokeAllUserTokens, rotateRefreshToken } from "../services/tokenService.js";
 
 const authRouter = express.Router();
 
+const requestMeta = (req) => ({ userAgent: req.headers["user-agent"], ip: req.ip });
+
 /**
  * @swagger
  * tags:
@@ -39,9 +48,14 @@ const authRouter = express.Router();
  *             schema:
  *               type: object
  *               properties:
- *                 access_token:
+ *                 token:
  *                   type: string
+ *                   description: Access token ngắn hạn (mặc định 15 phút)
  *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Dùng một lần với /api/auth/refresh để lấy token mới
+ *                   example: "q3Jt0Yw7..."
  *                 user:
  *                   type: object
  *                   properties:
@@ -84,25 +98,271 @@ authRouter.post("/login", loginLimiter, async (req, res) => {
     const username = data["username"];
     const password = data["password"];
 
-    const query = "SELECT * FROM users WHERE username = ? AND password = ?";
-    connection.query(query, [username, password], (err, results) => {
-        if (err) {
-            console.error("Database query error:", err);
-            return res.status(500).json({ message: "Internal server error" });
-        }
-        
-        if (results.length === 0) {
+    try {
+        const user = await authenticateUser(username, password);
+        if (!user) {
             return res.status(401).json({ message: "Invalid email or password" });
         }
 
-        if (results[0].status === 0) {
+        if (user.status === 0) {
             return res.status(403).json({ message: "Account is inactive. Please contact admin." });
         }
-        
-        const user = results[0];
-        const token = generateAccessToken(user);
-        return res.status(200).json({ token , user });
-    });
+
+        const tokens = await issueTokens(user, requestMeta(req));
+        const { password: _password, token_version: _tokenVersion, private_key: _privateKey, key_version: _keyVersion, ...publicUser } = user;
+        return res.status(200).json({ ...tokens, user: publicUser });
+    } catch (err) {
+        console.error("Database query error:", err);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Đổi refresh token lấy access token mới (refresh token được xoay vòng, chỉ dùng một lần)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refresh_token]
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token mới
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token: { type: string }
+ *                 refresh_token: { type: string }
+ *       401:
+ *         description: Refresh token không hợp lệ, hết hạn hoặc đã bị thu hồi (dùng lại token cũ sẽ thu hồi cả phiên)
+ *       403:
+ *         description: Tài khoản bị khóa
+ */
+authRouter.post("/auth/refresh", async (req, res) => {
+    const { refresh_token } = req.body || {};
+    if (!refresh_token) {
+        return res.status(400).json({ message: "refresh_token is required" });
+    }
+
+    try {
+        const tokens = await rotateRefreshToken(refresh_token, requestMeta(req));
+        return res.status(200).json(tokens);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error("Error refreshing token:", err);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Đăng xuất – thu hồi access token hiện tại và refresh token của phiên
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *               all_devices:
+ *                 type: boolean
+ *                 description: Đăng xuất khỏi mọi thiết bị
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Đã đăng xuất
+ */
+authRouter.post("/auth/logout", authenticateToken, async (req, res) => {
+    const { refresh_token, all_devices } = req.body || {};
+
+    try {
+        if (all_devices) {
+            await revokeAllUserTokens(req.user.id, "logout_all");
+        } else {
+            await logout(req.user, refresh_token);
+        }
+        return res.status(200).json({ message: "Logged out" });
+    } catch (err) {
+        console.error("Error logging out:", err);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Đổi mật khẩu của tài khoản đang đăng nhập
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [current_password, new_password]
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *                 example: "password123"
+ *               new_password:
+ *                 type: string
+ *                 description: Tối thiểu 8 ký tự, có cả chữ và số, khác username
+ *                 example: "newPassword456"
+ *     responses:
+ *       200:
+ *         description: Đổi mật khẩu thành công; mọi phiên khác bị đăng xuất, trả về token mới cho phiên hiện tại
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 token: { type: string }
+ *                 refresh_token: { type: string }
+ *       400:
+ *         description: Mật khẩu mới không đạt chính sách
+ *       401:
+ *         description: Mật khẩu hiện tại không đúng
+ */
+authRouter.post("/auth/change-password", loginLimiter, authenticateToken, async (req, res) => {
+    const { current_password, new_password } = req.body || {};
+    if (!current_password || !new_password) {
+        return res.status(400).json({ message: "current_password and new_password are required" });
+    }
+
+    try {
+        // Đổi mật khẩu thu hồi mọi phiên đăng nhập; cấp token mới cho phiên hiện tại
+        const user = await changePassword(req.user.id, current_password, new_password);
+        const tokens = await issueTokens(user, requestMeta(req));
+        return res.status(200).json({ message: "Password changed successfully", ...tokens });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error("Error changing password:", err);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/password-reset:
+ *   post:
+ *     summary: Admin tạo mã đặt lại mật khẩu dùng một lần cho nhân viên
+ *     description: Mã chỉ được trả về một lần; hệ thống chỉ lưu SHA-256 của mã. Mã cũ chưa dùng của nhân viên sẽ bị vô hiệu.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [user_id]
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       201:
+ *         description: Mã đặt lại mật khẩu
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reset_token:
+ *                   type: string
+ *                   example: "9f86d081884c7d659a2feaa0c55ad015..."
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *       403:
+ *         description: Chỉ admin
+ *       404:
+ *         description: Không tìm thấy nhân viên
+ */
+authRouter.post("/auth/password-reset", authenticateToken, requirePermission("users:reset_password"), async (req, res) => {
+    const { user_id } = req.body || {};
+    if (!user_id) {
+        return res.status(400).json({ message: "user_id is required" });
+    }
+
+    try {
+        const { token, expiresAt } = await createPasswordResetToken(user_id, req.user.id);
+        return res.status(201).json({ reset_token: token, expires_at: expiresAt });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error("Error creating password reset token:", err);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/password-reset/confirm:
+ *   post:
+ *     summary: Đặt mật khẩu mới bằng mã đặt lại (dùng một lần)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, new_password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *                 example: "newPassword456"
+ *     responses:
+ *       200:
+ *         description: Đặt lại mật khẩu thành công
+ *       400:
+ *         description: Mã không hợp lệ / hết hạn hoặc mật khẩu không đạt chính sách
+ */
+authRouter.post("/auth/password-reset/confirm", loginLimiter, async (req, res) => {
+    const { token, new_password } = req.body || {};
+    if (!token || !new_password) {
+        return res.status(400).json({ message: "token and new_password are required" });
+    }
+
+    try {
+        await resetPasswordWithToken(token, new_password);
+        return res.status(200).json({ message: "Password has been reset" });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error("Error resetting password:", err);
+        return res.status(500).json({ message: "Internal server error" });
+    }
 });
 
-export default authRouter;
\ No newline at end of file
+export default authRouter;
@@ -1,14 +1,115 @@
 import express, { json } from 'express';
 import connection from '../services/connectDatabase.js';
 import { authenticateToken } from '../middleware/authenticateToken.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+import { authenticateDeviceOrUser } from '../middleware/authenticateDevice.js';
+import { assertUserInScope, getDepartmentScope, scopeCondition } from '../services/organizationService.js';
+import {
+    assignCard,
+    getCard,
+    listCardHistory,
+    registerCard,
+    replaceCard,
+    retireCard,
+    updateCard,
+    validateCardReplacement,
+    validateCardUpdate,
+    validateExpiresAt,
+} from '../services/cardService.js';
 
 const cardsRouter = express.Router();
 
+// Quản lý chỉ thao tác được thẻ chưa gán hoặc thẻ của nhân viên trong cây phòng ban của mình
+async function assertCardInScope(user, column, value) {
+    const [rows] = await connection.promise().query(`SELECT user_id FROM cards WHERE ${column} = ?`, [value]);
+    if (rows.length && rows[0].user_id !== null) await assertUserInScope(user, rows[0].user_id);
+}
+
+// Middleware chạy một kiểm tra phạm vi phòng ban, trả 403 nếu ngoài phạm vi
+const requireScope = (check) => async (req, res, next) => {
+    try {
+        await check(req);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Error resolving department scope:', err);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+    next();
+};
+
 /**
  * @swagger
  * tags:
  *   - name: Cards
- *     description: API for managing cards
+ *     description: API for managing cards – vòng đời thẻ (issued → active → suspended / lost / stolen / expired → retired), thẻ không bao giờ bị xóa
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Card:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         card_uid:
+ *           type: string
+ *           example: "AAAAAAAA"
+ *         user_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         status:
+ *           type: string
+ *           enum: [issued, active, suspended, lost, stolen, expired, retired]
+ *         is_active:
+ *           type: boolean
+ *           description: status = active
+ *           example: true
+ *         status_reason:
+ *           type: string
+ *           nullable: true
+ *         status_changed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         replaced_by_card_id:
+ *           type: integer
+ *           nullable: true
+ *         issued_at:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-01-01T00:00:00.000Z"
+ *         deactivated_at:
+ *           type: string
+ *           format: date-time
+ *           example: null
+ *         retired_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-01-01T00:00:00.000Z"
+ *     CardStatusChange:
+ *       type: object
+ *       properties:
+ *         id: { type: integer }
+ *         from_status: { type: string, nullable: true, description: NULL khi thẻ vừa được đăng ký }
+ *         to_status: { type: string }
+ *         reason: { type: string, nullable: true }
+ *         user_id: { type: integer, nullable: true, description: Người giữ thẻ lúc đổi trạng thái }
+ *         replacement_card_id: { type: integer, nullable: true, description: Thẻ cũ / thẻ mới của lần thay thẻ }
+ *         replacement_card_uid: { type: string, nullable: true }
+ *         changed_by: { type: integer, nullable: true, description: NULL = hệ thống (đầu đọc, job hết hạn) }
+ *         created_at: { type: string, format: date-time }
  */
 
 /**
@@ -16,7 +117,14 @@ const cardsRouter = express.Router();
  * /api/cards:
  *   post:
  *     summary: Cards endpoint to receive and log data
+ *     description: Đăng ký thẻ mới (trạng thái issued, chưa gán). Gọi từ đầu đọc RFID (header ký số) hoặc bởi người dùng có quyền cards:write; gửi lại UID đã có không tạo thẻ trùng. Đầu đọc api_key không được chống gửi lại (API key không ký X-Timestamp / X-Nonce), chấp nhận được vì đăng ký thẻ không tạo trùng
  *     tags: [Cards]
+ *     security:
+ *       - bearerAuth: []
+ *       - deviceId: []
+ *         deviceSignature: []
+ *       - deviceId: []
+ *         deviceApiKey: []
  *     requestBody:
  *       required: true
  *       content:
@@ -42,7 +150,11 @@ const cardsRouter = express.Router();
  *                 code:
  *                   type: string
  *                   description: The code that was sent
- *                   example: "HH II XX UU"
+ *                   example: "HHIIXXUU"
+ *                 card:
+ *                   $ref: '#/components/schemas/Card'
+ *       400:
+ *         description: code thiếu hoặc quá dài
  *       500:
  *         description: Internal server error
  *         content:
@@ -55,18 +167,17 @@ const cardsRouter = express.Router();
  *                   example: "Internal server error"
  */
 
-cardsRouter.post("/cards", async (req, res) => {
+cardsRouter.post("/cards", authenticateDeviceOrUser("cards:write"), async (req, res) => {
     console.log("✅ Cards endpoint hit");
-    const data = JSON.parse(JSON.stringify(req.body));
-
-    const codeCard = data["code"].replace(/\s/g, "").trim();
-    connection.query('INSERT INTO cards (card_uid,user_id,is_active,issued_at,deactivated_at,updated_at) VALUES (?,?,?,?,?,?)', [codeCard, null, 1, new Date(), null, new Date()], (err, results) => {
-        if (err) {
-            console.error('Error inserting card into database:', err);
-            return res.status(500).json({ message: 'Internal server error' });
-        }
-    });
-    res.status(200).json({ message: "Successfully", code: codeCard });
+    try {
+        // Đầu đọc gọi thì không có req.user: lịch sử ghi changed_by = NULL
+        const { card } = await registerCard(req.body?.code, req.user ?? null);
+        res.status(200).json({ message: "Successfully", code: card.card_uid, card });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Error inserting card into database:', err);
+        res.status(500).json({ message: 'Internal server error' });
+    }
 });
 
 
@@ -75,6 +186,7 @@ cardsRouter.post("/cards", async (req, res) => {
  * /api/cards:
  *   get:
  *     summary: Cards endpoint to retrieve all cards
+ *     description: Không có quyền org:all_departments thì chỉ trả về thẻ của nhân viên thuộc cây phòng ban của người gọi (thẻ chưa gán xem qua /api/cards/0)
  *     tags: [Cards]
  *     responses:
  *       200:
@@ -84,32 +196,7 @@ cardsRouter.post("/cards", async (req, res) => {
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   card_uid:
- *                     type: string
- *                     example: "AA AA AA AA"
- *                   user_id:
- *                     type: integer
- *                     example: 1
- *                   is_active:
- *                     type: boolean
- *                     example: true
- *                   issued_at:
- *                     type: string
- *                     format: date-time
- *                     example: "2024-01-01T00:00:00.000Z"
- *                   deactivated_at:
- *                     type: string
- *                     format: date-time
- *                     example: null
- *                   updated_at:
- *                     type: string
- *                     format: date-time
- *                     example: "2024-01-01T00:00:00.000Z"
+ *                 $ref: '#/components/schemas/Card'
  *       500:
  *         description: Internal server error
  *         content:
@@ -122,16 +209,18 @@ cardsRouter.post("/cards", async (req, res) => {
  *                   example: "Internal server error"
  */
 
-cardsRouter.get("/cards", authenticateToken, async (req, res) => {
+cardsRouter.get("/cards", authenticateToken, requirePermission("cards:read"), async (req, res) => {
     console.log("✅ Get Cards endpoint hit");
 
-    const userData = req.user;
-    
-    if(userData.role_id == 3){
-        return res.status(403).json({ message: "Access denied for this role" });
+    let filter;
+    try {
+        filter = scopeCondition(await getDepartmentScope(req.user), 'users.department_id');
+    } catch (err) {
+        console.error('Error resolving department scope:', err);
+        return res.status(500).json({ message: 'Internal server error' });
     }
 
-    connection.query('SELECT * FROM cards', (err, results) => {
+    connection.query(`SELECT cards.* FROM cards LEFT JOIN users ON users.id = cards.user_id WHERE ${filter.sql}`, filter.params, (err, results) => {
         if (err) {
             console.error('Error fetching cards from database:', err);
             return res.status(500).json({ message: 'Internal server error' });
@@ -144,6 +233,7 @@ cardsRouter.get("/cards", authenticateToken, async (req, res) => {
  * /api/cards/{user_id}:
  *   get:
  *     summary: Cards endpoint to retrieve all cards for a specific user
+ *     description: user_id = 0 trả về thẻ chưa gán; nhân viên ngoài cây phòng ban của quản lý trả 403
  *     tags: [Cards]
  *     parameters:
  *       - in: path
@@ -160,32 +250,7 @@ cardsRouter.get("/cards", authenticateToken, async (req, res) => {
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   card_uid:
- *                     type: string
- *                     example: "AA AA AA AA"
- *                   user_id:
- *                     type: integer
- *                     example: 1
- *                   is_active:
- *                     type: boolean
- *                     example: true
- *                   issued_at:
- *                     type: string
- *                     format: date-time
- *                     example: "2024-01-01T00:00:00.000Z"
- *                   deactivated_at:
- *                     type: string
- *                     format: date-time
- *                     example: null
- *                   updated_at:
- *                     type: string
- *                     format: date-time
- *                     example: "2024-01-01T00:00:00.000Z"
+ *                 $ref: '#/components/schemas/Card'
  *       500:
  *         description: Internal server error
  *         content:
@@ -197,15 +262,11 @@ cardsRouter.get("/cards", authenticateToken, async (req, res) => {
  *                   type: string
  *                   example: "Internal server error"
  */
-cardsRouter.get("/cards/:user_id", authenticateToken, async (req, res) => {
+cardsRouter.get("/cards/:user_id", authenticateToken, requirePermission("cards:read"), requireScope((req) => (
+    req.params.user_id == 0 ? null : assertUserInScope(req.user, req.params.user_id)
+)), async (req, res) => {
     console.log("✅ Get Cards by User ID endpoint hit");
 
-    const userData = req.user;
-    
-    if(userData.role_id == 3){
-        return res.status(403).json({ message: "Access denied for this role" });
-    }
-
     const userId = req.params.user_id;
 
     if (userId == 0) {
@@ -242,32 +303,7 @@ cardsRouter.get("/cards/:user_id", authenticateToken, async (req, res) => {
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   card_uid:
- *                     type: string
- *                     example: "AA AA AA AA"
- *                   user_id:
- *                     type: integer
- *                     example: 1
- *                   is_active:
- *                     type: boolean
- *                     example: true
- *                   issued_at:
- *                     type: string
- *                     format: date-time
- *                     example: "2024-01-01T00:00:00.000Z"
- *                   deactivated_at:
- *                     type: string
- *                     format: date-time
- *                     example: null
- *                   updated_at:
- *                     type: string
- *                     format: date-time
- *                     example: "2024-01-01T00:00:00.000Z"
+ *                 $ref: '#/components/schemas/Card'
  *       500:
  *         description: Internal server error
  *         content:
@@ -279,16 +315,18 @@ cardsRouter.get("/cards/:user_id", authenticateToken, async (req, res) => {
  *                   type: string
  *                   example: "Internal server error"
  */
-cardsRouter.get("/cards/user_id", authenticateToken, async (req, res) => {
+cardsRouter.get("/cards/user_id", authenticateToken, requirePermission("cards:read"), async (req, res) => {
     console.log("✅ Get All Cards endpoint hit");
 
-    const userData = req.user;
-
-    if (userData.role_id == 3) {
-        return res.status(403).json({ message: "Access denied for this role" });
+    let filter;
+    try {
+        filter = scopeCondition(await getDepartmentScope(req.user), 'users.department_id');
+    } catch (err) {
+        console.error('Error resolving department scope:', err);
+        return res.status(500).json({ message: 'Internal server error' });
     }
 
-    connection.query('SELECT * FROM cards WHERE user_id IS NOT NULL', (err, results) => {
+    connection.query(`SELECT cards.* FROM cards JOIN users ON users.id = cards.user_id WHERE ${filter.sql}`, filter.params, (err, results) => {
         if (err) {
             console.error('Error fetching cards from database:', err);
             return res.status(500).json({ message: 'Internal server error' });
@@ -301,7 +339,8 @@ cardsRouter.get("/cards/user_id", authenticateToken, async (req, res) => {
  * @swagger
  * /api/cards:
  *   delete:
- *     summary: Delete a card by ID
+ *     summary: Retire a card by ID
+ *     description: Thu hồi vĩnh viễn (status retired); thẻ và lịch sử ra vào của thẻ được giữ lại, không bị xóa
  *     tags: [Cards]
  *     requestBody:
  *       required: true
@@ -311,12 +350,15 @@ cardsRouter.get("/cards/user_id", authenticateToken, async (req, res) => {
  *             type: object
  *             properties:
  *               id:
- *                 type: int
- *                 description: The ID of the card to be deleted
+ *                 type: integer
+ *                 description: The ID of the card to be retired
  *                 example: 1
+ *               reason:
+ *                 type: string
+ *                 example: "Thẻ hỏng"
  *     responses:
  *       200:
- *         description: Card deleted successfully
+ *         description: Card retired successfully
  *         content:
  *           application/json:
  *             schema:
@@ -324,11 +366,13 @@ cardsRouter.get("/cards/user_id", authenticateToken, async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Card deleted successfully"
- *                 id:
- *                   type: int
- *                   description: The ID of the card that was deleted
- *                   example: 1
+ *                   example: "Card retired successfully"
+ *                 card:
+ *                   $ref: '#/components/schemas/Card'
+ *       400:
+ *         description: id hoặc reason không hợp lệ
+ *       404:
+ *         description: Không tìm thấy thẻ
  *       500:
  *         description: Internal server error
  *         content:
@@ -340,25 +384,22 @@ cardsRouter.get("/cards/user_id", authenticateToken, async (req, res) => {
  *                   type: string
  *                   example: "Internal server error"
  */
-cardsRouter.delete("/cards", authenticateToken, async (req, res) => {
+cardsRouter.delete("/cards", authenticateToken, requirePermission("cards:write"), requireScope((req) => (
+    assertCardInScope(req.user, 'id', req.body?.id)
+)), async (req, res) => {
     console.log("✅ Delete Cards endpoint hit");
 
-    const userData = req.user;
-    
-    if (userData.role_id == 3) {
-        return res.status(403).json({ message: "Access denied for this role" });
-    }
-
-    const data = JSON.parse(JSON.stringify(req.body));
-    const cardId = data["id"]; // Get the card ID from the request body
+    const { error, value } = validateCardUpdate({ ...req.body, status: 'retired' });
+    if (error) return res.status(400).json({ message: error });
 
-    connection.query('DELETE FROM cards WHERE id = ?', [cardId], (err, results) => {
-        if (err) {
-            console.error('Error deleting cards from database:', err);
-            return res.status(500).json({ message: 'Internal server error' });
-        }
-        res.status(200).json({ message: "Card deleted successfully" });
-    });
+    try {
+        const card = await retireCard(value.id, value.reason, req.user);
+        res.status(200).json({ message: "Card retired successfully", card });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Error retiring card:', err);
+        res.status(500).json({ message: 'Internal server error' });
+    }
 });
 
 /**
@@ -366,6 +407,12 @@ cardsRouter.delete("/cards", authenticateToken, async (req, res) => {
  * /api/cards:
  *   patch:
  *     summary: Update card information
+ *     description: |
+ *       Đổi trạng thái thẻ kèm lý do (ghi vào lịch sử thẻ) và / hoặc hạn dùng. Chuyển trạng thái hợp lệ:
+ *       issued → active / retired; active → suspended / lost / stolen / expired / retired;
+ *       suspended → active / lost / stolen / expired / retired; lost → active (tìm lại, nếu chưa thay) / stolen / retired;
+ *       stolen → retired; expired → active (sau khi gia hạn expires_at) / retired.
+ *       is_active vẫn được nhận để tương thích: true = active, false = suspended.
  *     tags: [Cards]
  *     requestBody:
  *       required: true
@@ -375,15 +422,26 @@ cardsRouter.delete("/cards", authenticateToken, async (req, res) => {
  *             type: object
  *             required:
  *               - id
- *               - is_active
  *             properties:
  *               id:
  *                 type: integer
  *                 description: The ID of the card to update
  *                 example: 1
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended, lost, stolen, expired, retired]
+ *                 example: "lost"
+ *               reason:
+ *                 type: string
+ *                 example: "Nhân viên báo mất thẻ"
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Hạn dùng thẻ (null = không thời hạn)
  *               is_active:
  *                 type: boolean
- *                 description: The new active status of the card
+ *                 description: (Cũ) true = active, false = suspended; bỏ qua khi có status
  *                 example: true
  *     responses:
  *       200:
@@ -396,6 +454,12 @@ cardsRouter.delete("/cards", authenticateToken, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Card updated successfully"
+ *                 card:
+ *                   $ref: '#/components/schemas/Card'
+ *       404:
+ *         description: Không tìm thấy thẻ
+ *       409:
+ *         description: Không được chuyển sang trạng thái này (vd. thẻ đã thu hồi, thẻ đã được thay, thẻ chưa gán hoặc đã quá hạn)
  *       400:
  *         description: Bad request (missing or invalid fields)
  *         content:
@@ -417,27 +481,22 @@ cardsRouter.delete("/cards", authenticateToken, async (req, res) => {
  *                   type: string
  *                   example: "Internal server error"
  */
-cardsRouter.patch("/cards", authenticateToken, async (req, res) => {
+cardsRouter.patch("/cards", authenticateToken, requirePermission("cards:write"), requireScope((req) => (
+    assertCardInScope(req.user, 'id', req.body?.id)
+)), async (req, res) => {
     console.log("✅ Update Cards endpoint hit");
 
-    const userData = req.user;
+    const { error, value } = validateCardUpdate(req.body);
+    if (error) return res.status(400).json({ message: error });
 
-    if (userData.role_id == 3) {
-        return res.status(403).json({ message: "Access denied for this role" });
+    try {
+        const card = await updateCard(value, req.user);
+        res.status(200).json({ message: "Card updated successfully", card });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Error updating card in database:', err);
+        res.status(500).json({ message: 'Internal server error' });
     }
-
-    const data = JSON.parse(JSON.stringify(req.body));
-
-    const cardId = data["id"]; // Get the card ID from the request body
-    const isActive = data["is_active"]; // Get the new is_active status from the request body
-
-    connection.query('UPDATE cards SET is_active = ?, updated_at = ? WHERE id = ?', [isActive, new Date(), cardId], (err, results) => {
-        if (err) {
-            console.error('Error updating card in database:', err);
-            return res.status(500).json({ message: 'Internal server error' });
-        }
-        res.status(200).json({ message: "Card updated successfully" });
-    });
 });
 
 /**
@@ -445,7 +504,10 @@ cardsRouter.patch("/cards", authenticateToken, async (req, res) => {
  * /api/cards/assign:
  *   post:
  *     summary: Assign a card to a user
+ *     description: Chỉ gán được thẻ issued chưa gán cho ai; thẻ chuyển sang active. Đổi thẻ của nhân viên dùng /api/cards/{id}/replace
  *     tags: [Cards]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -464,6 +526,10 @@ cardsRouter.patch("/cards", authenticateToken, async (req, res) => {
  *                 type: integer
  *                 description: The ID of the user to whom the card will be assigned
  *                 example: 2
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Hạn dùng thẻ (bỏ trống = không thời hạn)
  *     responses:
  *       200:
  *         description: Card assigned to user successfully
@@ -475,6 +541,16 @@ cardsRouter.patch("/cards", authenticateToken, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Card assigned to user successfully"
+ *                 card:
+ *                   $ref: '#/components/schemas/Card'
+ *       400:
+ *         description: code, user_id hoặc expires_at không hợp lệ
+ *       403:
+ *         description: Thẻ hoặc nhân viên nằm ngoài cây phòng ban của người gọi
+ *       404:
+ *         description: Không tìm thấy thẻ hoặc nhân viên
+ *       409:
+ *         description: Thẻ đã gán cho nhân viên khác hoặc không ở trạng thái issued
  *       500:
  *         description: Internal server error
  *         content:
@@ -488,22 +564,154 @@ cardsRouter.patch("/cards", authenticateToken, async (req, res) => {
  */
 
 
-cardsRouter.post("/cards/assign", async (req, res) => {
+cardsRouter.post("/cards/assign", authenticateToken, requirePermission("cards:write"), requireScope(async (req) => {
+    await assertCardInScope(req.user, 'card_uid', String(req.body?.code ?? "").replace(/\s/g, ""));
+    await assertUserInScope(req.user, req.body?.user_id);
+}), async (req, res) => {
     console.log("✅ Assign Card to User endpoint hit");
-    
-    const data = JSON.parse(JSON.stringify(req.body));
-    const card_uid = data["code"].replace(/\s/g, "").trim(); // Get the card code from the request body
-    
-    const userId = data["user_id"]; // Get the user ID from the request body
 
-    connection.query('UPDATE cards SET user_id = ?, updated_at = ? WHERE card_uid = ?', [userId, new Date(), card_uid], (err, results) => {
-        if (err) {
-            console.error('Error assigning card to user in database:', err);
-            return res.status(500).json({ message: 'Internal server error' });
-        }
-        res.status(200).json({ message: "Card assigned to user successfully" });
+    const { code, user_id, expires_at } = req.body || {};
+    if (!code || !Number.isInteger(Number(user_id)) || Number(user_id) <= 0) {
+        return res.status(400).json({ message: "code and a positive integer user_id are required" });
+    }
+    const { error, value: expiresAt } = validateExpiresAt(expires_at ?? null);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const card = await assignCard(code, user_id, req.user, { expiresAt });
+        res.status(200).json({ message: "Card assigned to user successfully", card });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Error assigning card to user in database:', err);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/cards/{id}/replace:
+ *   post:
+ *     summary: Replace a card (lost, stolen, damaged or expired) with a new UID
+ *     description: |
+ *       Nhân viên giữ thẻ cũ được gán thẻ mới (active; UID chưa đăng ký thì đăng ký luôn, đã đăng ký thì phải là thẻ issued chưa gán).
+ *       Thẻ cũ trỏ sang thẻ mới qua replaced_by_card_id và chuyển sang old_status – mặc định giữ lost / stolen / expired
+ *       nếu đã báo, còn lại là retired. Thẻ cũ vẫn được giữ cùng lịch sử ra vào.
+ *     tags: [Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID của thẻ cũ
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: UID thẻ mới
+ *                 example: "BB CC DD EE"
+ *               old_status:
+ *                 type: string
+ *                 enum: [lost, stolen, expired, retired]
+ *                 description: Trạng thái của thẻ cũ sau khi thay (báo mất và thay thẻ trong một lần gọi)
+ *               reason:
+ *                 type: string
+ *                 example: "Mất thẻ, cấp lại"
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Hạn dùng thẻ mới (bỏ trống = không thời hạn)
+ *     responses:
+ *       200:
+ *         description: Thẻ đã được thay
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Card replaced successfully"
+ *                 old_card:
+ *                   $ref: '#/components/schemas/Card'
+ *                 new_card:
+ *                   $ref: '#/components/schemas/Card'
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc UID mới trùng UID cũ
+ *       403:
+ *         description: Thẻ nằm ngoài cây phòng ban của người gọi
+ *       404:
+ *         description: Không tìm thấy thẻ
+ *       409:
+ *         description: Thẻ cũ chưa gán / đã thu hồi / đã được thay, hoặc thẻ mới đã gán cho người khác / không ở trạng thái issued
+ */
+cardsRouter.post("/cards/:id/replace", authenticateToken, requirePermission("cards:write"), requireScope(async (req) => {
+    await assertCardInScope(req.user, 'id', req.params.id);
+    await assertCardInScope(req.user, 'card_uid', String(req.body?.code ?? "").replace(/\s/g, ""));
+}), async (req, res) => {
+    const { error, value } = validateCardReplacement(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const { oldCard, newCard } = await replaceCard(req.params.id, value, req.user);
+        res.status(200).json({ message: "Card replaced successfully", old_card: oldCard, new_card: newCard });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Error replacing card:', err);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/cards/{id}/history:
+ *   get:
+ *     summary: Lịch sử vòng đời một thẻ (cấp, gán, khóa, báo mất, hết hạn, thay thẻ, thu hồi)
+ *     tags: [Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Thẻ và các lần đổi trạng thái (cũ nhất trước)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 card:
+ *                   $ref: '#/components/schemas/Card'
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CardStatusChange'
+ *       403:
+ *         description: Thẻ nằm ngoài cây phòng ban của người gọi
+ *       404:
+ *         description: Không tìm thấy thẻ
+ */
+cardsRouter.get("/cards/:id/history", authenticateToken, requirePermission("cards:read"), requireScope((req) => (
+    assertCardInScope(req.user, 'id', req.params.id)
+)), async (req, res) => {
+    try {
+        const card = await getCard(req.params.id);
+        if (!card) return res.status(404).json({ message: "Card not found" });
+        res.status(200).json({ card, history: await listCardHistory(card.id) });
+    } catch (err) {
+        console.error('Error fetching card history:', err);
+        res.status(500).json({ message: 'Internal server error' });
     }
-);
 });
 
 export default cardsRouter;
\ No newline at end of file
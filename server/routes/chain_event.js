@@ -0,0 +1,203 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { getIndexerStatus, listChainEvents, summarizeEmployeeEvents } from "../services/chainIndexerService.js";
+
+const chainEventRouter = express.Router();
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function validateDateRange({ from, to }) {
+  if (from && !DATE_RE.test(from)) return "from must be YYYY-MM-DD";
+  if (to && !DATE_RE.test(to)) return "to must be YYYY-MM-DD";
+  return null;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: ChainEvent
+ *     description: Sự kiện contract đã được index vào MySQL (logs, số dư sổ sách, báo cáo)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChainEvent:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 120 }
+ *         contract: { type: string, enum: [employee, product] }
+ *         contract_address: { type: string }
+ *         event_name: { type: string, example: "EmployeeCredited" }
+ *         block_number: { type: integer, example: 842 }
+ *         block_hash: { type: string }
+ *         tx_hash: { type: string }
+ *         log_index: { type: integer, example: 0 }
+ *         user_code: { type: string, nullable: true, example: "12" }
+ *         product_code: { type: string, nullable: true }
+ *         wallet_address: { type: string, nullable: true }
+ *         amount_wei: { type: string, nullable: true, example: "1250000000000000" }
+ *         event_time: { type: string, format: date-time }
+ *         payload: { type: object, description: Toàn bộ tham số của event }
+ */
+
+/**
+ * @swagger
+ * /api/chain-events:
+ *   get:
+ *     summary: Lấy danh sách sự kiện contract đã index (phân trang, mới nhất trước)
+ *     tags: [ChainEvent]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event_name
+ *         schema: { type: string, example: "ProductPurchased" }
+ *       - in: query
+ *         name: user_code
+ *         schema: { type: string }
+ *       - in: query
+ *         name: product_code
+ *         schema: { type: string }
+ *       - in: query
+ *         name: wallet
+ *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, example: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: Một trang sự kiện
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChainEvent'
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 total: { type: integer }
+ *       400:
+ *         description: Tham số không hợp lệ
+ *       403:
+ *         description: Không có quyền chain_events:read
+ */
+chainEventRouter.get("/chain-events", authenticateToken, requirePermission("chain_events:read"), async (req, res) => {
+  const filterError = validateDateRange(req.query);
+  if (filterError) return res.status(400).json({ message: filterError });
+
+  try {
+    const { event_name, user_code, product_code, wallet, from, to, page, limit } = req.query;
+    res.json(await listChainEvents({
+      eventName: event_name, userCode: user_code, productCode: product_code, wallet, from, to, page, limit,
+    }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error fetching chain events:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chain-events/summary:
+ *   get:
+ *     summary: Báo cáo tổng ghi có / rút / mua hàng theo nhân viên trong khoảng thời gian
+ *     tags: [ChainEvent]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: user_code
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Tổng hợp theo nhân viên (số tiền tính bằng wei)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 employees:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user_code: { type: string }
+ *                       credited_wei: { type: string }
+ *                       withdrawn_wei: { type: string }
+ *                       purchased_wei: { type: string }
+ *                       credits: { type: integer }
+ *                       withdrawals: { type: integer }
+ *                       purchases: { type: integer }
+ *       400:
+ *         description: Tham số không hợp lệ
+ */
+chainEventRouter.get("/chain-events/summary", authenticateToken, requirePermission("chain_events:read"), async (req, res) => {
+  const filterError = validateDateRange(req.query);
+  if (filterError) return res.status(400).json({ message: filterError });
+
+  try {
+    const { from, to, user_code } = req.query;
+    res.json({ from: from || null, to: to || null, employees: await summarizeEmployeeEvents({ from, to, userCode: user_code }) });
+  } catch (err) {
+    console.error("❌ Error summarizing chain events:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chain-events/status:
+ *   get:
+ *     summary: Trạng thái bộ index (block đã xử lý, độ trễ so với node, số lần reorg)
+ *     tags: [ChainEvent]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Checkpoint của bộ index
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lastBlock: { type: integer }
+ *                 lastBlockHash: { type: string, nullable: true }
+ *                 head: { type: integer, nullable: true }
+ *                 confirmations: { type: integer }
+ *                 lag: { type: integer, nullable: true }
+ *                 reorgs: { type: integer }
+ *                 events: { type: integer }
+ *                 updatedAt: { type: string, format: date-time, nullable: true }
+ */
+chainEventRouter.get("/chain-events/status", authenticateToken, requirePermission("chain_events:read"), async (req, res) => {
+  try {
+    res.json(await getIndexerStatus());
+  } catch (err) {
+    console.error("❌ Error fetching chain indexer status:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default chainEventRouter;
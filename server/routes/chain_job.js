@@ -0,0 +1,173 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { JOB_STATUSES, JOB_TYPES, getJob, listJobs, replayJob, runJobNow } from "../services/chainJobService.js";
+
+const chainJobRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: ChainJob
+ *     description: Hàng đợi giao dịch blockchain (outbox) – theo dõi và chạy lại job lỗi
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChainJob:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 7 }
+ *         type: { type: string, enum: [credit_session, settle_payroll_item, record_withdraw, record_purchase, register_employee, update_employee_profile] }
+ *         reference: { type: string, nullable: true, example: "work_session:12" }
+ *         payload: { type: object, example: { sessionId: 12 } }
+ *         status: { type: string, enum: [pending, running, succeeded, failed, dead] }
+ *         attempts: { type: integer, example: 2 }
+ *         max_attempts: { type: integer, example: 8 }
+ *         next_run_at: { type: string, format: date-time }
+ *         last_error: { type: string, nullable: true }
+ *         result: { type: object, nullable: true }
+ *         completed_at: { type: string, format: date-time, nullable: true }
+ */
+
+/**
+ * @swagger
+ * /api/chain-jobs:
+ *   get:
+ *     summary: Lấy danh sách chain job (lọc theo trạng thái, loại)
+ *     tags: [ChainJob]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, running, succeeded, failed, dead] }
+ *       - in: query
+ *         name: type
+ *         schema: { type: string }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 100 }
+ *     responses:
+ *       200:
+ *         description: Danh sách job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChainJob'
+ *       400:
+ *         description: Tham số không hợp lệ
+ *       403:
+ *         description: Chỉ admin
+ */
+chainJobRouter.get("/chain-jobs", authenticateToken, requirePermission("chain_jobs:manage"), async (req, res) => {
+  const { status, type, limit } = req.query;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of ${JOB_STATUSES.join(", ")}` });
+  }
+  if (type && !JOB_TYPES.includes(type)) {
+    return res.status(400).json({ message: `type must be one of ${JOB_TYPES.join(", ")}` });
+  }
+
+  try {
+    res.json({ jobs: await listJobs({ status, type, limit }) });
+  } catch (err) {
+    console.error("❌ Error fetching chain jobs:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chain-jobs/{id}:
+ *   get:
+ *     summary: Xem chi tiết một chain job
+ *     tags: [ChainJob]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Chi tiết job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChainJob'
+ *       404:
+ *         description: Không tìm thấy job
+ */
+chainJobRouter.get("/chain-jobs/:id", authenticateToken, requirePermission("chain_jobs:manage"), async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+    res.json(job);
+  } catch (err) {
+    console.error("❌ Error fetching chain job:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chain-jobs/{id}/replay:
+ *   post:
+ *     summary: Chạy lại job thất bại / dead (đặt lại số lần thử)
+ *     tags: [ChainJob]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               run_now: { type: boolean, description: "Chạy ngay thay vì chờ worker", example: true }
+ *     responses:
+ *       200:
+ *         description: Job đã được xếp hàng lại (hoặc đã chạy nếu run_now)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 job:
+ *                   $ref: '#/components/schemas/ChainJob'
+ *       404:
+ *         description: Không tìm thấy job
+ *       409:
+ *         description: Job không ở trạng thái failed / dead
+ */
+chainJobRouter.post("/chain-jobs/:id/replay", authenticateToken, requirePermission("chain_jobs:manage"), async (req, res) => {
+  try {
+    let job = await replayJob(req.params.id);
+    if (req.body?.run_now) {
+      job = await runJobNow(job.id);
+    }
+    res.json({ message: "Job queued for replay", job });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("❌ Error replaying chain job:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default chainJobRouter;
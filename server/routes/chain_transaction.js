@@ -0,0 +1,137 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { TX_STATUSES, getTransactionByHash, listTransactions } from "../services/chainTxService.js";
+
+const chainTransactionRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: ChainTransaction
+ *     description: Giao dịch gửi từ ví owner – nonce, trạng thái mine, tăng phí khi bị kẹt
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChainTransaction:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 31 }
+ *         purpose: { type: string, example: "wage_transfer" }
+ *         reference: { type: string, nullable: true, example: "work_session:12" }
+ *         from_address: { type: string }
+ *         to_address: { type: string }
+ *         nonce: { type: integer, nullable: true, example: 57 }
+ *         value_wei: { type: string, example: "1250000000000000" }
+ *         gas: { type: integer, example: 21000 }
+ *         gas_price: { type: string, nullable: true }
+ *         tx_hash: { type: string, nullable: true }
+ *         replaced_hashes:
+ *           type: array
+ *           items: { type: string }
+ *           description: Hash cũ đã bị thay khi tăng phí
+ *         status: { type: string, enum: [pending, mined, failed, dropped] }
+ *         speedups: { type: integer, example: 0 }
+ *         block_number: { type: integer, nullable: true }
+ *         gas_used: { type: integer, nullable: true }
+ *         error: { type: string, nullable: true }
+ *         submitted_at: { type: string, format: date-time, nullable: true }
+ *         mined_at: { type: string, format: date-time, nullable: true }
+ */
+
+/**
+ * @swagger
+ * /api/chain-transactions:
+ *   get:
+ *     summary: Lấy danh sách giao dịch (lọc theo trạng thái, mục đích, khóa nghiệp vụ)
+ *     tags: [ChainTransaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, mined, failed, dropped] }
+ *       - in: query
+ *         name: reference
+ *         schema: { type: string, example: "payroll_item:5" }
+ *       - in: query
+ *         name: purpose
+ *         schema: { type: string, example: "wage_transfer" }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 100 }
+ *     responses:
+ *       200:
+ *         description: Danh sách giao dịch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChainTransaction'
+ *       400:
+ *         description: Tham số không hợp lệ
+ *       403:
+ *         description: Không có quyền chain_transactions:read
+ */
+chainTransactionRouter.get("/chain-transactions", authenticateToken, requirePermission("chain_transactions:read"), async (req, res) => {
+  const { status, reference, purpose, limit } = req.query;
+  if (status && !TX_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of ${TX_STATUSES.join(", ")}` });
+  }
+
+  try {
+    res.json({ transactions: await listTransactions({ status, reference, purpose, limit }) });
+  } catch (err) {
+    console.error("❌ Error fetching chain transactions:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chain-transactions/{hash}:
+ *   get:
+ *     summary: Xem trạng thái giao dịch theo hash (kể cả hash cũ trước khi tăng phí)
+ *     tags: [ChainTransaction]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hash
+ *         required: true
+ *         schema: { type: string, example: "0x5f1c..." }
+ *     responses:
+ *       200:
+ *         description: Chi tiết giao dịch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChainTransaction'
+ *       400:
+ *         description: Hash không hợp lệ
+ *       404:
+ *         description: Không tìm thấy giao dịch
+ */
+chainTransactionRouter.get("/chain-transactions/:hash", authenticateToken, requirePermission("chain_transactions:read"), async (req, res) => {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(req.params.hash)) {
+    return res.status(400).json({ message: "hash must be a 0x-prefixed 32-byte hex string" });
+  }
+
+  try {
+    const tx = await getTransactionByHash(req.params.hash);
+    if (!tx) return res.status(404).json({ message: "Transaction not found" });
+    res.json(tx);
+  } catch (err) {
+    console.error("❌ Error fetching chain transaction:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default chainTransactionRouter;
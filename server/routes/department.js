@@ -0,0 +1,268 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import {
+  createDepartment,
+  deleteDepartment,
+  getDepartment,
+  listDepartments,
+  updateDepartment,
+  validateDepartment,
+} from "../services/organizationService.js";
+
+const departmentRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Department
+ *     description: Phòng ban dạng cây, người quản lý từng phòng ban (quản lý chỉ thấy dữ liệu trong cây phòng ban của mình)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Department:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 3 }
+ *         name: { type: string, example: "HR" }
+ *         description: { type: string, nullable: true, example: "Nhân sự" }
+ *         parent_id: { type: integer, nullable: true, description: Phòng ban cha (NULL = cấp cao nhất) }
+ *         manager:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id: { type: integer }
+ *             username: { type: string }
+ *             full_name: { type: string, nullable: true }
+ *         employee_count: { type: integer, example: 12 }
+ *         created_at: { type: string, format: date-time }
+ *         updated_at: { type: string, format: date-time }
+ *     DepartmentInput:
+ *       type: object
+ *       properties:
+ *         name: { type: string, example: "HR", description: Không phân biệt hoa thường – "hr" trùng với "HR" }
+ *         description: { type: string, nullable: true, example: "Nhân sự" }
+ *         parent_id: { type: integer, nullable: true, example: 1 }
+ *         manager_id: { type: integer, nullable: true, example: 7, description: users.id của người quản lý }
+ */
+
+/**
+ * @swagger
+ * /api/departments:
+ *   get:
+ *     summary: Lấy danh sách phòng ban (parent_id cho biết quan hệ cha – con)
+ *     tags: [Department]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách phòng ban, sắp theo tên
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 departments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Department'
+ *       403:
+ *         description: Không có quyền departments:read
+ */
+departmentRouter.get("/departments", authenticateToken, requirePermission("departments:read"), async (req, res) => {
+  try {
+    res.json({ departments: await listDepartments() });
+  } catch (err) {
+    console.error("❌ Error fetching departments:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/departments/{id}:
+ *   get:
+ *     summary: Xem chi tiết phòng ban kèm phòng ban con trực tiếp và nhân viên
+ *     tags: [Department]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Chi tiết phòng ban
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Department'
+ *                 - type: object
+ *                   properties:
+ *                     children:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id: { type: integer }
+ *                           name: { type: string }
+ *                     employees:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id: { type: integer }
+ *                           username: { type: string }
+ *                           full_name: { type: string, nullable: true }
+ *                           position_id: { type: integer, nullable: true }
+ *                           position: { type: string, nullable: true }
+ *                           status: { type: integer }
+ *       404:
+ *         description: Không tìm thấy phòng ban
+ */
+departmentRouter.get("/departments/:id", authenticateToken, requirePermission("departments:read"), async (req, res) => {
+  try {
+    const department = await getDepartment(req.params.id);
+    if (!department) return res.status(404).json({ message: "Department not found" });
+    res.json(department);
+  } catch (err) {
+    console.error("❌ Error fetching department:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/departments:
+ *   post:
+ *     summary: Tạo phòng ban
+ *     tags: [Department]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/DepartmentInput'
+ *               - required: [name]
+ *     responses:
+ *       201:
+ *         description: Đã tạo phòng ban
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Department'
+ *       400:
+ *         description: Dữ liệu không hợp lệ, parent_id / manager_id không tồn tại
+ *       409:
+ *         description: Tên phòng ban đã tồn tại (không phân biệt hoa thường)
+ */
+departmentRouter.post("/departments", authenticateToken, requirePermission("departments:write"), async (req, res) => {
+  const { error, value } = validateDepartment(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    res.status(201).json(await createDepartment(value));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error creating department:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/departments/{id}:
+ *   put:
+ *     summary: Cập nhật phòng ban (đổi tên, chuyển phòng ban cha, đổi người quản lý)
+ *     description: |
+ *       Đổi tên sẽ cập nhật tên phòng ban trong phân ca, hồ sơ nhân viên và đưa vào hàng đợi
+ *       cập nhật hồ sơ trên blockchain cho từng nhân viên của phòng ban.
+ *     tags: [Department]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DepartmentInput'
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 department:
+ *                   $ref: '#/components/schemas/Department'
+ *                 resyncedEmployees: { type: integer, description: Số nhân viên được đưa vào hàng đợi cập nhật hồ sơ on-chain }
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc phòng ban cha tạo thành vòng
+ *       404:
+ *         description: Không tìm thấy phòng ban
+ *       409:
+ *         description: Tên phòng ban đã tồn tại
+ */
+departmentRouter.put("/departments/:id", authenticateToken, requirePermission("departments:write"), async (req, res) => {
+  const { error, value } = validateDepartment(req.body, true);
+  if (error) return res.status(400).json({ message: error });
+  if (!Object.keys(value).length) return res.status(400).json({ message: "No fields to update" });
+
+  try {
+    const { department, resyncedEmployees } = await updateDepartment(req.params.id, value, req.user);
+    res.json({ message: "Department updated", department, resyncedEmployees });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error updating department:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/departments/{id}:
+ *   delete:
+ *     summary: Xóa phòng ban trống (không còn nhân viên và phòng ban con)
+ *     tags: [Department]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Xóa thành công
+ *       404:
+ *         description: Không tìm thấy phòng ban
+ *       409:
+ *         description: Phòng ban còn nhân viên hoặc phòng ban con
+ */
+departmentRouter.delete("/departments/:id", authenticateToken, requirePermission("departments:write"), async (req, res) => {
+  try {
+    await deleteDepartment(req.params.id);
+    res.json({ message: "Department deleted" });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error deleting department:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default departmentRouter;
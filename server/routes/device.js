@@ -0,0 +1,246 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { createDevice, getDevice, listDevices, rotateDeviceSecret, updateDevice, validateDevice } from "../services/deviceService.js";
+
+const deviceRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Device
+ *     description: Quản lý đầu đọc RFID (cửa, chiều vào / ra, secret ký request)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Device:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 2 }
+ *         device_code: { type: string, example: "GATE-01-IN" }
+ *         name: { type: string, example: "Cổng chính – vào" }
+ *         location: { type: string, nullable: true, example: "Cổng chính" }
+ *         direction: { type: string, enum: [entry, exit, both] }
+ *         auth_type: { type: string, enum: [hmac, api_key] }
+ *         is_enabled: { type: boolean, example: true }
+ *         last_seen_at: { type: string, format: date-time, nullable: true }
+ *     DeviceInput:
+ *       type: object
+ *       properties:
+ *         device_code: { type: string, example: "GATE-01-IN" }
+ *         name: { type: string, example: "Cổng chính – vào" }
+ *         location: { type: string, example: "Cổng chính" }
+ *         direction: { type: string, enum: [entry, exit, both], example: "entry" }
+ *         auth_type: { type: string, enum: [hmac, api_key], example: "hmac", description: "api_key không chống gửi lại request (X-Timestamp / X-Nonce không được ký) nên chỉ dùng được để đăng ký thẻ; ghi lượt quẹt cần hmac" }
+ *         is_enabled: { type: boolean, example: true }
+ *     DeviceWithSecret:
+ *       type: object
+ *       properties:
+ *         message: { type: string }
+ *         device:
+ *           $ref: '#/components/schemas/Device'
+ *         secret:
+ *           type: string
+ *           description: HMAC secret hoặc API key – chỉ trả về một lần, đầu đọc phải lưu lại
+ */
+
+/**
+ * @swagger
+ * /api/devices:
+ *   get:
+ *     summary: Lấy danh sách đầu đọc
+ *     tags: [Device]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách đầu đọc
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 devices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Device'
+ *       403:
+ *         description: Không có quyền devices:manage
+ */
+deviceRouter.get("/devices", authenticateToken, requirePermission("devices:manage"), async (req, res) => {
+  try {
+    res.json({ devices: await listDevices() });
+  } catch (err) {
+    console.error("❌ Error fetching devices:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/{id}:
+ *   get:
+ *     summary: Xem chi tiết một đầu đọc
+ *     tags: [Device]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Chi tiết đầu đọc
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Device'
+ *       404:
+ *         description: Không tìm thấy đầu đọc
+ */
+deviceRouter.get("/devices/:id", authenticateToken, requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const device = await getDevice(req.params.id);
+    if (!device) return res.status(404).json({ message: "Device not found" });
+    res.json(device);
+  } catch (err) {
+    console.error("❌ Error fetching device:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices:
+ *   post:
+ *     summary: Đăng ký đầu đọc mới (trả về secret một lần)
+ *     tags: [Device]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/DeviceInput'
+ *               - required: [device_code, name]
+ *     responses:
+ *       201:
+ *         description: Đầu đọc đã được đăng ký
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeviceWithSecret'
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       409:
+ *         description: device_code đã tồn tại
+ */
+deviceRouter.post("/devices", authenticateToken, requirePermission("devices:manage"), async (req, res) => {
+  const { error, value } = validateDevice(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const { device, secret } = await createDevice(value);
+    res.status(201).json({ message: "Device registered", device, secret });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("❌ Error registering device:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/{id}:
+ *   put:
+ *     summary: Cập nhật đầu đọc (vị trí, chiều, bật / tắt)
+ *     description: Đổi auth_type sẽ cấp secret mới và trả về trong response.
+ *     tags: [Device]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeviceInput'
+ *     responses:
+ *       200:
+ *         description: Đầu đọc sau khi cập nhật
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeviceWithSecret'
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       404:
+ *         description: Không tìm thấy đầu đọc
+ *       409:
+ *         description: device_code đã tồn tại
+ */
+deviceRouter.put("/devices/:id", authenticateToken, requirePermission("devices:manage"), async (req, res) => {
+  const { error, value } = validateDevice(req.body, true);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const { device, secret } = await updateDevice(req.params.id, value);
+    res.json({ message: "Device updated", device, ...(secret ? { secret } : {}) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("❌ Error updating device:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/{id}/rotate-secret:
+ *   post:
+ *     summary: Cấp lại secret / API key cho đầu đọc (secret cũ hết hiệu lực ngay)
+ *     tags: [Device]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Secret mới
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeviceWithSecret'
+ *       404:
+ *         description: Không tìm thấy đầu đọc
+ */
+deviceRouter.post("/devices/:id/rotate-secret", authenticateToken, requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const { device, secret } = await rotateDeviceSecret(req.params.id);
+    res.json({ message: "Device secret rotated", device, secret });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("❌ Error rotating device secret:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default deviceRouter;
@@ -1,11 +1,27 @@
 import express from "express";
-import { web3, employeeContract as contract } from "../blockchain/contractInstance.js";
-import { createAndFundWallet } from "../blockchain/utils/walletManager.js";
+import { web3, network, employeeContract as contract, payrollTokenContract } from "../blockchain/contractInstance.js";
 import multer from "multer";
 import ipfs, { ipfsUrl } from "../blockchain/ipfsClient.js";
 import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission, requirePermissionOrSelf } from "../middleware/requirePermission.js";
 import connection from "../services/connectDatabase.js";
-import { creditEmployeeWork } from "../blockchain/utils/creditEmployeeWork.js";
+import { enqueueJob, runJobNow } from "../services/chainJobService.js";
+import { hashPassword, validatePasswordPolicy } from "../utils/password.js";
+import { revokeAllUserTokens } from "../services/tokenService.js";
+import { resolveRequestSigner, signAndSend } from "../blockchain/utils/signer.js";
+import { getOwnerAddress, sendOwnerContractCall } from "../services/chainTxService.js";
+import { PAYROLL_CURRENCY, isTokenPayroll, getPayrollTokenInfo, getTokenBalance } from "../blockchain/utils/payrollToken.js";
+import { sponsorGas } from "../services/gasStationService.js";
+import { updateEmployeeProfile, listProfileHistory, validateProfileUpdate } from "../services/employeeProfileService.js";
+import { createEmployee, validateIdempotencyKey } from "../services/onboardingService.js";
+import {
+  assertDepartmentInScope,
+  assertUserInScope,
+  getDepartmentScope,
+  resolveDepartment,
+  scopeCondition,
+} from "../services/organizationService.js";
+import { EMPLOYEE_LOG_ACTIONS, getEmployeeLedger, getIndexerStatus, listChainEvents } from "../services/chainIndexerService.js";
 
 const employeeRouter = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -15,22 +31,6 @@ function safeJson(obj) {
   return JSON.parse(JSON.stringify(obj, (_, v) => (typeof v === 'bigint' ? v.toString() : v)));
 }
 
-// Helper to convert decimal string/number to 0x-prefixed hex using BigInt
-function toHexBn(value) {
-  try {
-    // If already hex string, return as-is
-    if (typeof value === 'string' && value.startsWith('0x')) return value;
-    return '0x' + BigInt(value).toString(16);
-  } catch (e) {
-    // fallback to web3.utils.toHex if available
-    try {
-      return web3.utils.toHex(value);
-    } catch (e2) {
-      throw e; // rethrow original
-    }
-  }
-}
-
 /**
  * @swagger
  * tags:
@@ -43,6 +43,7 @@ function toHexBn(value) {
  * /api/employee:
  *   get:
  *     summary: Lấy danh sách tất cả nhân viên từ blockchain
+ *     description: Không có quyền org:all_departments thì chỉ trả về nhân viên thuộc cây phòng ban của người gọi
  *     tags: [Employee]
  *     responses:
  *       200:
@@ -66,15 +67,18 @@ function toHexBn(value) {
  *       500:
  *         description: Lỗi khi lấy danh sách nhân viên
  */
-employeeRouter.get("/employee", authenticateToken, async (req, res) => {
-  const userData = req.user;
-
-  // Chặn role 3 không được thêm nhân viên
-  if (userData.role_id === 3) {
-    return res.status(403).json({ message: "Access denied for this role" });
-  }
+employeeRouter.get("/employee", authenticateToken, requirePermission("employees:read"), async (req, res) => {
   try {
-    const employees = await contract.methods.getAllEmployees().call();
+    let employees = await contract.methods.getAllEmployees().call();
+
+    // Quản lý chỉ thấy nhân viên trong cây phòng ban của mình
+    const scope = await getDepartmentScope(req.user);
+    if (scope !== null) {
+      const filter = scopeCondition(scope, "department_id");
+      const [rows] = await connection.promise().query(`SELECT id FROM users WHERE ${filter.sql}`, filter.params);
+      const visible = new Set(rows.map((row) => String(row.id)));
+      employees = employees.filter((emp) => visible.has(String(emp.userCode)));
+    }
 
     const formatted = employees.map(emp => ({
       userCode: emp.userCode,
@@ -165,9 +169,18 @@ employeeRouter.get("/employee/:userCode", authenticateToken, async (req, res) =>
  * /api/employee:
  *   post:
  *     summary: Thêm nhân viên mới vào blockchain
+ *     description: |
+ *       Chạy qua saga onboarding (tạo tài khoản + ví → nạp ETH → đăng ký blockchain); tài khoản bị khóa
+ *       cho đến khi đăng ký xong. Gửi lại cùng Idempotency-Key sẽ nhận (và chạy tiếp) đúng onboarding
+ *       của lần gửi đầu thay vì tạo nhân viên thứ hai. Onboarding lỗi / bị kẹt xem và xử lý qua /api/employee-onboardings.
  *     tags: [Employee]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema: { type: string, maxLength: 100, example: "9f1c2a7e-onboard-tranb" }
  *     requestBody:
  *       required: true
  *       content:
@@ -195,9 +208,11 @@ employeeRouter.get("/employee/:userCode", authenticateToken, async (req, res) =>
  *               department:
  *                 type: string
  *                 example: "HR"
+ *                 description: Tên phòng ban đã có (GET /api/departments), không phân biệt hoa thường
  *               position:
  *                 type: string
  *                 example: "Manager"
+ *                 description: Tên chức vụ đã có (GET /api/positions), không phân biệt hoa thường
  *               username:
  *                 type: string
  *                 example: "tranb"
@@ -214,86 +229,67 @@ employeeRouter.get("/employee/:userCode", authenticateToken, async (req, res) =>
  *               properties:
  *                 txHash:
  *                   type: string
+ *                   nullable: true
  *                   example: "0xabc123..."
+ *                 registrationJob:
+ *                   type: object
+ *                   description: Chain job đăng ký nhân viên trên blockchain (được thử lại nếu thất bại)
+ *                   properties:
+ *                     id: { type: integer }
+ *                     status: { type: string, enum: [pending, running, succeeded, failed, dead] }
+ *                     error: { type: string, nullable: true }
  *                 wallet:
  *                   type: object
  *                   properties:
  *                     address:
  *                       type: string
  *                       example: "0x4567..."
- *                     privateKey:
- *                       type: string
- *                       example: "0x9876..."
+ *                   description: Khóa riêng được mã hóa và giữ trên server, không trả về cho client
+ *                 onboarding:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer }
+ *                     status: { type: string, enum: [in_progress, completed] }
+ *                     step: { type: string, enum: [requested, user_created, wallet_funded, registration_queued, registered] }
+ *       202:
+ *         description: Đã tạo tài khoản và ví, đăng ký blockchain đang chờ (chain job tự thử lại, onboarding hoàn tất khi job thành công)
+ *       400:
+ *         description: Thiếu username, mật khẩu không đạt chính sách (tối thiểu 8 ký tự, có chữ và số), phòng ban / chức vụ chưa tồn tại hoặc Idempotency-Key không hợp lệ
  *       403:
- *         description: Không có quyền truy cập
+ *         description: Không có quyền truy cập hoặc phòng ban nằm ngoài cây phòng ban của người gọi
+ *       409:
+ *         description: username đã tồn tại, hoặc onboarding của Idempotency-Key này đã thất bại / bị hoàn tác (kèm onboardingId)
+ *       422:
+ *         description: Idempotency-Key đã được dùng cho một nhân viên khác
  *       500:
- *         description: Lỗi máy chủ
+ *         description: Lỗi máy chủ; onboarding được đánh dấu failed (kèm onboardingId) để thử lại hoặc hoàn tác
  */
-employeeRouter.post("/employee", authenticateToken, async (req, res) => {
-  const userData = req.user;
-
-  // Chặn role 3 không được thêm nhân viên
-  if (userData.role_id === 3) {
-    return res.status(403).json({ message: "Access denied for this role" });
-  }
-
+employeeRouter.post("/employee", authenticateToken, requirePermission("employees:write"), async (req, res) => {
   try {
     const { fullName, email, phone, department, position, username, password } = req.body;
 
-    //  1. Thêm user mới
-    const [insertResult] = await connection
-      .promise()
-      .query(
-        "INSERT INTO users (username, password, role_id,wallet_address,private_key) VALUES (?, ?, ?, ?, ?)",
-        [username, password, 3, "0x0000000000000000000000000000000000000000", "0x9876543210987654321098765432109876543210"]
-      );
-
-    const userId = insertResult.insertId;
-
-    // 2. Tạo ví blockchain cho nhân viên
-    const employeeWallet = await createAndFundWallet(); // { address, privateKey }
-
-    // 3. Ghi lên blockchain
-    const accounts = await web3.eth.getAccounts();
-    const owner = accounts[0];
-
-    const receipt = await contract.methods
-      .registerEmployee(
-        userId.toString(),
-        fullName,
-        email,
-        phone,
-        department,
-        position,
-        employeeWallet.address
-      )
-      .send({ from: owner, gas: 3000000 });
-
-    //  4. Cập nhật ví và khóa riêng trong database
-    await connection
-      .promise()
-      .query(
-        "UPDATE users SET wallet_address = ?, private_key = ? WHERE id = ?",
-        [employeeWallet.address, employeeWallet.privateKey, userId]
-      );
+    if (!username) {
+      return res.status(400).json({ message: "username is required" });
+    }
+    const policyError = validatePasswordPolicy(password, { username });
+    if (policyError) {
+      return res.status(400).json({ message: policyError });
+    }
 
-    //  5. Trả kết quả cho client
-    res.json({
-      userCode: userId,
-      fullName,
-      email,
-      phone,
-      department,
-      position,
-      wallet: {
-        address: employeeWallet.address,
-        privateKey: employeeWallet.privateKey,
-      },
-      txHash: receipt.transactionHash,
-    });
+    const idempotencyKey = validateIdempotencyKey(req.get("Idempotency-Key"));
+
+    // Mật khẩu được băm bằng scrypt trước khi lưu
+    const passwordHash = await hashPassword(password);
+    const employee = await createEmployee(
+      { fullName, email, phone, department, position, username, passwordHash },
+      req.user,
+      { idempotencyKey }
+    );
+    // 202: đã tạo tài khoản và ví, đăng ký blockchain còn đang chờ (job tự thử lại)
+    res.status(employee.onboarding.status === "completed" ? 200 : 202).json(employee);
   } catch (err) {
     console.error("❌ Error adding employee:", err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message, onboardingId: err.onboardingId });
   }
 });
 
@@ -303,7 +299,10 @@ employeeRouter.post("/employee", authenticateToken, async (req, res) => {
  * /api/employee/{userCode}/avatar:
  *   post:
  *     summary: Upload ảnh đại diện nhân viên và lưu lên IPFS
+ *     description: Nhân viên tự đổi ảnh của mình; đổi ảnh người khác cần quyền employees:write
  *     tags: [Employee]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userCode
@@ -335,8 +334,12 @@ employeeRouter.post("/employee", authenticateToken, async (req, res) => {
  *                 url:
  *                   type: string
  *                   example: "https://ipfs.io/ipfs/bafybeig7..."
+ *       401:
+ *         description: Chưa đăng nhập
+ *       403:
+ *         description: Không có quyền đổi ảnh của nhân viên khác
  */
-employeeRouter.post("/employee/:userCode/avatar", upload.single("avatar") , async (req, res) => {
+employeeRouter.post("/employee/:userCode/avatar", authenticateToken, requirePermissionOrSelf("employees:write", "userCode"), upload.single("avatar"), async (req, res) => {
   try {
     const { userCode } = req.params;
     if (!req.file) {
@@ -379,11 +382,188 @@ employeeRouter.post("/employee/:userCode/avatar", upload.single("avatar") , asyn
   }
 });
 
+/**
+ * @swagger
+ * /api/employee/{userCode}:
+ *   patch:
+ *     summary: Cập nhật hồ sơ nhân viên (chỉ gửi các trường cần đổi)
+ *     description: |
+ *       Cập nhật bản sao trong MySQL và lưu lịch sử ngay, sau đó ghi lên contract qua chain job
+ *       update_employee_profile (sự kiện EmployeeUpdated chứa các trường đã đổi). Job lỗi sẽ được thử lại.
+ *     tags: [Employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userCode
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Mã nhân viên
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               fullName: { type: string, example: "Tran Thi B" }
+ *               email: { type: string, example: "tranb@example.com" }
+ *               phone: { type: string, example: "0911222333" }
+ *               department: { type: string, example: "HR", description: Tên phòng ban đã có (không phân biệt hoa thường) }
+ *               position: { type: string, example: "Manager", description: Tên chức vụ đã có (không phân biệt hoa thường) }
+ *     responses:
+ *       200:
+ *         description: Hồ sơ sau khi cập nhật và các trường đã đổi (changes rỗng nếu không có gì thay đổi)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userCode: { type: string }
+ *                 profile:
+ *                   type: object
+ *                   properties:
+ *                     fullName: { type: string }
+ *                     email: { type: string }
+ *                     phone: { type: string }
+ *                     department: { type: string }
+ *                     position: { type: string }
+ *                 changes:
+ *                   type: object
+ *                   description: "{ field: { from, to } }"
+ *                   example: { position: { from: "Staff", to: "Manager" } }
+ *                 changeId: { type: integer, nullable: true }
+ *                 txHash: { type: string, nullable: true }
+ *                 profileJob:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Chain job ghi thay đổi lên blockchain (được thử lại nếu thất bại)
+ *                   properties:
+ *                     id: { type: integer }
+ *                     status: { type: string, enum: [pending, running, succeeded, failed, dead] }
+ *                     error: { type: string, nullable: true }
+ *       400:
+ *         description: Trường không hợp lệ, không có trường nào để cập nhật hoặc phòng ban / chức vụ chưa tồn tại
+ *       403:
+ *         description: Không có quyền employees:write hoặc nhân viên / phòng ban mới nằm ngoài cây phòng ban của người gọi
+ *       404:
+ *         description: Không tìm thấy nhân viên
+ */
+employeeRouter.patch("/employee/:userCode", authenticateToken, requirePermission("employees:write"), async (req, res) => {
+  try {
+    const { userCode } = req.params;
+    const updates = validateProfileUpdate(req.body);
+
+    // Quản lý chỉ sửa nhân viên và chuyển sang phòng ban trong cây phòng ban của mình
+    await assertUserInScope(req.user, userCode);
+    if (updates.department !== undefined) {
+      await assertDepartmentInScope(req.user, (await resolveDepartment(updates.department)).id);
+    }
+
+    const { profile, changes, change, job } = await updateEmployeeProfile(userCode, updates, req.user.id);
+
+    res.json({
+      userCode,
+      profile,
+      changes,
+      changeId: change?.id ?? null,
+      txHash: change?.txHash ?? null,
+      profileJob: job ? { id: job.id, status: job.status, error: job.last_error } : null,
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("❌ Error updating employee profile:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/employee/{userCode}/history:
+ *   get:
+ *     summary: Lịch sử thay đổi hồ sơ nhân viên (mới nhất trước) – ai sửa, lúc nào, đổi gì
+ *     description: Nhân viên xem được lịch sử của chính mình; xem của người khác cần quyền employees:read
+ *     tags: [Employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userCode
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Mã nhân viên
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, example: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: Một trang lịch sử thay đổi
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userCode: { type: string }
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: integer }
+ *                       changes:
+ *                         type: object
+ *                         description: "{ field: { from, to } }"
+ *                       changedBy:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           id: { type: integer }
+ *                           username: { type: string }
+ *                       changedAt: { type: string, format: date-time }
+ *                       txHash: { type: string, nullable: true, description: TX phát sự kiện EmployeeUpdated }
+ *                       job:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           id: { type: integer }
+ *                           status: { type: string, enum: [pending, running, succeeded, failed, dead] }
+ *                           error: { type: string, nullable: true }
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 total: { type: integer }
+ *       400:
+ *         description: Tham số phân trang không hợp lệ
+ *       403:
+ *         description: Không có quyền xem lịch sử của nhân viên khác
+ *       404:
+ *         description: Không tìm thấy nhân viên
+ */
+employeeRouter.get("/employee/:userCode/history", authenticateToken, requirePermissionOrSelf("employees:read", "userCode"), async (req, res) => {
+  try {
+    const { userCode } = req.params;
+    const { page, limit } = req.query;
+
+    await assertUserInScope(req.user, userCode);
+    const result = await listProfileHistory(userCode, { page, limit });
+    res.json({ userCode, ...result });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("❌ Error fetching employee profile history:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/employee/{userCode}/status:
  *   put:
- *     summary: Cập nhật trạng thái hoạt động của nhân viên
+ *     summary: Cập nhật trạng thái hoạt động của nhân viên (khóa tài khoản sẽ thu hồi mọi phiên đăng nhập)
  *     tags: [Employee]
  *     parameters:
  *       - in: path
@@ -412,29 +592,34 @@ employeeRouter.post("/employee/:userCode/avatar", upload.single("avatar") , asyn
  *               type: object
  *               properties:
  *                 txHash: { type: string, example: "0xdef456..." }
+ *       403:
+ *         description: Nhân viên nằm ngoài cây phòng ban của người gọi
  *       500:
  *         description: Lỗi khi gửi transaction
  */
-employeeRouter.put("/employee/:userCode/status", authenticateToken, async (req, res) => {
-  const userData = req.user;
-  // Chặn role 3 không được thêm nhân viên
-  if (userData.role_id === 3) {
-    return res.status(403).json({ message: "Access denied for this role" });
-  }
-
+employeeRouter.put("/employee/:userCode/status", authenticateToken, requirePermission("employees:write"), async (req, res) => {
   try {
     const { userCode } = req.params;
     const { active } = req.body;
-    const accounts = await web3.eth.getAccounts();
-    const owner = accounts[0];
 
-    const receipt = await contract.methods
-      .updateEmployeeStatus(userCode, active)
-      .send({ from: owner, gas: 2000000 });
+    await assertUserInScope(req.user, userCode);
+
+    const receipt = await sendOwnerContractCall(contract, contract.methods.updateEmployeeStatus(userCode, active), {
+      gas: 2000000,
+      purpose: "update_employee_status",
+      reference: `employee:${userCode}`,
+    });
+
+    // Đồng bộ trạng thái vào MySQL; khóa tài khoản thì thu hồi mọi token đang dùng
+    const isActive = active === true || active === "true" || active === 1;
+    await connection.promise().query("UPDATE users SET status = ? WHERE id = ?", [isActive ? 1 : 0, userCode]);
+    if (!isActive) {
+      await revokeAllUserTokens(userCode, "deactivated");
+    }
 
     res.json({ txHash: receipt.transactionHash });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -442,11 +627,13 @@ employeeRouter.put("/employee/:userCode/status", authenticateToken, async (req,
  * @swagger
  * /api/employee/balance:
  *   post:
- *     summary: Lấy số dư ETH bằng address hoặc privateKey hoặc userCode (body)
+ *     summary: Lấy số dư ví (đơn vị trả lương) của user đăng nhập
  *     tags: [Employee]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Số dư ETH và địa chỉ resolved
+ *         description: Số dư ví và địa chỉ resolved
  *         content:
  *           application/json:
  *             schema:
@@ -454,41 +641,51 @@ employeeRouter.put("/employee/:userCode/status", authenticateToken, async (req,
  *               properties:
  *                 balance:
  *                   type: number
+ *                   description: Số dư theo PAYROLL_CURRENCY (token hoặc ETH)
+ *                 currency:
+ *                   type: string
+ *                   enum: [eth, token]
+ *                 token:
+ *                   type: object
+ *                   nullable: true
+ *                   description: address / symbol / decimals của PayrollToken (null khi trả bằng ETH)
+ *                 ethBalance:
+ *                   type: number
+ *                   description: Số dư ETH (dùng trả phí gas)
  *                 address:
  *                   type: string
- *       400:
- *         description: Yêu cầu không hợp lệ (ví dụ address/privateKey không khớp)
- *       404:
- *         description: Không tìm thấy nhân viên (khi userCode không tồn tại)
+ *                 bookBalance:
+ *                   type: number
+ *                   description: Số dư sổ sách (ghi có - rút - mua hàng) từ chỉ mục sự kiện
+ *                 ledger:
+ *                   type: object
+ *                   description: Tổng credited / withdrawn / purchased / bookBalance (wei)
  *       500:
  *         description: Lỗi server
  */
 employeeRouter.post("/employee/balance", authenticateToken, async (req, res) => {
-  
   const userData = req.user;
   const wallet_address = userData.wallet_address;
-  const private_key = userData.private_key;
 
   try {
-    // If privateKey provided, derive address
-    if (private_key) {
-      let possiblePk = private_key;
-      if (!possiblePk.startsWith("0x")) possiblePk = "0x" + possiblePk;
-      try {
-        const acct = web3.eth.accounts.privateKeyToAccount(possiblePk);
-        const derived = acct.address;
-        if (wallet_address && wallet_address.toLowerCase() !== derived.toLowerCase()) {
-          return res.status(400).json({ error: "Provided privateKey does not match provided address" });
-        }
-      } catch (e) {
-        return res.status(400).json({ error: "Invalid privateKey" });
-      }
-    }
-
-    // Query balance by resolved address
-    const balanceWei = await web3.eth.getBalance(wallet_address);
-    const balanceEth = web3.utils.fromWei(balanceWei, "ether");
-    return res.json({ balance: Number(balanceEth), address: wallet_address });
+    // Query balance by the user's wallet address; số dư sổ sách lấy từ chỉ mục sự kiện
+    const [ethWei, tokenWei, token, ledger] = await Promise.all([
+      web3.eth.getBalance(wallet_address),
+      isTokenPayroll() ? getTokenBalance(wallet_address) : null,
+      getPayrollTokenInfo(),
+      getEmployeeLedger(userData.id),
+    ]);
+    const ethBalance = Number(web3.utils.fromWei(ethWei, "ether"));
+    return res.json({
+      // Số dư theo đơn vị trả lương (token hoặc ETH)
+      balance: tokenWei === null ? ethBalance : Number(web3.utils.fromWei(tokenWei, "ether")),
+      currency: PAYROLL_CURRENCY,
+      token,
+      ethBalance,
+      address: wallet_address,
+      bookBalance: Number(web3.utils.fromWei(ledger.bookBalance, "ether")),
+      ledger,
+    });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
@@ -498,115 +695,117 @@ employeeRouter.post("/employee/balance", authenticateToken, async (req, res) =>
  * @swagger
  * /api/employee/withdraw:
  *   post:
- *     summary: Employee withdraws ETH by providing privateKey (server signs and sends TX)
+ *     summary: Employee withdraws wages (ETH or payroll token) from their own wallet (server signs with the custodied key)
+ *     description: |
+ *       Ví của nhân viên đăng nhập được ký trên server bằng khóa do key vault giữ; client không gửi khóa riêng.
+ *       Khi PAYROLL_CURRENCY=token, số token được chuyển về ví payroll (phí gas vẫn trả bằng ETH).
+ *       Nếu ví không đủ ETH trả phí gas, gas station nạp thêm từ ví owner trong hạn mức (gasSubsidy trong kết quả).
+ *       Chỉ khi bật ALLOW_BODY_PRIVATE_KEY=true mới chấp nhận privateKey trong body (chế độ cũ).
  *     tags: [Employee]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [userCode, privateKey, amount]
+ *             required: [amount]
  *             properties:
- *               userCode: { type: string }
- *               privateKey: { type: string }
- *               amount: { type: number, description: 'Amount in ETH' }
+ *               userCode: { type: string, description: 'Mặc định là user đăng nhập; nếu gửi phải trùng' }
+ *               amount: { type: number, description: 'Amount in ETH (or tokens when PAYROLL_CURRENCY=token)' }
+ *               privateKey: { type: string, deprecated: true, description: 'Chỉ dùng khi ALLOW_BODY_PRIVATE_KEY=true' }
  *     responses:
  *       200:
- *         description: Withdraw executed and recorded
+ *         description: Withdraw executed; the contract record is sent through a chain job (recordJob) and retried if it fails
+ *       400:
+ *         description: Thiếu amount, không đủ số dư hoặc gửi privateKey khi chế độ cũ đã tắt
+ *       403:
+ *         description: userCode không phải của user đăng nhập
+ *       409:
+ *         description: Server không giữ khóa ví của nhân viên này
  */
-employeeRouter.post("/employee/withdraw", async (req, res) => {
+employeeRouter.post("/employee/withdraw", authenticateToken, requirePermission("wallet:withdraw"), async (req, res) => {
   try {
-    const { userCode, privateKey, amount } = req.body || {};
-    if (!userCode || !privateKey || !amount) return res.status(400).json({ error: "userCode, privateKey, amount required" });
+    const { privateKey, amount } = req.body || {};
+    const userCode = String(req.body?.userCode ?? req.user.id);
+    if (!amount) return res.status(400).json({ error: "amount required" });
 
-    let pk = privateKey;
-    if (!pk.startsWith("0x")) pk = "0x" + pk;
+    // Chỉ được rút tiền từ ví của chính mình
+    if (userCode !== String(req.user.id)) {
+      return res.status(403).json({ error: "Access denied for this userCode" });
+    }
 
-    const acct = web3.eth.accounts.privateKeyToAccount(pk);
-    const from = acct.address;
+    const signer = await resolveRequestSigner(req.user.id, privateKey);
+    const from = signer.address;
 
     // Verify that from address matches employee wallet
     const emp = await contract.methods.getEmployee(userCode).call();
     if (!emp || !emp[0]) return res.status(404).json({ error: "Employee not found" });
     const wallet = emp[6];
-    if (wallet.toLowerCase() !== from.toLowerCase()) return res.status(400).json({ error: "privateKey does not match employee wallet" });
+    if (wallet.toLowerCase() !== from.toLowerCase()) return res.status(400).json({ error: "Signer does not match employee wallet" });
 
-    // send ETH to owner/collector (accounts[0])
-    const accounts = await web3.eth.getAccounts();
-    const collector = accounts[0];
+    // send ETH to owner/collector
+    const collector = await getOwnerAddress();
 
     const amountWei = web3.utils.toWei(String(amount), "ether");
 
-    const txCount = await web3.eth.getTransactionCount(from, "pending");
+    // Token: chuyển token về ví payroll; ETH: chuyển ETH trực tiếp
+    const transfer = isTokenPayroll()
+      ? {
+          to: payrollTokenContract.options.address,
+          data: payrollTokenContract.methods.transfer(collector, amountWei).encodeABI(),
+          value: 0n,
+          gas: 100000n,
+        }
+      : { to: collector, value: BigInt(amountWei), gas: 21000n };
 
-    // Check balance to avoid failing tx (amount + gas)
-    const balanceWei = await web3.eth.getBalance(from);
-    const gasLimit = 21000;
+    const gasLimit = transfer.gas;
     const gasPrice = await web3.eth.getGasPrice();
-    const totalCost = BigInt(amountWei) + BigInt(gasLimit) * BigInt(gasPrice);
-    if (BigInt(balanceWei) < totalCost) {
-      return res.status(400).json({ error: "Insufficient funds to cover amount + gas" });
+    const gasCost = gasLimit * BigInt(gasPrice);
+
+    if (isTokenPayroll() && (await getTokenBalance(from)) < BigInt(amountWei)) {
+      return res.status(400).json({ error: "Insufficient token balance" });
     }
 
-    const chainId = await web3.eth.getChainId();
-
-    // Ensure numeric fields are encoded as proper hex numbers (use BN) to avoid
-    // web3 treating decimal strings as raw UTF-8 bytes which produces values like 0x3130...
-    const tx = {
-      nonce: toHexBn(txCount),
-      to: collector,
-      value: toHexBn(amountWei),
-      gas: toHexBn(gasLimit),
-      gasPrice: toHexBn(gasPrice),
-      chainId,
-    };
+    // Gas station nạp phí gas nếu ví không đủ (trong hạn mức)
+    const gasSubsidy = await sponsorGas({
+      userId: req.user.id,
+      wallet: from,
+      gasWei: gasCost,
+      spendWei: isTokenPayroll() ? 0n : BigInt(amountWei),
+      source: "withdraw",
+    });
 
-    // Use signTransaction helper with the raw private key to ensure proper fields
-    let signed, sent;
-    try {
-      signed = await web3.eth.accounts.signTransaction(tx, pk);
-    } catch (signErr) {
-      return res.status(500).json(safeJson({ error: `signTransaction failed: ${signErr.message || signErr}`, context: { tx, txCount, balanceWei, gasLimit, gasPrice } }));
+    // Check balance to avoid failing tx (amount + gas)
+    const balanceWei = await web3.eth.getBalance(from);
+    if (isTokenPayroll()) {
+      if (BigInt(balanceWei) < gasCost) {
+        return res.status(400).json({ error: "Insufficient ETH to cover gas", gasSubsidy });
+      }
+    } else if (BigInt(balanceWei) < BigInt(amountWei) + gasCost) {
+      return res.status(400).json({ error: "Insufficient funds to cover amount + gas", gasSubsidy });
     }
 
+    // Numeric fields as BigInt so web3 does not treat decimal strings as raw bytes
+    let sent;
     try {
-      sent = await web3.eth.sendSignedTransaction(signed.rawTransaction);
+      sent = await signAndSend(signer, { ...transfer, gasPrice: BigInt(gasPrice) });
     } catch (sendErr) {
+      if (sendErr.status) throw sendErr;
       // Surface detailed error info from send failure
       const sendMsg = sendErr && sendErr.message ? sendErr.message : String(sendErr);
-      return res.status(500).json(safeJson({ error: `sendSignedTransaction failed: ${sendMsg}`, context: { tx, txCount, signedRawTx: signed.rawTransaction, balanceWei, gasLimit, gasPrice } }));
-    }
-
-    // Record withdraw in contract (bookkeeping)
-    const owner = accounts[0];
-
-    // Verify that the server account is actually the contract owner (recordWithdraw is onlyOwner)
-    const contractOwner = await contract.methods.owner().call();
-    if (contractOwner.toLowerCase() !== owner.toLowerCase()) {
-      return res.status(400).json({
-        error: `Contract owner mismatch: recordWithdraw may only be called by contract owner. Contract owner is ${contractOwner} but server is using ${owner}. Either redeploy contract with the server account as owner or call recordWithdraw from the contract owner account.`
-      });
+      return res.status(500).json(safeJson({ error: `Withdraw transaction failed: ${sendMsg}`, context: { from, balanceWei, gasLimit, gasPrice } }));
     }
 
-    // Try estimating gas for the recordWithdraw call to catch reverts with reason
-    try {
-      await contract.methods.recordWithdraw(userCode, amountWei).estimateGas({ from: owner });
-    } catch (estErr) {
-      // Provide a clearer error back to client with context
-      const estMsg = estErr && estErr.message ? estErr.message : String(estErr);
-      return res.status(500).json(safeJson({ error: `recordWithdraw estimateGas failed: ${estMsg}`, context: { contractOwner, owner, userCode, wallet, amountWei } }));
-    }
-
-    let record;
-    try {
-      record = await contract.methods.recordWithdraw(userCode, amountWei).send({ from: owner, gas: 200000 });
-    } catch (sendErr) {
-      const sendMsg = sendErr && sendErr.message ? sendErr.message : String(sendErr);
-      // Try to surface nested revert reason if available
-      const extra = sendErr && sendErr.cause ? sendErr.cause : undefined;
-      return res.status(500).json(safeJson({ error: `recordWithdraw transaction failed: ${sendMsg}`, extra, context: { contractOwner, owner, userCode, wallet, amountWei } }));
-    }
+    // Record withdraw in contract (bookkeeping). The ETH has already moved, so the
+    // record goes through the chain job outbox and is retried if it fails now.
+    const recordJob = await enqueueJob(
+      "record_withdraw",
+      { userCode: String(userCode), amountWei: String(amountWei), transferTx: sent.transactionHash },
+      { reference: `withdraw:${sent.transactionHash}` }
+    );
+    const record = await runJobNow(recordJob.id);
 
     // Compute fiat conversion (default rate 20000 per ETH if not provided via ENV)
     const ratePerEth = Number(process.env.EXCHANGE_RATE) || 20000;
@@ -614,15 +813,19 @@ employeeRouter.post("/employee/withdraw", async (req, res) => {
 
     return res.json({
       message: "Withdraw executed",
+      currency: PAYROLL_CURRENCY,
       amountEth: Number(amount),
       fiatCurrency: "VND",
       ratePerEth,
       fiatValue,
+      signer: signer.type,
+      gasSubsidy,
       transferTx: sent.transactionHash,
-      recordTx: record.transactionHash,
+      recordTx: record.result?.recordTx || null,
+      recordJob: { id: record.id, status: record.status, error: record.last_error },
     });
   } catch (err) {
-    return res.status(500).json({ error: err.message });
+    return res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -631,99 +834,104 @@ employeeRouter.post("/employee/withdraw", async (req, res) => {
  * @swagger
  * /api/employee/{userCode}/logs:
  *   get:
- *     summary: Lấy exchange logs (credits & withdraws) theo userCode
+ *     summary: Lấy exchange logs (credits, withdraws, purchases) theo userCode từ chỉ mục sự kiện (phân trang)
  *     tags: [Employee]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userCode
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: action
+ *         schema: { type: string, enum: [credit, withdraw, purchase] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, example: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50, maximum: 200 }
  *     responses:
  *       200:
- *         description: Danh sách log
+ *         description: Một trang log, mới nhất trước; bookBalance tính trên toàn bộ log đã index
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userCode: { type: string }
+ *                 logs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       timestamp: { type: integer }
+ *                       action: { type: string, enum: [credit, withdraw, purchase] }
+ *                       amountEth: { type: number }
+ *                       txHash: { type: string }
+ *                       blockNumber: { type: integer }
+ *                 bookBalance: { type: number }
+ *                 logCount: { type: integer, description: Tổng số log (mọi trang) }
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 indexedToBlock: { type: integer }
+ *       400:
+ *         description: Tham số không hợp lệ
+ *       403:
+ *         description: Không có quyền xem log của nhân viên khác hoặc nhân viên nằm ngoài cây phòng ban của người gọi
+ *       404:
+ *         description: Không tìm thấy nhân viên
  */
-employeeRouter.get("/employee/:userCode/logs", authenticateToken, async (req, res) => {
+employeeRouter.get("/employee/:userCode/logs", authenticateToken, requirePermissionOrSelf("employees:read", "userCode"), async (req, res) => {
   try {
     const { userCode } = req.params;
-
-    // Kiểm tra employee tồn tại
-    let emp;
-    try {
-      emp = await contract.methods.getEmployee(userCode).call();
-    } catch (empErr) {
-      console.error("Error getting employee:", empErr.message);
-      return res.status(404).json({ error: "Employee not found or error fetching employee data", detail: empErr.message });
+    const { action, page, limit } = req.query;
+
+    const actions = Object.entries(EMPLOYEE_LOG_ACTIONS);
+    const eventNames = action
+      ? actions.filter(([, a]) => a === action).map(([name]) => name)
+      : actions.map(([name]) => name);
+    if (!eventNames.length) {
+      return res.status(400).json({ error: "action must be one of credit, withdraw, purchase" });
     }
 
-    if (!emp || !emp[0]) {
+    // Kiểm tra employee tồn tại (userCode = users.id)
+    const [users] = await connection.promise().query("SELECT id FROM users WHERE id = ?", [userCode]);
+    if (!users.length) {
       return res.status(404).json({ error: "Employee not found" });
     }
-
-    // Lấy số lượng log
-    let count;
-    try {
-      count = await contract.methods.getLogCount(userCode).call();
-      count = Number(count);
-    } catch (countErr) {
-      console.error("Error getting log count:", countErr.message);
-      return res.status(500).json({ error: "Error fetching log count", detail: countErr.message });
-    }
-
-    // Lấy từng log entry
-    const logs = [];
-    for (let i = 0; i < count; i++) {
-      try {
-        const l = await contract.methods.getLogByIndex(userCode, i).call();
-        const actionType = Number(l[1]);
-        let action = 'credit';
-        if (actionType === 1) action = 'withdraw';
-        else if (actionType === 2) action = 'purchase';
-        
-        logs.push({
-          timestamp: Number(l[0]),
-          action,
-          amountEth: Number(web3.utils.fromWei(l[2].toString(), "ether"))
-        });
-      } catch (logErr) {
-        console.error(`Error fetching log at index ${i}:`, logErr.message);
-        return res.status(500).json({ error: `Error fetching log at index ${i}`, detail: logErr.message });
-      }
-    }
-
-    // Tính book balance từ logs
-    let bookBalanceEth = "0";
-    try {
-      let totalCredit = 0;
-      let totalDebit = 0; // includes both withdrawals and purchases
-      
-      logs.forEach(log => {
-        if (log.action === "credit") {
-          totalCredit += log.amountEth;
-        } else if (log.action === "withdraw" || log.action === "purchase") {
-          totalDebit += log.amountEth;
-        }
-      });
-      
-      bookBalanceEth = (totalCredit - totalDebit).toString();
-    } catch (calcErr) {
-      console.error("Error calculating book balance:", calcErr.message);
-      bookBalanceEth = "0";
-    }
+    await assertUserInScope(req.user, userCode);
+
+    // Đọc từ chỉ mục sự kiện thay vì gọi getLogByIndex từng phần tử
+    const [result, ledger, indexer] = await Promise.all([
+      listChainEvents({ userCode, eventName: eventNames, page, limit }),
+      getEmployeeLedger(userCode),
+      getIndexerStatus(),
+    ]);
+
+    const logs = result.events.map((e) => ({
+      timestamp: Math.floor(new Date(e.event_time).getTime() / 1000),
+      action: EMPLOYEE_LOG_ACTIONS[e.event_name],
+      amountEth: Number(web3.utils.fromWei(e.amount_wei, "ether")),
+      txHash: e.tx_hash,
+      blockNumber: Number(e.block_number),
+    }));
 
     return res.json({
       userCode,
       logs,
-      bookBalance: Number(bookBalanceEth),
-      logCount: logs.length
+      bookBalance: Number(web3.utils.fromWei(ledger.bookBalance, "ether")),
+      logCount: result.total,
+      page: result.page,
+      limit: result.limit,
+      indexedToBlock: indexer.lastBlock,
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("Unexpected error in /logs endpoint:", err);
-    return res.status(500).json({
-      error: "Error happened while trying to execute a function inside a smart contract",
-      detail: err.message,
-      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
-    });
+    return res.status(500).json({ error: err.message });
   }
 });
 
@@ -731,9 +939,8 @@ employeeRouter.get("/employee/:userCode/logs", authenticateToken, async (req, re
 employeeRouter.get('/employee/contract-owner', async (req, res) => {
   try {
     const onChainOwner = await contract.methods.owner().call();
-    const accounts = await web3.eth.getAccounts();
-    const serverAccount = accounts[0];
-    return res.json({ contractOwner: onChainOwner, serverAccount });
+    const serverAccount = await getOwnerAddress();
+    return res.json({ contractOwner: onChainOwner, serverAccount, network: network.name });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
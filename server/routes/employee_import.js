@@ -0,0 +1,324 @@
+import express from "express";
+import multer from "multer";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { hasPermission } from "../services/permissionService.js";
+import {
+  confirmImport,
+  createImport,
+  getImport,
+  listImportRows,
+  listImports,
+} from "../services/employeeImportService.js";
+
+const employeeImportRouter = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+});
+
+// Lỗi của multer (file quá lớn, sai tên trường) trả về 400 thay vì 500
+function uploadFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: EmployeeImport
+ *     description: Thêm nhân viên hàng loạt từ file CSV / XLSX – kiểm tra thử (dry run) trước, xác nhận rồi xử lý nền từng dòng
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmployeeImport:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 3 }
+ *         fileName: { type: string, example: "site-b.xlsx" }
+ *         format: { type: string, enum: [csv, xlsx] }
+ *         status: { type: string, enum: [validated, invalid, queued, processing, completed, completed_with_errors] }
+ *         assignCards: { type: boolean }
+ *         totalRows: { type: integer, example: 200 }
+ *         invalidRows: { type: integer, example: 0 }
+ *         processedRows: { type: integer, example: 120 }
+ *         succeededRows: { type: integer, example: 119 }
+ *         failedRows: { type: integer, example: 1 }
+ *         createdBy: { type: integer, nullable: true }
+ *         confirmedBy: { type: integer, nullable: true }
+ *         createdAt: { type: string, format: date-time }
+ *         confirmedAt: { type: string, format: date-time, nullable: true }
+ *         startedAt: { type: string, format: date-time, nullable: true }
+ *         finishedAt: { type: string, format: date-time, nullable: true }
+ *     EmployeeImportRow:
+ *       type: object
+ *       properties:
+ *         line: { type: integer, example: 2, description: Dòng trong file (dòng 1 là tiêu đề) }
+ *         status: { type: string, enum: [invalid, valid, processing, succeeded, failed] }
+ *         username: { type: string, nullable: true }
+ *         fullName: { type: string, nullable: true }
+ *         department: { type: string, nullable: true, description: Tên chuẩn của phòng ban }
+ *         position: { type: string, nullable: true }
+ *         cardUid: { type: string, nullable: true }
+ *         errors:
+ *           type: array
+ *           description: Lỗi kiểm tra, lỗi khi tạo nhân viên hoặc lỗi gán thẻ (dòng vẫn succeeded)
+ *           items: { type: string }
+ *         userId: { type: integer, nullable: true }
+ *         cardAssigned: { type: boolean }
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             wallet: { type: string }
+ *             txHash: { type: string, nullable: true }
+ *             registrationJob: { type: object }
+ *             onboarding:
+ *               type: object
+ *               description: Onboarding của nhân viên (xem /api/employee-onboardings/{id} khi dòng failed giữa chừng)
+ *               properties:
+ *                 id: { type: integer }
+ *                 status: { type: string }
+ *                 step: { type: string }
+ *         processedAt: { type: string, format: date-time, nullable: true }
+ */
+
+/**
+ * @swagger
+ * /api/employee-imports:
+ *   post:
+ *     summary: Tải file CSV / XLSX lên và kiểm tra thử (dry run), chưa tạo nhân viên nào
+ *     description: |
+ *       Dòng 1 là tiêu đề với các cột username, password, full_name, email, phone, department, position
+ *       và card_uid (tùy chọn, chỉ dùng khi assign_cards = true; cần thêm quyền cards:write).
+ *       Mọi dòng đều được kiểm tra: thiếu trường, email / số điện thoại sai, mật khẩu không đạt chính sách,
+ *       username trùng trong file hoặc đã tồn tại, phòng ban / chức vụ chưa có hoặc ngoài cây phòng ban
+ *       của người gọi, thẻ đã gán cho người khác. Tối đa EMPLOYEE_IMPORT_MAX_ROWS dòng (mặc định 500).
+ *     tags: [EmployeeImport]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               assign_cards:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Kết quả kiểm tra thử – status validated (có thể xác nhận) hoặc invalid kèm lỗi từng dòng
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 import:
+ *                   $ref: '#/components/schemas/EmployeeImport'
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmployeeImportRow'
+ *       400:
+ *         description: Không có file, sai định dạng, thiếu cột hoặc quá nhiều dòng
+ *       403:
+ *         description: Không có quyền employees:write (hoặc cards:write khi assign_cards)
+ */
+employeeImportRouter.post("/employee-imports", authenticateToken, requirePermission("employees:write"), uploadFile, async (req, res) => {
+  if (!req.file) return res.status(400).json({ message: "file is required" });
+  const assignCards = req.body?.assign_cards === true || req.body?.assign_cards === "true";
+
+  try {
+    if (assignCards && !(await hasPermission(req.user, "cards:write"))) {
+      return res.status(403).json({ message: "Missing permission: cards:write" });
+    }
+    res.status(201).json(await createImport(req.file, req.user, { assignCards }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error validating employee import:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/employee-imports/{id}/confirm:
+ *   post:
+ *     summary: Xác nhận dry run – nhân viên được tạo nền từng dòng (tạo tài khoản, ví, đăng ký blockchain, gán thẻ)
+ *     description: Theo dõi tiến độ qua GET /api/employee-imports/{id} và kết quả từng dòng qua /rows.
+ *     tags: [EmployeeImport]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       202:
+ *         description: Import đã vào hàng đợi
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmployeeImport'
+ *       404:
+ *         description: Không tìm thấy import
+ *       409:
+ *         description: File còn dòng lỗi, import đã được xác nhận hoặc dry run đã hết hạn
+ */
+employeeImportRouter.post("/employee-imports/:id/confirm", authenticateToken, requirePermission("employees:write"), async (req, res) => {
+  try {
+    res.status(202).json(await confirmImport(req.params.id, req.user));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error confirming employee import:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/employee-imports:
+ *   get:
+ *     summary: Danh sách các lần import (mới nhất trước)
+ *     tags: [EmployeeImport]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [validated, invalid, queued, processing, completed, completed_with_errors] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, example: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *     responses:
+ *       200:
+ *         description: Danh sách import kèm tiến độ
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 imports:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmployeeImport'
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 total: { type: integer }
+ */
+employeeImportRouter.get("/employee-imports", authenticateToken, requirePermission("employees:write"), async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    res.json(await listImports({ status, page, limit }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error fetching employee imports:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/employee-imports/{id}:
+ *   get:
+ *     summary: Xem trạng thái và tiến độ một lần import
+ *     tags: [EmployeeImport]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Import và bộ đếm tiến độ
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmployeeImport'
+ *       404:
+ *         description: Không tìm thấy import
+ */
+employeeImportRouter.get("/employee-imports/:id", authenticateToken, requirePermission("employees:write"), async (req, res) => {
+  try {
+    const employeeImport = await getImport(req.params.id);
+    if (!employeeImport) return res.status(404).json({ message: "Import not found" });
+    res.json(employeeImport);
+  } catch (err) {
+    console.error("❌ Error fetching employee import:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/employee-imports/{id}/rows:
+ *   get:
+ *     summary: Kết quả từng dòng của một lần import (theo thứ tự trong file)
+ *     tags: [EmployeeImport]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [invalid, valid, processing, succeeded, failed] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, example: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *     responses:
+ *       200:
+ *         description: Các dòng của import
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmployeeImportRow'
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 total: { type: integer }
+ *       404:
+ *         description: Không tìm thấy import
+ */
+employeeImportRouter.get("/employee-imports/:id/rows", authenticateToken, requirePermission("employees:write"), async (req, res) => {
+  try {
+    if (!(await getImport(req.params.id))) return res.status(404).json({ message: "Import not found" });
+    const { status, page, limit } = req.query;
+    res.json(await listImportRows(req.params.id, { status, page, limit }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error fetching employee import rows:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default employeeImportRouter;
@@ -0,0 +1,205 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { checkWallets, getGasStationStatus, listSubsidies, topUpEmployee } from "../services/gasStationService.js";
+
+const gasStationRouter = express.Router();
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @swagger
+ * tags:
+ *   - name: GasStation
+ *     description: Tự động nạp ETH trả phí gas cho ví nhân viên từ ví owner (treasury), có hạn mức theo ngày
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GasSubsidy:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 31 }
+ *         user_id: { type: integer, example: 12 }
+ *         username: { type: string }
+ *         wallet_address: { type: string }
+ *         amount_wei: { type: string, example: "15000000000000000" }
+ *         balance_before_wei: { type: string, description: Số dư ETH của ví lúc nạp }
+ *         trigger_source: { type: string, enum: [monitor, withdraw, purchase, manual, offboarding] }
+ *         status: { type: string, enum: [sent, failed] }
+ *         chain_tx_id: { type: integer, nullable: true }
+ *         tx_hash: { type: string, nullable: true }
+ *         tx_status: { type: string, nullable: true, enum: [pending, mined, failed, dropped] }
+ *         error: { type: string, nullable: true }
+ *         created_by: { type: integer, nullable: true, description: NULL = tự động }
+ *         created_at: { type: string, format: date-time }
+ *     GasSubsidyResult:
+ *       type: object
+ *       properties:
+ *         status: { type: string, enum: [sent, pending, not_needed, capped, skipped] }
+ *         reason: { type: string, nullable: true, example: "employee_daily_cap" }
+ *         amountWei: { type: string, nullable: true }
+ *         balanceWei: { type: string, nullable: true }
+ *         txHash: { type: string, nullable: true }
+ */
+
+/**
+ * @swagger
+ * /api/gas-station/status:
+ *   get:
+ *     summary: Cấu hình gas station, số dư treasury và lượng gas đã nạp hôm nay
+ *     tags: [GasStation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trạng thái gas station (wei dạng chuỗi)
+ *       403:
+ *         description: Không có quyền gas_station:read
+ */
+gasStationRouter.get("/gas-station/status", authenticateToken, requirePermission("gas_station:read"), async (req, res) => {
+  try {
+    res.json(await getGasStationStatus());
+  } catch (err) {
+    console.error("❌ Error fetching gas station status:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gas-station/subsidies:
+ *   get:
+ *     summary: Sổ nạp gas (phân trang, mới nhất trước)
+ *     tags: [GasStation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: source
+ *         schema: { type: string, enum: [monitor, withdraw, purchase, manual, offboarding] }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [sent, failed] }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, example: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: Một trang sổ nạp gas và tổng số wei đã nạp theo bộ lọc
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subsidies:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GasSubsidy'
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 total: { type: integer }
+ *                 totalWei: { type: string }
+ *       400:
+ *         description: Tham số không hợp lệ
+ */
+gasStationRouter.get("/gas-station/subsidies", authenticateToken, requirePermission("gas_station:read"), async (req, res) => {
+  const { user_id, source, status, from, to, page, limit } = req.query;
+  if (user_id !== undefined && !/^\d+$/.test(String(user_id))) {
+    return res.status(400).json({ message: "user_id must be a positive integer" });
+  }
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    return res.status(400).json({ message: "from / to must be YYYY-MM-DD" });
+  }
+
+  try {
+    res.json(await listSubsidies({ userId: user_id, source, status, from, to, page, limit }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error fetching gas subsidies:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gas-station/check:
+ *   post:
+ *     summary: Kiểm tra ngay mọi ví nhân viên và nạp gas cho ví dưới mức tối thiểu
+ *     tags: [GasStation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Số ví đã kiểm tra / đã nạp / bị giới hạn bởi hạn mức / lỗi
+ *       403:
+ *         description: Không có quyền gas_station:manage
+ */
+gasStationRouter.post("/gas-station/check", authenticateToken, requirePermission("gas_station:manage"), async (req, res) => {
+  try {
+    res.json(await checkWallets());
+  } catch (err) {
+    console.error("❌ Error running gas station check:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gas-station/top-up:
+ *   post:
+ *     summary: Nạp gas thủ công cho một nhân viên (vẫn áp dụng hạn mức)
+ *     tags: [GasStation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [user_id]
+ *             properties:
+ *               user_id: { type: integer, example: 12 }
+ *     responses:
+ *       200:
+ *         description: Kết quả nạp (not_needed nếu ví đã đủ số dư tối thiểu)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GasSubsidyResult'
+ *       400:
+ *         description: Thiếu user_id
+ *       404:
+ *         description: Không tìm thấy nhân viên
+ */
+gasStationRouter.post("/gas-station/top-up", authenticateToken, requirePermission("gas_station:manage"), async (req, res) => {
+  const userId = req.body?.user_id;
+  if (!/^\d+$/.test(String(userId ?? ""))) {
+    return res.status(400).json({ message: "user_id must be a positive integer" });
+  }
+
+  try {
+    res.json(await topUpEmployee(userId, req.user.id));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error topping up gas:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default gasStationRouter;
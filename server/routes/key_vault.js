@@ -0,0 +1,97 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { getKeyVaultStatus, reencryptAllKeys } from "../services/keyVault.js";
+
+const keyVaultRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: KeyVault
+ *     description: Mã hóa khóa riêng ví nhân viên (envelope encryption, xoay master key)
+ */
+
+/**
+ * @swagger
+ * /api/key-vault/status:
+ *   get:
+ *     summary: Số khóa riêng theo phiên bản master key
+ *     tags: [KeyVault]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trạng thái key vault (key_version null = khóa cũ chưa mã hóa)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 activeVersion: { type: integer, nullable: true, example: 2 }
+ *                 configuredVersions:
+ *                   type: array
+ *                   items: { type: integer }
+ *                   example: [1, 2]
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key_version: { type: integer, nullable: true, example: 1 }
+ *                       count: { type: integer, example: 12 }
+ *       403:
+ *         description: Không có quyền keys:manage
+ */
+keyVaultRouter.get("/key-vault/status", authenticateToken, requirePermission("keys:manage"), async (req, res) => {
+  try {
+    res.json(await getKeyVaultStatus());
+  } catch (err) {
+    console.error("❌ Error fetching key vault status:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/key-vault/reencrypt:
+ *   post:
+ *     summary: Mã hóa lại mọi khóa riêng bằng master key đang dùng
+ *     description: Mã hóa các khóa còn lưu dạng plaintext và bọc lại khóa dùng master key cũ. Tương đương `npm run keys:reencrypt`.
+ *     tags: [KeyVault]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Kết quả mã hóa lại
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 scanned: { type: integer, example: 12 }
+ *                 reencrypted: { type: integer, example: 12 }
+ *                 failed:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId: { type: integer }
+ *                       error: { type: string }
+ *       403:
+ *         description: Không có quyền keys:manage
+ *       500:
+ *         description: Chưa cấu hình KEY_VAULT_MASTER_KEYS
+ */
+keyVaultRouter.post("/key-vault/reencrypt", authenticateToken, requirePermission("keys:manage"), async (req, res) => {
+  try {
+    const summary = await reencryptAllKeys();
+    res.json({ message: "Wallet keys re-encrypted", ...summary });
+  } catch (err) {
+    console.error("❌ Error re-encrypting wallet keys:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default keyVaultRouter;
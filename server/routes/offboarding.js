@@ -0,0 +1,210 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { assertUserInScope, getDepartmentScope } from "../services/organizationService.js";
+import {
+  getOffboarding,
+  listOffboardings,
+  offboardEmployee,
+  validateOffboarding,
+} from "../services/offboardingService.js";
+
+const offboardingRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Offboarding
+ *     description: Cho nhân viên nghỉ việc – khóa tài khoản, thu hồi thẻ và token, đóng phiên làm việc, trả lương cuối, thu hồi số dư ví
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OffboardingStep:
+ *       type: object
+ *       properties:
+ *         status: { type: string, enum: [done, skipped, pending, failed] }
+ *         error: { type: string, description: Chỉ khi status = failed }
+ *         transfer:
+ *           type: object
+ *           description: Chỉ ở bước sweep – giao dịch thu hồi đã gửi; chạy lại chỉ ghi sổ rút tiền cho giao dịch này
+ *           properties:
+ *             txHash: { type: string }
+ *             amountWei: { type: string }
+ *         at: { type: string, format: date-time }
+ *     Offboarding:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 4 }
+ *         user:
+ *           type: object
+ *           properties:
+ *             id: { type: integer }
+ *             username: { type: string }
+ *             fullName: { type: string, nullable: true }
+ *         status: { type: string, enum: [in_progress, completed, incomplete] }
+ *         reason: { type: string, nullable: true }
+ *         sweepPolicy: { type: string, enum: [none, treasury, address] }
+ *         sweepTo: { type: string, nullable: true }
+ *         steps:
+ *           type: object
+ *           description: Kết quả từng bước (account, cards, workSession, finalPay, sweep, chainStatus)
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/OffboardingStep'
+ *         warnings:
+ *           type: array
+ *           description: Việc còn phải xử lý trước khi chạy lại offboarding
+ *           items: { type: string }
+ *         startedBy: { type: integer, nullable: true }
+ *         createdAt: { type: string, format: date-time }
+ *         completedAt: { type: string, format: date-time, nullable: true }
+ */
+
+/**
+ * @swagger
+ * /api/offboardings:
+ *   post:
+ *     summary: Cho nhân viên nghỉ việc (hoặc chạy tiếp lần offboarding chưa hoàn tất)
+ *     description: |
+ *       Lần lượt: khóa tài khoản và thu hồi mọi token, khóa mọi thẻ, đóng phiên làm việc đang mở,
+ *       trả lương cuối (phiên chưa ghi có và khoản lương của kỳ đã duyệt), thu hồi số dư ví theo
+ *       sweep_policy (chỉ sau khi lương cuối đã trả xong) và khóa nhân viên trên contract.
+ *       Bước lỗi hoặc còn chờ được ghi lại, bản ghi có trạng thái incomplete; gọi lại với cùng user_id
+ *       sẽ bỏ qua các bước đã xong. sweep_policy mặc định lấy từ OFFBOARDING_SWEEP_POLICY (none).
+ *     tags: [Offboarding]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [user_id]
+ *             properties:
+ *               user_id: { type: integer, example: 12 }
+ *               reason: { type: string, example: "Hết hợp đồng" }
+ *               sweep_policy: { type: string, enum: [none, treasury, address] }
+ *               sweep_to: { type: string, description: Địa chỉ nhận, bắt buộc khi sweep_policy = address }
+ *     responses:
+ *       200:
+ *         description: Bản ghi offboarding (completed hoặc incomplete kèm warnings)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Offboarding'
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc tự cho chính mình nghỉ việc
+ *       403:
+ *         description: Không có quyền employees:offboard hoặc nhân viên nằm ngoài cây phòng ban của người gọi
+ *       404:
+ *         description: Không tìm thấy nhân viên
+ *       409:
+ *         description: Nhân viên đã nghỉ việc hoặc offboarding đang chạy
+ */
+offboardingRouter.post("/offboardings", authenticateToken, requirePermission("employees:offboard"), async (req, res) => {
+  const { error, value } = validateOffboarding(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    await assertUserInScope(req.user, value.userId);
+    res.json(await offboardEmployee(value, req.user));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error offboarding employee:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/offboardings:
+ *   get:
+ *     summary: Danh sách offboarding (mới nhất trước, trong cây phòng ban của người gọi)
+ *     tags: [Offboarding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [in_progress, completed, incomplete] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, example: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *     responses:
+ *       200:
+ *         description: Danh sách offboarding
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 offboardings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Offboarding'
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 total: { type: integer }
+ *       400:
+ *         description: status hoặc phân trang không hợp lệ
+ */
+offboardingRouter.get("/offboardings", authenticateToken, requirePermission("employees:read"), async (req, res) => {
+  try {
+    const { user_id, status, page, limit } = req.query;
+    const scope = await getDepartmentScope(req.user);
+    res.json(await listOffboardings({ userId: user_id, status, page, limit }, scope));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error fetching offboardings:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/offboardings/{id}:
+ *   get:
+ *     summary: Xem chi tiết một lần offboarding
+ *     tags: [Offboarding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Bản ghi offboarding
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Offboarding'
+ *       403:
+ *         description: Nhân viên nằm ngoài cây phòng ban của người gọi
+ *       404:
+ *         description: Không tìm thấy offboarding
+ */
+offboardingRouter.get("/offboardings/:id", authenticateToken, requirePermission("employees:read"), async (req, res) => {
+  try {
+    const offboarding = await getOffboarding(req.params.id);
+    if (!offboarding) return res.status(404).json({ message: "Offboarding not found" });
+    await assertUserInScope(req.user, offboarding.user.id);
+    res.json(offboarding);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error fetching offboarding:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default offboardingRouter;
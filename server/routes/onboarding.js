@@ -0,0 +1,211 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import {
+  getOnboarding,
+  listOnboardings,
+  retryOnboarding,
+  rollbackOnboarding,
+} from "../services/onboardingService.js";
+
+const onboardingRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Onboarding
+ *     description: Saga thêm nhân viên (tài khoản + ví → nạp ETH → đăng ký blockchain) – xem onboarding lỗi / bị kẹt, chạy lại hoặc hoàn tác
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmployeeOnboarding:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 15 }
+ *         idempotencyKey: { type: string, nullable: true }
+ *         username: { type: string, example: "tranb" }
+ *         userId: { type: integer, nullable: true, description: NULL trước khi tạo tài khoản và sau khi hoàn tác }
+ *         status: { type: string, enum: [in_progress, completed, failed, rolled_back] }
+ *         step: { type: string, enum: [requested, user_created, wallet_funded, registration_queued, registered], description: Bước đã hoàn thành gần nhất }
+ *         stuck: { type: boolean, description: in_progress nhưng không tiến triển quá ONBOARDING_STUCK_MINUTES phút }
+ *         walletAddress: { type: string, nullable: true }
+ *         fundTxHash: { type: string, nullable: true }
+ *         registrationJob:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id: { type: integer }
+ *             status: { type: string, enum: [pending, running, succeeded, failed, dead] }
+ *             error: { type: string, nullable: true }
+ *         lastError: { type: string, nullable: true }
+ *         refundTxHash: { type: string, nullable: true }
+ *         createdBy: { type: integer, nullable: true }
+ *         rolledBackBy: { type: integer, nullable: true }
+ *         createdAt: { type: string, format: date-time }
+ *         updatedAt: { type: string, format: date-time }
+ *         completedAt: { type: string, format: date-time, nullable: true }
+ *         rolledBackAt: { type: string, format: date-time, nullable: true }
+ */
+
+/**
+ * @swagger
+ * /api/employee-onboardings:
+ *   get:
+ *     summary: Danh sách onboarding nhân viên (mới nhất trước)
+ *     tags: [Onboarding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [in_progress, completed, failed, rolled_back] }
+ *       - in: query
+ *         name: stuck
+ *         schema: { type: boolean }
+ *         description: Chỉ lấy onboarding failed hoặc in_progress không tiến triển quá ONBOARDING_STUCK_MINUTES phút
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, example: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *     responses:
+ *       200:
+ *         description: Danh sách onboarding
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 onboardings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmployeeOnboarding'
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 total: { type: integer }
+ *       400:
+ *         description: status hoặc phân trang không hợp lệ
+ *       403:
+ *         description: Không có quyền onboardings:manage
+ */
+onboardingRouter.get("/employee-onboardings", authenticateToken, requirePermission("onboardings:manage"), async (req, res) => {
+  try {
+    const { status, stuck, page, limit } = req.query;
+    res.json(await listOnboardings({ status, stuck: stuck === "true", page, limit }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error fetching onboardings:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/employee-onboardings/{id}:
+ *   get:
+ *     summary: Xem chi tiết một onboarding
+ *     tags: [Onboarding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Onboarding
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmployeeOnboarding'
+ *       404:
+ *         description: Không tìm thấy onboarding
+ */
+onboardingRouter.get("/employee-onboardings/:id", authenticateToken, requirePermission("onboardings:manage"), async (req, res) => {
+  try {
+    const onboarding = await getOnboarding(req.params.id);
+    if (!onboarding) return res.status(404).json({ message: "Onboarding not found" });
+    res.json(onboarding);
+  } catch (err) {
+    console.error("❌ Error fetching onboarding:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/employee-onboardings/{id}/retry:
+ *   post:
+ *     summary: Chạy lại onboarding failed / bị kẹt từ bước đã đạt được
+ *     description: Job đăng ký blockchain đã bỏ cuộc (dead) được đưa lại vào hàng đợi.
+ *     tags: [Onboarding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Onboarding sau lần chạy lại (có thể vẫn failed, xem lastError)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmployeeOnboarding'
+ *       404:
+ *         description: Không tìm thấy onboarding
+ *       409:
+ *         description: Onboarding đã hoàn tất / đã hoàn tác hoặc đang chạy
+ */
+onboardingRouter.post("/employee-onboardings/:id/retry", authenticateToken, requirePermission("onboardings:manage"), async (req, res) => {
+  try {
+    res.json(await retryOnboarding(req.params.id));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error retrying onboarding:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/employee-onboardings/{id}/rollback:
+ *   post:
+ *     summary: Hoàn tác onboarding failed / bị kẹt – hủy job đăng ký, trả ETH đã nạp về ví owner và xóa tài khoản tạo dở
+ *     tags: [Onboarding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Onboarding đã hoàn tác; username có thể dùng lại
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmployeeOnboarding'
+ *       404:
+ *         description: Không tìm thấy onboarding
+ *       409:
+ *         description: Onboarding đã hoàn tất / đã hoàn tác, đang chạy, giao dịch nạp ví chưa được mine, hoặc nhân viên đã được đăng ký trên blockchain (dùng offboarding)
+ */
+onboardingRouter.post("/employee-onboardings/:id/rollback", authenticateToken, requirePermission("onboardings:manage"), async (req, res) => {
+  try {
+    res.json(await rollbackOnboarding(req.params.id, req.user));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error rolling back onboarding:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default onboardingRouter;
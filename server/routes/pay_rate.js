@@ -0,0 +1,325 @@
+import express from "express";
+import { web3 } from "../blockchain/contractInstance.js";
+import connection from "../services/connectDatabase.js";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission, requirePermissionOrSelf } from "../middleware/requirePermission.js";
+import { formatPayRate, resolvePayRate, validatePayRate } from "../services/payRateService.js";
+import { resolvePosition } from "../services/organizationService.js";
+
+const payRateRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: PayRate
+ *     description: Quản lý mức lương theo nhân viên / chức vụ
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PayRate:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, nullable: true, example: 1 }
+ *         user_id: { type: integer, nullable: true, example: 5 }
+ *         position: { type: string, nullable: true, example: "Operator" }
+ *         rate_unit: { type: string, enum: [minute, hour], example: "hour" }
+ *         rate_wei: { type: string, example: "2000000000000000000" }
+ *         rate_eth: { type: string, example: "2" }
+ *         overtime_multiplier: { type: number, example: 1.5 }
+ *         overtime_after_minutes: { type: integer, nullable: true, example: 480 }
+ *         effective_from: { type: string, format: date-time }
+ *         effective_to: { type: string, format: date-time, nullable: true }
+ *         is_default: { type: boolean, example: false }
+ */
+
+/**
+ * @swagger
+ * /api/pay-rates:
+ *   get:
+ *     summary: Lấy danh sách mức lương
+ *     tags: [PayRate]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: position
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Danh sách mức lương
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 payRates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PayRate'
+ *       403:
+ *         description: Không có quyền truy cập
+ */
+payRateRouter.get("/pay-rates", authenticateToken, requirePermission("pay_rates:read"), async (req, res) => {
+  const { user_id, position } = req.query;
+  const conditions = [];
+  const values = [];
+  if (user_id) { conditions.push("user_id = ?"); values.push(user_id); }
+  if (position) { conditions.push("position = ?"); values.push(position); }
+
+  try {
+    const [rows] = await connection.promise().query(
+      `SELECT * FROM pay_rates ${conditions.length ? "WHERE " + conditions.join(" AND ") : ""} ORDER BY effective_from DESC`,
+      values
+    );
+    res.json({ payRates: rows.map(formatPayRate) });
+  } catch (err) {
+    console.error("❌ Error fetching pay rates:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pay-rates:
+ *   post:
+ *     summary: Tạo mức lương cho một nhân viên hoặc một chức vụ
+ *     tags: [PayRate]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rate_unit, rate_eth, effective_from]
+ *             properties:
+ *               user_id: { type: integer, example: 5 }
+ *               position: { type: string, example: "Operator", description: Tên chức vụ đã có (không phân biệt hoa thường) }
+ *               rate_unit: { type: string, enum: [minute, hour], example: "hour" }
+ *               rate_eth: { type: string, example: "2" }
+ *               overtime_multiplier: { type: number, example: 1.5 }
+ *               overtime_after_minutes: { type: integer, example: 480 }
+ *               effective_from: { type: string, format: date-time, example: "2025-01-01T00:00:00+07:00" }
+ *               effective_to: { type: string, format: date-time }
+ *     responses:
+ *       201:
+ *         description: Tạo thành công
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc chức vụ chưa tồn tại
+ *       403:
+ *         description: Chỉ admin
+ */
+payRateRouter.post("/pay-rates", authenticateToken, requirePermission("pay_rates:write"), async (req, res) => {
+  const userData = req.user;
+
+  const validation = validatePayRate(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ message: validation.error });
+  }
+
+  const { user_id, position, rate_unit, rate_eth, overtime_multiplier, overtime_after_minutes, effective_from, effective_to } = req.body;
+
+  try {
+    // Mức lương theo chức vụ lưu tên chuẩn của chức vụ
+    const positionName = position ? (await resolvePosition(String(position))).name : null;
+    const [result] = await connection.promise().query(
+      `INSERT INTO pay_rates (user_id, position, rate_unit, rate_wei, overtime_multiplier, overtime_after_minutes, effective_from, effective_to, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user_id || null,
+        positionName,
+        rate_unit,
+        web3.utils.toWei(String(rate_eth), "ether"),
+        overtime_multiplier ?? 1.5,
+        overtime_after_minutes ?? null,
+        new Date(effective_from),
+        effective_to ? new Date(effective_to) : null,
+        userData.id,
+      ]
+    );
+
+    const [rows] = await connection.promise().query("SELECT * FROM pay_rates WHERE id = ?", [result.insertId]);
+    res.status(201).json({ message: "Pay rate created successfully", payRate: formatPayRate(rows[0]) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    if (err.code === "ER_NO_REFERENCED_ROW_2") {
+      return res.status(404).json({ message: "User not found" });
+    }
+    console.error("❌ Error creating pay rate:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pay-rates/{id}:
+ *   put:
+ *     summary: Cập nhật mức lương
+ *     description: Để thay đổi mức lương từ một ngày, nên đặt effective_to cho mức cũ và tạo mức mới thay vì sửa mức đang dùng.
+ *     tags: [PayRate]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rate_unit: { type: string, enum: [minute, hour] }
+ *               rate_eth: { type: string }
+ *               overtime_multiplier: { type: number }
+ *               overtime_after_minutes: { type: integer, nullable: true }
+ *               effective_from: { type: string, format: date-time }
+ *               effective_to: { type: string, format: date-time, nullable: true }
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *       400:
+ *         description: Dữ liệu không hợp lệ, hoặc effective_to không sau effective_from (tính cả giá trị đang lưu)
+ *       404:
+ *         description: Không tìm thấy mức lương
+ */
+payRateRouter.put("/pay-rates/:id", authenticateToken, requirePermission("pay_rates:write"), async (req, res) => {
+  const validation = validatePayRate(req.body, true);
+  if (!validation.valid) {
+    return res.status(400).json({ message: validation.error });
+  }
+
+  const { rate_unit, rate_eth, overtime_multiplier, overtime_after_minutes, effective_from, effective_to } = req.body;
+
+  const fields = [];
+  const values = [];
+  if (rate_unit !== undefined) { fields.push("rate_unit = ?"); values.push(rate_unit); }
+  if (rate_eth !== undefined) { fields.push("rate_wei = ?"); values.push(web3.utils.toWei(String(rate_eth), "ether")); }
+  if (overtime_multiplier !== undefined) { fields.push("overtime_multiplier = ?"); values.push(overtime_multiplier); }
+  if (overtime_after_minutes !== undefined) { fields.push("overtime_after_minutes = ?"); values.push(overtime_after_minutes); }
+  if (effective_from !== undefined) { fields.push("effective_from = ?"); values.push(new Date(effective_from)); }
+  if (effective_to !== undefined) { fields.push("effective_to = ?"); values.push(effective_to ? new Date(effective_to) : null); }
+
+  if (fields.length === 0) {
+    return res.status(400).json({ message: "No fields to update" });
+  }
+
+  try {
+    // Chỉ gửi một đầu của khoảng hiệu lực: kiểm tra cùng đầu còn lại đang lưu
+    if (effective_from !== undefined || effective_to !== undefined) {
+      const [stored] = await connection.promise().query("SELECT effective_from, effective_to FROM pay_rates WHERE id = ?", [req.params.id]);
+      if (stored.length === 0) {
+        return res.status(404).json({ message: "Pay rate not found" });
+      }
+      const range = validatePayRate({
+        effective_from: effective_from !== undefined ? effective_from : stored[0].effective_from,
+        effective_to: effective_to !== undefined ? effective_to : stored[0].effective_to,
+      }, true);
+      if (!range.valid) {
+        return res.status(400).json({ message: range.error });
+      }
+    }
+
+    const [result] = await connection
+      .promise()
+      .query(`UPDATE pay_rates SET ${fields.join(", ")} WHERE id = ?`, [...values, req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Pay rate not found" });
+    }
+
+    const [rows] = await connection.promise().query("SELECT * FROM pay_rates WHERE id = ?", [req.params.id]);
+    res.json({ message: "Pay rate updated successfully", payRate: formatPayRate(rows[0]) });
+  } catch (err) {
+    console.error("❌ Error updating pay rate:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pay-rates/{id}:
+ *   delete:
+ *     summary: Xóa mức lương
+ *     tags: [PayRate]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Xóa thành công
+ *       404:
+ *         description: Không tìm thấy mức lương
+ */
+payRateRouter.delete("/pay-rates/:id", authenticateToken, requirePermission("pay_rates:write"), async (req, res) => {
+  try {
+    const [result] = await connection.promise().query("DELETE FROM pay_rates WHERE id = ?", [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Pay rate not found" });
+    }
+    res.json({ message: "Pay rate deleted successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting pay rate:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pay-rates/effective/{userId}:
+ *   get:
+ *     summary: Lấy mức lương đang áp dụng cho một nhân viên tại một thời điểm
+ *     tags: [PayRate]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: at
+ *         schema: { type: string, format: date-time }
+ *         description: Mặc định là thời điểm hiện tại
+ *     responses:
+ *       200:
+ *         description: Mức lương đang áp dụng
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 payRate:
+ *                   $ref: '#/components/schemas/PayRate'
+ */
+payRateRouter.get("/pay-rates/effective/:userId", authenticateToken, requirePermissionOrSelf("pay_rates:read", "userId"), async (req, res) => {
+  const { userId } = req.params;
+
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(at.getTime())) {
+    return res.status(400).json({ message: "at must be a valid date-time" });
+  }
+
+  try {
+    const rate = await resolvePayRate(Number(userId), at);
+    res.json({ userId: Number(userId), at, payRate: formatPayRate(rate) });
+  } catch (err) {
+    console.error("❌ Error resolving pay rate:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default payRateRouter;
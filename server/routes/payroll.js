@@ -0,0 +1,241 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import {
+  PAYROLL_MODE,
+  PERIOD_TYPES,
+  approvePeriod,
+  createPeriod,
+  listPeriods,
+  previewPeriod,
+  settlePeriod,
+} from "../services/payrollService.js";
+
+const payrollRouter = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function handleError(res, err, context) {
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  console.error(`❌ Error ${context}:`, err);
+  return res.status(500).json({ message: "Internal server error", error: err.message });
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Payroll
+ *     description: Kỳ lương – xem trước, duyệt và chi trả theo lô
+ */
+
+/**
+ * @swagger
+ * /api/payroll-periods:
+ *   get:
+ *     summary: Lấy danh sách kỳ lương
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách kỳ lương
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mode: { type: string, example: "period" }
+ *                 periods:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: integer, example: 1 }
+ *                       period_type: { type: string, example: "weekly" }
+ *                       start_date: { type: string, example: "2025-01-06" }
+ *                       end_date: { type: string, example: "2025-01-12" }
+ *                       status: { type: string, enum: [draft, approved, settling, settled, partially_settled] }
+ *       403:
+ *         description: Không có quyền truy cập
+ */
+payrollRouter.get("/payroll-periods", authenticateToken, requirePermission("payroll:read"), async (req, res) => {
+  try {
+    res.json({ mode: PAYROLL_MODE, periods: await listPeriods() });
+  } catch (err) {
+    handleError(res, err, "fetching payroll periods");
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll-periods:
+ *   post:
+ *     summary: Tạo kỳ lương mới (trạng thái draft)
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [period_type, start_date]
+ *             properties:
+ *               period_type: { type: string, enum: [weekly, biweekly, monthly], example: "weekly" }
+ *               start_date: { type: string, format: date, example: "2025-01-06" }
+ *     responses:
+ *       201:
+ *         description: Kỳ lương được tạo
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       409:
+ *         description: Trùng với kỳ lương khác
+ */
+payrollRouter.post("/payroll-periods", authenticateToken, requirePermission("payroll:manage"), async (req, res) => {
+  const userData = req.user;
+
+  const { period_type, start_date } = req.body || {};
+  if (!PERIOD_TYPES.includes(period_type)) {
+    return res.status(400).json({ message: `period_type must be one of ${PERIOD_TYPES.join(", ")}` });
+  }
+  if (!start_date || !DATE_PATTERN.test(start_date)) {
+    return res.status(400).json({ message: "start_date must be in YYYY-MM-DD format" });
+  }
+
+  try {
+    const period = await createPeriod({ periodType: period_type, startDate: start_date, createdBy: userData.id });
+    res.status(201).json({ message: "Payroll period created", period });
+  } catch (err) {
+    handleError(res, err, "creating payroll period");
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll-periods/{id}/preview:
+ *   get:
+ *     summary: Xem trước tổng lương từng nhân viên trong kỳ
+ *     description: Kỳ draft được tính trực tiếp từ các phiên đã đóng; kỳ đã duyệt trả về các khoản đã chốt kèm trạng thái chi trả.
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Tổng lương theo nhân viên
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 period: { type: object }
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user_id: { type: integer }
+ *                       username: { type: string }
+ *                       sessions_count: { type: integer }
+ *                       minutes_worked: { type: integer }
+ *                       amount_wei: { type: string }
+ *                       amount_eth: { type: string }
+ *                       status: { type: string, enum: [pending, processing, paid, failed] }
+ *                 totalWei: { type: string }
+ *                 totalEth: { type: string }
+ *       404:
+ *         description: Không tìm thấy kỳ lương
+ */
+payrollRouter.get("/payroll-periods/:id/preview", authenticateToken, requirePermission("payroll:read"), async (req, res) => {
+  try {
+    res.json(await previewPeriod(req.params.id));
+  } catch (err) {
+    handleError(res, err, "previewing payroll period");
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll-periods/{id}/approve:
+ *   post:
+ *     summary: Duyệt kỳ lương – chốt số tiền từng nhân viên
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Kỳ lương đã được duyệt
+ *       404:
+ *         description: Không tìm thấy kỳ lương
+ *       409:
+ *         description: Kỳ lương không ở trạng thái draft
+ */
+payrollRouter.post("/payroll-periods/:id/approve", authenticateToken, requirePermission("payroll:manage"), async (req, res) => {
+  const userData = req.user;
+
+  try {
+    const result = await approvePeriod(req.params.id, userData.id);
+    res.json({ message: "Payroll period approved", ...result });
+  } catch (err) {
+    handleError(res, err, "approving payroll period");
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll-periods/{id}/settle:
+ *   post:
+ *     summary: Chi trả kỳ lương đã duyệt theo lô – mỗi nhân viên một chain job (có retry); gọi lại để tiếp tục các khoản thất bại
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       202:
+ *         description: Đã xếp hàng chi trả; theo dõi trạng thái qua preview hoặc /api/chain-jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 period: { type: object }
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       item_id: { type: integer }
+ *                       user_id: { type: integer }
+ *                       job_id: { type: integer }
+ *                       status: { type: string, example: "pending" }
+ *       404:
+ *         description: Không tìm thấy kỳ lương
+ *       409:
+ *         description: Kỳ lương chưa được duyệt / đã chi trả xong, hoặc ví owner (treasury) không đủ tiền trả kỳ lương
+ */
+payrollRouter.post("/payroll-periods/:id/settle", authenticateToken, requirePermission("payroll:manage"), async (req, res) => {
+  try {
+    const result = await settlePeriod(req.params.id);
+    res.status(202).json({ message: "Payroll settlement queued", ...result });
+  } catch (err) {
+    handleError(res, err, "settling payroll period");
+  }
+});
+
+export default payrollRouter;
@@ -0,0 +1,235 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import {
+  createPosition,
+  deletePosition,
+  getPosition,
+  listPositions,
+  updatePosition,
+  validatePosition,
+} from "../services/organizationService.js";
+
+const positionRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Position
+ *     description: Danh mục chức vụ (dùng cho hồ sơ nhân viên và mức lương theo chức vụ)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Position:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 2 }
+ *         name: { type: string, example: "Operator" }
+ *         description: { type: string, nullable: true }
+ *         employee_count: { type: integer, example: 8 }
+ *         created_at: { type: string, format: date-time }
+ *         updated_at: { type: string, format: date-time }
+ *     PositionInput:
+ *       type: object
+ *       properties:
+ *         name: { type: string, example: "Operator", description: Không phân biệt hoa thường }
+ *         description: { type: string, nullable: true, example: "Vận hành máy" }
+ */
+
+/**
+ * @swagger
+ * /api/positions:
+ *   get:
+ *     summary: Lấy danh sách chức vụ
+ *     tags: [Position]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách chức vụ, sắp theo tên
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 positions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Position'
+ */
+positionRouter.get("/positions", authenticateToken, requirePermission("departments:read"), async (req, res) => {
+  try {
+    res.json({ positions: await listPositions() });
+  } catch (err) {
+    console.error("❌ Error fetching positions:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/positions/{id}:
+ *   get:
+ *     summary: Xem chi tiết một chức vụ
+ *     tags: [Position]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Chi tiết chức vụ
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Position'
+ *       404:
+ *         description: Không tìm thấy chức vụ
+ */
+positionRouter.get("/positions/:id", authenticateToken, requirePermission("departments:read"), async (req, res) => {
+  try {
+    const position = await getPosition(req.params.id);
+    if (!position) return res.status(404).json({ message: "Position not found" });
+    res.json(position);
+  } catch (err) {
+    console.error("❌ Error fetching position:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/positions:
+ *   post:
+ *     summary: Tạo chức vụ
+ *     tags: [Position]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PositionInput'
+ *               - required: [name]
+ *     responses:
+ *       201:
+ *         description: Đã tạo chức vụ
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Position'
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       409:
+ *         description: Tên chức vụ đã tồn tại (không phân biệt hoa thường)
+ */
+positionRouter.post("/positions", authenticateToken, requirePermission("departments:write"), async (req, res) => {
+  const { error, value } = validatePosition(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    res.status(201).json(await createPosition(value));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error creating position:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/positions/{id}:
+ *   put:
+ *     summary: Cập nhật chức vụ
+ *     description: |
+ *       Đổi tên sẽ cập nhật tên chức vụ trong mức lương, hồ sơ nhân viên và đưa vào hàng đợi
+ *       cập nhật hồ sơ trên blockchain cho từng nhân viên giữ chức vụ này.
+ *     tags: [Position]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PositionInput'
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 position:
+ *                   $ref: '#/components/schemas/Position'
+ *                 resyncedEmployees: { type: integer }
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       404:
+ *         description: Không tìm thấy chức vụ
+ *       409:
+ *         description: Tên chức vụ đã tồn tại
+ */
+positionRouter.put("/positions/:id", authenticateToken, requirePermission("departments:write"), async (req, res) => {
+  const { error, value } = validatePosition(req.body, true);
+  if (error) return res.status(400).json({ message: error });
+  if (!Object.keys(value).length) return res.status(400).json({ message: "No fields to update" });
+
+  try {
+    const { position, resyncedEmployees } = await updatePosition(req.params.id, value, req.user);
+    res.json({ message: "Position updated", position, resyncedEmployees });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error updating position:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/positions/{id}:
+ *   delete:
+ *     summary: Xóa chức vụ không còn nhân viên nào giữ
+ *     tags: [Position]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Xóa thành công
+ *       404:
+ *         description: Không tìm thấy chức vụ
+ *       409:
+ *         description: Còn nhân viên giữ chức vụ này
+ */
+positionRouter.delete("/positions/:id", authenticateToken, requirePermission("departments:write"), async (req, res) => {
+  try {
+    await deletePosition(req.params.id);
+    res.json({ message: "Position deleted" });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error deleting position:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default positionRouter;
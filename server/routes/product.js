@@ -1,6 +1,8 @@
 import express from 'express';
 import multer from 'multer';
 import { addProduct, updateProduct, listProducts, buyProducts, deleteProduct } from '../controllers/product.controller.js';
+import { authenticateToken } from '../middleware/authenticateToken.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = express.Router();
 
@@ -74,6 +76,8 @@ router.get('/products', listProducts);
  * /api/products:
  *   post:
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
  *     summary: Add a new product (automatically uses image from assets/images folder)
  *     requestBody:
  *       required: true
@@ -154,7 +158,7 @@ router.get('/products', listProducts);
  *                 error:
  *                   type: string
  */
-router.post('/products', upload.single('imageFile'), addProduct);
+router.post('/products', authenticateToken, requirePermission('products:write'), upload.single('imageFile'), addProduct);
 
 /**
  * @swagger
@@ -162,21 +166,29 @@ router.post('/products', upload.single('imageFile'), addProduct);
  *   post:
  *     tags: [Products]
  *     summary: Buy product(s) - single or multiple products with quantities (and log to employee record)
+ *     description: |
+ *       Thanh toán từ ví của nhân viên đăng nhập; server ký giao dịch bằng khóa do key vault giữ.
+ *       buyerPrivateKey chỉ được chấp nhận khi bật ALLOW_BODY_PRIVATE_KEY=true (chế độ cũ).
+ *       Khi PAYROLL_CURRENCY=token, thanh toán bằng payroll token: ví được approve cho ProductContract
+ *       (nếu allowance chưa đủ) rồi gọi buyProductsWithToken; phí gas vẫn trả bằng ETH.
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [userCode, buyerPrivateKey, products]
+ *             required: [products]
  *             properties:
  *               userCode:
  *                 type: string
- *                 description: Employee user code (for purchase logging)
- *                 example: "EMP001"
+ *                 description: Employee user code (defaults to the logged-in user; must match it if sent)
+ *                 example: "5"
  *               buyerPrivateKey:
  *                 type: string
- *                 description: Buyer's private key for signing transaction
+ *                 deprecated: true
+ *                 description: Legacy mode only (ALLOW_BODY_PRIVATE_KEY=true)
  *                 example: "0xabc123..."
  *               products:
  *                 type: array
@@ -193,8 +205,6 @@ router.post('/products', upload.single('imageFile'), addProduct);
  *                       minimum: 1
  *                       example: 2
  *             example:
- *               userCode: "EMP001"
- *               buyerPrivateKey: "0xabc123..."
  *               products:
  *                 - productCode: "PRD1"
  *                   quantity: 2
@@ -233,8 +243,20 @@ router.post('/products', upload.single('imageFile'), addProduct);
  *                       type: string
  *                     totalPriceEth:
  *                       type: string
+ *                     currency:
+ *                       type: string
+ *                       enum: [eth, token]
+ *                     approveTx:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Giao dịch approve token (nếu cần)
+ *                     gasSubsidies:
+ *                       type: array
+ *                       description: Lần nạp phí gas của gas station cho giao dịch này (nếu có)
+ *                       items:
+ *                         $ref: '#/components/schemas/GasSubsidyResult'
  *       400:
- *         description: Bad request - validation error
+ *         description: Bad request - validation error, or the signer is not the employee wallet
  *         content:
  *           application/json:
  *             schema:
@@ -242,8 +264,10 @@ router.post('/products', upload.single('imageFile'), addProduct);
  *               properties:
  *                 message:
  *                   type: string
+ *       403:
+ *         description: userCode is not the logged-in user
  *       404:
- *         description: Product not found
+ *         description: Product or employee not found
  *         content:
  *           application/json:
  *             schema:
@@ -263,13 +287,15 @@ router.post('/products', upload.single('imageFile'), addProduct);
  *                 error:
  *                   type: string
  */
-router.post('/products/buy', buyProducts);
+router.post('/products/buy', authenticateToken, buyProducts);
 
 /**
  * @swagger
  * /api/products/{productCode}:
  *   put:
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
  *     summary: Update an existing product
  *     parameters:
  *       - in: path
@@ -355,13 +381,15 @@ router.post('/products/buy', buyProducts);
  *                 error:
  *                   type: string
  */
-router.put('/products/:productCode', upload.single('imageFile'), updateProduct);
+router.put('/products/:productCode', authenticateToken, requirePermission('products:write'), upload.single('imageFile'), updateProduct);
 
 /**
  * @swagger
  * /api/products/{productCode}:
  *   delete:
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
  *     summary: Delete a product by product code
  *     parameters:
  *       - in: path
@@ -434,6 +462,6 @@ router.put('/products/:productCode', upload.single('imageFile'), updateProduct);
  *                 error:
  *                   type: string
  */
-router.delete('/products/:productCode', deleteProduct);
+router.delete('/products/:productCode', authenticateToken, requirePermission('products:write'), deleteProduct);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,260 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import {
+  FLAG_REASONS,
+  getLatestRun,
+  getRun,
+  listRunItems,
+  listRuns,
+  reconcile,
+} from "../services/reconciliationService.js";
+import { toCsv } from "../utils/csv.js";
+
+const reconciliationRouter = express.Router();
+
+const CSV_COLUMNS = [
+  "user_id", "username", "wallet_address", "sessions_closed", "sessions_unpriced", "sessions_unresolved",
+  "expected_wei", "db_credited_wei", "chain_credited_wei", "chain_withdrawn_wei", "chain_purchased_wei",
+  "contract_book_balance_wei", "funded_wei", "wage_transferred_wei", "gas_spent_wei", "expected_wallet_wei",
+  "wallet_balance_wei", "wallet_diff_wei",
+  { key: "flagged", value: (row) => (row.flagged ? "yes" : "no") },
+  { key: "reasons", value: (row) => row.flags.map((f) => f.reason).join(";") },
+  { key: "details", value: (row) => row.flags.map((f) => `${f.reason}: ${f.detail}`).join(" | ") },
+];
+
+// :id có thể là "latest" (lần đối soát hoàn tất gần nhất)
+async function resolveRun(id) {
+  if (id === "latest") return getLatestRun();
+  if (!/^\d+$/.test(id)) return undefined;
+  return getRun(id);
+}
+
+function parseItemFilters(query) {
+  const { flagged, reason } = query;
+  if (reason && !FLAG_REASONS[reason]) {
+    return { error: `reason must be one of ${Object.keys(FLAG_REASONS).join(", ")}` };
+  }
+  return { filters: { flaggedOnly: flagged === "true", reason } };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Reconciliation
+ *     description: Đối soát tiền lương giữa MySQL, sổ sách contract và số dư ví thật
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReconciliationRun:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 4 }
+ *         status: { type: string, enum: [running, completed, failed] }
+ *         triggered_by: { type: integer, nullable: true, description: NULL = job định kỳ }
+ *         employees: { type: integer, example: 25 }
+ *         flagged: { type: integer, example: 2 }
+ *         indexed_to_block: { type: integer, nullable: true }
+ *         error: { type: string, nullable: true }
+ *         started_at: { type: string, format: date-time }
+ *         finished_at: { type: string, format: date-time, nullable: true }
+ *     ReconciliationItem:
+ *       type: object
+ *       properties:
+ *         user_id: { type: integer }
+ *         username: { type: string }
+ *         wallet_address: { type: string }
+ *         sessions_closed: { type: integer }
+ *         sessions_unpriced: { type: integer }
+ *         sessions_unresolved: { type: integer }
+ *         expected_wei: { type: string, description: Tiền lương theo phiên đã đóng }
+ *         db_credited_wei: { type: string }
+ *         chain_credited_wei: { type: string }
+ *         chain_withdrawn_wei: { type: string }
+ *         chain_purchased_wei: { type: string }
+ *         contract_book_balance_wei: { type: string, nullable: true }
+ *         funded_wei: { type: string, description: Nạp ví ban đầu + gas station }
+ *         wage_transferred_wei: { type: string }
+ *         gas_spent_wei: { type: string }
+ *         expected_wallet_wei: { type: string }
+ *         wallet_balance_wei: { type: string, nullable: true }
+ *         wallet_diff_wei: { type: string, nullable: true }
+ *         flagged: { type: boolean }
+ *         flags:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [missing_credit, double_credit, missing_transfer, double_transfer, book_mismatch, untracked_transfer,
+ *                        untracked_wallet_tx, unrecorded_wallet_tx, not_registered, pending_credit, unpriced_sessions, unresolved_sessions]
+ *               severity: { type: string, enum: [error, warning, info] }
+ *               detail: { type: string }
+ */
+
+/**
+ * @swagger
+ * /api/reconciliation/runs:
+ *   post:
+ *     summary: Chạy đối soát ngay (toàn bộ nhân viên hoặc một nhân viên)
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_id: { type: integer, description: Bỏ trống để đối soát tất cả }
+ *     responses:
+ *       201:
+ *         description: Kết quả đối soát
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 run:
+ *                   $ref: '#/components/schemas/ReconciliationRun'
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReconciliationItem'
+ *       409:
+ *         description: Đang có một lần đối soát khác chạy
+ */
+reconciliationRouter.post("/reconciliation/runs", authenticateToken, requirePermission("reconciliation:run"), async (req, res) => {
+  const userId = req.body?.user_id;
+  if (userId !== undefined && !/^\d+$/.test(String(userId))) {
+    return res.status(400).json({ message: "user_id must be a positive integer" });
+  }
+
+  try {
+    const run = await reconcile({ triggeredBy: req.user.id, userId });
+    res.status(201).json({ run, items: await listRunItems(run.id) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error running reconciliation:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/runs:
+ *   get:
+ *     summary: Lấy danh sách các lần đối soát
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *     responses:
+ *       200:
+ *         description: Danh sách lần đối soát, mới nhất trước
+ */
+reconciliationRouter.get("/reconciliation/runs", authenticateToken, requirePermission("reconciliation:read"), async (req, res) => {
+  try {
+    res.json({ runs: await listRuns(req.query.limit) });
+  } catch (err) {
+    console.error("❌ Error fetching reconciliation runs:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/runs/{id}:
+ *   get:
+ *     summary: Xem kết quả một lần đối soát (id hoặc "latest")
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, example: "latest" }
+ *       - in: query
+ *         name: flagged
+ *         schema: { type: boolean }
+ *         description: Chỉ lấy nhân viên có chênh lệch
+ *       - in: query
+ *         name: reason
+ *         schema: { type: string, example: "missing_credit" }
+ *     responses:
+ *       200:
+ *         description: Lần đối soát và kết quả từng nhân viên
+ *       400:
+ *         description: Tham số không hợp lệ
+ *       404:
+ *         description: Không tìm thấy lần đối soát
+ */
+reconciliationRouter.get("/reconciliation/runs/:id", authenticateToken, requirePermission("reconciliation:read"), async (req, res) => {
+  const { filters, error } = parseItemFilters(req.query);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const run = await resolveRun(req.params.id);
+    if (!run) return res.status(404).json({ message: "Reconciliation run not found" });
+    res.json({ run, items: await listRunItems(run.id, filters) });
+  } catch (err) {
+    console.error("❌ Error fetching reconciliation run:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/runs/{id}/export:
+ *   get:
+ *     summary: Xuất kết quả đối soát ra CSV (id hoặc "latest")
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, example: "latest" }
+ *       - in: query
+ *         name: flagged
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: reason
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: File CSV, mỗi dòng một nhân viên
+ *         content:
+ *           text/csv:
+ *             schema: { type: string }
+ *       404:
+ *         description: Không tìm thấy lần đối soát
+ */
+reconciliationRouter.get("/reconciliation/runs/:id/export", authenticateToken, requirePermission("reconciliation:read"), async (req, res) => {
+  const { filters, error } = parseItemFilters(req.query);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const run = await resolveRun(req.params.id);
+    if (!run) return res.status(404).json({ message: "Reconciliation run not found" });
+
+    const items = await listRunItems(run.id, filters);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="reconciliation-${run.id}.csv"`);
+    res.send(toCsv(items, CSV_COLUMNS));
+  } catch (err) {
+    console.error("❌ Error exporting reconciliation run:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default reconciliationRouter;
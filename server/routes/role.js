@@ -0,0 +1,139 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { listPermissions, listRolesWithPermissions, setRolePermissions } from "../services/permissionService.js";
+
+const roleRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Role
+ *     description: Phân quyền – gán permission cho từng role
+ */
+
+/**
+ * @swagger
+ * /api/permissions:
+ *   get:
+ *     summary: Lấy danh sách tất cả permission
+ *     tags: [Role]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: integer, example: 1 }
+ *                       code: { type: string, example: "products:write" }
+ *                       description: { type: string, example: "Thêm / sửa / xóa sản phẩm" }
+ *       403:
+ *         description: Không có quyền roles:manage
+ */
+roleRouter.get("/permissions", authenticateToken, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    res.json({ permissions: await listPermissions() });
+  } catch (err) {
+    console.error("❌ Error fetching permissions:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Lấy danh sách role kèm permission
+ *     tags: [Role]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: integer, example: 2 }
+ *                       role_name: { type: string, example: "manager" }
+ *                       description: { type: string }
+ *                       permissions:
+ *                         type: array
+ *                         items: { type: string }
+ *                         example: ["cards:read", "cards:write", "products:write"]
+ *       403:
+ *         description: Không có quyền roles:manage
+ */
+roleRouter.get("/roles", authenticateToken, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    res.json({ roles: await listRolesWithPermissions() });
+  } catch (err) {
+    console.error("❌ Error fetching roles:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}/permissions:
+ *   put:
+ *     summary: Thay toàn bộ permission của một role
+ *     tags: [Role]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissions]
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items: { type: string }
+ *                 example: ["cards:read", "cards:write", "products:write"]
+ *     responses:
+ *       200:
+ *         description: Role sau khi cập nhật
+ *       400:
+ *         description: Permission không tồn tại
+ *       404:
+ *         description: Không tìm thấy role
+ *       409:
+ *         description: Không thể tự gỡ quyền roles:manage khỏi role của mình
+ */
+roleRouter.put("/roles/:id/permissions", authenticateToken, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const role = await setRolePermissions(req.params.id, req.body?.permissions, req.user);
+    res.json({ message: "Role permissions updated", role });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("❌ Error updating role permissions:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default roleRouter;
@@ -0,0 +1,435 @@
+import express from "express";
+import connection from "../services/connectDatabase.js";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import {
+  ALL_WEEKDAYS,
+  formatShift,
+  maskToWeekdays,
+  validateShift,
+  weekdaysToMask,
+} from "../services/shiftService.js";
+import { resolveDepartment } from "../services/organizationService.js";
+
+const shiftRouter = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function formatAssignment(row) {
+  return {
+    id: row.id,
+    shift_id: row.shift_id,
+    shift_name: row.shift_name,
+    user_id: row.user_id,
+    department: row.department,
+    weekdays: row.weekdays === null ? null : maskToWeekdays(row.weekdays),
+    effective_from: row.effective_from,
+    effective_to: row.effective_to,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Shift
+ *     description: Quản lý ca làm việc và phân ca cho nhân viên / phòng ban
+ */
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   get:
+ *     summary: Lấy danh sách ca làm việc
+ *     tags: [Shift]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách ca
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shifts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: integer, example: 1 }
+ *                       name: { type: string, example: "Ca đêm" }
+ *                       start_time: { type: string, example: "22:00:00" }
+ *                       end_time: { type: string, example: "06:00:00" }
+ *                       crosses_midnight: { type: boolean, example: true }
+ *                       weekdays: { type: array, items: { type: integer }, example: [1, 2, 3, 4, 5] }
+ *                       grace_before_minutes: { type: integer, example: 15 }
+ *                       grace_after_minutes: { type: integer, example: 30 }
+ *                       is_default: { type: boolean, example: false }
+ *                       is_active: { type: boolean, example: true }
+ *       403:
+ *         description: Không có quyền truy cập
+ *       500:
+ *         description: Lỗi máy chủ
+ */
+shiftRouter.get("/shifts", authenticateToken, requirePermission("shifts:read"), async (req, res) => {
+  try {
+    const [rows] = await connection.promise().query("SELECT * FROM shifts ORDER BY start_time");
+    res.json({ shifts: rows.map(formatShift) });
+  } catch (err) {
+    console.error("❌ Error fetching shifts:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   post:
+ *     summary: Tạo ca làm việc mới
+ *     tags: [Shift]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, start_time, end_time]
+ *             properties:
+ *               name: { type: string, example: "Ca đêm" }
+ *               start_time: { type: string, example: "22:00" }
+ *               end_time: { type: string, example: "06:00", description: "Nhỏ hơn hoặc bằng start_time nghĩa là ca qua nửa đêm" }
+ *               weekdays: { type: array, items: { type: integer }, example: [1, 2, 3, 4, 5], description: "0 = Chủ nhật ... 6 = Thứ bảy (mặc định cả tuần)" }
+ *               grace_before_minutes: { type: integer, example: 15 }
+ *               grace_after_minutes: { type: integer, example: 30 }
+ *               is_default: { type: boolean, example: false }
+ *     responses:
+ *       201:
+ *         description: Ca được tạo thành công
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       403:
+ *         description: Không có quyền truy cập
+ *       409:
+ *         description: Tên ca đã tồn tại
+ *       500:
+ *         description: Lỗi máy chủ
+ */
+shiftRouter.post("/shifts", authenticateToken, requirePermission("shifts:write"), async (req, res) => {
+  const validation = validateShift(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ message: validation.error });
+  }
+
+  const { name, start_time, end_time, weekdays, grace_before_minutes, grace_after_minutes, is_default } = req.body;
+
+  try {
+    const [result] = await connection.promise().query(
+      "INSERT INTO shifts (name, start_time, end_time, weekdays, grace_before_minutes, grace_after_minutes, is_default) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [
+        String(name).trim(),
+        start_time,
+        end_time,
+        weekdays ? weekdaysToMask(weekdays) : ALL_WEEKDAYS,
+        grace_before_minutes ?? 15,
+        grace_after_minutes ?? 60,
+        !!is_default,
+      ]
+    );
+
+    const [rows] = await connection.promise().query("SELECT * FROM shifts WHERE id = ?", [result.insertId]);
+    res.status(201).json({ message: "Shift created successfully", shift: formatShift(rows[0]) });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ message: "Shift name already exists" });
+    }
+    console.error("❌ Error creating shift:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}:
+ *   put:
+ *     summary: Cập nhật ca làm việc
+ *     tags: [Shift]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               start_time: { type: string, example: "06:00" }
+ *               end_time: { type: string, example: "14:00" }
+ *               weekdays: { type: array, items: { type: integer } }
+ *               grace_before_minutes: { type: integer }
+ *               grace_after_minutes: { type: integer }
+ *               is_default: { type: boolean }
+ *               is_active: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       404:
+ *         description: Không tìm thấy ca
+ *       500:
+ *         description: Lỗi máy chủ
+ */
+shiftRouter.put("/shifts/:id", authenticateToken, requirePermission("shifts:write"), async (req, res) => {
+  const validation = validateShift(req.body, true);
+  if (!validation.valid) {
+    return res.status(400).json({ message: validation.error });
+  }
+
+  const { name, start_time, end_time, weekdays, grace_before_minutes, grace_after_minutes, is_default, is_active } = req.body;
+
+  const fields = [];
+  const values = [];
+  if (name !== undefined) { fields.push("name = ?"); values.push(String(name).trim()); }
+  if (start_time !== undefined) { fields.push("start_time = ?"); values.push(start_time); }
+  if (end_time !== undefined) { fields.push("end_time = ?"); values.push(end_time); }
+  if (weekdays !== undefined) { fields.push("weekdays = ?"); values.push(weekdaysToMask(weekdays)); }
+  if (grace_before_minutes !== undefined) { fields.push("grace_before_minutes = ?"); values.push(grace_before_minutes); }
+  if (grace_after_minutes !== undefined) { fields.push("grace_after_minutes = ?"); values.push(grace_after_minutes); }
+  if (is_default !== undefined) { fields.push("is_default = ?"); values.push(!!is_default); }
+  if (is_active !== undefined) { fields.push("is_active = ?"); values.push(!!is_active); }
+
+  if (fields.length === 0) {
+    return res.status(400).json({ message: "No fields to update" });
+  }
+
+  try {
+    const [result] = await connection
+      .promise()
+      .query(`UPDATE shifts SET ${fields.join(", ")} WHERE id = ?`, [...values, req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Shift not found" });
+    }
+
+    const [rows] = await connection.promise().query("SELECT * FROM shifts WHERE id = ?", [req.params.id]);
+    res.json({ message: "Shift updated successfully", shift: formatShift(rows[0]) });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ message: "Shift name already exists" });
+    }
+    console.error("❌ Error updating shift:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}:
+ *   delete:
+ *     summary: Xóa ca làm việc (kèm các phân ca của ca đó)
+ *     tags: [Shift]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Xóa thành công
+ *       404:
+ *         description: Không tìm thấy ca
+ *       500:
+ *         description: Lỗi máy chủ
+ */
+shiftRouter.delete("/shifts/:id", authenticateToken, requirePermission("shifts:write"), async (req, res) => {
+  try {
+    const [result] = await connection.promise().query("DELETE FROM shifts WHERE id = ?", [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Shift not found" });
+    }
+    res.json({ message: "Shift deleted successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting shift:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shift-assignments:
+ *   get:
+ *     summary: Lấy danh sách phân ca (lọc theo nhân viên hoặc phòng ban)
+ *     tags: [Shift]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Danh sách phân ca
+ *       500:
+ *         description: Lỗi máy chủ
+ */
+shiftRouter.get("/shift-assignments", authenticateToken, requirePermission("shifts:read"), async (req, res) => {
+  const { user_id, department } = req.query;
+  const conditions = [];
+  const values = [];
+  if (user_id) { conditions.push("a.user_id = ?"); values.push(user_id); }
+  if (department) { conditions.push("a.department = ?"); values.push(department); }
+
+  try {
+    const [rows] = await connection.promise().query(
+      `SELECT a.id, a.shift_id, s.name AS shift_name, a.user_id, a.department, a.weekdays,
+              DATE_FORMAT(a.effective_from, '%Y-%m-%d') AS effective_from,
+              DATE_FORMAT(a.effective_to, '%Y-%m-%d') AS effective_to,
+              a.created_at, a.updated_at
+         FROM shift_assignments a
+         JOIN shifts s ON s.id = a.shift_id
+        ${conditions.length ? "WHERE " + conditions.join(" AND ") : ""}
+        ORDER BY a.effective_from DESC`,
+      values
+    );
+    res.json({ assignments: rows.map(formatAssignment) });
+  } catch (err) {
+    console.error("❌ Error fetching shift assignments:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shift-assignments:
+ *   post:
+ *     summary: Phân ca cho một nhân viên hoặc một phòng ban
+ *     description: |
+ *       Phân ca theo nhân viên được ưu tiên hơn phân ca theo phòng ban.
+ *       Ca xoay vòng được cấu hình bằng nhiều phân ca với khoảng ngày hiệu lực / ngày trong tuần khác nhau.
+ *     tags: [Shift]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [shift_id, effective_from]
+ *             properties:
+ *               shift_id: { type: integer, example: 2 }
+ *               user_id: { type: integer, example: 5 }
+ *               department: { type: string, example: "Production", description: Tên phòng ban đã có (không phân biệt hoa thường) }
+ *               weekdays: { type: array, items: { type: integer }, example: [1, 3, 5] }
+ *               effective_from: { type: string, format: date, example: "2025-01-06" }
+ *               effective_to: { type: string, format: date, example: "2025-01-12" }
+ *     responses:
+ *       201:
+ *         description: Phân ca thành công
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc phòng ban chưa tồn tại
+ *       404:
+ *         description: Không tìm thấy ca hoặc nhân viên
+ *       500:
+ *         description: Lỗi máy chủ
+ */
+shiftRouter.post("/shift-assignments", authenticateToken, requirePermission("shifts:write"), async (req, res) => {
+  const { shift_id, user_id, department, weekdays, effective_from, effective_to } = req.body || {};
+
+  if (!shift_id) {
+    return res.status(400).json({ message: "shift_id is required" });
+  }
+  if (!user_id === !department) {
+    return res.status(400).json({ message: "Exactly one of user_id or department is required" });
+  }
+  if (!effective_from || !DATE_PATTERN.test(effective_from)) {
+    return res.status(400).json({ message: "effective_from must be in YYYY-MM-DD format" });
+  }
+  if (effective_to && (!DATE_PATTERN.test(effective_to) || effective_to < effective_from)) {
+    return res.status(400).json({ message: "effective_to must be in YYYY-MM-DD format and not before effective_from" });
+  }
+  if (weekdays !== undefined && weekdays !== null) {
+    const validation = validateShift({ weekdays }, true);
+    if (!validation.valid) return res.status(400).json({ message: validation.error });
+  }
+
+  try {
+    // Phân ca theo phòng ban lưu tên chuẩn của phòng ban ("hr" → "HR")
+    const departmentName = department ? (await resolveDepartment(String(department))).name : null;
+    const [result] = await connection.promise().query(
+      "INSERT INTO shift_assignments (shift_id, user_id, department, weekdays, effective_from, effective_to) VALUES (?, ?, ?, ?, ?, ?)",
+      [
+        shift_id,
+        user_id || null,
+        departmentName,
+        weekdays ? weekdaysToMask(weekdays) : null,
+        effective_from,
+        effective_to || null,
+      ]
+    );
+    res.status(201).json({ message: "Shift assigned successfully", id: result.insertId });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    if (err.code === "ER_NO_REFERENCED_ROW_2") {
+      return res.status(404).json({ message: "Shift or user not found" });
+    }
+    console.error("❌ Error assigning shift:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shift-assignments/{id}:
+ *   delete:
+ *     summary: Xóa một phân ca
+ *     tags: [Shift]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Xóa thành công
+ *       404:
+ *         description: Không tìm thấy phân ca
+ *       500:
+ *         description: Lỗi máy chủ
+ */
+shiftRouter.delete("/shift-assignments/:id", authenticateToken, requirePermission("shifts:write"), async (req, res) => {
+  try {
+    const [result] = await connection.promise().query("DELETE FROM shift_assignments WHERE id = ?", [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Shift assignment not found" });
+    }
+    res.json({ message: "Shift assignment deleted successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting shift assignment:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default shiftRouter;
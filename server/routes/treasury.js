@@ -0,0 +1,146 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { ALERT_LEVELS, checkTreasury, getTreasuryReport, listAlerts } from "../services/treasuryService.js";
+
+const treasuryRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Treasury
+ *     description: Số dư ví owner (quỹ trả lương), khoản lương đang nợ, số ngày còn trả được và cảnh báo thiếu quỹ
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TreasuryReport:
+ *       type: object
+ *       properties:
+ *         currency: { type: string, enum: [eth, token] }
+ *         owner: { type: string, description: Địa chỉ ví owner (treasury) }
+ *         balances:
+ *           type: object
+ *           properties:
+ *             ethWei: { type: string }
+ *             tokenWei: { type: string, nullable: true, description: Chỉ khi PAYROLL_CURRENCY=token }
+ *         liabilities:
+ *           type: object
+ *           properties:
+ *             openSessions: { type: object, description: Lương tạm tính của phiên đang mở (count, amountWei) }
+ *             uncreditedSessions: { type: object, description: Phiên đã đóng chưa trả, chưa thuộc kỳ lương (count, unpriced, amountWei) }
+ *             unsettledPayroll: { type: object, description: Khoản lương của kỳ đã duyệt chưa trả (count, amountWei) }
+ *             totalWei: { type: string }
+ *             estimatedGasWei: { type: string }
+ *         coverage:
+ *           type: object
+ *           properties:
+ *             covered: { type: boolean }
+ *             requiredWei: { type: string }
+ *             gasWei: { type: string }
+ *             ethShortfallWei: { type: string }
+ *             tokenShortfallWei: { type: string }
+ *         dailyOutflowWei: { type: string, description: ETH chi trung bình mỗi ngày (chuyển tiền + gas) }
+ *         runwayDays: { type: number, nullable: true, description: NULL khi chưa có khoản chi nào trong khoảng tính }
+ *         thresholds: { type: object }
+ *         level: { type: string, enum: [ok, low, critical] }
+ *         reasons:
+ *           type: array
+ *           items: { type: string, enum: [liabilities_not_covered, balance_below_minimum, runway_below_minimum] }
+ *         generatedAt: { type: string, format: date-time }
+ */
+
+/**
+ * @swagger
+ * /api/treasury:
+ *   get:
+ *     summary: Báo cáo quỹ – số dư, khoản lương đang nợ, khả năng chi trả và số ngày còn trả được
+ *     tags: [Treasury]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Báo cáo quỹ (wei dạng chuỗi)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TreasuryReport'
+ *       403:
+ *         description: Không có quyền treasury:read
+ */
+treasuryRouter.get("/treasury", authenticateToken, requirePermission("treasury:read"), async (req, res) => {
+  try {
+    res.json(await getTreasuryReport());
+  } catch (err) {
+    console.error("❌ Error building treasury report:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/treasury/check:
+ *   post:
+ *     summary: Kiểm tra quỹ ngay và gửi cảnh báo nếu mức cảnh báo thay đổi
+ *     tags: [Treasury]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Báo cáo quỹ và cảnh báo có được gửi hay không
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 alerted: { type: boolean }
+ *                 report:
+ *                   $ref: '#/components/schemas/TreasuryReport'
+ */
+treasuryRouter.post("/treasury/check", authenticateToken, requirePermission("treasury:manage"), async (req, res) => {
+  try {
+    res.json(await checkTreasury());
+  } catch (err) {
+    console.error("❌ Error checking treasury:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/treasury/alerts:
+ *   get:
+ *     summary: Lịch sử cảnh báo quỹ (mới nhất trước)
+ *     tags: [Treasury]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: level
+ *         schema: { type: string, enum: [ok, low, critical, payroll_blocked] }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *     responses:
+ *       200:
+ *         description: Danh sách cảnh báo và kết quả gửi qua từng kênh
+ *       400:
+ *         description: level không hợp lệ
+ */
+treasuryRouter.get("/treasury/alerts", authenticateToken, requirePermission("treasury:read"), async (req, res) => {
+  const { level, limit } = req.query;
+  if (level && ![...ALERT_LEVELS, "payroll_blocked"].includes(level)) {
+    return res.status(400).json({ message: `level must be one of ${[...ALERT_LEVELS, "payroll_blocked"].join(", ")}` });
+  }
+
+  try {
+    res.json({ alerts: await listAlerts({ level, limit }) });
+  } catch (err) {
+    console.error("❌ Error fetching treasury alerts:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+export default treasuryRouter;
@@ -0,0 +1,320 @@
+import express from "express";
+import { authenticateToken } from "../middleware/authenticateToken.js";
+import { requirePermission, requirePermissionOrSelf } from "../middleware/requirePermission.js";
+import {
+  SESSION_STATUSES,
+  autoCloseStaleSessions,
+  getSession,
+  listSessions,
+  resolveSession,
+} from "../services/workSessionService.js";
+import { PAYROLL_MODE } from "../services/payrollService.js";
+import { enqueueJob, replayJob, runJobNow } from "../services/chainJobService.js";
+
+const workSessionRouter = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_MAX_SESSION_HOURS = Number(process.env.WORK_SESSION_MAX_HOURS) || 16;
+
+function validateFilters(query) {
+  const { from, to, status } = query;
+  if (from && !DATE_PATTERN.test(from)) return "from must be in YYYY-MM-DD format";
+  if (to && !DATE_PATTERN.test(to)) return "to must be in YYYY-MM-DD format";
+  if (status && !SESSION_STATUSES.includes(status)) return `status must be one of ${SESSION_STATUSES.join(", ")}`;
+  return null;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: WorkSession
+ *     description: Phiên làm việc được ghép từ lần quẹt vào / ra
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WorkSession:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 4 }
+ *         user_id: { type: integer, example: 2 }
+ *         entry_log_id: { type: integer, example: 10 }
+ *         exit_log_id: { type: integer, nullable: true, example: 11 }
+ *         shift_id: { type: integer, nullable: true, example: 1 }
+ *         status: { type: string, enum: [open, closed, auto_closed, disputed] }
+ *         checkin_at: { type: string, format: date-time }
+ *         checkout_at: { type: string, format: date-time, nullable: true }
+ *         minutes_worked: { type: integer, nullable: true, example: 480 }
+ *         amount_wei: { type: string, nullable: true, example: "48000000000000000000" }
+ *         payroll_item_id: { type: integer, nullable: true }
+ *         credit_status: { type: string, enum: [pending, crediting, credited, failed] }
+ *         credited_amount_wei: { type: string, nullable: true, example: "48000000000000000000" }
+ *         transfer_tx_hash: { type: string, nullable: true }
+ *         record_tx_hash: { type: string, nullable: true }
+ *         credited_at: { type: string, format: date-time, nullable: true }
+ *         note: { type: string, nullable: true }
+ */
+
+/**
+ * @swagger
+ * /api/work-sessions:
+ *   get:
+ *     summary: Lấy danh sách phiên làm việc (lọc theo nhân viên, khoảng ngày, trạng thái)
+ *     tags: [WorkSession]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date, example: "2025-01-01" }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date, example: "2025-01-31" }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [open, closed, auto_closed, disputed] }
+ *     responses:
+ *       200:
+ *         description: Danh sách phiên làm việc
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WorkSession'
+ *       400:
+ *         description: Tham số không hợp lệ
+ *       403:
+ *         description: Không có quyền truy cập
+ */
+workSessionRouter.get("/work-sessions", authenticateToken, requirePermission("work_sessions:read"), async (req, res) => {
+  const filterError = validateFilters(req.query);
+  if (filterError) return res.status(400).json({ message: filterError });
+
+  try {
+    const { user_id, from, to, status } = req.query;
+    const sessions = await listSessions({ userId: user_id, from, to, status });
+    res.json({ sessions });
+  } catch (err) {
+    console.error("❌ Error fetching work sessions:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/employee/{userCode}/work-sessions:
+ *   get:
+ *     summary: Lấy phiên làm việc của một nhân viên theo khoảng ngày
+ *     tags: [WorkSession]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userCode
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: Danh sách phiên làm việc của nhân viên
+ *       403:
+ *         description: Không có quyền truy cập
+ */
+workSessionRouter.get("/employee/:userCode/work-sessions", authenticateToken, requirePermissionOrSelf("work_sessions:read", "userCode"), async (req, res) => {
+  const { userCode } = req.params;
+
+  const filterError = validateFilters(req.query);
+  if (filterError) return res.status(400).json({ message: filterError });
+
+  try {
+    const { from, to, status } = req.query;
+    const sessions = await listSessions({ userId: userCode, from, to, status });
+    const totalMinutes = sessions.reduce((sum, s) => sum + (s.minutes_worked || 0), 0);
+    res.json({ userCode, sessions, totalMinutes });
+  } catch (err) {
+    console.error("❌ Error fetching employee work sessions:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/work-sessions/auto-close:
+ *   post:
+ *     summary: Tự động đóng các phiên mở quá lâu (không quẹt ra) – cần admin xử lý lại
+ *     tags: [WorkSession]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               max_hours: { type: integer, example: 16 }
+ *     responses:
+ *       200:
+ *         description: Số phiên đã tự động đóng
+ *       403:
+ *         description: Chỉ admin
+ */
+workSessionRouter.post("/work-sessions/auto-close", authenticateToken, requirePermission("work_sessions:manage"), async (req, res) => {
+  const maxHours = Number(req.body?.max_hours) || DEFAULT_MAX_SESSION_HOURS;
+
+  try {
+    const closed = await autoCloseStaleSessions(maxHours);
+    res.json({ message: "Stale sessions auto-closed", closed, maxHours });
+  } catch (err) {
+    console.error("❌ Error auto-closing work sessions:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/work-sessions/{id}/resolve:
+ *   patch:
+ *     summary: Xử lý phiên bị tranh chấp / tự động đóng bằng giờ ra thực tế, sau đó ghi có qua chain job (PAYROLL_MODE=instant) hoặc chờ kỳ lương
+ *     tags: [WorkSession]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [checkout_at]
+ *             properties:
+ *               checkout_at: { type: string, format: date-time, example: "2025-01-06T10:00:00Z" }
+ *               note: { type: string, example: "Quên quẹt thẻ ra, đã xác nhận với tổ trưởng" }
+ *     responses:
+ *       200:
+ *         description: Phiên đã được đóng
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 session:
+ *                   $ref: '#/components/schemas/WorkSession'
+ *                 creditJob:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     id: { type: integer }
+ *                     status: { type: string, enum: [pending, running, succeeded, failed, dead] }
+ *                     error: { type: string, nullable: true }
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       404:
+ *         description: Không tìm thấy phiên hoặc phiên không ở trạng thái disputed / auto_closed
+ */
+workSessionRouter.patch("/work-sessions/:id/resolve", authenticateToken, requirePermission("work_sessions:manage"), async (req, res) => {
+  const checkoutAt = new Date(req.body?.checkout_at);
+  if (!req.body?.checkout_at || isNaN(checkoutAt.getTime())) {
+    return res.status(400).json({ message: "checkout_at must be a valid date-time" });
+  }
+
+  try {
+    const session = await resolveSession(req.params.id, checkoutAt, req.body.note);
+    if (!session) {
+      return res.status(404).json({ message: "Session not found or not disputed / auto-closed" });
+    }
+
+    // Chế độ period: phiên sẽ được gộp vào kỳ lương kế tiếp
+    let creditJob = null;
+    if (PAYROLL_MODE === "instant") {
+      const job = await enqueueJob("credit_session", { sessionId: session.id }, { reference: `work_session:${session.id}` });
+      creditJob = await runJobNow(job.id);
+    }
+
+    res.json({
+      message: "Session resolved",
+      session: await getSession(session.id),
+      creditJob: creditJob && { id: creditJob.id, status: creditJob.status, error: creditJob.last_error },
+    });
+  } catch (err) {
+    if (err.message === "checkout_at must be after checkin_at") {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("❌ Error resolving work session:", err);
+    res.status(500).json({ message: "Internal server error", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/work-sessions/{id}/credit:
+ *   post:
+ *     summary: Ghi có lại một phiên đã đóng nhưng ghi có thất bại
+ *     description: Chạy ngay job credit_session của phiên qua outbox (job đã bỏ cuộc được đưa lại vào hàng đợi); thất bại thì worker tiếp tục thử lại.
+ *     tags: [WorkSession]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Đã ghi có
+ *       202:
+ *         description: Job ghi có đang được worker chạy
+ *       404:
+ *         description: Không tìm thấy phiên
+ *       409:
+ *         description: Phiên chưa đóng, đã được ghi có hoặc đã thuộc kỳ lương
+ *       502:
+ *         description: Giao dịch blockchain thất bại (job được thử lại sau, xem creditJob)
+ */
+workSessionRouter.post("/work-sessions/:id/credit", authenticateToken, requirePermission("work_sessions:manage"), async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    if (session.status !== "closed" || session.credit_status === "credited" || session.payroll_item_id) {
+      return res.status(409).json({ message: "Session is not closed, has already been credited or belongs to a payroll period" });
+    }
+
+    // Cùng job outbox với lúc quẹt ra: thất bại thì worker thử lại, job đã bỏ cuộc được chạy lại từ đầu
+    let job = await enqueueJob("credit_session", { sessionId: session.id }, { reference: `work_session:${session.id}` });
+    if (job.status === "dead") job = await replayJob(job.id);
+    job = await runJobNow(job.id);
+
+    const creditJob = { id: job.id, status: job.status, error: job.last_error };
+    if (job.status === "succeeded") {
+      return res.json({ message: "Session credited", credit: job.result, creditJob, session: await getSession(session.id) });
+    }
+    if (job.status === "failed" || job.status === "dead") {
+      return res.status(502).json({ message: "Crediting failed", error: job.last_error, creditJob });
+    }
+    res.status(202).json({ message: "Crediting is already running", creditJob });
+  } catch (err) {
+    console.error("❌ Error crediting work session:", err);
+    res.status(502).json({ message: "Crediting failed", error: err.message });
+  }
+});
+
+export default workSessionRouter;
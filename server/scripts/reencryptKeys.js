@@ -0,0 +1,27 @@
+// reencryptKeys.js – mã hóa lại khóa riêng của nhân viên bằng master key đang dùng
+// Chạy: npm run keys:reencrypt
+import connection from "../services/connectDatabase.js";
+import { ACTIVE_KEY_VERSION, getKeyVaultStatus, reencryptAllKeys } from "../services/keyVault.js";
+
+async function main() {
+  console.log(`⏳ Re-encrypting wallet keys with master key version ${ACTIVE_KEY_VERSION}...`);
+  const summary = await reencryptAllKeys();
+  console.log(`✅ Scanned ${summary.scanned}, re-encrypted ${summary.reencrypted}, failed ${summary.failed.length}`);
+  for (const failure of summary.failed) {
+    console.error(`❌ User ${failure.userId}: ${failure.error}`);
+  }
+
+  const status = await getKeyVaultStatus();
+  console.log("🔑 Keys per master key version:", status.keys);
+  return summary.failed.length === 0;
+}
+
+main()
+  .then((ok) => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch((err) => {
+    console.error("❌ Re-encryption failed:", err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => connection.end());
@@ -0,0 +1,265 @@
+import connection from "./connectDatabase.js";
+import { evaluateSwipe } from "./shiftService.js";
+import { openSession, closeSession, openSessionWithLateEntry, closeSessionWithLateExit, findLateExitSession } from "./workSessionService.js";
+import { enqueueJob, runJobNow } from "./chainJobService.js";
+import { PAYROLL_MODE, findLockedPeriod } from "./payrollService.js";
+import { SIGNATURE_WINDOW_SECONDS } from "./deviceService.js";
+import { cardRejection, normalizeCardUid } from "./cardService.js";
+
+export const ACCESS_TYPE = { ENTRY: 0, EXIT: 1 };
+
+// Số lượt quẹt tối đa trong một lần tải lên từ đầu đọc
+export const BATCH_MAX_SWIPES = Number(process.env.ACCESS_LOG_BATCH_MAX) || 500;
+
+/**
+ * Access type of a swipe from a reader: readers mounted for one direction
+ * record that direction, "both" readers must send access_type.
+ * @param {{device_code: string, direction: string}} device
+ * @param {number|string|undefined} accessType - value sent by the reader
+ * @returns {{accessType?: number, error?: string}}
+ */
+export function resolveAccessType(device, accessType) {
+  if (!device || device.direction === "both") return { accessType };
+
+  const deviceType = device.direction === "entry" ? ACCESS_TYPE.ENTRY : ACCESS_TYPE.EXIT;
+  if (accessType !== undefined && accessType !== null && Number(accessType) !== deviceType) {
+    return { error: `Device ${device.device_code} only records ${device.direction} swipes` };
+  }
+  return { accessType: deviceType };
+}
+
+/**
+ * Record one RFID swipe: resolve the card, evaluate it against the employee's
+ * shift, store the access log and pair it into a work session. Exit swipes that
+ * close a session queue a credit_session chain job when PAYROLL_MODE=instant.
+ *
+ * deviceSeq is the reader's own sequence number; a swipe already stored with
+ * the same (deviceId, deviceSeq) is reported as DUPLICATE and not recorded
+ * again. A swipe older than the employee's latest stored swipe (uploaded late
+ * by an offline reader) is paired with the sessions around it instead of the
+ * currently open one. In period mode, a late swipe whose session would start
+ * in an approved or paid payroll period is stored but not paired, and is
+ * reported as PERIOD_LOCKED: that session could never be paid.
+ * @param {{code: string, accessType: number, at?: Date, deviceId?: number|null, deviceSeq?: number|null}} swipe - deviceId is the reader that sent it
+ * @returns {Promise<{ok: boolean, error?: string, message?: string, log_id?: number, user_id?: number, status?: number, shift?: object, session?: object|null, late?: boolean}>}
+ */
+export async function recordSwipe({ code, accessType, at = new Date(), deviceId = null, deviceSeq = null }) {
+  const cardUid = normalizeCardUid(code);
+  const type = Number(accessType);
+
+  if (!cardUid) {
+    return { ok: false, error: "INVALID_REQUEST", message: "code is required" };
+  }
+  if (type !== ACCESS_TYPE.ENTRY && type !== ACCESS_TYPE.EXIT) {
+    return { ok: false, error: "INVALID_REQUEST", message: "access_type must be 0 (entry) or 1 (exit)" };
+  }
+  if (deviceSeq !== null && (!deviceId || !Number.isSafeInteger(Number(deviceSeq)) || Number(deviceSeq) < 0)) {
+    return { ok: false, error: "INVALID_REQUEST", message: "seq must be a non-negative integer sent by a device" };
+  }
+
+  if (deviceSeq !== null) {
+    const existing = await findDeviceSwipe(deviceId, deviceSeq);
+    if (existing) return { ok: false, error: "DUPLICATE", message: "Swipe already recorded", log_id: existing.id };
+  }
+
+  const [cards] = await connection.promise().query("SELECT * FROM cards WHERE card_uid = ?", [cardUid]);
+  if (cards.length === 0) {
+    return { ok: false, error: "CARD_NOT_FOUND", message: "Card not found" };
+  }
+
+  const userId = cards[0].user_id;
+  const cardId = cards[0].id;
+  if (!userId) {
+    return { ok: false, error: "CARD_NOT_ASSIGNED", message: "Card is not assigned to any user" };
+  }
+  // Thẻ bị khóa, báo mất, hết hạn hoặc đã thu hồi
+  const rejection = cardRejection(cards[0], at);
+  if (rejection) {
+    return { ok: false, error: "CARD_INACTIVE", message: rejection };
+  }
+
+  // Xét trạng thái theo ca được phân cho nhân viên
+  const shiftResult = await evaluateSwipe(Number(userId), type, at);
+  const status = shiftResult.status;
+
+  // Đầu đọc offline gửi bù: đã có lượt quẹt mới hơn của nhân viên này
+  const [newer] = await connection.promise().query(
+    "SELECT id FROM access_logs WHERE user_id = ? AND access_time > ? LIMIT 1",
+    [Number(userId), at]
+  );
+  const late = newer.length > 0;
+
+  let insert;
+  try {
+    [insert] = await connection.promise().query(
+      "INSERT INTO access_logs (user_id, card_id, access_type, status, shift_id, shift_date, device_id, device_seq, access_time, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [Number(userId), Number(cardId), type, status, shiftResult.shift_id, shiftResult.shift_date, deviceId, deviceSeq, at, at]
+    );
+  } catch (err) {
+    // Cùng lượt quẹt được gửi đồng thời hai lần
+    if (err.code === "ER_DUP_ENTRY" && deviceSeq !== null) {
+      const existing = await findDeviceSwipe(deviceId, deviceSeq);
+      return { ok: false, error: "DUPLICATE", message: "Swipe already recorded", log_id: existing?.id };
+    }
+    throw err;
+  }
+  const logId = insert.insertId;
+
+  // Gửi bù vào kỳ lương đã duyệt / đã chi trả: kỳ đó không gom thêm phiên nên không ghép phiên
+  if (late && PAYROLL_MODE === "period") {
+    const checkinAt = type === ACCESS_TYPE.ENTRY ? at : (await findLateExitSession(Number(userId), at))?.checkin_at;
+    const period = checkinAt ? await findLockedPeriod(checkinAt) : null;
+    if (period) {
+      return {
+        ok: false,
+        error: "PERIOD_LOCKED",
+        message: `Swipe recorded but not paired: payroll period ${period.id} (${period.start_date} – ${period.end_date}) is ${period.status}`,
+        log_id: logId,
+        user_id: Number(userId),
+      };
+    }
+  }
+
+  let session = null;
+  if (type === ACCESS_TYPE.ENTRY && !late) {
+    const opened = await openSession(Number(userId), logId, at, shiftResult.shift_id);
+    session = { id: opened.id, status: "open", disputed_previous: opened.disputed };
+  } else {
+    let closed;
+    if (type === ACCESS_TYPE.ENTRY) {
+      closed = await openSessionWithLateEntry(Number(userId), logId, at, shiftResult.shift_id);
+    } else {
+      closed = late
+        ? await closeSessionWithLateExit(Number(userId), logId, at)
+        : await closeSession(Number(userId), logId, at);
+    }
+    if (closed) {
+      session = { id: closed.id, status: closed.status, minutes_worked: closed.minutes_worked, amount_wei: closed.amount_wei };
+
+      // Chế độ period: phiên được chi trả theo kỳ lương, không ghi có ngay
+      if (PAYROLL_MODE === "instant" && closed.status === "closed") {
+        // Lưu job vào outbox trước, nếu Ganache lỗi worker sẽ thử lại
+        const job = await enqueueJob("credit_session", { sessionId: closed.id }, { reference: `work_session:${closed.id}` });
+        session.credit_job_id = job.id;
+
+        // Chạy ngay nhưng không chặn phản hồi cho đầu đọc thẻ
+        runJobNow(job.id).catch((err) => console.error(`❌ Error running chain job ${job.id}:`, err.message || err));
+      }
+    }
+  }
+
+  return {
+    ok: true,
+    log_id: logId,
+    user_id: Number(userId),
+    status,
+    shift: { id: shiftResult.shift_id, name: shiftResult.shift_name || null, date: shiftResult.shift_date },
+    session,
+    late,
+  };
+}
+
+async function findDeviceSwipe(deviceId, deviceSeq) {
+  const [rows] = await connection.promise().query(
+    "SELECT id FROM access_logs WHERE device_id = ? AND device_seq = ?",
+    [deviceId, deviceSeq]
+  );
+  return rows[0];
+}
+
+/**
+ * Parse the original time of a buffered swipe: ISO 8601 string or unix seconds.
+ * @param {string|number} value
+ * @returns {Date|null}
+ */
+function parseSwipeTime(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = typeof value === "number" || /^\d+$/.test(String(value))
+    ? new Date(Number(value) * 1000)
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Record swipes a reader buffered while offline. Swipes are deduplicated by
+ * their per-device seq and go through the same rules as live swipes via
+ * recordSwipe. Within one batch they are recorded in order of original time
+ * (then seq); batches from other readers can be uploaded in any order, so a
+ * swipe may still arrive after newer swipes of the same employee and is then
+ * paired as a late swipe.
+ *
+ * Each item gets a result the reader uses to manage its buffer:
+ * - recorded / duplicate / rejected: drop it from the buffer (a PERIOD_LOCKED
+ *   rejection is stored with its log_id for an admin to review)
+ * - error: keep it and upload again later
+ * @param {{id: number, device_code: string, direction: string}} device - authenticated reader
+ * @param {Array<{seq: number, code: string, access_type?: number, timestamp: string|number}>} swipes
+ * @returns {Promise<Array<object>>} one result per swipe: invalid items first, then the others in recording order
+ */
+export async function recordSwipeBatch(device, swipes) {
+  const results = [];
+  const accepted = [];
+  const seen = new Set();
+  // Cho phép lệch đồng hồ đầu đọc như khi ký request
+  const latest = Date.now() + SIGNATURE_WINDOW_SECONDS * 1000;
+
+  for (const item of swipes) {
+    const seq = item?.seq;
+    const reject = (message) => results.push({ seq: seq ?? null, result: "rejected", message });
+
+    if (!Number.isSafeInteger(Number(seq)) || seq === null || seq === "" || Number(seq) < 0) {
+      reject("seq must be a non-negative integer");
+      continue;
+    }
+    if (seen.has(Number(seq))) {
+      results.push({ seq: Number(seq), result: "duplicate", message: "Duplicate seq in batch" });
+      continue;
+    }
+    seen.add(Number(seq));
+
+    const at = parseSwipeTime(item.timestamp);
+    if (!at) {
+      reject("timestamp must be an ISO 8601 date or unix seconds");
+      continue;
+    }
+    if (at.getTime() > latest) {
+      reject("timestamp is in the future");
+      continue;
+    }
+
+    const { accessType, error } = resolveAccessType(device, item.access_type);
+    if (error) {
+      reject(error);
+      continue;
+    }
+
+    accepted.push({ seq: Number(seq), code: item.code, accessType, at });
+  }
+
+  accepted.sort((a, b) => a.at - b.at || a.seq - b.seq);
+
+  for (const swipe of accepted) {
+    try {
+      const result = await recordSwipe({ ...swipe, deviceId: device.id, deviceSeq: swipe.seq });
+      if (result.ok) {
+        results.push({
+          seq: swipe.seq,
+          result: "recorded",
+          log_id: result.log_id,
+          status: result.status,
+          late: result.late,
+          session: result.session,
+        });
+      } else if (result.error === "DUPLICATE") {
+        results.push({ seq: swipe.seq, result: "duplicate", log_id: result.log_id, message: result.message });
+      } else {
+        results.push({ seq: swipe.seq, result: "rejected", error: result.error, log_id: result.log_id, message: result.message });
+      }
+    } catch (err) {
+      console.error(`❌ Error recording swipe ${device.device_code}#${swipe.seq}:`, err);
+      results.push({ seq: swipe.seq, result: "error", message: err.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,133 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import connection from "./connectDatabase.js";
+import { hashPassword, validatePasswordPolicy, verifyPassword } from "../utils/password.js";
+import { httpError } from "../utils/httpError.js";
+import { hashToken } from "../utils/token.js";
+import { revokeAllUserTokens } from "./tokenService.js";
+
+dotenv.config();
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+/**
+ * Check username/password. Plaintext passwords left from before hashing are
+ * replaced by a hash on the first successful login.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<object|null>} the users row, or null when the credentials are wrong
+ */
+export async function authenticateUser(username, password) {
+  const [rows] = await connection.promise().query("SELECT * FROM users WHERE username = ?", [username]);
+  const user = rows[0];
+  if (!user) return null;
+
+  const { valid, needsRehash } = await verifyPassword(password, user.password);
+  if (!valid) return null;
+
+  if (needsRehash) {
+    await connection.promise().query("UPDATE users SET password = ? WHERE id = ?", [await hashPassword(password), user.id]);
+  }
+  return user;
+}
+
+/**
+ * Store a new password for a user after checking the policy. Every session of
+ * the user is revoked, so the new password is needed to log in again.
+ * @param {object} user - users row (needs id and username)
+ * @param {string} newPassword
+ * @param {object} [conn] - connection of an open transaction
+ */
+async function setPassword(user, newPassword, conn = connection.promise()) {
+  const policyError = validatePasswordPolicy(newPassword, { username: user.username });
+  if (policyError) throw httpError(400, policyError);
+
+  await conn.query(
+    "UPDATE users SET password = ?, password_changed_at = NOW() WHERE id = ?",
+    [await hashPassword(newPassword), user.id]
+  );
+  await revokeAllUserTokens(user.id, "password_changed", conn);
+}
+
+/**
+ * Change the password of the logged-in user.
+ * @param {number} userId
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ * @returns {Promise<object>} the updated users row
+ */
+export async function changePassword(userId, currentPassword, newPassword) {
+  const [rows] = await connection.promise().query("SELECT id, username, password FROM users WHERE id = ?", [userId]);
+  const user = rows[0];
+  if (!user) throw httpError(404, "User not found");
+
+  const { valid } = await verifyPassword(currentPassword, user.password);
+  if (!valid) throw httpError(401, "Current password is incorrect");
+  if (currentPassword === newPassword) throw httpError(400, "New password must be different from the current password");
+
+  await setPassword(user, newPassword);
+
+  const [updated] = await connection.promise().query("SELECT * FROM users WHERE id = ?", [userId]);
+  return updated[0];
+}
+
+/**
+ * Issue a one-time password reset token for a user (admin-initiated). Older
+ * unused tokens of the user are invalidated. Only the SHA-256 of the token is
+ * stored; the token itself is returned once to be handed to the employee.
+ * @param {number|string} userId
+ * @param {number} createdBy - admin user id
+ * @returns {Promise<{token: string, expiresAt: Date}>}
+ */
+export async function createPasswordResetToken(userId, createdBy) {
+  const [rows] = await connection.promise().query("SELECT id FROM users WHERE id = ?", [userId]);
+  if (rows.length === 0) throw httpError(404, "User not found");
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  await connection.promise().query(
+    "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+    [userId]
+  );
+  await connection.promise().query(
+    "INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, created_by) VALUES (?, ?, NOW() + INTERVAL ? MINUTE, ?)",
+    [userId, hashToken(token), RESET_TOKEN_TTL_MINUTES, createdBy]
+  );
+  return { token, expiresAt };
+}
+
+/**
+ * Set a new password with a reset token. The token is consumed even if it is
+ * presented twice concurrently, only one request wins.
+ * @param {string} token
+ * @param {string} newPassword
+ * @returns {Promise<number>} id of the user whose password was reset
+ */
+export async function resetPasswordWithToken(token, newPassword) {
+  const conn = await connection.promise().getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT t.id, t.user_id, users.username FROM password_reset_tokens t
+         JOIN users ON users.id = t.user_id
+        WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > NOW()
+        FOR UPDATE`,
+      [hashToken(token || "")]
+    );
+    const resetToken = rows[0];
+    if (!resetToken) throw httpError(400, "Invalid or expired reset token");
+
+    await setPassword({ id: resetToken.user_id, username: resetToken.username }, newPassword, conn);
+    await conn.query("UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?", [resetToken.id]);
+
+    await conn.commit();
+    return resetToken.user_id;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
@@ -0,0 +1,413 @@
+import connection from "./connectDatabase.js";
+import { httpError } from "../utils/httpError.js";
+
+/*
+ * RFID card lifecycle. Cards are never deleted – access_logs keep pointing at
+ * them – they move through these states instead, each change recorded in
+ * card_status_changes with its reason:
+ *
+ *   issued    – registered (by a reader or an admin), not assigned yet
+ *   active    – assigned and accepted by readers
+ *   suspended – temporarily blocked, can be reactivated
+ *   lost      – reported lost; reactivated if found, unless already replaced
+ *   stolen    – reported stolen, can only be retired
+ *   expired   – past expires_at; reactivated once expires_at is extended
+ *   retired   – withdrawn for good (terminal)
+ *
+ * Replacing a card moves its assignment to a new UID and links the old card
+ * to the new one through replaced_by_card_id.
+ */
+
+export const CARD_STATUSES = ["issued", "active", "suspended", "lost", "stolen", "expired", "retired"];
+
+// Trạng thái được phép chuyển sang từ mỗi trạng thái
+const TRANSITIONS = {
+  issued: ["active", "retired"],
+  active: ["suspended", "lost", "stolen", "expired", "retired"],
+  suspended: ["active", "lost", "stolen", "expired", "retired"],
+  lost: ["active", "stolen", "retired"],
+  stolen: ["retired"],
+  expired: ["active", "retired"],
+  retired: [],
+};
+
+// Trạng thái thẻ cũ có thể có sau khi được thay
+const REPLACED_STATUSES = ["lost", "stolen", "expired", "retired"];
+
+export const CARD_UID_MAX_LENGTH = 50;
+const REASON_MAX_LENGTH = 255;
+
+// Chu kỳ quét thẻ hết hạn (0 = tắt)
+const EXPIRY_CHECK_MINUTES = Number(process.env.CARD_EXPIRY_CHECK_MINUTES ?? 60);
+
+let expiryTimer = null;
+
+/**
+ * Card UID as stored: whitespace removed ("AA BB CC" -> "AABBCC").
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeCardUid(code) {
+  return String(code ?? "").replace(/\s/g, "");
+}
+
+function parseReason(reason) {
+  if (reason === undefined || reason === null || reason === "") return { value: null };
+  if (typeof reason !== "string" || reason.length > REASON_MAX_LENGTH) {
+    return { error: `reason must be a string of at most ${REASON_MAX_LENGTH} characters` };
+  }
+  return { value: reason.trim() || null };
+}
+
+/**
+ * Validate an expires_at value: an ISO date-time, or null for no expiry.
+ * @param {string|null} expiresAt
+ * @returns {{error?: string, value?: Date|null}}
+ */
+export function validateExpiresAt(expiresAt) {
+  if (expiresAt === null) return { value: null };
+  const date = new Date(expiresAt);
+  if (typeof expiresAt !== "string" || Number.isNaN(date.getTime())) {
+    return { error: "expires_at must be an ISO date-time or null" };
+  }
+  return { value: date };
+}
+
+/**
+ * Validate a PATCH /cards body. The legacy is_active flag is still accepted:
+ * true activates the card, false suspends it.
+ * @param {object} body
+ * @returns {{error: string|null, value?: {id: number, status?: string, reason: string|null, expiresAt?: Date|null}}}
+ */
+export function validateCardUpdate(body) {
+  const { id, status, is_active, reason, expires_at } = body || {};
+  if (!Number.isInteger(Number(id)) || Number(id) <= 0) return { error: "id must be a positive integer" };
+
+  const value = { id: Number(id) };
+  if (status !== undefined) {
+    if (!CARD_STATUSES.includes(status)) return { error: `status must be one of ${CARD_STATUSES.join(", ")}` };
+    value.status = status;
+  } else if (is_active !== undefined) {
+    if (typeof is_active !== "boolean" && ![0, 1].includes(is_active)) return { error: "is_active must be a boolean" };
+    value.status = is_active ? "active" : "suspended";
+  }
+
+  if (expires_at !== undefined) {
+    const parsed = validateExpiresAt(expires_at);
+    if (parsed.error) return { error: parsed.error };
+    value.expiresAt = parsed.value;
+  }
+  if (value.status === undefined && value.expiresAt === undefined) {
+    return { error: "status (or is_active) or expires_at is required" };
+  }
+
+  const parsedReason = parseReason(reason);
+  if (parsedReason.error) return { error: parsedReason.error };
+  value.reason = parsedReason.value;
+  return { error: null, value };
+}
+
+/**
+ * Validate a POST /cards/:id/replace body.
+ * @param {object} body
+ * @returns {{error: string|null, value?: {cardUid: string, oldStatus?: string, reason: string|null, expiresAt: Date|null}}}
+ */
+export function validateCardReplacement(body) {
+  const { code, old_status, reason, expires_at } = body || {};
+  const cardUid = normalizeCardUid(code);
+  if (!cardUid) return { error: "code is required" };
+  if (cardUid.length > CARD_UID_MAX_LENGTH) return { error: `code must be at most ${CARD_UID_MAX_LENGTH} characters` };
+  if (old_status !== undefined && !REPLACED_STATUSES.includes(old_status)) {
+    return { error: `old_status must be one of ${REPLACED_STATUSES.join(", ")}` };
+  }
+
+  const parsedReason = parseReason(reason);
+  if (parsedReason.error) return { error: parsedReason.error };
+  let expiresAt = null;
+  if (expires_at !== undefined) {
+    const parsed = validateExpiresAt(expires_at);
+    if (parsed.error) return { error: parsed.error };
+    expiresAt = parsed.value;
+  }
+  return { error: null, value: { cardUid, oldStatus: old_status, reason: parsedReason.value, expiresAt } };
+}
+
+/**
+ * Why a reader must refuse the card for a swipe at `at`, or null when it is usable.
+ * @param {{status: string, expires_at: Date|null}} card
+ * @param {Date} at - swipe time
+ * @returns {string|null}
+ */
+export function cardRejection(card, at) {
+  if (card.status !== "active") return `Card is ${card.status}`;
+  if (card.expires_at && new Date(card.expires_at) <= at) return "Card is expired";
+  return null;
+}
+
+/**
+ * @param {number|string} id
+ * @returns {Promise<object|null>} the cards row
+ */
+export async function getCard(id) {
+  const [rows] = await connection.promise().query("SELECT * FROM cards WHERE id = ?", [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Status changes of a card, oldest first.
+ * @param {number|string} cardId
+ * @returns {Promise<object[]>}
+ */
+export async function listCardHistory(cardId) {
+  const [rows] = await connection.promise().query(
+    `SELECT c.id, c.from_status, c.to_status, c.reason, c.user_id, c.replacement_card_id,
+            r.card_uid AS replacement_card_uid, c.changed_by, c.created_at
+       FROM card_status_changes c
+       LEFT JOIN cards r ON r.id = c.replacement_card_id
+      WHERE c.card_id = ? ORDER BY c.id`,
+    [cardId]
+  );
+  return rows;
+}
+
+async function recordChange(conn, card, toStatus, { reason = null, replacementCardId = null, actor = null } = {}) {
+  await conn.query(
+    `INSERT INTO card_status_changes (card_id, from_status, to_status, reason, user_id, replacement_card_id, changed_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [card.id, card.status ?? null, toStatus, reason, card.user_id ?? null, replacementCardId, actor?.id ?? null]
+  );
+}
+
+// Cột thời gian đi kèm trạng thái mới
+function statusColumns(status) {
+  if (status === "active") return "deactivated_at = NULL";
+  if (status === "retired") return "deactivated_at = COALESCE(deactivated_at, NOW()), retired_at = NOW()";
+  return "deactivated_at = COALESCE(deactivated_at, NOW())";
+}
+
+async function applyStatus(conn, card, status, { reason = null, replacementCardId = null, actor = null } = {}) {
+  await conn.query(
+    `UPDATE cards SET status = ?, status_reason = ?, status_changed_at = NOW(), ${statusColumns(status)} WHERE id = ?`,
+    [status, reason, card.id]
+  );
+  await recordChange(conn, card, status, { reason, replacementCardId, actor });
+}
+
+function assertTransition(card, status) {
+  if (!TRANSITIONS[card.status].includes(status)) {
+    throw httpError(409, `Card cannot go from ${card.status} to ${status}`);
+  }
+  if (status === "active") {
+    if (card.user_id === null) throw httpError(409, "Assign the card to an employee before activating it");
+    if (card.replaced_by_card_id !== null) throw httpError(409, "Card has been replaced and cannot be reactivated");
+  }
+}
+
+async function withTransaction(work) {
+  const conn = await connection.promise().getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+async function lockCard(conn, column, value) {
+  const [rows] = await conn.query(`SELECT * FROM cards WHERE ${column} = ? FOR UPDATE`, [value]);
+  return rows[0] || null;
+}
+
+/**
+ * Register a card UID (status issued). Registering a UID that already exists
+ * returns the existing card, so a reader may send the same card twice.
+ * @param {string} code - card UID, whitespace ignored
+ * @param {{id: number}|null} actor - null when registered by a reader
+ * @returns {Promise<{card: object, created: boolean}>}
+ */
+export async function registerCard(code, actor = null) {
+  const cardUid = normalizeCardUid(code);
+  if (!cardUid) throw httpError(400, "code is required");
+  if (cardUid.length > CARD_UID_MAX_LENGTH) throw httpError(400, `code must be at most ${CARD_UID_MAX_LENGTH} characters`);
+
+  return withTransaction(async (conn) => {
+    const [result] = await conn.query("INSERT IGNORE INTO cards (card_uid, status, issued_at) VALUES (?, 'issued', NOW())", [cardUid]);
+    if (result.affectedRows > 0) {
+      await recordChange(conn, { id: result.insertId, status: null, user_id: null }, "issued", { actor });
+    }
+    return { card: await lockCard(conn, "card_uid", cardUid), created: result.affectedRows > 0 };
+  });
+}
+
+/**
+ * Assign an issued card to an employee and activate it. Assigning a card the
+ * employee already holds is a no-op; cards held by someone else must be
+ * replaced or retired instead.
+ * @param {string} code - card UID, whitespace ignored
+ * @param {number|string} userId
+ * @param {{id: number}|null} actor
+ * @param {{expiresAt?: Date|null}} [options]
+ * @returns {Promise<object>} the cards row
+ */
+export async function assignCard(code, userId, actor, { expiresAt = null } = {}) {
+  const cardUid = normalizeCardUid(code);
+  return withTransaction(async (conn) => {
+    const [users] = await conn.query("SELECT id FROM users WHERE id = ?", [userId]);
+    if (users.length === 0) throw httpError(404, "User not found");
+
+    const card = await lockCard(conn, "card_uid", cardUid);
+    if (!card) throw httpError(404, "Card not found");
+    if (card.user_id !== null && String(card.user_id) === String(userId) && card.status === "active") return card;
+    if (card.user_id !== null) throw httpError(409, `Card ${cardUid} is already assigned to another employee`);
+    if (card.status !== "issued") throw httpError(409, `Card ${cardUid} is ${card.status}`);
+
+    await conn.query("UPDATE cards SET user_id = ?, expires_at = ? WHERE id = ?", [userId, expiresAt, card.id]);
+    await applyStatus(conn, { ...card, user_id: Number(userId) }, "active", { reason: "Assigned", actor });
+    return lockCard(conn, "id", card.id);
+  });
+}
+
+/**
+ * Change a card's status (and / or its expiry) after checking the
+ * transition is allowed.
+ * @param {{id: number, status?: string, reason?: string|null, expiresAt?: Date|null}} update
+ * @param {{id: number}|null} actor
+ * @returns {Promise<object>} the updated cards row
+ */
+export async function updateCard({ id, status, reason = null, expiresAt }, actor) {
+  return withTransaction(async (conn) => {
+    const card = await lockCard(conn, "id", id);
+    if (!card) throw httpError(404, "Card not found");
+
+    if (expiresAt !== undefined) {
+      await conn.query("UPDATE cards SET expires_at = ? WHERE id = ?", [expiresAt, card.id]);
+      card.expires_at = expiresAt;
+    }
+    if (status !== undefined && status !== card.status) {
+      assertTransition(card, status);
+      if (status === "active" && cardRejection({ ...card, status }, new Date())) {
+        throw httpError(409, "Card is past expires_at; extend expires_at to reactivate it");
+      }
+      await applyStatus(conn, card, status, { reason, actor });
+    }
+    return lockCard(conn, "id", card.id);
+  });
+}
+
+/**
+ * Retire a card for good. The card and its access logs are kept.
+ * @param {number|string} id
+ * @param {string|null} reason
+ * @param {{id: number}|null} actor
+ * @returns {Promise<object>} the retired cards row
+ */
+export async function retireCard(id, reason, actor) {
+  const card = await getCard(id);
+  if (!card) throw httpError(404, "Card not found");
+  if (card.status === "retired") return card;
+  return updateCard({ id, status: "retired", reason }, actor);
+}
+
+/**
+ * Replace a card: the holder of the old card gets the new UID (registered
+ * first if unknown, otherwise it must be an unassigned issued card) and the
+ * old card ends in old_status – by default it keeps lost / stolen / expired
+ * and is retired otherwise.
+ * @param {number|string} id - card being replaced
+ * @param {{cardUid: string, oldStatus?: string, reason?: string|null, expiresAt?: Date|null}} replacement
+ * @param {{id: number}|null} actor
+ * @returns {Promise<{oldCard: object, newCard: object}>}
+ */
+export async function replaceCard(id, { cardUid, oldStatus, reason = null, expiresAt = null }, actor) {
+  return withTransaction(async (conn) => {
+    const oldCard = await lockCard(conn, "id", id);
+    if (!oldCard) throw httpError(404, "Card not found");
+    if (oldCard.user_id === null) throw httpError(409, "Card is not assigned to any employee; assign a card instead");
+    if (oldCard.replaced_by_card_id !== null) throw httpError(409, "Card has already been replaced");
+    if (oldCard.status === "issued" || oldCard.status === "retired") throw httpError(409, `Card is ${oldCard.status}`);
+
+    const [inserted] = await conn.query("INSERT IGNORE INTO cards (card_uid, status, issued_at) VALUES (?, 'issued', NOW())", [cardUid]);
+    const newCard = await lockCard(conn, "card_uid", cardUid);
+    if (newCard.id === oldCard.id) throw httpError(400, "The new card must have a different UID");
+    if (newCard.user_id !== null) throw httpError(409, `Card ${cardUid} is already assigned to another employee`);
+    if (newCard.status !== "issued") throw httpError(409, `Card ${cardUid} is ${newCard.status}`);
+    if (inserted.affectedRows > 0) {
+      await recordChange(conn, { id: newCard.id, status: null, user_id: null }, "issued", { actor });
+    }
+
+    // Thẻ cũ: giữ lost / stolen / expired nếu đã báo, còn lại thu hồi
+    const finalStatus = oldStatus ?? (["lost", "stolen", "expired"].includes(oldCard.status) ? oldCard.status : "retired");
+    await conn.query("UPDATE cards SET replaced_by_card_id = ? WHERE id = ?", [newCard.id, oldCard.id]);
+    if (finalStatus !== oldCard.status) {
+      assertTransition(oldCard, finalStatus);
+      await applyStatus(conn, oldCard, finalStatus, { reason, replacementCardId: newCard.id, actor });
+    } else {
+      await recordChange(conn, oldCard, finalStatus, { reason: reason ?? "Replaced", replacementCardId: newCard.id, actor });
+    }
+
+    await conn.query("UPDATE cards SET user_id = ?, expires_at = ? WHERE id = ?", [oldCard.user_id, expiresAt, newCard.id]);
+    await applyStatus(conn, { ...newCard, user_id: oldCard.user_id }, "active", {
+      reason: reason ?? "Replacement card",
+      replacementCardId: oldCard.id,
+      actor,
+    });
+
+    return { oldCard: await lockCard(conn, "id", oldCard.id), newCard: await lockCard(conn, "id", newCard.id) };
+  });
+}
+
+/**
+ * Retire every card an employee still holds (offboarding).
+ * @param {number} userId
+ * @param {string} reason
+ * @param {{id: number}|null} actor
+ * @returns {Promise<number>} number of cards retired
+ */
+export async function retireUserCards(userId, reason, actor) {
+  return withTransaction(async (conn) => {
+    const [cards] = await conn.query("SELECT * FROM cards WHERE user_id = ? AND status <> 'retired' FOR UPDATE", [userId]);
+    for (const card of cards) await applyStatus(conn, card, "retired", { reason, actor });
+    return cards.length;
+  });
+}
+
+/**
+ * Mark active / suspended cards whose expires_at has passed as expired.
+ * @returns {Promise<number>} number of cards expired
+ */
+export async function expireDueCards() {
+  return withTransaction(async (conn) => {
+    const [cards] = await conn.query(
+      "SELECT * FROM cards WHERE status IN ('active', 'suspended') AND expires_at <= NOW() FOR UPDATE"
+    );
+    for (const card of cards) await applyStatus(conn, card, "expired", { reason: "Expired" });
+    return cards.length;
+  });
+}
+
+/**
+ * Expire due cards every CARD_EXPIRY_CHECK_MINUTES (0 disables the job).
+ * Readers refuse cards past expires_at even before this job runs.
+ */
+export function startCardExpiryJob() {
+  if (expiryTimer || !(EXPIRY_CHECK_MINUTES > 0)) return;
+  const intervalMs = EXPIRY_CHECK_MINUTES * 60 * 1000;
+
+  const tick = async () => {
+    try {
+      const expired = await expireDueCards();
+      if (expired > 0) console.log(`Expired ${expired} card(s)`);
+    } catch (err) {
+      console.error("❌ Card expiry job error:", err.message || err);
+    }
+    expiryTimer = setTimeout(tick, intervalMs);
+  };
+
+  expiryTimer = setTimeout(tick, intervalMs);
+  console.log(`Card expiry job started (every ${EXPIRY_CHECK_MINUTES} min)`);
+}
@@ -0,0 +1,417 @@
+import dotenv from "dotenv";
+import connection from "./connectDatabase.js";
+import { web3, employeeContract, productContract } from "../blockchain/contractInstance.js";
+import { httpError } from "../utils/httpError.js";
+
+dotenv.config();
+
+/*
+ * Mirrors EmployeeContract / ProductContract events into chain_events.
+ *
+ * The indexer walks the chain in block ranges up to `head - CONFIRMATIONS` and
+ * commits each range together with the checkpoint, so a crash never leaves a
+ * half-indexed range. Before each range the checkpoint block hash is compared
+ * with the node: on a mismatch the index is rewound to the last block whose
+ * hash still matches (blocks with events are remembered in
+ * chain_indexed_blocks) and the orphaned events are deleted.
+ */
+
+const CHECKPOINT = "contract_events";
+
+const POLL_INTERVAL_MS = Number(process.env.CHAIN_INDEXER_POLL_MS) || 5000;
+const BATCH_BLOCKS = Number(process.env.CHAIN_INDEXER_BATCH_BLOCKS) || 1000;
+// Ganache mine ngay nên mặc định 0; mạng thật nên để vài block
+const CONFIRMATIONS = Number(process.env.CHAIN_INDEXER_CONFIRMATIONS) || 0;
+const START_BLOCK = Number(process.env.CHAIN_INDEXER_START_BLOCK) || 0;
+// Chỉ giữ hash của các block gần đây để dò điểm rẽ nhánh
+const REORG_DEPTH = Number(process.env.CHAIN_INDEXER_REORG_DEPTH) || 128;
+
+export const EMPLOYEE_LOG_ACTIONS = {
+  EmployeeCredited: "credit",
+  EmployeeWithdrawn: "withdraw",
+  EmployeePurchased: "purchase",
+};
+
+const INDEXED_CONTRACTS = [
+  { name: "employee", contract: employeeContract },
+  { name: "product", contract: productContract },
+];
+
+const MAX_PAGE_SIZE = 200;
+
+let indexerTimer = null;
+let syncing = null;
+
+const toJsonValue = (value) => (typeof value === "bigint" ? value.toString() : value);
+
+/**
+ * Pick the named arguments of a decoded event (web3 also returns them by index).
+ * @param {object} event - web3 EventLog
+ * @param {object} contract
+ * @returns {object}
+ */
+function eventArgs(event, contract) {
+  const abi = contract.options.jsonInterface.find((item) => item.type === "event" && item.name === event.event);
+  const args = {};
+  for (const input of abi?.inputs || []) {
+    args[input.name] = toJsonValue(event.returnValues[input.name]);
+  }
+  return args;
+}
+
+/**
+ * Columns extracted from an event's arguments for filtering and totals.
+ * @param {object} args
+ */
+function eventColumns(args) {
+  return {
+    user_code: args.userCode ?? null,
+    product_code: args.productCode ?? null,
+    wallet_address: args.wallet ?? args.buyer ?? null,
+    amount_wei: args.amount ?? args.totalAmount ?? args.price ?? null,
+  };
+}
+
+async function getCheckpoint(conn = connection.promise()) {
+  const [rows] = await conn.query("SELECT * FROM chain_index_checkpoints WHERE name = ?", [CHECKPOINT]);
+  return rows[0] || { name: CHECKPOINT, last_block: START_BLOCK - 1, last_block_hash: null, reorgs: 0 };
+}
+
+async function saveCheckpoint(conn, blockNumber, blockHash) {
+  await conn.query(
+    `INSERT INTO chain_index_checkpoints (name, last_block, last_block_hash) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE last_block = VALUES(last_block), last_block_hash = VALUES(last_block_hash)`,
+    [CHECKPOINT, blockNumber, blockHash]
+  );
+}
+
+async function getChainBlock(number) {
+  const block = await web3.eth.getBlock(number);
+  if (!block) return null;
+  return { number: Number(block.number), hash: block.hash, timestamp: Number(block.timestamp) };
+}
+
+/**
+ * Rewind the index to the newest remembered block that is still canonical and
+ * delete everything indexed after it.
+ * @returns {Promise<number>} block the index was rewound to
+ */
+async function rewindToCommonAncestor(checkpoint) {
+  const [known] = await connection.promise().query(
+    "SELECT block_number, block_hash FROM chain_indexed_blocks WHERE block_number < ? ORDER BY block_number DESC",
+    [checkpoint.last_block]
+  );
+
+  let ancestor = null;
+  for (const row of known) {
+    const block = await getChainBlock(Number(row.block_number));
+    if (block && block.hash === row.block_hash) {
+      ancestor = { number: block.number, hash: block.hash };
+      break;
+    }
+  }
+  // Nhánh rẽ sâu hơn phần hash còn giữ: index lại từ đầu
+  if (!ancestor) {
+    console.warn(`⚠️ Chain reorg deeper than ${REORG_DEPTH} blocks, reindexing from block ${START_BLOCK}`);
+    ancestor = { number: START_BLOCK - 1, hash: null };
+  }
+
+  const conn = await connection.promise().getConnection();
+  try {
+    await conn.beginTransaction();
+    const [deleted] = await conn.query("DELETE FROM chain_events WHERE block_number > ?", [ancestor.number]);
+    await conn.query("DELETE FROM chain_indexed_blocks WHERE block_number > ?", [ancestor.number]);
+    await saveCheckpoint(conn, ancestor.number, ancestor.hash);
+    await conn.query("UPDATE chain_index_checkpoints SET reorgs = reorgs + 1 WHERE name = ?", [CHECKPOINT]);
+    await conn.commit();
+    console.warn(`⚠️ Chain reorg at block ${checkpoint.last_block}: rewound to ${ancestor.number}, removed ${deleted.affectedRows} events`);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return ancestor.number;
+}
+
+/**
+ * Fetch, decode and store the events of one block range, then move the checkpoint.
+ * @returns {Promise<number>} events stored
+ */
+async function indexRange(fromBlock, toBlock) {
+  const found = [];
+  for (const { name, contract } of INDEXED_CONTRACTS) {
+    if (!contract.options.address) continue;
+    const events = await contract.getPastEvents("allEvents", { fromBlock, toBlock });
+    for (const event of events) found.push({ name, contract, event });
+  }
+
+  // Lấy hash + thời gian của từng block có event, và của block checkpoint mới
+  const blockNumbers = new Set(found.map(({ event }) => Number(event.blockNumber)));
+  blockNumbers.add(toBlock);
+  const blocks = new Map();
+  for (const number of blockNumbers) {
+    const block = await getChainBlock(number);
+    if (!block) throw new Error(`Block ${number} not available`);
+    blocks.set(number, block);
+  }
+  // Log thuộc block đã bị thay trong lúc đọc: bỏ qua lần này, lần sau sẽ phát hiện reorg
+  for (const { event } of found) {
+    if (blocks.get(Number(event.blockNumber)).hash !== event.blockHash) {
+      throw new Error(`Block ${event.blockNumber} changed while indexing`);
+    }
+  }
+
+  const conn = await connection.promise().getConnection();
+  try {
+    await conn.beginTransaction();
+    for (const { name, contract, event } of found) {
+      const block = blocks.get(Number(event.blockNumber));
+      const args = eventArgs(event, contract);
+      const columns = eventColumns(args);
+      await conn.query(
+        `INSERT IGNORE INTO chain_events
+           (contract, contract_address, event_name, block_number, block_hash, tx_hash, log_index,
+            user_code, product_code, wallet_address, amount_wei, event_time, payload)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, FROM_UNIXTIME(?), ?)`,
+        [
+          name, contract.options.address, event.event, block.number, block.hash, event.transactionHash,
+          Number(event.logIndex), columns.user_code, columns.product_code, columns.wallet_address,
+          columns.amount_wei, block.timestamp, JSON.stringify(args),
+        ]
+      );
+    }
+    for (const block of blocks.values()) {
+      await conn.query(
+        "INSERT INTO chain_indexed_blocks (block_number, block_hash) VALUES (?, ?) ON DUPLICATE KEY UPDATE block_hash = VALUES(block_hash)",
+        [block.number, block.hash]
+      );
+    }
+    await conn.query("DELETE FROM chain_indexed_blocks WHERE block_number < ?", [toBlock - REORG_DEPTH]);
+    await saveCheckpoint(conn, toBlock, blocks.get(toBlock).hash);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return found.length;
+}
+
+async function runSync() {
+  let checkpoint = await getCheckpoint();
+
+  if (checkpoint.last_block_hash) {
+    const block = await getChainBlock(Number(checkpoint.last_block));
+    if (!block || block.hash !== checkpoint.last_block_hash) {
+      await rewindToCommonAncestor(checkpoint);
+      checkpoint = await getCheckpoint();
+    }
+  }
+
+  const head = Number(await web3.eth.getBlockNumber());
+  const safeHead = head - CONFIRMATIONS;
+  let fromBlock = Number(checkpoint.last_block) + 1;
+  let indexed = 0;
+
+  while (fromBlock <= safeHead) {
+    const toBlock = Math.min(fromBlock + BATCH_BLOCKS - 1, safeHead);
+    indexed += await indexRange(fromBlock, toBlock);
+    fromBlock = toBlock + 1;
+  }
+
+  return { indexed, lastBlock: Math.max(fromBlock - 1, Number(checkpoint.last_block)), head };
+}
+
+/**
+ * Index every confirmed block after the checkpoint. Concurrent callers share
+ * the sync already in progress.
+ * @returns {Promise<{indexed: number, lastBlock: number, head: number}>}
+ */
+export function syncChainEvents() {
+  if (!syncing) {
+    syncing = runSync().finally(() => {
+      syncing = null;
+    });
+  }
+  return syncing;
+}
+
+/**
+ * Checkpoint and lag of the index.
+ * @returns {Promise<object>}
+ */
+export async function getIndexerStatus() {
+  const checkpoint = await getCheckpoint();
+  const [[counts]] = await connection.promise().query("SELECT COUNT(*) AS events FROM chain_events");
+  let head = null;
+  try {
+    head = Number(await web3.eth.getBlockNumber());
+  } catch (err) {
+    // Node không truy cập được: vẫn trả về checkpoint
+  }
+  const lastBlock = Number(checkpoint.last_block);
+  return {
+    lastBlock,
+    lastBlockHash: checkpoint.last_block_hash,
+    head,
+    confirmations: CONFIRMATIONS,
+    lag: head === null ? null : Math.max(head - CONFIRMATIONS - lastBlock, 0),
+    reorgs: checkpoint.reorgs,
+    events: counts.events,
+    updatedAt: checkpoint.updated_at || null,
+  };
+}
+
+/**
+ * Normalize page / limit query values.
+ * @returns {{page: number, limit: number, offset: number}}
+ */
+export function parsePagination({ page, limit } = {}) {
+  const p = page === undefined ? 1 : Number(page);
+  const l = limit === undefined ? 50 : Number(limit);
+  if (!Number.isInteger(p) || p < 1) throw httpError(400, "page must be a positive integer");
+  if (!Number.isInteger(l) || l < 1 || l > MAX_PAGE_SIZE) {
+    throw httpError(400, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return { page: p, limit: l, offset: (p - 1) * l };
+}
+
+function formatEvent(row) {
+  const payload = typeof row.payload === "string" ? JSON.parse(row.payload) : row.payload;
+  return { ...row, amount_wei: row.amount_wei === null ? null : String(row.amount_wei), payload };
+}
+
+/**
+ * Page through indexed events, newest first.
+ * @param {{userCode?: string, productCode?: string, eventName?: string|string[], wallet?: string,
+ *          from?: string, to?: string, page?: number, limit?: number}} filters
+ * @returns {Promise<{events: object[], page: number, limit: number, total: number}>}
+ */
+export async function listChainEvents({ userCode, productCode, eventName, wallet, from, to, ...paging } = {}) {
+  const { page, limit, offset } = parsePagination(paging);
+  const where = [];
+  const params = [];
+  if (userCode) {
+    where.push("user_code = ?");
+    params.push(String(userCode));
+  }
+  if (productCode) {
+    where.push("product_code = ?");
+    params.push(String(productCode));
+  }
+  if (eventName) {
+    const names = Array.isArray(eventName) ? eventName : [eventName];
+    where.push(`event_name IN (${names.map(() => "?").join(", ")})`);
+    params.push(...names);
+  }
+  if (wallet) {
+    where.push("wallet_address = ?");
+    params.push(wallet);
+  }
+  if (from) {
+    where.push("event_time >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("event_time < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(to);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const [[{ total }]] = await connection.promise().query(`SELECT COUNT(*) AS total FROM chain_events ${whereSql}`, params);
+  const [rows] = await connection.promise().query(
+    `SELECT * FROM chain_events ${whereSql} ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return { events: rows.map(formatEvent), page, limit, total };
+}
+
+/**
+ * Credit / withdraw / purchase totals of one employee from the index (wei strings).
+ * Book balance = credited - withdrawn - purchased, as shown on the logs page.
+ * @param {string|number} userCode
+ * @returns {Promise<{credited: string, withdrawn: string, purchased: string, bookBalance: string}>}
+ */
+export async function getEmployeeLedger(userCode) {
+  const [rows] = await connection.promise().query(
+    `SELECT event_name, CAST(COALESCE(SUM(amount_wei), 0) AS CHAR) AS total
+       FROM chain_events
+      WHERE user_code = ? AND event_name IN ('EmployeeCredited', 'EmployeeWithdrawn', 'EmployeePurchased')
+      GROUP BY event_name`,
+    [String(userCode)]
+  );
+  const totals = Object.fromEntries(rows.map((r) => [r.event_name, BigInt(r.total)]));
+  const credited = totals.EmployeeCredited || 0n;
+  const withdrawn = totals.EmployeeWithdrawn || 0n;
+  const purchased = totals.EmployeePurchased || 0n;
+  return {
+    credited: credited.toString(),
+    withdrawn: withdrawn.toString(),
+    purchased: purchased.toString(),
+    bookBalance: (credited - withdrawn - purchased).toString(),
+  };
+}
+
+/**
+ * Per-employee totals of credits, withdrawals and purchases in a date range.
+ * @param {{from?: string, to?: string, userCode?: string}} filters
+ * @returns {Promise<object[]>}
+ */
+export async function summarizeEmployeeEvents({ from, to, userCode } = {}) {
+  const where = ["event_name IN ('EmployeeCredited', 'EmployeeWithdrawn', 'EmployeePurchased')"];
+  const params = [];
+  if (userCode) {
+    where.push("user_code = ?");
+    params.push(String(userCode));
+  }
+  if (from) {
+    where.push("event_time >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("event_time < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(to);
+  }
+
+  const [rows] = await connection.promise().query(
+    `SELECT user_code,
+            CAST(SUM(CASE WHEN event_name = 'EmployeeCredited' THEN amount_wei ELSE 0 END) AS CHAR) AS credited_wei,
+            CAST(SUM(CASE WHEN event_name = 'EmployeeWithdrawn' THEN amount_wei ELSE 0 END) AS CHAR) AS withdrawn_wei,
+            CAST(SUM(CASE WHEN event_name = 'EmployeePurchased' THEN amount_wei ELSE 0 END) AS CHAR) AS purchased_wei,
+            SUM(event_name = 'EmployeeCredited') AS credits,
+            SUM(event_name = 'EmployeeWithdrawn') AS withdrawals,
+            SUM(event_name = 'EmployeePurchased') AS purchases
+       FROM chain_events
+      WHERE ${where.join(" AND ")}
+      GROUP BY user_code
+      ORDER BY user_code`,
+    params
+  );
+  return rows.map((r) => ({
+    ...r,
+    credits: Number(r.credits),
+    withdrawals: Number(r.withdrawals),
+    purchases: Number(r.purchases),
+  }));
+}
+
+/**
+ * Follow the chain every CHAIN_INDEXER_POLL_MS.
+ */
+export function startChainIndexer() {
+  if (indexerTimer) return;
+
+  const tick = async () => {
+    try {
+      await syncChainEvents();
+    } catch (err) {
+      console.error("❌ Chain indexer error:", err.message || err);
+    }
+    indexerTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  };
+
+  indexerTimer = setTimeout(tick, 0);
+  console.log(`Chain indexer started (poll ${POLL_INTERVAL_MS} ms, ${CONFIRMATIONS} confirmations)`);
+}
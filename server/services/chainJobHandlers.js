@@ -0,0 +1,96 @@
+import { employeeContract } from "../blockchain/contractInstance.js";
+import { registerJobHandler } from "./chainJobService.js";
+import { getOwnerAddress, sendOwnerContractCall } from "./chainTxService.js";
+import { creditSession, getSession } from "./workSessionService.js";
+import { settlePayrollItemById } from "./payrollService.js";
+import { applyProfileChange } from "./employeeProfileService.js";
+
+const GAS_LIMITS = {
+  RECORD_WITHDRAW: 200000,
+  RECORD_PURCHASE: 300000,
+  REGISTER_EMPLOYEE: 3000000,
+};
+
+async function getOwnerAccount() {
+  const owner = await getOwnerAddress();
+
+  // recordWithdraw / recordPurchase / registerEmployee / updateEmployeeProfile là onlyOwner
+  const contractOwner = await employeeContract.methods.owner().call();
+  if (contractOwner.toLowerCase() !== owner.toLowerCase()) {
+    throw new Error(`Contract owner mismatch: contract owner is ${contractOwner} but server is using ${owner}`);
+  }
+  return owner;
+}
+
+async function findEmployee(userCode) {
+  try {
+    const emp = await employeeContract.methods.getEmployee(userCode).call();
+    return emp && emp[0] ? emp : null;
+  } catch (err) {
+    // getEmployee revert "Employee not found"
+    return null;
+  }
+}
+
+registerJobHandler("credit_session", async ({ sessionId }) => {
+  const credit = await creditSession(sessionId);
+  if (credit) return credit;
+
+  const session = await getSession(sessionId);
+  if (!session) throw new Error(`Work session ${sessionId} not found`);
+  if (session.credit_status === "credited" || session.payroll_item_id) {
+    // Đã ghi có ở lần chạy trước hoặc đã được gộp vào kỳ lương
+    return { skipped: true, credit_status: session.credit_status, payroll_item_id: session.payroll_item_id };
+  }
+  throw new Error(`Work session ${sessionId} is not creditable (status ${session.status}, credit_status ${session.credit_status})`);
+});
+
+registerJobHandler("settle_payroll_item", async ({ itemId }) => settlePayrollItemById(itemId));
+
+// sendOwnerContractCall chạy estimateGas trước để lấy lý do revert rõ ràng trước khi gửi;
+// reuse theo reference để lần thử lại không ghi sổ hai lần
+registerJobHandler("record_withdraw", async ({ userCode, amountWei, transferTx }) => {
+  await getOwnerAccount();
+
+  const receipt = await sendOwnerContractCall(
+    employeeContract,
+    employeeContract.methods.recordWithdraw(userCode, amountWei),
+    { gas: GAS_LIMITS.RECORD_WITHDRAW, purpose: "record_withdraw", reference: `withdraw:${transferTx}`, reuse: true }
+  );
+  return { recordTx: receipt.transactionHash };
+});
+
+registerJobHandler("record_purchase", async ({ userCode, amountWei, purchaseTx }) => {
+  await getOwnerAccount();
+
+  const receipt = await sendOwnerContractCall(
+    employeeContract,
+    employeeContract.methods.recordPurchase(String(userCode), String(amountWei)),
+    { gas: GAS_LIMITS.RECORD_PURCHASE, purpose: "record_purchase", reference: `purchase:${purchaseTx}`, reuse: true }
+  );
+  return { recordTx: receipt.transactionHash };
+});
+
+registerJobHandler("register_employee", async ({ userCode, fullName, email, phone, department, position, wallet }) => {
+  // Lần chạy trước có thể đã đăng ký thành công nhưng chưa kịp lưu kết quả
+  const existing = await findEmployee(userCode);
+  if (existing) {
+    if (existing[6].toLowerCase() !== wallet.toLowerCase()) {
+      throw new Error(`Employee ${userCode} is already registered with another wallet (${existing[6]})`);
+    }
+    return { alreadyRegistered: true, wallet };
+  }
+
+  await getOwnerAccount();
+  const receipt = await sendOwnerContractCall(
+    employeeContract,
+    employeeContract.methods.registerEmployee(userCode, fullName, email, phone, department, position, wallet),
+    { gas: GAS_LIMITS.REGISTER_EMPLOYEE, purpose: "register_employee", reference: `register_employee:${userCode}`, reuse: true }
+  );
+  return { txHash: receipt.transactionHash, wallet };
+});
+
+registerJobHandler("update_employee_profile", async (payload) => {
+  await getOwnerAccount();
+  return applyProfileChange(payload);
+});
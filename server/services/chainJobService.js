@@ -0,0 +1,240 @@
+import dotenv from "dotenv";
+import connection from "./connectDatabase.js";
+import { httpError } from "../utils/httpError.js";
+
+dotenv.config();
+
+export const JOB_STATUSES = ["pending", "running", "succeeded", "failed", "dead"];
+
+// Các loại giao dịch blockchain đi qua outbox (handler đăng ký trong chainJobHandlers.js)
+export const JOB_TYPES = ["credit_session", "settle_payroll_item", "record_withdraw", "record_purchase", "register_employee", "update_employee_profile"];
+
+const POLL_INTERVAL_MS = Number(process.env.CHAIN_JOB_POLL_MS) || 5000;
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.CHAIN_JOB_MAX_ATTEMPTS) || 8;
+const BACKOFF_BASE_SECONDS = Number(process.env.CHAIN_JOB_BACKOFF_SECONDS) || 10;
+const BACKOFF_MAX_SECONDS = 3600;
+// Job "running" lâu hơn mức này coi như worker đã chết giữa chừng
+export const LOCK_TIMEOUT_SECONDS = Number(process.env.CHAIN_JOB_LOCK_TIMEOUT_SECONDS) || 600;
+
+const handlers = new Map();
+
+/**
+ * Register the function that executes jobs of a type. The handler receives
+ * the job payload and its return value is stored as the job result; throwing
+ * schedules a retry. Handlers must be safe to run more than once.
+ * @param {string} type
+ * @param {(payload: object, job: object) => Promise<object|void>} handler
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function formatJob(row) {
+  if (!row) return row;
+  const parse = (value) => (typeof value === "string" ? JSON.parse(value) : value);
+  return { ...row, payload: parse(row.payload), result: parse(row.result) };
+}
+
+/**
+ * Delay before the next attempt: 10s, 20s, 40s... capped at one hour.
+ * @param {number} attempts - attempts made so far
+ * @returns {number} seconds
+ */
+export function backoffSeconds(attempts) {
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * @param {number|string} jobId
+ * @returns {Promise<object|undefined>}
+ */
+export async function getJob(jobId) {
+  const [rows] = await connection.promise().query("SELECT * FROM chain_jobs WHERE id = ?", [jobId]);
+  return formatJob(rows[0]);
+}
+
+/**
+ * @param {string} reference
+ * @returns {Promise<object|undefined>}
+ */
+export async function getJobByReference(reference) {
+  const [rows] = await connection.promise().query("SELECT * FROM chain_jobs WHERE reference = ?", [reference]);
+  return formatJob(rows[0]);
+}
+
+/**
+ * @param {{status?: string, type?: string, limit?: number}} filters
+ * @returns {Promise<object[]>}
+ */
+export async function listJobs({ status, type, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (type) {
+    where.push("type = ?");
+    params.push(type);
+  }
+  params.push(Math.min(Number(limit) || 100, 500));
+
+  const [rows] = await connection.promise().query(
+    `SELECT * FROM chain_jobs ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY id DESC LIMIT ?`,
+    params
+  );
+  return rows.map(formatJob);
+}
+
+/**
+ * Persist an on-chain side effect to be executed by the worker. When a
+ * reference is given, enqueuing the same reference twice returns the job
+ * that already exists instead of creating a second one.
+ * @param {string} type
+ * @param {object} payload
+ * @param {{reference?: string, maxAttempts?: number, conn?: object}} [options] - conn: connection of an open transaction
+ * @returns {Promise<object>} the chain_jobs row
+ */
+export async function enqueueJob(type, payload, { reference = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, conn } = {}) {
+  const db = conn || connection.promise();
+  try {
+    const [result] = await db.query(
+      "INSERT INTO chain_jobs (type, reference, payload, max_attempts) VALUES (?, ?, ?, ?)",
+      [type, reference, JSON.stringify(payload), maxAttempts]
+    );
+    const [rows] = await db.query("SELECT * FROM chain_jobs WHERE id = ?", [result.insertId]);
+    return formatJob(rows[0]);
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY" && reference) {
+      const [rows] = await db.query("SELECT * FROM chain_jobs WHERE reference = ?", [reference]);
+      return formatJob(rows[0]);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Put a failed or dead job back in the queue with a fresh attempt budget.
+ * @param {number|string} jobId
+ * @returns {Promise<object>}
+ */
+export async function replayJob(jobId) {
+  const job = await getJob(jobId);
+  if (!job) throw httpError(404, "Job not found");
+
+  const [result] = await connection.promise().query(
+    "UPDATE chain_jobs SET status = 'pending', attempts = 0, next_run_at = NOW(), locked_at = NULL WHERE id = ? AND status IN ('failed', 'dead')",
+    [jobId]
+  );
+  if (result.affectedRows === 0) {
+    throw httpError(409, `Only failed or dead jobs can be replayed (job is ${job.status})`);
+  }
+  return getJob(jobId);
+}
+
+/**
+ * Execute one claimed job and store the outcome: succeeded, failed (retry
+ * later with exponential backoff) or dead (attempt budget exhausted).
+ * @param {object} job - chain_jobs row, already marked running
+ * @returns {Promise<object>} the updated job
+ */
+async function executeJob(job) {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) throw new Error(`No handler registered for job type ${job.type}`);
+    const result = await handler(job.payload, job);
+
+    await connection.promise().query(
+      "UPDATE chain_jobs SET status = 'succeeded', result = ?, last_error = NULL, locked_at = NULL, completed_at = NOW() WHERE id = ?",
+      [JSON.stringify(result ?? null), job.id]
+    );
+  } catch (err) {
+    const message = String(err.message || err).slice(0, 1000);
+    const dead = job.attempts >= job.max_attempts;
+
+    await connection.promise().query(
+      "UPDATE chain_jobs SET status = ?, last_error = ?, locked_at = NULL, next_run_at = NOW() + INTERVAL ? SECOND WHERE id = ?",
+      [dead ? "dead" : "failed", message, backoffSeconds(job.attempts), job.id]
+    );
+    if (dead) {
+      console.error(`❌ Chain job ${job.id} (${job.type}) is dead after ${job.attempts} attempts:`, message);
+    } else {
+      console.warn(`⚠️ Chain job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, message);
+    }
+  }
+
+  return getJob(job.id);
+}
+
+/**
+ * Claim a job and run it now instead of waiting for the worker. Used when the
+ * caller wants the result in its response; if the job is not runnable (e.g.
+ * the worker already took it) the current row is returned unchanged.
+ * @param {number|string} jobId
+ * @returns {Promise<object>}
+ */
+export async function runJobNow(jobId) {
+  const [claim] = await connection.promise().query(
+    "UPDATE chain_jobs SET status = 'running', attempts = attempts + 1, locked_at = NOW() WHERE id = ? AND status IN ('pending', 'failed')",
+    [jobId]
+  );
+  const job = await getJob(jobId);
+  if (claim.affectedRows === 0) return job;
+  return executeJob(job);
+}
+
+/**
+ * Return jobs whose worker died mid-run to the retry queue.
+ * @returns {Promise<number>}
+ */
+async function releaseStaleJobs() {
+  const [result] = await connection.promise().query(
+    `UPDATE chain_jobs
+        SET status = IF(attempts >= max_attempts, 'dead', 'failed'),
+            last_error = 'Worker stopped while the job was running', locked_at = NULL, next_run_at = NOW()
+      WHERE status = 'running' AND locked_at < (NOW() - INTERVAL ? SECOND)`,
+    [LOCK_TIMEOUT_SECONDS]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Run every job that is due, oldest first.
+ * @returns {Promise<number>} number of jobs executed
+ */
+export async function processDueJobs() {
+  await releaseStaleJobs();
+
+  let processed = 0;
+  for (;;) {
+    const [due] = await connection.promise().query(
+      "SELECT id FROM chain_jobs WHERE status IN ('pending', 'failed') AND next_run_at <= NOW() ORDER BY next_run_at, id LIMIT 1"
+    );
+    if (due.length === 0) return processed;
+
+    await runJobNow(due[0].id);
+    processed++;
+  }
+}
+
+let workerTimer = null;
+
+/**
+ * Start polling the chain_jobs table. Safe to call once at startup.
+ */
+export function startChainJobWorker() {
+  if (workerTimer) return;
+
+  const tick = async () => {
+    try {
+      await processDueJobs();
+    } catch (err) {
+      console.error("❌ Chain job worker error:", err.message || err);
+    }
+    workerTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  };
+
+  workerTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  console.log(`Chain job worker started (poll ${POLL_INTERVAL_MS} ms)`);
+}
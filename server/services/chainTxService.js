@@ -0,0 +1,367 @@
+import dotenv from "dotenv";
+import connection from "./connectDatabase.js";
+import { web3, ownerAccount } from "../blockchain/contractInstance.js";
+
+dotenv.config();
+
+export const TX_STATUSES = ["pending", "mined", "failed", "dropped"];
+
+const POLL_INTERVAL_MS = Number(process.env.CHAIN_TX_POLL_MS) || 5000;
+const RECEIPT_POLL_MS = Number(process.env.CHAIN_TX_RECEIPT_POLL_MS) || 1000;
+// Thời gian chờ receipt khi gửi đồng bộ; quá hạn thì poller tiếp tục theo dõi
+const WAIT_TIMEOUT_MS = Number(process.env.CHAIN_TX_WAIT_TIMEOUT_MS) || 60000;
+// Chưa được mine sau khoảng này thì gửi lại cùng nonce với giá gas cao hơn
+const STUCK_AFTER_SECONDS = Number(process.env.CHAIN_TX_STUCK_SECONDS) || 120;
+const SPEEDUP_PERCENT = Number(process.env.CHAIN_TX_SPEEDUP_PERCENT) || 20;
+const MAX_SPEEDUPS = Number(process.env.CHAIN_TX_MAX_SPEEDUPS) || 5;
+
+const toQuantity = (value) => `0x${BigInt(value).toString(16)}`;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let ownerAddress = null;
+// Các lần cấp nonce chạy nối tiếp nhau (một tiến trình server)
+let nonceQueue = Promise.resolve();
+
+function withNonceLock(fn) {
+  const run = nonceQueue.then(fn, fn);
+  nonceQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Owner account used for every admin write: the network profile's owner key,
+ * otherwise the node's first unlocked account (ganache accounts[0]).
+ * @returns {Promise<string>}
+ */
+export async function getOwnerAddress() {
+  if (!ownerAddress) {
+    ownerAddress = ownerAccount ? ownerAccount.address : (await web3.eth.getAccounts())[0];
+  }
+  return ownerAddress;
+}
+
+function formatTx(row) {
+  if (!row) return row;
+  const replaced = typeof row.replaced_hashes === "string" ? JSON.parse(row.replaced_hashes) : row.replaced_hashes;
+  return { ...row, replaced_hashes: replaced || [] };
+}
+
+/**
+ * @param {number|string} id
+ * @returns {Promise<object|undefined>}
+ */
+export async function getTransaction(id) {
+  const [rows] = await connection.promise().query("SELECT * FROM chain_transactions WHERE id = ?", [id]);
+  return formatTx(rows[0]);
+}
+
+/**
+ * Find a tracked transaction by its current hash or one it replaced when sped up.
+ * @param {string} hash
+ * @returns {Promise<object|undefined>}
+ */
+export async function getTransactionByHash(hash) {
+  const [rows] = await connection.promise().query(
+    `SELECT * FROM chain_transactions
+      WHERE tx_hash = ? OR JSON_CONTAINS(COALESCE(replaced_hashes, JSON_ARRAY()), JSON_QUOTE(?))
+      ORDER BY id DESC LIMIT 1`,
+    [hash, hash]
+  );
+  return formatTx(rows[0]);
+}
+
+/**
+ * @param {{status?: string, reference?: string, purpose?: string, limit?: number}} filters
+ * @returns {Promise<object[]>}
+ */
+export async function listTransactions({ status, reference, purpose, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (reference) {
+    where.push("reference = ?");
+    params.push(reference);
+  }
+  if (purpose) {
+    where.push("purpose = ?");
+    params.push(purpose);
+  }
+  params.push(Math.min(Number(limit) || 100, 500));
+
+  const [rows] = await connection.promise().query(
+    `SELECT * FROM chain_transactions ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY id DESC LIMIT ?`,
+    params
+  );
+  return rows.map(formatTx);
+}
+
+async function broadcast(row, nonce, gasPrice) {
+  const tx = {
+    from: row.from_address,
+    to: row.to_address,
+    value: toQuantity(row.value_wei || 0),
+    data: row.data || undefined,
+    gas: toQuantity(row.gas),
+    gasPrice: toQuantity(gasPrice),
+    nonce: toQuantity(nonce),
+  };
+
+  // Node không giữ khóa owner (testnet): ký tại server rồi gửi raw
+  if (ownerAccount) {
+    const signed = await ownerAccount.signTransaction({ ...tx, chainId: await web3.eth.getChainId() });
+    return web3.requestManager.send({ method: "eth_sendRawTransaction", params: [signed.rawTransaction] });
+  }
+  return web3.requestManager.send({ method: "eth_sendTransaction", params: [tx] });
+}
+
+/**
+ * Assign the next owner nonce and broadcast. Submissions are serialized, so
+ * the node's pending transaction count is the next free nonce: every earlier
+ * broadcast is already in its pool, including ones sent outside this process.
+ */
+function submit(txId) {
+  return withNonceLock(async () => {
+    const row = await getTransaction(txId);
+    const nonce = BigInt(await web3.eth.getTransactionCount(row.from_address, "pending"));
+    const gasPrice = BigInt(await web3.eth.getGasPrice());
+
+    // Node không còn giữ giao dịch cũ dùng nonce này (vd. node khởi động lại)
+    await connection.promise().query(
+      `UPDATE chain_transactions SET status = 'dropped', error = CONCAT('Dropped by node (nonce ', nonce, ')'), nonce = NULL
+        WHERE from_address = ? AND nonce >= ? AND status = 'pending'`,
+      [row.from_address, String(nonce)]
+    );
+    await connection.promise().query(
+      "UPDATE chain_transactions SET nonce = ?, gas_price = ? WHERE id = ?",
+      [String(nonce), String(gasPrice), txId]
+    );
+
+    let hash;
+    try {
+      hash = await broadcast(row, nonce, gasPrice);
+    } catch (err) {
+      // Node từ chối: nonce chưa được dùng
+      await connection.promise().query(
+        "UPDATE chain_transactions SET nonce = NULL, status = 'failed', error = ? WHERE id = ?",
+        [String(err.message || err).slice(0, 1000), txId]
+      );
+      throw err;
+    }
+
+    await connection.promise().query(
+      "UPDATE chain_transactions SET tx_hash = ?, submitted_at = NOW() WHERE id = ?",
+      [hash, txId]
+    );
+    return hash;
+  });
+}
+
+/**
+ * Re-send a stuck transaction with the same nonce and a higher gas price.
+ * @param {object} tx - chain_transactions row
+ * @returns {Promise<object>} the updated row
+ */
+async function speedUp(tx) {
+  const bumped = (BigInt(tx.gas_price || 0) * BigInt(100 + SPEEDUP_PERCENT)) / 100n;
+  const market = BigInt(await web3.eth.getGasPrice());
+  const gasPrice = bumped > market ? bumped : market;
+
+  const hash = await broadcast(tx, tx.nonce, gasPrice);
+  await connection.promise().query(
+    `UPDATE chain_transactions
+        SET tx_hash = ?, gas_price = ?, speedups = speedups + 1, submitted_at = NOW(),
+            replaced_hashes = JSON_ARRAY_APPEND(COALESCE(replaced_hashes, JSON_ARRAY()), '$', ?)
+      WHERE id = ? AND status = 'pending'`,
+    [hash, String(gasPrice), tx.tx_hash, tx.id]
+  );
+  console.log(`⏫ Sped up chain transaction ${tx.id} (nonce ${tx.nonce}): ${tx.tx_hash} → ${hash}`);
+  return getTransaction(tx.id);
+}
+
+/**
+ * Store the receipt of whichever hash of a pending transaction (the current
+ * one or one it replaced when sped up) was mined.
+ * @param {object} tx - chain_transactions row
+ * @param {{strict?: boolean}} [options] - strict: let node errors through instead of treating them as "no receipt"
+ * @returns {Promise<object|null>} the receipt, or null if none of the hashes is mined
+ */
+async function storeMinedReceipt(tx, { strict = false } = {}) {
+  for (const hash of [tx.tx_hash, ...tx.replaced_hashes]) {
+    const lookup = web3.eth.getTransactionReceipt(hash);
+    const receipt = strict ? await lookup : await lookup.catch(() => null);
+    if (!receipt) continue;
+
+    const success = BigInt(receipt.status) === 1n;
+    // Bản gửi trước khi tăng phí được mine: hash hiện tại chuyển vào danh sách đã thay
+    const replaced = hash === tx.tx_hash ? tx.replaced_hashes : [...tx.replaced_hashes.filter((h) => h !== hash), tx.tx_hash];
+    await connection.promise().query(
+      `UPDATE chain_transactions
+          SET status = ?, tx_hash = ?, replaced_hashes = ?, block_number = ?, gas_used = ?, mined_at = NOW(), error = ?
+        WHERE id = ?`,
+      [
+        success ? "mined" : "failed",
+        hash,
+        replaced.length ? JSON.stringify(replaced) : null,
+        String(receipt.blockNumber),
+        String(receipt.gasUsed),
+        success ? null : "Transaction reverted",
+        tx.id,
+      ]
+    );
+    return receipt;
+  }
+  return null;
+}
+
+/**
+ * Check a pending transaction once: store its receipt if any of its hashes
+ * was mined, mark it dropped if another transaction used its nonce, and
+ * speed it up if it has been waiting longer than CHAIN_TX_STUCK_SECONDS.
+ * @param {number|string} txId
+ * @returns {Promise<{tx: object, receipt: object|null}>}
+ */
+export async function checkTransaction(txId) {
+  const tx = await getTransaction(txId);
+  if (!tx || tx.status !== "pending" || !tx.tx_hash) return { tx, receipt: null };
+
+  const receipt = await storeMinedReceipt(tx);
+  if (receipt) return { tx: await getTransaction(tx.id), receipt };
+
+  // Nonce đã được dùng: có thể chính giao dịch này vừa được mine sau lần đọc receipt ở trên,
+  // nên đọc lại receipt của mọi hash trước khi coi là dropped (dropped thì reuse sẽ gửi lại → trả hai lần)
+  const minedCount = BigInt(await web3.eth.getTransactionCount(tx.from_address, "latest"));
+  if (minedCount > BigInt(tx.nonce)) {
+    const lateReceipt = await storeMinedReceipt(tx, { strict: true });
+    if (lateReceipt) return { tx: await getTransaction(tx.id), receipt: lateReceipt };
+
+    await connection.promise().query(
+      "UPDATE chain_transactions SET status = 'dropped', error = 'Nonce used by another transaction' WHERE id = ? AND status = 'pending'",
+      [tx.id]
+    );
+    return { tx: await getTransaction(tx.id), receipt: null };
+  }
+
+  const waitingSeconds = (Date.now() - new Date(tx.submitted_at).getTime()) / 1000;
+  if (waitingSeconds > STUCK_AFTER_SECONDS && tx.speedups < MAX_SPEEDUPS) {
+    return { tx: await speedUp(tx), receipt: null };
+  }
+  return { tx, receipt: null };
+}
+
+/**
+ * Poll until the transaction leaves "pending" or the timeout passes.
+ * @param {number|string} txId
+ * @param {number} [timeoutMs]
+ * @returns {Promise<object>} the receipt
+ */
+export async function waitForTransaction(txId, timeoutMs = WAIT_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const { tx, receipt } = await checkTransaction(txId);
+    if (tx.status === "mined") return receipt || web3.eth.getTransactionReceipt(tx.tx_hash);
+    if (tx.status !== "pending") {
+      const err = new Error(`Transaction ${tx.tx_hash || tx.id} ${tx.status}: ${tx.error}`);
+      err.txHash = tx.tx_hash;
+      throw err;
+    }
+    if (Date.now() >= deadline) {
+      const err = new Error(`Transaction ${tx.tx_hash} is still pending; the tracker keeps polling it`);
+      err.txHash = tx.tx_hash;
+      throw err;
+    }
+    await sleep(RECEIPT_POLL_MS);
+  }
+}
+
+/**
+ * Send a transaction from the owner account through the nonce manager and
+ * track it until mined.
+ *
+ * With `reuse`, a pending or mined transaction with the same reference and
+ * purpose is waited on instead of sending a new one, which makes retried
+ * business operations (wage transfer of a session...) send at most once.
+ * @param {{to: string, data?: string, value?: string|bigint, gas: number|bigint}} tx
+ * @param {{purpose: string, reference?: string, reuse?: boolean, wait?: boolean}} options
+ * @returns {Promise<object>} the receipt, or `{transactionHash, status: "pending"}` when wait is false
+ */
+export async function sendOwnerTransaction(tx, { purpose, reference = null, reuse = false, wait = true }) {
+  if (reuse && reference) {
+    const [existing] = await connection.promise().query(
+      `SELECT id, tx_hash, status FROM chain_transactions
+        WHERE reference = ? AND purpose = ? AND status IN ('pending', 'mined')
+        ORDER BY id DESC LIMIT 1`,
+      [reference, purpose]
+    );
+    if (existing[0]) {
+      if (!wait) return { transactionHash: existing[0].tx_hash, status: existing[0].status, id: existing[0].id };
+      return waitForTransaction(existing[0].id);
+    }
+  }
+
+  const from = await getOwnerAddress();
+  const [insert] = await connection.promise().query(
+    `INSERT INTO chain_transactions (purpose, reference, from_address, to_address, value_wei, data, gas)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [purpose, reference, from, tx.to, String(tx.value || 0), tx.data || null, String(tx.gas)]
+  );
+
+  const hash = await submit(insert.insertId);
+  if (!wait) return { transactionHash: hash, status: "pending", id: insert.insertId };
+  return waitForTransaction(insert.insertId);
+}
+
+/**
+ * Call an owner-only contract method through sendOwnerTransaction. Gas is
+ * estimated first so a revert is reported without using a nonce.
+ * @param {object} contract - web3 contract instance
+ * @param {object} method - e.g. contract.methods.creditForWork(...)
+ * @param {{gas: number, purpose: string, reference?: string, reuse?: boolean, wait?: boolean}} options
+ * @returns {Promise<object>} the receipt
+ */
+export async function sendOwnerContractCall(contract, method, { gas, ...options }) {
+  const from = await getOwnerAddress();
+  await method.estimateGas({ from });
+  return sendOwnerTransaction({ to: contract.options.address, data: method.encodeABI(), gas }, options);
+}
+
+/**
+ * Check every pending transaction once (receipts, dropped nonces, speed-ups).
+ * @returns {Promise<number>} number of transactions checked
+ */
+export async function processPendingTransactions() {
+  const [rows] = await connection.promise().query(
+    "SELECT id FROM chain_transactions WHERE status = 'pending' AND tx_hash IS NOT NULL ORDER BY nonce LIMIT 200"
+  );
+  for (const row of rows) {
+    try {
+      await checkTransaction(row.id);
+    } catch (err) {
+      console.error(`❌ Error checking chain transaction ${row.id}:`, err.message || err);
+    }
+  }
+  return rows.length;
+}
+
+let pollerTimer = null;
+
+/**
+ * Poll pending owner transactions every CHAIN_TX_POLL_MS.
+ */
+export function startChainTxPoller() {
+  if (pollerTimer) return;
+
+  const tick = async () => {
+    try {
+      await processPendingTransactions();
+    } catch (err) {
+      console.error("❌ Chain transaction poller error:", err.message || err);
+    }
+    pollerTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  };
+
+  pollerTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  console.log(`Chain transaction poller started (poll ${POLL_INTERVAL_MS} ms)`);
+}
@@ -0,0 +1,168 @@
+import connection from "./connectDatabase.js";
+import { employeeContract, productContract } from "../blockchain/contractInstance.js";
+import { sendOwnerContractCall } from "./chainTxService.js";
+
+/*
+ * Re-creates employee and product state on freshly deployed contracts.
+ *
+ *   employees – profile from the users mirror (kept up to date by PATCH /employee/:userCode), then
+ *               the register_employee job payload, then the indexed EmployeeRegistered event;
+ *               inactive users are deactivated again
+ *   products  – latest ProductAdded / ProductUpdated of every product in chain_events that was
+ *               not deleted afterwards
+ *
+ * Credit / withdraw history is not replayed: it stays in chain_events, indexed from the old
+ * contract. Every write is tracked in chain_transactions under a reference that contains the
+ * new contract address, so re-running the migration skips what already went through.
+ */
+
+const GAS_LIMITS = {
+  REGISTER_EMPLOYEE: 3000000,
+  UPDATE_STATUS: 2000000,
+  ADD_PRODUCT: 3000000,
+};
+
+async function callOrNull(method) {
+  try {
+    return await method.call();
+  } catch (err) {
+    // revert "Employee not found" / "Product not found"
+    return null;
+  }
+}
+
+/**
+ * Employees known to have been registered on a previous contract.
+ * @returns {Promise<object[]>}
+ */
+async function loadEmployees() {
+  const [rows] = await connection.promise().query(
+    `SELECT u.id, u.wallet_address, u.full_name, u.email, u.phone, u.department, u.position, u.status,
+            j.payload AS job_payload,
+            JSON_UNQUOTE(JSON_EXTRACT(ev.payload, '$.fullName')) AS event_full_name,
+            ev.wallet_address AS event_wallet
+       FROM users u
+       LEFT JOIN chain_jobs j ON j.reference = CONCAT('register_employee:', u.id)
+       LEFT JOIN (
+         SELECT user_code, payload, wallet_address,
+                ROW_NUMBER() OVER (PARTITION BY user_code ORDER BY block_number DESC, log_index DESC) AS rn
+           FROM chain_events WHERE event_name = 'EmployeeRegistered'
+       ) ev ON ev.user_code = CAST(u.id AS CHAR) AND ev.rn = 1
+      WHERE j.id IS NOT NULL OR ev.user_code IS NOT NULL
+      ORDER BY u.id`
+  );
+
+  return rows.map((row) => {
+    const job = typeof row.job_payload === "string" ? JSON.parse(row.job_payload) : row.job_payload || {};
+    return {
+      userCode: String(row.id),
+      fullName: row.full_name ?? job.fullName ?? row.event_full_name ?? "",
+      email: row.email ?? job.email ?? "",
+      phone: row.phone ?? job.phone ?? "",
+      department: row.department ?? job.department ?? "",
+      position: row.position ?? job.position ?? "",
+      // Ví hiện tại trong MySQL là nguồn đúng (có thể đã đổi sau khi đăng ký)
+      wallet: row.wallet_address || job.wallet || row.event_wallet,
+      active: Number(row.status) === 1,
+    };
+  });
+}
+
+/**
+ * Current state of every product that still exists according to the index.
+ * @returns {Promise<object[]>}
+ */
+async function loadProducts() {
+  const [rows] = await connection.promise().query(
+    `SELECT product_code, event_name, payload FROM (
+       SELECT product_code, event_name, payload,
+              ROW_NUMBER() OVER (PARTITION BY product_code ORDER BY block_number DESC, log_index DESC) AS rn
+         FROM chain_events
+        WHERE event_name IN ('ProductAdded', 'ProductUpdated', 'ProductDeleted')
+     ) latest
+     WHERE rn = 1 AND event_name <> 'ProductDeleted'
+     ORDER BY product_code`
+  );
+
+  return rows.map((row) => {
+    const p = typeof row.payload === "string" ? JSON.parse(row.payload) : row.payload;
+    return { productCode: row.product_code, name: p.name, price: String(p.price), image: p.image || "" };
+  });
+}
+
+/**
+ * Register employees and products on the contracts in build/<CHAIN_NETWORK>/.
+ * @param {{dryRun?: boolean, log?: (line: string) => void}} [options]
+ * @returns {Promise<{employees: object[], products: object[]}>} what was (or would be) done per entry
+ */
+export async function migrateContractState({ dryRun = false, log = console.log } = {}) {
+  const employeeAddress = employeeContract.options.address;
+  const productAddress = productContract.options.address;
+  const summary = { employees: [], products: [] };
+
+  for (const emp of await loadEmployees()) {
+    const existing = await callOrNull(employeeContract.methods.getEmployee(emp.userCode));
+    let action = existing ? "exists" : "register";
+
+    if (!existing && !emp.wallet) {
+      action = "skipped_no_wallet";
+    } else if (!existing && !dryRun) {
+      await sendOwnerContractCall(
+        employeeContract,
+        employeeContract.methods.registerEmployee(
+          emp.userCode, emp.fullName, emp.email, emp.phone, emp.department, emp.position, emp.wallet
+        ),
+        {
+          gas: GAS_LIMITS.REGISTER_EMPLOYEE,
+          purpose: "register_employee",
+          reference: `migrate:${employeeAddress}:employee:${emp.userCode}`,
+          reuse: true,
+        }
+      );
+    }
+
+    // Hợp đồng mới đăng ký nhân viên ở trạng thái active
+    const onChainActive = existing ? Boolean(existing[8]) : action === "register";
+    if (!emp.active && onChainActive) {
+      action = `${action}+deactivate`;
+      if (!dryRun) {
+        await sendOwnerContractCall(
+          employeeContract,
+          employeeContract.methods.updateEmployeeStatus(emp.userCode, false),
+          {
+            gas: GAS_LIMITS.UPDATE_STATUS,
+            purpose: "update_employee_status",
+            reference: `migrate:${employeeAddress}:employee_status:${emp.userCode}`,
+            reuse: true,
+          }
+        );
+      }
+    }
+
+    summary.employees.push({ userCode: emp.userCode, action });
+    log(`employee ${emp.userCode}: ${action}`);
+  }
+
+  for (const product of await loadProducts()) {
+    const existing = await callOrNull(productContract.methods.getProduct(product.productCode));
+    const action = existing ? "exists" : "add";
+
+    if (!existing && !dryRun) {
+      await sendOwnerContractCall(
+        productContract,
+        productContract.methods.addProduct(product.productCode, product.name, product.price, product.image),
+        {
+          gas: GAS_LIMITS.ADD_PRODUCT,
+          purpose: "add_product",
+          reference: `migrate:${productAddress}:product:${product.productCode}`,
+          reuse: true,
+        }
+      );
+    }
+
+    summary.products.push({ productCode: product.productCode, action });
+    log(`product ${product.productCode}: ${action}`);
+  }
+
+  return summary;
+}
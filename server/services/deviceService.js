@@ -0,0 +1,223 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import connection from "./connectDatabase.js";
+import { hashToken } from "../utils/token.js";
+import { httpError } from "../utils/httpError.js";
+
+dotenv.config();
+
+export const DEVICE_DIRECTIONS = ["entry", "exit", "both"];
+export const DEVICE_AUTH_TYPES = ["hmac", "api_key"];
+
+// Lệch giờ tối đa giữa đầu đọc và server; nonce được giữ gấp đôi khoảng này
+export const SIGNATURE_WINDOW_SECONDS = Number(process.env.DEVICE_SIGNATURE_WINDOW_SECONDS) || 300;
+
+const DEVICE_COLUMNS = "id, device_code, name, location, direction, auth_type, is_enabled, last_seen_at, created_at, updated_at";
+
+const generateSecret = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * Signature a reader must send in X-Signature for an HMAC device.
+ * @param {string} secret
+ * @param {string|number} timestamp - unix seconds (X-Timestamp)
+ * @param {string} nonce - X-Nonce
+ * @param {Buffer|string} rawBody - exact request body bytes
+ * @returns {string} hex HMAC-SHA256 of "<timestamp>.<nonce>.<body>"
+ */
+export function signDeviceRequest(secret, timestamp, nonce, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody || "")
+    .digest("hex");
+}
+
+function safeEqualHex(a, b) {
+  const left = Buffer.from(String(a || ""), "hex");
+  const right = Buffer.from(String(b || ""), "hex");
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Validate device fields from a request body.
+ * @param {object} body
+ * @param {boolean} partial - true for updates (only validate present fields)
+ * @returns {{error?: string, value?: object}}
+ */
+export function validateDevice(body = {}, partial = false) {
+  const value = {};
+
+  if (!partial || body.device_code !== undefined) {
+    if (!body.device_code || !/^[A-Za-z0-9_.-]{1,50}$/.test(String(body.device_code))) {
+      return { error: "device_code is required (letters, digits, _ . - ; max 50)" };
+    }
+    value.device_code = String(body.device_code);
+  }
+  if (!partial || body.name !== undefined) {
+    if (!body.name || String(body.name).length > 100) return { error: "name is required (max 100 characters)" };
+    value.name = String(body.name);
+  }
+  if (body.location !== undefined) value.location = body.location ? String(body.location).slice(0, 100) : null;
+  if (!partial || body.direction !== undefined) {
+    const direction = body.direction ?? "both";
+    if (!DEVICE_DIRECTIONS.includes(direction)) return { error: `direction must be one of ${DEVICE_DIRECTIONS.join(", ")}` };
+    value.direction = direction;
+  }
+  if (!partial || body.auth_type !== undefined) {
+    const authType = body.auth_type ?? "hmac";
+    if (!DEVICE_AUTH_TYPES.includes(authType)) return { error: `auth_type must be one of ${DEVICE_AUTH_TYPES.join(", ")}` };
+    value.auth_type = authType;
+  }
+  if (body.is_enabled !== undefined) value.is_enabled = Boolean(body.is_enabled);
+
+  return { value };
+}
+
+/**
+ * @param {number|string} deviceId
+ * @returns {Promise<object|undefined>}
+ */
+export async function getDevice(deviceId) {
+  const [rows] = await connection.promise().query(`SELECT ${DEVICE_COLUMNS} FROM devices WHERE id = ?`, [deviceId]);
+  return rows[0];
+}
+
+/**
+ * @returns {Promise<object[]>}
+ */
+export async function listDevices() {
+  const [rows] = await connection.promise().query(`SELECT ${DEVICE_COLUMNS} FROM devices ORDER BY id`);
+  return rows;
+}
+
+/**
+ * Store new credentials for a device: the HMAC secret itself (needed to
+ * verify signatures) or only the SHA-256 of an API key.
+ * @returns {Promise<string>} the secret / API key, shown once
+ */
+async function storeNewSecret(deviceId, authType) {
+  const secret = generateSecret();
+  await connection.promise().query(
+    "UPDATE devices SET hmac_secret = ?, api_key_hash = ? WHERE id = ?",
+    authType === "hmac" ? [secret, null, deviceId] : [null, hashToken(secret), deviceId]
+  );
+  return secret;
+}
+
+/**
+ * Register a reader.
+ * @param {object} fields - validated by validateDevice
+ * @returns {Promise<{device: object, secret: string}>}
+ */
+export async function createDevice(fields) {
+  let result;
+  try {
+    [result] = await connection.promise().query(
+      "INSERT INTO devices (device_code, name, location, direction, auth_type, is_enabled) VALUES (?, ?, ?, ?, ?, ?)",
+      [fields.device_code, fields.name, fields.location ?? null, fields.direction, fields.auth_type, fields.is_enabled ?? true]
+    );
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw httpError(409, "device_code already exists");
+    throw err;
+  }
+
+  const secret = await storeNewSecret(result.insertId, fields.auth_type);
+  return { device: await getDevice(result.insertId), secret };
+}
+
+/**
+ * @param {number|string} deviceId
+ * @param {object} fields - validated by validateDevice(partial)
+ * @returns {Promise<{device: object, secret?: string}>} secret is returned when auth_type changed
+ */
+export async function updateDevice(deviceId, fields) {
+  const device = await getDevice(deviceId);
+  if (!device) throw httpError(404, "Device not found");
+
+  const columns = Object.keys(fields);
+  if (columns.length > 0) {
+    try {
+      await connection.promise().query(
+        `UPDATE devices SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+        [...columns.map((column) => fields[column]), deviceId]
+      );
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY") throw httpError(409, "device_code already exists");
+      throw err;
+    }
+  }
+
+  // Đổi kiểu xác thực thì phải cấp lại secret
+  let secret;
+  if (fields.auth_type && fields.auth_type !== device.auth_type) {
+    secret = await storeNewSecret(deviceId, fields.auth_type);
+  }
+  return { device: await getDevice(deviceId), secret };
+}
+
+/**
+ * Issue a new secret / API key; the old one stops working immediately.
+ * @param {number|string} deviceId
+ * @returns {Promise<{device: object, secret: string}>}
+ */
+export async function rotateDeviceSecret(deviceId) {
+  const device = await getDevice(deviceId);
+  if (!device) throw httpError(404, "Device not found");
+
+  const secret = await storeNewSecret(deviceId, device.auth_type);
+  return { device, secret };
+}
+
+/**
+ * Authenticate a reader request.
+ *
+ * Both modes send X-Device-Id, X-Timestamp (unix seconds) and X-Nonce (unique
+ * per request). HMAC devices add X-Signature = hex HMAC-SHA256(secret,
+ * "<timestamp>.<nonce>.<raw body>"); API key devices add X-Api-Key. A
+ * timestamp outside the allowed window or a nonce already used by the device
+ * is rejected as a replay. Only HMAC requests are actually protected: the API
+ * key does not cover X-Timestamp / X-Nonce, so a captured api_key request can
+ * be replayed with a new nonce. Swipe endpoints therefore accept HMAC devices
+ * only (authenticateSignedDevice).
+ * @param {{deviceCode: string, timestamp: string, nonce: string, signature?: string, apiKey?: string, rawBody?: Buffer}} request
+ * @returns {Promise<object>} the device row
+ */
+export async function authenticateDeviceRequest({ deviceCode, timestamp, nonce, signature, apiKey, rawBody }) {
+  if (!deviceCode || !timestamp || !nonce) {
+    throw httpError(401, "X-Device-Id, X-Timestamp and X-Nonce headers are required");
+  }
+  if (String(nonce).length > 64) throw httpError(401, "X-Nonce is too long");
+
+  const ts = Number(timestamp);
+  if (!Number.isInteger(ts) || Math.abs(Date.now() / 1000 - ts) > SIGNATURE_WINDOW_SECONDS) {
+    throw httpError(401, "Request timestamp is outside the allowed window");
+  }
+
+  const [rows] = await connection.promise().query("SELECT * FROM devices WHERE device_code = ?", [deviceCode]);
+  const device = rows[0];
+  if (!device) throw httpError(401, "Unknown device");
+  if (!device.is_enabled) throw httpError(403, "Device is disabled");
+
+  const valid =
+    device.auth_type === "hmac"
+      ? Boolean(device.hmac_secret) && safeEqualHex(signature, signDeviceRequest(device.hmac_secret, timestamp, nonce, rawBody))
+      : Boolean(device.api_key_hash) && Boolean(apiKey) && safeEqualHex(hashToken(apiKey), device.api_key_hash);
+  if (!valid) throw httpError(401, "Invalid device credentials");
+
+  // Mỗi nonce chỉ dùng được một lần trong thời gian còn hiệu lực
+  await connection.promise().query(
+    "DELETE FROM device_nonces WHERE created_at < (NOW() - INTERVAL ? SECOND) LIMIT 1000",
+    [SIGNATURE_WINDOW_SECONDS * 2]
+  );
+  try {
+    await connection.promise().query("INSERT INTO device_nonces (device_id, nonce) VALUES (?, ?)", [device.id, String(nonce)]);
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw httpError(401, "Replayed request (nonce already used)");
+    throw err;
+  }
+
+  await connection.promise().query("UPDATE devices SET last_seen_at = NOW() WHERE id = ?", [device.id]);
+
+  const { hmac_secret: _secret, api_key_hash: _apiKeyHash, ...publicDevice } = device;
+  return publicDevice;
+}
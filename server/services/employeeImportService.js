@@ -0,0 +1,582 @@
+import dotenv from "dotenv";
+import ExcelJS from "exceljs";
+import connection from "./connectDatabase.js";
+import { createEmployee } from "./onboardingService.js";
+import { CARD_UID_MAX_LENGTH, assignCard, registerCard } from "./cardService.js";
+import { validateProfileUpdate } from "./employeeProfileService.js";
+import { getDepartmentScope, resolveDepartment, resolvePosition } from "./organizationService.js";
+import { parsePagination } from "./chainIndexerService.js";
+import { hashPassword, validatePasswordPolicy } from "../utils/password.js";
+import { parseCsv } from "../utils/csv.js";
+import { httpError } from "../utils/httpError.js";
+
+dotenv.config();
+
+/*
+ * Bulk employee onboarding. An uploaded CSV / XLSX file is validated in full
+ * and stored as a dry run (employee_imports + one employee_import_rows row per
+ * line); nothing is created until the dry run is confirmed. Confirmed imports
+ * are processed by a background worker one row at a time through
+ * createEmployee (users row, wallet, register_employee chain job), optionally
+ * assigning an RFID card per row. Passwords are hashed during the dry run and
+ * never stored in clear.
+ */
+
+export const IMPORT_STATUSES = ["validated", "invalid", "queued", "processing", "completed", "completed_with_errors"];
+export const ROW_STATUSES = ["invalid", "valid", "processing", "succeeded", "failed"];
+
+const MAX_IMPORT_ROWS = Number(process.env.EMPLOYEE_IMPORT_MAX_ROWS) || 500;
+const POLL_INTERVAL_MS = Number(process.env.EMPLOYEE_IMPORT_POLL_MS) || 5000;
+// Dry run chưa xác nhận sau thời gian này phải tải file lên lại
+const CONFIRM_TTL_HOURS = Number(process.env.EMPLOYEE_IMPORT_CONFIRM_TTL_HOURS) || 24;
+// Import "processing" không cập nhật tiến độ quá lâu coi như worker đã chết giữa chừng
+const LOCK_TIMEOUT_SECONDS = 600;
+
+// Cột trong file -> trường nhân viên (tên cột không phân biệt hoa thường, bỏ qua khoảng trắng / gạch dưới)
+const COLUMNS = {
+  username: ["username"],
+  password: ["password"],
+  fullName: ["fullname", "name"],
+  email: ["email"],
+  phone: ["phone", "phonenumber"],
+  department: ["department"],
+  position: ["position"],
+  cardUid: ["carduid", "card", "rfid"],
+};
+const REQUIRED_COLUMNS = ["username", "password", "fullName", "email", "phone", "department", "position"];
+const PROFILE_COLUMNS = ["fullName", "email", "phone", "department", "position"];
+const USERNAME_MAX_LENGTH = 50;
+
+/**
+ * Detect the file format from its name or MIME type.
+ * @param {{originalname: string, mimetype: string}} file - multer file
+ * @returns {"csv"|"xlsx"|null}
+ */
+export function detectFormat(file) {
+  const name = (file.originalname || "").toLowerCase();
+  if (name.endsWith(".csv") || file.mimetype === "text/csv") return "csv";
+  if (name.endsWith(".xlsx") || file.mimetype === "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet") {
+    return "xlsx";
+  }
+  return null;
+}
+
+async function readTable(buffer, format) {
+  if (format === "csv") {
+    try {
+      return parseCsv(buffer.toString("utf8"));
+    } catch (err) {
+      throw httpError(400, `Invalid CSV file: ${err.message}`);
+    }
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw httpError(400, "Invalid XLSX file");
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const table = [];
+  sheet.eachRow({ includeEmpty: true }, (row, line) => {
+    const values = [];
+    for (let col = 1; col <= sheet.columnCount; col += 1) {
+      // Dùng giá trị hiển thị để số điện thoại / mã thẻ giữ nguyên như trong file
+      values.push(row.getCell(col).text ?? "");
+    }
+    table[line - 1] = values;
+  });
+  return Array.from(table, (values) => values || []);
+}
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Parse an uploaded file into records keyed by employee field.
+ * @param {Buffer} buffer
+ * @param {"csv"|"xlsx"} format
+ * @returns {Promise<Array<{line: number, values: object}>>} line is the line in the file
+ */
+export async function parseEmployeeFile(buffer, format) {
+  const table = await readTable(buffer, format);
+  if (!table.length) throw httpError(400, "The file is empty");
+
+  const headers = table[0].map(normalizeHeader);
+  const columnIndex = {};
+  for (const [field, aliases] of Object.entries(COLUMNS)) {
+    const index = headers.findIndex((header) => aliases.includes(header));
+    if (index !== -1) columnIndex[field] = index;
+  }
+  const missing = REQUIRED_COLUMNS.filter((field) => columnIndex[field] === undefined);
+  if (missing.length) throw httpError(400, `Missing column(s): ${missing.join(", ")}`);
+
+  const records = [];
+  table.slice(1).forEach((cells, i) => {
+    const values = {};
+    for (const [field, index] of Object.entries(columnIndex)) {
+      values[field] = String(cells[index] ?? "").trim();
+    }
+    // Bỏ qua dòng trống
+    if (Object.values(values).every((value) => value === "")) return;
+    records.push({ line: i + 2, values });
+  });
+
+  if (!records.length) throw httpError(400, "The file has no employee rows");
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw httpError(400, `The file has ${records.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`);
+  }
+  return records;
+}
+
+/**
+ * Cache lookups by lower-cased name so a file with 200 rows in 3 departments
+ * costs 3 queries.
+ */
+function cachedResolver(resolve) {
+  const cache = new Map();
+  return async (name) => {
+    const key = name.toLowerCase();
+    if (!cache.has(key)) {
+      cache.set(key, resolve(name).then((row) => ({ row }), (err) => ({ error: err.message })));
+    }
+    return cache.get(key);
+  };
+}
+
+/**
+ * Validate every record: required fields, profile formats, password policy,
+ * duplicate usernames / cards in the file and in the database, existing
+ * departments / positions in the actor's scope, and cards free to assign.
+ * @param {Array<{line: number, values: object}>} records
+ * @param {{id: number, role_id: number}} actor
+ * @param {{assignCards: boolean}} options
+ * @returns {Promise<Array<{line: number, values: object, errors: string[]}>>}
+ */
+export async function validateEmployeeRows(records, actor, { assignCards }) {
+  const db = connection.promise();
+  const usernames = records.map((r) => r.values.username).filter(Boolean);
+  const cardUids = assignCards
+    ? records.map((r) => (r.values.cardUid || "").replace(/\s/g, "")).filter(Boolean)
+    : [];
+
+  const [[existingUsers], [existingCards], scope] = await Promise.all([
+    usernames.length ? db.query("SELECT username FROM users WHERE username IN (?)", [usernames]) : [[]],
+    cardUids.length ? db.query("SELECT card_uid, user_id, status FROM cards WHERE card_uid IN (?)", [cardUids]) : [[]],
+    getDepartmentScope(actor),
+  ]);
+  const takenUsernames = new Set(existingUsers.map((u) => u.username.toLowerCase()));
+  const cards = new Map(existingCards.map((c) => [c.card_uid.toLowerCase(), c]));
+  const findDepartment = cachedResolver((name) => resolveDepartment(name));
+  const findPosition = cachedResolver((name) => resolvePosition(name));
+
+  const seenUsernames = new Map();
+  const seenCards = new Map();
+  const results = [];
+  for (const { line, values } of records) {
+    const errors = [];
+    const clean = { ...values };
+
+    for (const field of REQUIRED_COLUMNS) {
+      if (!values[field]) errors.push(`${field} is required`);
+    }
+
+    if (values.username) {
+      const key = values.username.toLowerCase();
+      if (values.username.length > USERNAME_MAX_LENGTH) errors.push(`username must be at most ${USERNAME_MAX_LENGTH} characters`);
+      if (takenUsernames.has(key)) errors.push(`username "${values.username}" already exists`);
+      if (seenUsernames.has(key)) errors.push(`username "${values.username}" is duplicated on row ${seenUsernames.get(key)}`);
+      else seenUsernames.set(key, line);
+    }
+
+    if (values.password) {
+      const policyError = validatePasswordPolicy(values.password, { username: values.username });
+      if (policyError) errors.push(policyError);
+    }
+
+    for (const field of PROFILE_COLUMNS) {
+      if (!values[field]) continue;
+      try {
+        validateProfileUpdate({ [field]: values[field] });
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+
+    if (values.department) {
+      const { row, error } = await findDepartment(values.department);
+      if (error) errors.push(error);
+      else if (scope !== null && !scope.includes(Number(row.id))) errors.push(`Department "${row.name}" is outside your departments`);
+      else clean.department = row.name;
+    }
+    if (values.position) {
+      const { row, error } = await findPosition(values.position);
+      if (error) errors.push(error);
+      else clean.position = row.name;
+    }
+
+    clean.cardUid = null;
+    if (assignCards && values.cardUid) {
+      const cardUid = values.cardUid.replace(/\s/g, "");
+      const key = cardUid.toLowerCase();
+      const card = cards.get(key);
+      if (cardUid.length > CARD_UID_MAX_LENGTH) errors.push(`card_uid must be at most ${CARD_UID_MAX_LENGTH} characters`);
+      if (card && card.user_id !== null) errors.push(`Card ${cardUid} is already assigned to another employee`);
+      else if (card && card.status !== "issued") errors.push(`Card ${cardUid} is ${card.status}`);
+      if (seenCards.has(key)) errors.push(`Card ${cardUid} is duplicated on row ${seenCards.get(key)}`);
+      else seenCards.set(key, line);
+      clean.cardUid = cardUid;
+    }
+
+    results.push({ line, values: clean, errors });
+  }
+  return results;
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+function formatImport(row) {
+  return {
+    id: row.id,
+    fileName: row.file_name,
+    format: row.format,
+    status: row.status,
+    assignCards: Boolean(row.assign_cards),
+    totalRows: row.total_rows,
+    invalidRows: row.invalid_rows,
+    processedRows: row.processed_rows,
+    succeededRows: row.succeeded_rows,
+    failedRows: row.failed_rows,
+    createdBy: row.created_by,
+    confirmedBy: row.confirmed_by,
+    createdAt: row.created_at,
+    confirmedAt: row.confirmed_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+function formatRow(row) {
+  const data = parseJson(row.data, {});
+  return {
+    line: row.line_number,
+    status: row.status,
+    username: data.username || null,
+    fullName: data.fullName || null,
+    department: data.department || null,
+    position: data.position || null,
+    cardUid: data.cardUid || null,
+    errors: parseJson(row.errors, []),
+    userId: row.user_id,
+    cardAssigned: Boolean(row.card_assigned),
+    result: parseJson(row.result, null),
+    processedAt: row.processed_at,
+  };
+}
+
+/**
+ * @param {number|string} importId
+ * @returns {Promise<object|null>}
+ */
+export async function getImport(importId) {
+  const [rows] = await connection.promise().query("SELECT * FROM employee_imports WHERE id = ?", [importId]);
+  return rows[0] ? formatImport(rows[0]) : null;
+}
+
+/**
+ * Imports newest first.
+ * @param {{status?: string, page?: number, limit?: number}} filters
+ * @returns {Promise<{imports: object[], page: number, limit: number, total: number}>}
+ */
+export async function listImports({ status, ...paging } = {}) {
+  const { page, limit, offset } = parsePagination(paging);
+  if (status && !IMPORT_STATUSES.includes(status)) {
+    throw httpError(400, `status must be one of ${IMPORT_STATUSES.join(", ")}`);
+  }
+  const where = status ? "WHERE status = ?" : "";
+  const params = status ? [status] : [];
+
+  const [[{ total }]] = await connection.promise().query(`SELECT COUNT(*) AS total FROM employee_imports ${where}`, params);
+  const [rows] = await connection.promise().query(
+    `SELECT * FROM employee_imports ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return { imports: rows.map(formatImport), page, limit, total: Number(total) };
+}
+
+/**
+ * Rows of an import in file order, with their validation errors and results.
+ * @param {number|string} importId
+ * @param {{status?: string, page?: number, limit?: number}} filters
+ * @returns {Promise<{rows: object[], page: number, limit: number, total: number}>}
+ */
+export async function listImportRows(importId, { status, ...paging } = {}) {
+  const { page, limit, offset } = parsePagination(paging);
+  if (status && !ROW_STATUSES.includes(status)) {
+    throw httpError(400, `status must be one of ${ROW_STATUSES.join(", ")}`);
+  }
+  const where = ["import_id = ?"];
+  const params = [importId];
+  if (status) {
+    where.push("status = ?");
+    params.push(status);
+  }
+
+  const [[{ total }]] = await connection.promise().query(
+    `SELECT COUNT(*) AS total FROM employee_import_rows WHERE ${where.join(" AND ")}`,
+    params
+  );
+  const [rows] = await connection.promise().query(
+    `SELECT * FROM employee_import_rows WHERE ${where.join(" AND ")} ORDER BY line_number LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return { rows: rows.map(formatRow), page, limit, total: Number(total) };
+}
+
+/**
+ * Validate an uploaded file and store it as a dry run. Nothing is created
+ * until the import is confirmed.
+ * @param {{buffer: Buffer, originalname: string, mimetype: string}} file - multer file
+ * @param {{id: number, role_id: number}} actor
+ * @param {{assignCards: boolean}} options
+ * @returns {Promise<{import: object, rows: object[]}>} the dry-run report
+ */
+export async function createImport(file, actor, { assignCards }) {
+  const format = detectFormat(file);
+  if (!format) throw httpError(400, "Only .csv and .xlsx files are supported");
+
+  const records = await parseEmployeeFile(file.buffer, format);
+  const validated = await validateEmployeeRows(records, actor, { assignCards });
+  const invalidRows = validated.filter((row) => row.errors.length).length;
+
+  // Băm mật khẩu ngay, không lưu mật khẩu gốc
+  const rows = await Promise.all(validated.map(async ({ line, values, errors }) => {
+    const { password, ...data } = values;
+    if (!errors.length) data.passwordHash = await hashPassword(password);
+    return { line, data, errors };
+  }));
+
+  const conn = await connection.promise().getConnection();
+  let importId;
+  try {
+    await conn.beginTransaction();
+    const [inserted] = await conn.query(
+      `INSERT INTO employee_imports (file_name, format, status, assign_cards, total_rows, invalid_rows, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        String(file.originalname || "").slice(0, 255),
+        format,
+        invalidRows ? "invalid" : "validated",
+        assignCards,
+        rows.length,
+        invalidRows,
+        actor.id,
+      ]
+    );
+    importId = inserted.insertId;
+    await conn.query(
+      "INSERT INTO employee_import_rows (import_id, line_number, status, data, errors) VALUES ?",
+      [rows.map((row) => [importId, row.line, row.errors.length ? "invalid" : "valid", JSON.stringify(row.data), JSON.stringify(row.errors)])]
+    );
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  const [stored] = await connection.promise().query(
+    "SELECT * FROM employee_import_rows WHERE import_id = ? ORDER BY line_number",
+    [importId]
+  );
+  return { import: await getImport(importId), rows: stored.map(formatRow) };
+}
+
+/**
+ * Queue a validated dry run for processing.
+ * @param {number|string} importId
+ * @param {{id: number}} actor
+ * @returns {Promise<object>} the queued import
+ */
+export async function confirmImport(importId, actor) {
+  const current = await getImport(importId);
+  if (!current) throw httpError(404, "Import not found");
+  if (current.status === "invalid") {
+    throw httpError(409, `The file has ${current.invalidRows} invalid row(s); fix them and upload it again`);
+  }
+  if (current.status !== "validated") throw httpError(409, `Import is already ${current.status}`);
+
+  const [result] = await connection.promise().query(
+    `UPDATE employee_imports SET status = 'queued', confirmed_by = ?, confirmed_at = NOW()
+      WHERE id = ? AND status = 'validated' AND created_at >= (NOW() - INTERVAL ? HOUR)`,
+    [actor.id, importId, CONFIRM_TTL_HOURS]
+  );
+  if (result.affectedRows === 0) {
+    throw httpError(409, `Dry runs expire after ${CONFIRM_TTL_HOURS} hours; upload the file again`);
+  }
+
+  // Không chờ lần poll kế tiếp của worker
+  setImmediate(() => {
+    processQueuedImports().catch((err) => console.error("❌ Employee import worker error:", err.message || err));
+  });
+  return getImport(importId);
+}
+
+async function updateCounters(importId) {
+  await connection.promise().query(
+    `UPDATE employee_imports i
+        SET processed_rows = (SELECT COUNT(*) FROM employee_import_rows r WHERE r.import_id = i.id AND r.status IN ('succeeded', 'failed')),
+            succeeded_rows = (SELECT COUNT(*) FROM employee_import_rows r WHERE r.import_id = i.id AND r.status = 'succeeded'),
+            failed_rows = (SELECT COUNT(*) FROM employee_import_rows r WHERE r.import_id = i.id AND r.status = 'failed'),
+            locked_at = NOW()
+      WHERE i.id = ?`,
+    [importId]
+  );
+}
+
+async function processRow(row, actor, assignCards) {
+  const db = connection.promise();
+  const data = parseJson(row.data, {});
+
+  await db.query("UPDATE employee_import_rows SET status = 'processing' WHERE id = ?", [row.id]);
+
+  // Key theo dòng: lần chạy trước dừng giữa dòng này thì onboarding của nó được chạy tiếp, không tạo trùng
+  let employee;
+  try {
+    employee = await createEmployee(data, actor, { idempotencyKey: `employee_import_row:${row.id}` });
+  } catch (err) {
+    await db.query(
+      "UPDATE employee_import_rows SET status = 'failed', errors = ?, result = ?, processed_at = NOW() WHERE id = ?",
+      [JSON.stringify([err.message]), err.onboardingId ? JSON.stringify({ onboarding: { id: err.onboardingId } }) : null, row.id]
+    );
+    return;
+  }
+
+  // Nhân viên đã được tạo; lỗi gán thẻ chỉ ghi lại, không làm dòng thất bại
+  const errors = [];
+  let cardAssigned = false;
+  if (assignCards && data.cardUid) {
+    try {
+      // Thẻ chưa đăng ký thì đăng ký trước; chạy lại cùng dòng thấy thẻ đã là của nhân viên này
+      await registerCard(data.cardUid, actor);
+      await assignCard(data.cardUid, employee.userCode, actor);
+      cardAssigned = true;
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  await db.query(
+    `UPDATE employee_import_rows SET status = 'succeeded', user_id = ?, card_assigned = ?, errors = ?, result = ?, processed_at = NOW()
+      WHERE id = ?`,
+    [
+      employee.userCode,
+      cardAssigned,
+      JSON.stringify(errors),
+      JSON.stringify({ wallet: employee.wallet.address, txHash: employee.txHash, registrationJob: employee.registrationJob, onboarding: employee.onboarding }),
+      row.id,
+    ]
+  );
+}
+
+/**
+ * Process the remaining rows of a claimed import, one at a time, updating
+ * the progress counters after each row.
+ * @param {number|string} importId
+ */
+async function processImport(importId) {
+  const db = connection.promise();
+  const [[current]] = await db.query("SELECT * FROM employee_imports WHERE id = ?", [importId]);
+
+  // Chạy với quyền của người xác nhận import (phạm vi phòng ban được kiểm tra lại)
+  const [actors] = await db.query("SELECT id, role_id FROM users WHERE id = ?", [current.confirmed_by]);
+  const actor = actors[0];
+
+  const [rows] = await db.query(
+    "SELECT * FROM employee_import_rows WHERE import_id = ? AND status IN ('valid', 'processing') ORDER BY line_number",
+    [importId]
+  );
+  for (const row of rows) {
+    if (actor) {
+      await processRow(row, actor, Boolean(current.assign_cards));
+    } else {
+      await db.query(
+        "UPDATE employee_import_rows SET status = 'failed', errors = ?, processed_at = NOW() WHERE id = ?",
+        [JSON.stringify(["The user who confirmed the import no longer exists"]), row.id]
+      );
+    }
+    await updateCounters(importId);
+  }
+
+  await updateCounters(importId);
+  await db.query(
+    `UPDATE employee_imports SET status = IF(failed_rows > 0, 'completed_with_errors', 'completed'), finished_at = NOW(), locked_at = NULL
+      WHERE id = ?`,
+    [importId]
+  );
+  console.log(`✅ Employee import ${importId} finished`);
+}
+
+let processing = false;
+
+/**
+ * Process every queued import, oldest first, plus imports whose worker died
+ * mid-run. Only one import runs at a time in this process.
+ * @returns {Promise<number>} number of imports processed
+ */
+export async function processQueuedImports() {
+  if (processing) return 0;
+  processing = true;
+  try {
+    let processed = 0;
+    for (;;) {
+      const [due] = await connection.promise().query(
+        `SELECT id FROM employee_imports
+          WHERE status = 'queued' OR (status = 'processing' AND locked_at < (NOW() - INTERVAL ? SECOND))
+          ORDER BY id LIMIT 1`,
+        [LOCK_TIMEOUT_SECONDS]
+      );
+      if (!due.length) return processed;
+
+      const [claim] = await connection.promise().query(
+        `UPDATE employee_imports SET status = 'processing', locked_at = NOW(), started_at = COALESCE(started_at, NOW())
+          WHERE id = ? AND (status = 'queued' OR (status = 'processing' AND locked_at < (NOW() - INTERVAL ? SECOND)))`,
+        [due[0].id, LOCK_TIMEOUT_SECONDS]
+      );
+      if (claim.affectedRows === 0) continue;
+
+      await processImport(due[0].id);
+      processed++;
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+let workerTimer = null;
+
+/**
+ * Start polling for confirmed imports. Safe to call once at startup.
+ */
+export function startEmployeeImportWorker() {
+  if (workerTimer) return;
+
+  const tick = async () => {
+    try {
+      await processQueuedImports();
+    } catch (err) {
+      console.error("❌ Employee import worker error:", err.message || err);
+    }
+    workerTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  };
+
+  workerTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  console.log(`Employee import worker started (poll ${POLL_INTERVAL_MS} ms)`);
+}
@@ -0,0 +1,261 @@
+import connection from "./connectDatabase.js";
+import { employeeContract } from "../blockchain/contractInstance.js";
+import { enqueueJob, runJobNow } from "./chainJobService.js";
+import { sendOwnerContractCall } from "./chainTxService.js";
+import { parsePagination } from "./chainIndexerService.js";
+import { resolveDepartment, resolvePosition } from "./organizationService.js";
+import { httpError } from "../utils/httpError.js";
+
+/*
+ * Employee profile updates. The users row is the MySQL mirror of the on-chain
+ * profile: a change updates the mirror and writes a row in
+ * employee_profile_changes in one transaction, then an update_employee_profile
+ * chain job sends the mirror to updateEmployeeProfile, which emits
+ * EmployeeUpdated with the fields that actually differ on chain. The job reads
+ * the mirror when it runs, so jobs finishing out of order never write an older
+ * profile over a newer one.
+ */
+
+// Trường hồ sơ có thể sửa -> cột bản sao trong bảng users
+export const PROFILE_FIELDS = {
+  fullName: "full_name",
+  email: "email",
+  phone: "phone",
+  department: "department",
+  position: "position",
+};
+
+const MAX_LENGTHS = { fullName: 255, email: 255, phone: 50, department: 100, position: 100 };
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^[0-9+()\-.\s]+$/;
+
+const GAS_LIMIT = 1000000;
+
+/**
+ * Validate a PATCH body: only known fields, non-empty strings within the
+ * column sizes. Unknown keys are rejected so typos do not pass silently.
+ * @param {object} body
+ * @returns {object} trimmed updates keyed by profile field
+ */
+export function validateProfileUpdate(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw httpError(400, "Request body must be a JSON object");
+  }
+  const unknown = Object.keys(body).filter((key) => !(key in PROFILE_FIELDS));
+  if (unknown.length) {
+    throw httpError(400, `Unknown field(s): ${unknown.join(", ")}. Allowed: ${Object.keys(PROFILE_FIELDS).join(", ")}`);
+  }
+
+  const updates = {};
+  for (const field of Object.keys(PROFILE_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== "string" || !body[field].trim()) {
+      throw httpError(400, `${field} must be a non-empty string`);
+    }
+    const value = body[field].trim();
+    if (value.length > MAX_LENGTHS[field]) {
+      throw httpError(400, `${field} must be at most ${MAX_LENGTHS[field]} characters`);
+    }
+    updates[field] = value;
+  }
+
+  if (!Object.keys(updates).length) {
+    throw httpError(400, `At least one of ${Object.keys(PROFILE_FIELDS).join(", ")} is required`);
+  }
+  if (updates.email !== undefined && !EMAIL_RE.test(updates.email)) {
+    throw httpError(400, "email is not a valid email address");
+  }
+  if (updates.phone !== undefined && !PHONE_RE.test(updates.phone)) {
+    throw httpError(400, "phone may only contain digits, spaces and + ( ) - .");
+  }
+  return updates;
+}
+
+async function getChainProfile(userCode) {
+  try {
+    const emp = await employeeContract.methods.getEmployee(String(userCode)).call();
+    if (!emp || !emp[0]) return null;
+    return { fullName: emp[1], email: emp[2], phone: emp[3], department: emp[4], position: emp[5] };
+  } catch (err) {
+    // getEmployee revert "Employee not found"
+    return null;
+  }
+}
+
+/**
+ * Write a history row for changes already applied to the users mirror and
+ * queue the chain job that syncs the contract. Runs inside the caller's
+ * transaction.
+ * @param {object} conn - connection with an open transaction
+ * @param {number|string} userId
+ * @param {object} changes - { field: { from, to } }
+ * @param {number|null} changedBy
+ * @returns {Promise<{changeId: number, job: object}>}
+ */
+export async function recordProfileChange(conn, userId, changes, changedBy) {
+  const [inserted] = await conn.query(
+    "INSERT INTO employee_profile_changes (user_id, changes, changed_by) VALUES (?, ?, ?)",
+    [userId, JSON.stringify(changes), changedBy]
+  );
+  const changeId = inserted.insertId;
+
+  const job = await enqueueJob(
+    "update_employee_profile",
+    { userCode: String(userId), changeId },
+    { reference: `employee_profile:${changeId}`, conn }
+  );
+  await conn.query("UPDATE employee_profile_changes SET chain_job_id = ? WHERE id = ?", [job.id, changeId]);
+  return { changeId, job };
+}
+
+/**
+ * Apply a profile update: mirror + history row now, contract through a chain job.
+ * department / position must name an existing department / position (any
+ * case) and are stored with their canonical name and id.
+ * @param {string|number} userCode - users.id
+ * @param {object} updates - output of validateProfileUpdate
+ * @param {number} changedBy - id of the user making the change
+ * @returns {Promise<{profile: object, changes: object, change: object|null, job: object|null}>}
+ */
+export async function updateEmployeeProfile(userCode, updates, changedBy) {
+  const chainProfile = await getChainProfile(userCode);
+  if (!chainProfile) throw httpError(404, "Employee not found");
+
+  const conn = await connection.promise().getConnection();
+  let change;
+  let profile;
+  let changes;
+  try {
+    await conn.beginTransaction();
+    // Khóa dòng users để hai lần sửa đồng thời không ghi đè thay đổi của nhau
+    const [rows] = await conn.query(
+      "SELECT id, full_name, email, phone, department_id, department, position_id, position FROM users WHERE id = ? FOR UPDATE",
+      [userCode]
+    );
+    if (!rows.length) throw httpError(404, "Employee not found");
+
+    const links = { department_id: rows[0].department_id, position_id: rows[0].position_id };
+    if (updates.department !== undefined) {
+      const department = await resolveDepartment(updates.department, conn);
+      updates = { ...updates, department: department.name };
+      links.department_id = department.id;
+    }
+    if (updates.position !== undefined) {
+      const position = await resolvePosition(updates.position, conn);
+      updates = { ...updates, position: position.name };
+      links.position_id = position.id;
+    }
+
+    const current = {};
+    for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+      current[field] = rows[0][column] ?? chainProfile[field];
+    }
+
+    changes = {};
+    for (const [field, value] of Object.entries(updates)) {
+      if (current[field] !== value) changes[field] = { from: current[field], to: value };
+    }
+    profile = { ...current, ...updates };
+
+    if (!Object.keys(changes).length) {
+      // Tên không đổi nhưng nhân viên cũ có thể chưa được liên kết với phòng ban / chức vụ
+      await conn.query("UPDATE users SET department_id = ?, position_id = ? WHERE id = ?", [links.department_id, links.position_id, userCode]);
+      await conn.commit();
+      return { profile, changes, change: null, job: null };
+    }
+
+    await conn.query(
+      `UPDATE users SET full_name = ?, email = ?, phone = ?, department_id = ?, department = ?, position_id = ?, position = ?
+        WHERE id = ?`,
+      [profile.fullName, profile.email, profile.phone, links.department_id, profile.department, links.position_id, profile.position, userCode]
+    );
+    change = await recordProfileChange(conn, userCode, changes, changedBy);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  const job = await runJobNow(change.job.id);
+  return {
+    profile,
+    changes,
+    change: { id: change.changeId, txHash: job.result?.txHash || null },
+    job,
+  };
+}
+
+/**
+ * Chain job handler body: send the current mirror of one employee to the
+ * contract. Columns the mirror never had keep their on-chain value.
+ * @param {{userCode: string, changeId: number}} payload
+ * @returns {Promise<{txHash: string}>}
+ */
+export async function applyProfileChange({ userCode, changeId }) {
+  const [rows] = await connection.promise().query(
+    "SELECT full_name, email, phone, department, position FROM users WHERE id = ?",
+    [userCode]
+  );
+  if (!rows.length) throw new Error(`User ${userCode} not found`);
+  const chainProfile = await getChainProfile(userCode);
+  if (!chainProfile) throw new Error(`Employee ${userCode} is not registered on the contract`);
+
+  const profile = {};
+  for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+    profile[field] = rows[0][column] ?? chainProfile[field];
+  }
+
+  const receipt = await sendOwnerContractCall(
+    employeeContract,
+    employeeContract.methods.updateEmployeeProfile(
+      String(userCode), profile.fullName, profile.email, profile.phone, profile.department, profile.position
+    ),
+    { gas: GAS_LIMIT, purpose: "update_employee_profile", reference: `employee_profile:${changeId}`, reuse: true }
+  );
+  await connection.promise().query(
+    "UPDATE employee_profile_changes SET tx_hash = ? WHERE id = ?",
+    [receipt.transactionHash, changeId]
+  );
+  return { txHash: receipt.transactionHash };
+}
+
+/**
+ * Profile change history of one employee, newest first.
+ * @param {string|number} userCode
+ * @param {{page?: number, limit?: number}} paging
+ * @returns {Promise<{history: object[], page: number, limit: number, total: number}>}
+ */
+export async function listProfileHistory(userCode, paging = {}) {
+  const { page, limit, offset } = parsePagination(paging);
+
+  const [users] = await connection.promise().query("SELECT id FROM users WHERE id = ?", [userCode]);
+  if (!users.length) throw httpError(404, "Employee not found");
+
+  const [[{ total }]] = await connection.promise().query(
+    "SELECT COUNT(*) AS total FROM employee_profile_changes WHERE user_id = ?",
+    [userCode]
+  );
+  const [rows] = await connection.promise().query(
+    `SELECT c.id, c.changes, c.changed_by, u.username AS changed_by_username, c.tx_hash, c.created_at,
+            c.chain_job_id, j.status AS job_status, j.last_error AS job_error
+       FROM employee_profile_changes c
+       LEFT JOIN users u ON u.id = c.changed_by
+       LEFT JOIN chain_jobs j ON j.id = c.chain_job_id
+      WHERE c.user_id = ?
+      ORDER BY c.id DESC
+      LIMIT ? OFFSET ?`,
+    [userCode, limit, offset]
+  );
+
+  const history = rows.map((row) => ({
+    id: row.id,
+    changes: typeof row.changes === "string" ? JSON.parse(row.changes) : row.changes,
+    changedBy: row.changed_by === null ? null : { id: row.changed_by, username: row.changed_by_username },
+    changedAt: row.created_at,
+    txHash: row.tx_hash,
+    job: row.chain_job_id === null ? null : { id: row.chain_job_id, status: row.job_status, error: row.job_error },
+  }));
+  return { history, page, limit, total: Number(total) };
+}
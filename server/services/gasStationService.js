@@ -0,0 +1,293 @@
+import dotenv from "dotenv";
+import connection from "./connectDatabase.js";
+import { web3 } from "../blockchain/contractInstance.js";
+import { getOwnerAddress, sendOwnerTransaction, waitForTransaction } from "./chainTxService.js";
+import { parsePagination } from "./chainIndexerService.js";
+import { httpError } from "../utils/httpError.js";
+import { toLocalDateString, zonedDateTimeToDate } from "../utils/time.js";
+
+dotenv.config();
+
+/*
+ * Gas station: keeps employee wallets able to pay gas. The owner account acts
+ * as the treasury; every top-up is a gas_subsidy transaction from it and a
+ * row in gas_subsidies, which is also what the caps are counted from.
+ *
+ *   monitor    – every GAS_STATION_INTERVAL_SECONDS, wallets under the minimum
+ *                balance are topped up to the target balance
+ *   on demand  – withdraw / purchase top up the gas they are about to spend
+ */
+
+const eth = (name, fallback) => BigInt(web3.utils.toWei(String(process.env[name] || fallback), "ether"));
+
+// 0 = tắt kiểm tra định kỳ (nạp theo yêu cầu vẫn hoạt động)
+const INTERVAL_SECONDS = process.env.GAS_STATION_INTERVAL_SECONDS === undefined
+  ? 300
+  : Number(process.env.GAS_STATION_INTERVAL_SECONDS);
+const MIN_BALANCE_WEI = eth("GAS_STATION_MIN_BALANCE_ETH", "0.005");
+const TARGET_BALANCE_WEI = eth("GAS_STATION_TARGET_BALANCE_ETH", "0.02");
+// Hạn mức trong một ngày (APP_TIMEZONE): cho mỗi nhân viên và cho toàn bộ gas station
+const EMPLOYEE_DAILY_CAP_WEI = eth("GAS_STATION_EMPLOYEE_DAILY_CAP_ETH", "0.05");
+const DAILY_CAP_WEI = eth("GAS_STATION_DAILY_CAP_ETH", "1");
+// Số dư tối thiểu giữ lại trong ví owner, không dùng để trả gas
+const TREASURY_RESERVE_WEI = eth("GAS_STATION_TREASURY_RESERVE_ETH", "0");
+
+export const SUBSIDY_SOURCES = ["monitor", "withdraw", "purchase", "manual", "offboarding"];
+const TRANSFER_GAS = 21000n;
+
+let stationTimer = null;
+let lastCheck = null;
+// Kiểm tra hạn mức và ghi sổ chạy nối tiếp nhau để hai lần nạp không cùng vượt hạn mức
+let subsidyQueue = Promise.resolve();
+
+function withSubsidyLock(fn) {
+  const run = subsidyQueue.then(fn, fn);
+  subsidyQueue = run.catch(() => {});
+  return run;
+}
+
+const startOfToday = () => zonedDateTimeToDate(toLocalDateString(new Date()), "00:00");
+const min = (...values) => values.reduce((a, b) => (b < a ? b : a));
+
+/**
+ * Subsidies paid today (APP_TIMEZONE), in total and for one employee.
+ * @param {number|string} [userId]
+ * @returns {Promise<{todayWei: bigint, employeeTodayWei: bigint}>}
+ */
+async function getTodayTotals(userId) {
+  const [rows] = await connection.promise().query(
+    `SELECT CAST(COALESCE(SUM(amount_wei), 0) AS CHAR) AS today,
+            CAST(COALESCE(SUM(CASE WHEN user_id = ? THEN amount_wei END), 0) AS CHAR) AS employee_today
+       FROM gas_subsidies WHERE status = 'sent' AND created_at >= ?`,
+    [userId ?? null, startOfToday()]
+  );
+  return { todayWei: BigInt(rows[0].today), employeeTodayWei: BigInt(rows[0].employee_today) };
+}
+
+async function topUp({ userId, wallet, gasWei, spendWei, source, createdBy }) {
+  // Lần nạp trước chưa được mine: số dư chưa phản ánh nó, không nạp thêm
+  const [pending] = await connection.promise().query(
+    `SELECT g.id, g.chain_tx_id, g.tx_hash FROM gas_subsidies g
+       JOIN chain_transactions ct ON ct.id = g.chain_tx_id
+      WHERE g.user_id = ? AND g.status = 'sent' AND ct.status = 'pending'
+      ORDER BY g.id DESC LIMIT 1`,
+    [userId]
+  );
+  if (pending[0]) {
+    return { status: "pending", subsidyId: pending[0].id, chainTxId: pending[0].chain_tx_id, txHash: pending[0].tx_hash };
+  }
+
+  const balance = BigInt(await web3.eth.getBalance(wallet));
+  // Không trả thay phần tiền nhân viên định chuyển đi (ETH rút / mua hàng)
+  if (balance < spendWei) return { status: "skipped", reason: "insufficient_funds", balanceWei: balance.toString() };
+
+  const available = balance - spendWei;
+  const needed = gasWei > MIN_BALANCE_WEI ? gasWei : MIN_BALANCE_WEI;
+  if (available >= needed) return { status: "not_needed", balanceWei: balance.toString() };
+
+  const shortfall = needed - available;
+  const wanted = TARGET_BALANCE_WEI - available > shortfall ? TARGET_BALANCE_WEI - available : shortfall;
+
+  const { todayWei, employeeTodayWei } = await getTodayTotals(userId);
+  const treasury = await getOwnerAddress();
+  const gasPrice = BigInt(await web3.eth.getGasPrice());
+  const treasuryBalance = BigInt(await web3.eth.getBalance(treasury));
+  const treasuryAvailable = treasuryBalance - TREASURY_RESERVE_WEI - TRANSFER_GAS * gasPrice;
+
+  const limits = {
+    employee_daily_cap: EMPLOYEE_DAILY_CAP_WEI - employeeTodayWei,
+    daily_cap: DAILY_CAP_WEI - todayWei,
+    treasury_reserve: treasuryAvailable,
+  };
+  const amount = min(wanted, ...Object.values(limits));
+  if (amount < shortfall) {
+    const [reason] = Object.entries(limits).find(([, limit]) => limit < shortfall);
+    return { status: "capped", reason, balanceWei: balance.toString(), neededWei: shortfall.toString() };
+  }
+
+  const db = connection.promise();
+  const [inserted] = await db.query(
+    `INSERT INTO gas_subsidies (user_id, wallet_address, amount_wei, balance_before_wei, trigger_source, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, wallet, amount.toString(), balance.toString(), source, createdBy || null]
+  );
+  const subsidyId = inserted.insertId;
+
+  try {
+    const sent = await sendOwnerTransaction(
+      { to: wallet, value: amount, gas: Number(TRANSFER_GAS) },
+      { purpose: "gas_subsidy", reference: `gas_subsidy:${subsidyId}`, wait: false }
+    );
+    await db.query("UPDATE gas_subsidies SET chain_tx_id = ?, tx_hash = ? WHERE id = ?", [sent.id, sent.transactionHash, subsidyId]);
+    return { status: "sent", subsidyId, amountWei: amount.toString(), balanceWei: balance.toString(), chainTxId: sent.id, txHash: sent.transactionHash };
+  } catch (err) {
+    await db.query(
+      "UPDATE gas_subsidies SET status = 'failed', error = ? WHERE id = ?",
+      [String(err.message || err).slice(0, 500), subsidyId]
+    );
+    throw err;
+  }
+}
+
+/**
+ * Top up an employee wallet so it holds at least max(minimum balance, gasWei)
+ * on top of spendWei, within the daily caps and the treasury reserve. Waits
+ * until the top-up is mined, so the wallet can send right after.
+ * @param {{userId: number|string, wallet: string, gasWei?: bigint, spendWei?: bigint,
+ *          source: string, createdBy?: number, wait?: boolean}} request
+ * @returns {Promise<{status: "sent"|"pending"|"not_needed"|"capped"|"skipped", reason?: string, amountWei?: string, txHash?: string}>}
+ */
+export async function sponsorGas({ userId, wallet, gasWei = 0n, spendWei = 0n, source, createdBy, wait = true }) {
+  if (!SUBSIDY_SOURCES.includes(source)) throw new Error(`Unknown gas subsidy source "${source}"`);
+
+  const result = await withSubsidyLock(() =>
+    topUp({ userId, wallet, gasWei: BigInt(gasWei), spendWei: BigInt(spendWei), source, createdBy })
+  );
+  if ((result.status === "sent" || result.status === "pending") && wait) {
+    // Chờ ngoài khóa để các lần nạp khác không phải đợi giao dịch này được mine
+    const receipt = await waitForTransaction(result.chainTxId);
+    result.txHash = receipt.transactionHash;
+  }
+  if (result.status === "capped") {
+    console.warn(`⚠️ Gas subsidy for user ${userId} refused (${result.reason}), ${result.neededWei} wei needed`);
+  }
+  return result;
+}
+
+/**
+ * Check every active employee wallet once and top up those under the minimum balance.
+ * @returns {Promise<{checked: number, sent: number, capped: number, failed: number, results: object[]}>}
+ */
+export async function checkWallets() {
+  const owner = (await getOwnerAddress()).toLowerCase();
+  const [users] = await connection.promise().query(
+    "SELECT id, wallet_address FROM users WHERE status = 1 AND LOWER(wallet_address) <> ? ORDER BY id",
+    [owner]
+  );
+
+  const summary = { checked: users.length, sent: 0, capped: 0, failed: 0, results: [] };
+  for (const user of users) {
+    try {
+      const result = await sponsorGas({ userId: user.id, wallet: user.wallet_address, source: "monitor", wait: false });
+      if (result.status === "sent" || result.status === "capped") {
+        summary[result.status] += 1;
+        summary.results.push({ user_id: user.id, ...result });
+      }
+    } catch (err) {
+      summary.failed += 1;
+      summary.results.push({ user_id: user.id, status: "failed", error: err.message });
+    }
+  }
+  lastCheck = { at: new Date().toISOString(), checked: summary.checked, sent: summary.sent, capped: summary.capped, failed: summary.failed };
+  return summary;
+}
+
+/**
+ * Manual top-up of one employee (same caps as the automatic ones).
+ * @param {number|string} userId
+ * @param {number} [createdBy]
+ */
+export async function topUpEmployee(userId, createdBy) {
+  const [rows] = await connection.promise().query("SELECT id, wallet_address, status FROM users WHERE id = ?", [userId]);
+  if (!rows[0]) throw httpError(404, "Employee not found");
+  return sponsorGas({ userId: rows[0].id, wallet: rows[0].wallet_address, source: "manual", createdBy });
+}
+
+/**
+ * Configuration, treasury balance and today's usage.
+ * @returns {Promise<object>}
+ */
+export async function getGasStationStatus() {
+  const treasury = await getOwnerAddress();
+  const [treasuryBalance, { todayWei }] = await Promise.all([web3.eth.getBalance(treasury), getTodayTotals()]);
+  return {
+    intervalSeconds: INTERVAL_SECONDS,
+    minBalanceWei: MIN_BALANCE_WEI.toString(),
+    targetBalanceWei: TARGET_BALANCE_WEI.toString(),
+    employeeDailyCapWei: EMPLOYEE_DAILY_CAP_WEI.toString(),
+    dailyCapWei: DAILY_CAP_WEI.toString(),
+    treasuryReserveWei: TREASURY_RESERVE_WEI.toString(),
+    treasury: { address: treasury, balanceWei: String(treasuryBalance) },
+    today: { since: startOfToday().toISOString(), subsidizedWei: todayWei.toString(), remainingWei: (DAILY_CAP_WEI - todayWei).toString() },
+    lastCheck,
+  };
+}
+
+/**
+ * Page through the subsidy ledger, newest first.
+ * @param {{userId?: string, source?: string, status?: string, from?: string, to?: string, page?: number, limit?: number}} filters
+ *        from / to are YYYY-MM-DD (inclusive)
+ * @returns {Promise<{subsidies: object[], page: number, limit: number, total: number, totalWei: string}>}
+ */
+export async function listSubsidies({ userId, source, status, from, to, ...paging } = {}) {
+  const { page, limit, offset } = parsePagination(paging);
+  const where = [];
+  const params = [];
+  if (userId) {
+    where.push("g.user_id = ?");
+    params.push(userId);
+  }
+  if (source) {
+    if (!SUBSIDY_SOURCES.includes(source)) throw httpError(400, `source must be one of ${SUBSIDY_SOURCES.join(", ")}`);
+    where.push("g.trigger_source = ?");
+    params.push(source);
+  }
+  if (status) {
+    if (!["sent", "failed"].includes(status)) throw httpError(400, "status must be sent or failed");
+    where.push("g.status = ?");
+    params.push(status);
+  }
+  if (from) {
+    where.push("g.created_at >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("g.created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(to);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const db = connection.promise();
+  const [[totals]] = await db.query(
+    `SELECT COUNT(*) AS total, CAST(COALESCE(SUM(CASE WHEN g.status = 'sent' THEN g.amount_wei END), 0) AS CHAR) AS total_wei
+       FROM gas_subsidies g ${whereSql}`,
+    params
+  );
+  const [rows] = await db.query(
+    `SELECT g.*, u.username, ct.status AS tx_status
+       FROM gas_subsidies g
+       JOIN users u ON u.id = g.user_id
+       LEFT JOIN chain_transactions ct ON ct.id = g.chain_tx_id
+       ${whereSql} ORDER BY g.id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return {
+    subsidies: rows.map((r) => ({ ...r, amount_wei: String(r.amount_wei), balance_before_wei: String(r.balance_before_wei) })),
+    page,
+    limit,
+    total: Number(totals.total),
+    totalWei: totals.total_wei,
+  };
+}
+
+/**
+ * Check wallets every GAS_STATION_INTERVAL_SECONDS (0 disables the monitor).
+ */
+export function startGasStation() {
+  if (stationTimer || !(INTERVAL_SECONDS > 0)) return;
+  const intervalMs = INTERVAL_SECONDS * 1000;
+
+  const tick = async () => {
+    try {
+      const { sent, capped } = await checkWallets();
+      if (capped > 0) console.warn(`⚠️ Gas station: ${capped} wallet(s) below the minimum could not be topped up (caps)`);
+      if (sent > 0) console.log(`⛽ Gas station topped up ${sent} wallet(s)`);
+    } catch (err) {
+      console.error("❌ Gas station error:", err.message || err);
+    }
+    stationTimer = setTimeout(tick, intervalMs);
+  };
+
+  stationTimer = setTimeout(tick, intervalMs);
+  console.log(`Gas station started (every ${INTERVAL_SECONDS} s, minimum ${web3.utils.fromWei(MIN_BALANCE_WEI, "ether")} ETH)`);
+}
@@ -0,0 +1,233 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import connection from "./connectDatabase.js";
+import { httpError } from "../utils/httpError.js";
+
+dotenv.config();
+
+/*
+ * Envelope encryption for employee wallet keys.
+ *
+ * Each key gets its own random data key (DEK). The wallet key is encrypted with
+ * the DEK and the DEK is encrypted ("wrapped") with a master key from the
+ * environment, both with AES-256-GCM. Stored format:
+ *
+ *   kv1:<master key version>:<base64 iv|wrapped DEK|tag>:<base64 iv|encrypted key|tag>
+ *
+ * Master keys: KEY_VAULT_MASTER_KEYS="1:<base64 32 bytes>,2:<base64 32 bytes>".
+ * New keys use KEY_VAULT_ACTIVE_VERSION (default: highest version). To rotate,
+ * add a new version, make it active, run `npm run keys:reencrypt` (or
+ * POST /api/key-vault/reencrypt), then remove the old version.
+ */
+
+const FORMAT = "kv1";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+function parseMasterKeys(value) {
+  const keys = new Map();
+  for (const entry of String(value || "").split(",").map((part) => part.trim()).filter(Boolean)) {
+    const [version, encoded] = entry.split(":");
+    const key = /^[0-9a-f]{64}$/i.test(encoded || "") ? Buffer.from(encoded, "hex") : Buffer.from(encoded || "", "base64");
+    if (!/^\d+$/.test(version || "") || key.length !== 32) {
+      throw new Error("KEY_VAULT_MASTER_KEYS must look like \"1:<base64 32-byte key>,2:<...>\"");
+    }
+    keys.set(Number(version), key);
+  }
+  return keys;
+}
+
+const masterKeys = parseMasterKeys(process.env.KEY_VAULT_MASTER_KEYS);
+
+export const ACTIVE_KEY_VERSION = Number(process.env.KEY_VAULT_ACTIVE_VERSION) || Math.max(0, ...masterKeys.keys()) || null;
+
+if (ACTIVE_KEY_VERSION && !masterKeys.has(ACTIVE_KEY_VERSION)) {
+  throw new Error(`KEY_VAULT_ACTIVE_VERSION ${ACTIVE_KEY_VERSION} is not in KEY_VAULT_MASTER_KEYS`);
+}
+
+/**
+ * @returns {boolean} whether a master key is configured for encrypting new keys
+ */
+export function isKeyVaultConfigured() {
+  return Boolean(ACTIVE_KEY_VERSION);
+}
+
+/**
+ * Throw a 500 before doing any work that would need to store a key.
+ */
+export function assertKeyVaultConfigured() {
+  if (!isKeyVaultConfigured()) throw httpError(500, "Key vault is not configured (KEY_VAULT_MASTER_KEYS)");
+}
+
+/**
+ * @param {string|null} value - users.private_key
+ * @returns {boolean} true if the value is a key vault envelope (not a legacy plaintext key)
+ */
+export function isEncryptedKey(value) {
+  return typeof value === "string" && value.startsWith(`${FORMAT}:`);
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+}
+
+function open(key, sealed, aad) {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(sealed.length - TAG_LENGTH);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH, sealed.length - TAG_LENGTH)), decipher.final()]);
+}
+
+// Gắn ciphertext với user: không thể chép khóa đã mã hóa sang dòng của user khác
+const aadFor = (userId) => Buffer.from(`users.private_key:${userId}`);
+
+/**
+ * Encrypt a wallet private key with the active master key.
+ * @param {string} privateKey - 0x-prefixed hex
+ * @param {number|string} userId - owner, bound into the ciphertext
+ * @returns {{encrypted: string, keyVersion: number}}
+ */
+export function encryptPrivateKey(privateKey, userId) {
+  assertKeyVaultConfigured();
+  const raw = Buffer.from(String(privateKey).replace(/^0x/, ""), "hex");
+  if (raw.length !== 32) throw new Error("Private key must be 32 bytes of hex");
+
+  const dek = crypto.randomBytes(32);
+  const aad = aadFor(userId);
+  try {
+    const wrappedDek = seal(masterKeys.get(ACTIVE_KEY_VERSION), dek, aad);
+    const data = seal(dek, raw, aad);
+    return {
+      encrypted: [FORMAT, ACTIVE_KEY_VERSION, wrappedDek.toString("base64"), data.toString("base64")].join(":"),
+      keyVersion: ACTIVE_KEY_VERSION,
+    };
+  } finally {
+    dek.fill(0);
+    raw.fill(0);
+  }
+}
+
+/**
+ * Decrypt a key vault envelope. Legacy plaintext values are returned as-is.
+ * @param {string} stored - users.private_key
+ * @param {number|string} userId
+ * @returns {string} 0x-prefixed private key
+ */
+export function decryptPrivateKey(stored, userId) {
+  if (!isEncryptedKey(stored)) {
+    const legacy = String(stored || "");
+    return legacy.startsWith("0x") ? legacy : `0x${legacy}`;
+  }
+
+  const [, version, wrappedDek, data] = stored.split(":");
+  const masterKey = masterKeys.get(Number(version));
+  if (!masterKey) throw new Error(`Master key version ${version} is not configured`);
+
+  const aad = aadFor(userId);
+  const dek = open(masterKey, Buffer.from(wrappedDek, "base64"), aad);
+  let raw;
+  try {
+    raw = open(dek, Buffer.from(data, "base64"), aad);
+    return `0x${raw.toString("hex")}`;
+  } finally {
+    dek.fill(0);
+    raw?.fill(0);
+  }
+}
+
+/**
+ * Run `fn` with the decrypted private key of an employee. The key only lives
+ * in memory for the duration of the call and is never stored or returned.
+ * @template T
+ * @param {number|string} userId
+ * @param {(privateKey: string, user: {id: number, wallet_address: string}) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withEmployeePrivateKey(userId, fn) {
+  const [rows] = await connection.promise().query(
+    "SELECT id, wallet_address, private_key FROM users WHERE id = ?",
+    [userId]
+  );
+  const user = rows[0];
+  if (!user) throw httpError(404, "Employee not found");
+  if (!user.private_key) throw httpError(409, "No wallet key is held for this employee");
+
+  if (!isEncryptedKey(user.private_key)) {
+    console.warn(`⚠️ users.private_key of user ${user.id} is still plaintext, run npm run keys:reencrypt`);
+  }
+  return fn(decryptPrivateKey(user.private_key, user.id), { id: user.id, wallet_address: user.wallet_address });
+}
+
+/**
+ * Store a new wallet key for an employee, encrypted.
+ * @param {number|string} userId
+ * @param {string} privateKey
+ * @param {object} [conn] - connection of an open transaction
+ */
+export async function storeEmployeePrivateKey(userId, privateKey, conn = connection.promise()) {
+  const { encrypted, keyVersion } = encryptPrivateKey(privateKey, userId);
+  await conn.query("UPDATE users SET private_key = ?, key_version = ? WHERE id = ?", [encrypted, keyVersion, userId]);
+}
+
+/**
+ * Count stored keys per master key version (null = legacy plaintext).
+ * @returns {Promise<{activeVersion: number|null, configuredVersions: number[], keys: Array<{key_version: number|null, count: number}>}>}
+ */
+export async function getKeyVaultStatus() {
+  const [rows] = await connection.promise().query(
+    `SELECT key_version, COUNT(*) AS count FROM users
+      WHERE private_key IS NOT NULL
+      GROUP BY key_version ORDER BY key_version`
+  );
+  return {
+    activeVersion: ACTIVE_KEY_VERSION,
+    configuredVersions: [...masterKeys.keys()].sort((a, b) => a - b),
+    keys: rows.map((row) => ({ key_version: row.key_version, count: Number(row.count) })),
+  };
+}
+
+/**
+ * Encrypt every legacy plaintext key and re-wrap keys encrypted with an older
+ * master key version under the active version. Rows changed concurrently are
+ * skipped and picked up by the next run.
+ * @param {{batchSize?: number}} [options]
+ * @returns {Promise<{scanned: number, reencrypted: number, failed: Array<{userId: number, error: string}>}>}
+ */
+export async function reencryptAllKeys({ batchSize = 100 } = {}) {
+  assertKeyVaultConfigured();
+  const summary = { scanned: 0, reencrypted: 0, failed: [] };
+  let lastId = 0;
+
+  for (;;) {
+    const [rows] = await connection.promise().query(
+      `SELECT id, private_key FROM users
+        WHERE id > ? AND private_key IS NOT NULL AND (key_version IS NULL OR key_version <> ?)
+        ORDER BY id LIMIT ?`,
+      [lastId, ACTIVE_KEY_VERSION, batchSize]
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      lastId = row.id;
+      summary.scanned += 1;
+      try {
+        const { encrypted, keyVersion } = encryptPrivateKey(decryptPrivateKey(row.private_key, row.id), row.id);
+        const [result] = await connection.promise().query(
+          "UPDATE users SET private_key = ?, key_version = ? WHERE id = ? AND private_key = ?",
+          [encrypted, keyVersion, row.id, row.private_key]
+        );
+        summary.reencrypted += result.affectedRows;
+      } catch (err) {
+        summary.failed.push({ userId: row.id, error: err.message });
+      }
+    }
+  }
+
+  return summary;
+}
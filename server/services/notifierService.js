@@ -0,0 +1,90 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/*
+ * Pluggable alert delivery. NOTIFIERS lists the channels to use (comma
+ * separated, default "log"); other modules can add channels with
+ * registerNotifier.
+ *
+ *   log      – console.warn / console.error
+ *   webhook  – POST the alert as JSON to NOTIFY_WEBHOOK_URL
+ *   email    – send through SMTP_URL to NOTIFY_EMAIL_TO (needs npm i nodemailer)
+ */
+
+const CHANNELS = (process.env.NOTIFIERS || "log").split(",").map((c) => c.trim()).filter(Boolean);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.NOTIFY_WEBHOOK_TIMEOUT_MS) || 10000;
+
+const notifiers = new Map();
+
+/**
+ * @param {string} name - channel name used in NOTIFIERS
+ * @param {(alert: {type: string, level: string, title: string, message: string, data?: object}) => Promise<void>} send
+ */
+export function registerNotifier(name, send) {
+  notifiers.set(name, send);
+}
+
+registerNotifier("log", async (alert) => {
+  const line = `${alert.level === "critical" ? "🚨" : "⚠️"} [${alert.type}] ${alert.title}: ${alert.message}`;
+  if (alert.level === "critical") console.error(line);
+  else console.warn(line);
+});
+
+registerNotifier("webhook", async (alert) => {
+  const url = process.env.NOTIFY_WEBHOOK_URL;
+  if (!url) throw new Error("NOTIFY_WEBHOOK_URL is not set");
+
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...alert, sentAt: new Date().toISOString() }),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Webhook answered ${res.status}`);
+});
+
+let mailTransport = null;
+
+registerNotifier("email", async (alert) => {
+  const { SMTP_URL, NOTIFY_EMAIL_TO, NOTIFY_EMAIL_FROM } = process.env;
+  if (!SMTP_URL || !NOTIFY_EMAIL_TO) throw new Error("SMTP_URL and NOTIFY_EMAIL_TO must be set");
+
+  if (!mailTransport) {
+    let nodemailer;
+    try {
+      ({ default: nodemailer } = await import("nodemailer"));
+    } catch (err) {
+      throw new Error("The email notifier needs the nodemailer package (npm i nodemailer)");
+    }
+    mailTransport = nodemailer.createTransport(SMTP_URL);
+  }
+  await mailTransport.sendMail({
+    from: NOTIFY_EMAIL_FROM || NOTIFY_EMAIL_TO,
+    to: NOTIFY_EMAIL_TO,
+    subject: `[${alert.level.toUpperCase()}] ${alert.title}`,
+    text: `${alert.message}\n\n${JSON.stringify(alert.data || {}, null, 2)}`,
+  });
+});
+
+/**
+ * Send an alert on every configured channel. A failing channel does not stop
+ * the others; the outcome of each one is returned.
+ * @param {{type: string, level: "info"|"warning"|"critical", title: string, message: string, data?: object}} alert
+ * @returns {Promise<{channel: string, ok: boolean, error?: string}[]>}
+ */
+export async function notify(alert) {
+  const results = [];
+  for (const channel of CHANNELS) {
+    const send = notifiers.get(channel);
+    try {
+      if (!send) throw new Error(`Unknown notifier "${channel}"`);
+      await send(alert);
+      results.push({ channel, ok: true });
+    } catch (err) {
+      console.error(`❌ Notifier ${channel} failed:`, err.message || err);
+      results.push({ channel, ok: false, error: err.message });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,490 @@
+import connection from "./connectDatabase.js";
+import { web3, employeeContract, payrollTokenContract } from "../blockchain/contractInstance.js";
+import { getEmployeeSigner, signAndSend } from "../blockchain/utils/signer.js";
+import { PAYROLL_CURRENCY, getTokenBalance, isTokenPayroll } from "../blockchain/utils/payrollToken.js";
+import { enqueueJob, replayJob, runJobNow } from "./chainJobService.js";
+import { getOwnerAddress, sendOwnerContractCall } from "./chainTxService.js";
+import { closeSession } from "./workSessionService.js";
+import { assertPayrollCovered } from "./treasuryService.js";
+import { sponsorGas } from "./gasStationService.js";
+import { revokeAllUserTokens } from "./tokenService.js";
+import { retireUserCards } from "./cardService.js";
+import { parsePagination } from "./chainIndexerService.js";
+import { scopeCondition } from "./organizationService.js";
+import { httpError } from "../utils/httpError.js";
+
+/*
+ * Employee offboarding. One offboardings row per attempt records the outcome
+ * of every step; steps that finished are skipped when the offboarding is run
+ * again, so an incomplete offboarding (final pay waiting on a disputed session,
+ * a failed chain job, ...) is resumed by calling it again once fixed.
+ *
+ *   account     – users.status = 0 and every access / refresh token revoked
+ *   cards       – every card the employee still holds retired
+ *   workSession – the open work session closed now and priced
+ *   finalPay    – uncredited sessions and unpaid items of approved periods paid
+ *   sweep       – remaining wallet balance moved out per sweep policy (only
+ *                 after final pay is done, so nothing arrives after the sweep);
+ *                 the transfer is saved on the step as soon as it is sent, so a
+ *                 re-run only books it as a withdrawal instead of sweeping again;
+ *                 the token-mode gas return is saved with its nonce before it is
+ *                 sent, so a re-run can only resend that same transaction
+ *   chainStatus – employee deactivated on the contract
+ */
+
+export const OFFBOARDING_STATUSES = ["in_progress", "completed", "incomplete"];
+export const SWEEP_POLICIES = ["none", "treasury", "address"];
+const STEPS = ["account", "cards", "workSession", "finalPay", "sweep", "chainStatus"];
+
+const DEFAULT_SWEEP_POLICY = SWEEP_POLICIES.includes(process.env.OFFBOARDING_SWEEP_POLICY)
+  ? process.env.OFFBOARDING_SWEEP_POLICY
+  : "none";
+// Lần chạy bị gián đoạn quá thời gian này thì cho phép chạy lại
+const LOCK_TIMEOUT_MINUTES = 15;
+const ETH_TRANSFER_GAS = 21000n;
+const TOKEN_TRANSFER_GAS = 100000n;
+const STATUS_GAS_LIMIT = 2000000;
+
+/**
+ * Validate a POST /offboardings body.
+ * @param {object} body
+ * @returns {{error: string|null, value?: object}}
+ */
+export function validateOffboarding(body) {
+  const { user_id, reason, sweep_policy, sweep_to } = body || {};
+  if (!Number.isInteger(Number(user_id)) || Number(user_id) <= 0) {
+    return { error: "user_id must be a positive integer" };
+  }
+  if (reason !== undefined && reason !== null && (typeof reason !== "string" || reason.length > 255)) {
+    return { error: "reason must be a string of at most 255 characters" };
+  }
+  if (sweep_policy !== undefined && !SWEEP_POLICIES.includes(sweep_policy)) {
+    return { error: `sweep_policy must be one of ${SWEEP_POLICIES.join(", ")}` };
+  }
+  if (sweep_policy === "address" && !web3.utils.isAddress(sweep_to || "")) {
+    return { error: "sweep_to must be a valid address when sweep_policy is address" };
+  }
+  if (sweep_policy !== "address" && sweep_to !== undefined && sweep_to !== null) {
+    return { error: "sweep_to is only allowed with sweep_policy address" };
+  }
+
+  return {
+    error: null,
+    value: {
+      userId: Number(user_id),
+      reason: reason?.trim() || null,
+      sweepPolicy: sweep_policy,
+      sweepTo: sweep_policy === "address" ? web3.utils.toChecksumAddress(sweep_to) : null,
+    },
+  };
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+function formatOffboarding(row) {
+  return {
+    id: row.id,
+    user: { id: row.user_id, username: row.username, fullName: row.full_name },
+    status: row.status,
+    reason: row.reason,
+    sweepPolicy: row.sweep_policy,
+    sweepTo: row.sweep_to,
+    steps: parseJson(row.steps, {}),
+    warnings: parseJson(row.warnings, []),
+    startedBy: row.started_by,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+  };
+}
+
+const SELECT_OFFBOARDING = `
+  SELECT o.*, u.username, u.full_name
+    FROM offboardings o
+    JOIN users u ON u.id = o.user_id`;
+
+/**
+ * @param {number|string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getOffboarding(id) {
+  const [rows] = await connection.promise().query(`${SELECT_OFFBOARDING} WHERE o.id = ?`, [id]);
+  return rows[0] ? formatOffboarding(rows[0]) : null;
+}
+
+/**
+ * Offboardings newest first, limited to the caller's department scope.
+ * @param {{userId?: number, status?: string, page?: number, limit?: number}} filters
+ * @param {number[]|null} scope - output of getDepartmentScope
+ * @returns {Promise<{offboardings: object[], page: number, limit: number, total: number}>}
+ */
+export async function listOffboardings({ userId, status, ...paging } = {}, scope = null) {
+  const { page, limit, offset } = parsePagination(paging);
+  const where = [];
+  const params = [];
+  if (userId) {
+    where.push("o.user_id = ?");
+    params.push(userId);
+  }
+  if (status) {
+    if (!OFFBOARDING_STATUSES.includes(status)) {
+      throw httpError(400, `status must be one of ${OFFBOARDING_STATUSES.join(", ")}`);
+    }
+    where.push("o.status = ?");
+    params.push(status);
+  }
+  const scoped = scopeCondition(scope, "u.department_id");
+  if (scoped.sql) {
+    where.push(scoped.sql);
+    params.push(...scoped.params);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const [[{ total }]] = await connection.promise().query(
+    `SELECT COUNT(*) AS total FROM offboardings o JOIN users u ON u.id = o.user_id ${whereSql}`,
+    params
+  );
+  const [rows] = await connection.promise().query(
+    `${SELECT_OFFBOARDING} ${whereSql} ORDER BY o.id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return { offboardings: rows.map(formatOffboarding), page, limit, total: Number(total) };
+}
+
+/**
+ * Create the offboarding of a user, or take over their latest unfinished one.
+ * @returns {Promise<object>} the claimed offboardings row
+ */
+async function claimOffboarding(user, { reason, sweepPolicy, sweepTo }, actor) {
+  const db = connection.promise();
+  const [latest] = await db.query(
+    "SELECT * FROM offboardings WHERE user_id = ? ORDER BY id DESC LIMIT 1",
+    [user.id]
+  );
+  const previous = latest[0];
+
+  // Nhân viên đã được mở khóa lại sau lần nghỉ việc trước thì tạo bản ghi mới
+  if (!previous || (previous.status === "completed" && user.status === 1)) {
+    const [inserted] = await db.query(
+      `INSERT INTO offboardings (user_id, status, reason, sweep_policy, sweep_to, steps, warnings, started_by, locked_at)
+       VALUES (?, 'in_progress', ?, ?, ?, '{}', '[]', ?, NOW())`,
+      [user.id, reason, sweepPolicy || DEFAULT_SWEEP_POLICY, sweepTo, actor?.id || null]
+    );
+    const [rows] = await db.query("SELECT * FROM offboardings WHERE id = ?", [inserted.insertId]);
+    return rows[0];
+  }
+
+  if (previous.status === "completed") throw httpError(409, "Employee is already offboarded");
+
+  const [claim] = await db.query(
+    `UPDATE offboardings
+        SET status = 'in_progress', locked_at = NOW(),
+            reason = COALESCE(?, reason), sweep_policy = COALESCE(?, sweep_policy), sweep_to = IF(? IS NULL, sweep_to, ?)
+      WHERE id = ? AND (status <> 'in_progress' OR locked_at < (NOW() - INTERVAL ? MINUTE))`,
+    [reason, sweepPolicy || null, sweepPolicy, sweepTo, previous.id, LOCK_TIMEOUT_MINUTES]
+  );
+  if (claim.affectedRows === 0) throw httpError(409, "Offboarding of this employee is already running");
+
+  const [rows] = await db.query("SELECT * FROM offboardings WHERE id = ?", [previous.id]);
+  return rows[0];
+}
+
+async function getChainEmployee(userCode) {
+  try {
+    const emp = await employeeContract.methods.getEmployee(String(userCode)).call();
+    if (!emp || !emp[0]) return null;
+    return { wallet: emp[6], active: Boolean(emp[8]) };
+  } catch (err) {
+    // getEmployee revert "Employee not found"
+    return null;
+  }
+}
+
+function jobSummary(job) {
+  return { id: job.id, reference: job.reference, status: job.status, error: job.last_error };
+}
+
+/**
+ * Enqueue (or reuse, by reference) a chain job and run it now.
+ * Jobs that already gave up are put back in the queue first.
+ */
+async function runPaymentJob(type, payload, reference) {
+  let job = await enqueueJob(type, payload, { reference });
+  if (job.status === "dead") job = await replayJob(job.id);
+  return jobSummary(await runJobNow(job.id));
+}
+
+// ----- Các bước -----
+
+async function deactivateAccount(user) {
+  await connection.promise().query("UPDATE users SET status = 0 WHERE id = ?", [user.id]);
+  await revokeAllUserTokens(user.id, "offboarded");
+  return { status: "done" };
+}
+
+async function revokeCards(user, record) {
+  const revoked = await retireUserCards(user.id, "Offboarding", { id: record.started_by });
+  return { status: "done", revoked };
+}
+
+async function closeOpenSession(user) {
+  const session = await closeSession(user.id, null, new Date(), "Closed by offboarding");
+  return {
+    status: "done",
+    session: session ? { id: session.id, minutesWorked: session.minutes_worked, amountWei: session.amount_wei } : null,
+  };
+}
+
+async function payFinalWages(user, warnings) {
+  const db = connection.promise();
+  const [sessions] = await db.query(
+    `SELECT id, CAST(amount_wei AS CHAR) AS amount_wei FROM work_sessions
+      WHERE user_id = ? AND status = 'closed' AND payroll_item_id IS NULL
+        AND amount_wei IS NOT NULL AND credit_status IN ('pending', 'failed')`,
+    [user.id]
+  );
+  const [items] = await db.query(
+    `SELECT pi.id, CAST(pi.amount_wei AS CHAR) AS amount_wei FROM payroll_items pi
+       JOIN payroll_periods pp ON pp.id = pi.period_id
+      WHERE pi.user_id = ? AND pi.status IN ('pending', 'failed')
+        AND pp.status IN ('approved', 'settling', 'partially_settled')`,
+    [user.id]
+  );
+
+  // Những khoản chưa trả được ngay: cần xử lý rồi chạy lại offboarding
+  const [[blocked]] = await db.query(
+    `SELECT
+        (SELECT COUNT(*) FROM work_sessions WHERE user_id = ? AND status IN ('disputed', 'auto_closed')) AS unresolved_sessions,
+        (SELECT COUNT(*) FROM work_sessions WHERE user_id = ? AND status = 'closed' AND payroll_item_id IS NULL
+            AND (amount_wei IS NULL OR credit_status = 'crediting')) AS unsettled_sessions,
+        (SELECT COUNT(*) FROM payroll_items pi JOIN payroll_periods pp ON pp.id = pi.period_id
+          WHERE pi.user_id = ? AND (pi.status = 'processing' OR (pi.status <> 'paid' AND pp.status = 'draft'))) AS unsettled_items`,
+    [user.id, user.id, user.id]
+  );
+  const pending = [];
+  if (Number(blocked.unresolved_sessions)) pending.push(`${blocked.unresolved_sessions} disputed / auto-closed work session(s) must be resolved`);
+  if (Number(blocked.unsettled_sessions)) pending.push(`${blocked.unsettled_sessions} work session(s) are unpriced or being credited`);
+  if (Number(blocked.unsettled_items)) pending.push(`${blocked.unsettled_items} payroll item(s) are in a draft period or still processing`);
+
+  const totalWei = [...sessions, ...items].reduce((sum, row) => sum + BigInt(row.amount_wei), 0n);
+  if (totalWei > 0n) {
+    await assertPayrollCovered(totalWei, sessions.length + items.length, `final pay of employee ${user.id}`);
+  }
+
+  const jobs = [];
+  for (const session of sessions) {
+    jobs.push(await runPaymentJob("credit_session", { sessionId: session.id }, `work_session:${session.id}`));
+  }
+  for (const item of items) {
+    jobs.push(await runPaymentJob("settle_payroll_item", { itemId: item.id }, `payroll_item:${item.id}`));
+  }
+
+  const failedJobs = jobs.filter((job) => job.status !== "succeeded");
+  if (failedJobs.length) pending.push(`${failedJobs.length} payment job(s) did not succeed`);
+  warnings.push(...pending);
+
+  return { status: pending.length ? "pending" : "done", totalWei: totalWei.toString(), jobs, pending };
+}
+
+/**
+ * Book the swept amount as a withdrawal on the contract, capped at the book
+ * balance (getEmployeeBookBalance reverts once withdrawals exceed credits).
+ */
+async function recordSweep(userCode, amountWei, transferTx) {
+  let bookBalance = 0n;
+  try {
+    bookBalance = BigInt(await employeeContract.methods.getEmployeeBookBalance(String(userCode)).call());
+  } catch (err) {
+    // Nhân viên chưa có trên contract
+  }
+  const recorded = amountWei < bookBalance ? amountWei : bookBalance;
+  if (recorded === 0n) return null;
+  return runPaymentJob(
+    "record_withdraw",
+    { userCode: String(userCode), amountWei: recorded.toString(), transferTx },
+    `withdraw:${transferTx}`
+  );
+}
+
+// Ghi ngay kết quả dở dang của một bước (vd. hash giao dịch đã gửi) để lần chạy lại không mất nó
+async function saveStep(record, steps, name, step) {
+  steps[name] = step;
+  await connection.promise().query("UPDATE offboardings SET steps = ? WHERE id = ?", [JSON.stringify(steps), record.id]);
+}
+
+async function transferTokens(user, signer, to, gasPrice) {
+  const tokens = await getTokenBalance(signer.address);
+  if (tokens === 0n) return null;
+
+  const gasSubsidy = await sponsorGas({
+    userId: user.id,
+    wallet: signer.address,
+    gasWei: TOKEN_TRANSFER_GAS * gasPrice,
+    source: "offboarding",
+  });
+  const sent = await signAndSend(signer, {
+    to: payrollTokenContract.options.address,
+    data: payrollTokenContract.methods.transfer(to, tokens).encodeABI(),
+    value: 0n,
+    gas: TOKEN_TRANSFER_GAS,
+    gasPrice,
+  });
+  return { txHash: sent.transactionHash, amountWei: tokens.toString(), gasSubsidy };
+}
+
+async function transferEth(signer, to, gasPrice) {
+  const fee = ETH_TRANSFER_GAS * gasPrice;
+  const balance = BigInt(await web3.eth.getBalance(signer.address));
+  if (balance <= fee) return null;
+
+  const sent = await signAndSend(signer, { to, value: balance - fee, gas: ETH_TRANSFER_GAS, gasPrice });
+  return { txHash: sent.transactionHash, amountWei: (balance - fee).toString() };
+}
+
+/**
+ * Token mode: return the ETH left on the wallet (gas station top-ups) to the
+ * treasury. Amount and nonce are saved on the step before sending; a re-run
+ * resends with that nonce only while it is unused, so the return can never
+ * be paid twice.
+ */
+async function returnGas(record, steps, signer, treasury, gasPrice) {
+  let gasReturn = steps.sweep?.gasReturn || null;
+  if (gasReturn?.txHash) return gasReturn;
+
+  if (gasReturn) {
+    // Lần chạy trước có thể đã gửi nhưng chưa kịp lưu hash
+    const mined = BigInt(await web3.eth.getTransactionCount(signer.address, "latest"));
+    if (mined > BigInt(gasReturn.nonce)) return gasReturn;
+  } else {
+    const fee = ETH_TRANSFER_GAS * gasPrice;
+    const leftover = BigInt(await web3.eth.getBalance(signer.address));
+    if (leftover <= fee) return null;
+
+    const nonce = Number(await web3.eth.getTransactionCount(signer.address, "pending"));
+    gasReturn = { amountWei: (leftover - fee).toString(), nonce, txHash: null };
+    await saveStep(record, steps, "sweep", { status: "pending", at: new Date(), ...steps.sweep, gasReturn });
+  }
+
+  const sent = await signAndSend(signer, {
+    to: treasury,
+    value: BigInt(gasReturn.amountWei),
+    gas: ETH_TRANSFER_GAS,
+    gasPrice,
+    nonce: gasReturn.nonce,
+  });
+  gasReturn = { ...gasReturn, txHash: sent.transactionHash };
+  await saveStep(record, steps, "sweep", { ...steps.sweep, gasReturn });
+  return gasReturn;
+}
+
+async function sweepWallet(user, record, steps, warnings) {
+  if (record.sweep_policy === "none") return { status: "skipped", reason: "sweep_policy is none" };
+  if (steps.finalPay?.status !== "done") return { status: "pending", reason: "waiting for final pay" };
+  if (!user.wallet_address) return { status: "skipped", reason: "employee has no wallet" };
+
+  const signer = await getEmployeeSigner(user.id);
+  if (signer.address.toLowerCase() !== user.wallet_address.toLowerCase()) {
+    throw new Error("Custodied key does not match the employee wallet");
+  }
+
+  const treasury = await getOwnerAddress();
+  const to = record.sweep_policy === "treasury" ? treasury : record.sweep_to;
+  const gasPrice = BigInt(await web3.eth.getGasPrice());
+  const result = { status: "done", currency: PAYROLL_CURRENCY, to, amountWei: "0", transferTx: null, recordJob: null };
+
+  // Lần chạy trước đã chuyển nhưng chưa ghi sổ xong: không đọc lại số dư (đã về ~0), chỉ chạy tiếp job withdraw:<tx>
+  let transfer = steps.sweep?.transfer || null;
+  if (!transfer) {
+    transfer = isTokenPayroll() ? await transferTokens(user, signer, to, gasPrice) : await transferEth(signer, to, gasPrice);
+    if (transfer) await saveStep(record, steps, "sweep", { status: "pending", transfer, at: new Date() });
+  }
+
+  if (isTokenPayroll()) {
+    // ETH còn lại chỉ là tiền gas gas station đã nạp: trả về treasury
+    const gasReturn = await returnGas(record, steps, signer, treasury, gasPrice);
+    if (gasReturn) result.gasReturn = gasReturn;
+  }
+
+  if (!transfer) {
+    return isTokenPayroll() ? result : { ...result, status: "skipped", reason: "balance does not cover the transfer fee" };
+  }
+
+  result.transfer = transfer;
+  result.amountWei = transfer.amountWei;
+  result.transferTx = transfer.txHash;
+  if (transfer.gasSubsidy) result.gasSubsidy = transfer.gasSubsidy;
+  result.recordJob = await recordSweep(user.id, BigInt(transfer.amountWei), transfer.txHash);
+  if (result.recordJob && result.recordJob.status !== "succeeded") {
+    result.status = "pending";
+    warnings.push(`sweep: withdrawal of ${transfer.txHash} is not recorded on the contract yet`);
+  }
+  return result;
+}
+
+async function deactivateOnChain(user, record) {
+  const employee = await getChainEmployee(user.id);
+  if (!employee) return { status: "skipped", reason: "employee is not registered on the contract" };
+  if (!employee.active) return { status: "done", alreadyInactive: true };
+
+  const receipt = await sendOwnerContractCall(
+    employeeContract,
+    employeeContract.methods.updateEmployeeStatus(String(user.id), false),
+    { gas: STATUS_GAS_LIMIT, purpose: "update_employee_status", reference: `offboarding:${record.id}`, reuse: true }
+  );
+  return { status: "done", txHash: receipt.transactionHash };
+}
+
+const STEP_HANDLERS = {
+  account: (user) => deactivateAccount(user),
+  cards: (user, record) => revokeCards(user, record),
+  workSession: (user) => closeOpenSession(user),
+  finalPay: (user, record, steps, warnings) => payFinalWages(user, warnings),
+  sweep: (user, record, steps, warnings) => sweepWallet(user, record, steps, warnings),
+  chainStatus: (user, record) => deactivateOnChain(user, record),
+};
+
+/**
+ * Offboard an employee: deactivate the account, revoke cards and tokens,
+ * close the open work session, pay what is owed, sweep the wallet per policy
+ * and deactivate the employee on the contract. Steps that fail are recorded
+ * and the offboarding ends "incomplete"; calling this again resumes it.
+ * @param {{userId: number, reason?: string|null, sweepPolicy?: string, sweepTo?: string|null}} request
+ * @param {{id: number}} actor - user starting the offboarding
+ * @returns {Promise<object>} the offboarding record
+ */
+export async function offboardEmployee({ userId, reason = null, sweepPolicy, sweepTo = null }, actor) {
+  const [users] = await connection.promise().query(
+    "SELECT id, username, status, wallet_address FROM users WHERE id = ?",
+    [userId]
+  );
+  const user = users[0];
+  if (!user) throw httpError(404, "Employee not found");
+  if (actor && String(actor.id) === String(user.id)) throw httpError(400, "You cannot offboard yourself");
+
+  const record = await claimOffboarding(user, { reason, sweepPolicy, sweepTo }, actor);
+  const steps = parseJson(record.steps, {});
+  const warnings = [];
+
+  for (const name of STEPS) {
+    if (steps[name]?.status === "done" || steps[name]?.status === "skipped") continue;
+    try {
+      steps[name] = { ...(await STEP_HANDLERS[name](user, record, steps, warnings)), at: new Date() };
+    } catch (err) {
+      // Giữ giao dịch đã gửi (sweep) để lần chạy lại chỉ ghi sổ, không chuyển lại
+      const { transfer, gasReturn } = steps[name] || {};
+      steps[name] = { status: "failed", error: err.message, at: new Date(), ...(transfer && { transfer }), ...(gasReturn && { gasReturn }) };
+      warnings.push(`${name}: ${err.message}`);
+      console.error(`❌ Offboarding ${record.id} step ${name} failed:`, err.message);
+    }
+  }
+
+  const completed = STEPS.every((name) => ["done", "skipped"].includes(steps[name].status));
+  await connection.promise().query(
+    `UPDATE offboardings SET status = ?, steps = ?, warnings = ?, locked_at = NULL, completed_at = IF(? = 'completed', NOW(), NULL)
+      WHERE id = ?`,
+    [completed ? "completed" : "incomplete", JSON.stringify(steps), JSON.stringify(warnings), completed ? "completed" : "incomplete", record.id]
+  );
+  return getOffboarding(record.id);
+}
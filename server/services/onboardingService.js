@@ -0,0 +1,563 @@
+import crypto from "crypto";
+import connection from "./connectDatabase.js";
+import { web3, employeeContract } from "../blockchain/contractInstance.js";
+import { fundWallet } from "../blockchain/utils/walletManager.js";
+import { getEmployeeSigner, signAndSend } from "../blockchain/utils/signer.js";
+import { enqueueJob, getJob, replayJob, runJobNow } from "./chainJobService.js";
+import { getOwnerAddress } from "./chainTxService.js";
+import { assertKeyVaultConfigured, storeEmployeePrivateKey } from "./keyVault.js";
+import { assertDepartmentInScope, resolveDepartment, resolvePosition } from "./organizationService.js";
+import { parsePagination } from "./chainIndexerService.js";
+import { httpError } from "../utils/httpError.js";
+
+/*
+ * Employee onboarding saga. Creating an employee spans MySQL and the chain, so
+ * every creation is an employee_onboardings row that records how far it got:
+ *
+ *   requested → user_created → wallet_funded → registration_queued → registered
+ *
+ *   user_created        – users row, wallet address and encrypted key written in
+ *                         one transaction (no placeholder wallet); the account
+ *                         stays locked (status 0) until the saga completes
+ *   wallet_funded       – 0.01 ETH sent from the owner (reused on retry)
+ *   registration_queued – register_employee chain job queued and run
+ *   registered          – job succeeded, account unlocked
+ *
+ * A step that throws marks the onboarding failed. Failed and stuck onboardings
+ * are retried from the step they reached, or rolled back: the registration job
+ * is cancelled, the funding is returned to the owner and the user is deleted.
+ * Requests carrying an Idempotency-Key return the same onboarding when resent.
+ */
+
+export const ONBOARDING_STATUSES = ["in_progress", "completed", "failed", "rolled_back"];
+export const ONBOARDING_STEPS = ["requested", "user_created", "wallet_funded", "registration_queued", "registered"];
+
+const EMPLOYEE_ROLE_ID = 3;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 100;
+const POLL_INTERVAL_MS = Number(process.env.ONBOARDING_POLL_MS) || 30000;
+// Onboarding đang khóa lâu hơn mức này coi như tiến trình chạy nó đã chết
+const LOCK_TIMEOUT_SECONDS = 600;
+// Onboarding in_progress không tiến triển lâu hơn mức này được coi là bị kẹt
+const STUCK_MINUTES = Number(process.env.ONBOARDING_STUCK_MINUTES) || 15;
+const ETH_TRANSFER_GAS = 21000n;
+
+/**
+ * Check an Idempotency-Key header value.
+ * @param {string|undefined} key
+ * @returns {string|null} the key, or null when absent
+ */
+export function validateIdempotencyKey(key) {
+  if (key === undefined || key === "") return null;
+  if (typeof key !== "string" || key.length > IDEMPOTENCY_KEY_MAX_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    throw httpError(400, `Idempotency-Key must be 1-${IDEMPOTENCY_KEY_MAX_LENGTH} printable ASCII characters`);
+  }
+  return key;
+}
+
+// Băm nội dung yêu cầu (không gồm mật khẩu) để phát hiện một key bị dùng lại cho yêu cầu khác
+function hashRequest({ fullName, email, phone, department, position, username }) {
+  const canonical = JSON.stringify([username, fullName, email, phone, department, position].map((v) => String(v ?? "").trim()));
+  return crypto.createHash("sha256").update(canonical).digest("hex");
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+async function loadOnboarding(id) {
+  const [rows] = await connection.promise().query("SELECT * FROM employee_onboardings WHERE id = ?", [id]);
+  return rows[0] || null;
+}
+
+async function claimOnboarding(id) {
+  const [result] = await connection.promise().query(
+    `UPDATE employee_onboardings SET locked_at = NOW()
+      WHERE id = ? AND status = 'in_progress' AND (locked_at IS NULL OR locked_at < (NOW() - INTERVAL ? SECOND))`,
+    [id, LOCK_TIMEOUT_SECONDS]
+  );
+  return result.affectedRows > 0;
+}
+
+async function isRegisteredOnChain(userCode) {
+  try {
+    const emp = await employeeContract.methods.getEmployee(String(userCode)).call();
+    return Boolean(emp && emp[0]);
+  } catch (err) {
+    // getEmployee revert "Employee not found"
+    return false;
+  }
+}
+
+// ----- Các bước của saga -----
+
+async function createUserRow(onboarding) {
+  const request = parseJson(onboarding.request, {});
+  const departmentRow = await resolveDepartment(request.department);
+  const positionRow = await resolvePosition(request.position);
+  // Ví được tạo trước khi thêm user nên không còn ví giữ chỗ 0x000...0
+  const account = web3.eth.accounts.create();
+
+  const conn = await connection.promise().getConnection();
+  try {
+    await conn.beginTransaction();
+    let inserted;
+    try {
+      [inserted] = await conn.query(
+        `INSERT INTO users (username, password, password_changed_at, role_id, wallet_address, status, full_name, email, phone,
+                            department_id, department, position_id, position)
+         VALUES (?, ?, NOW(), ?, ?, 0, ?, ?, ?, ?, ?, ?, ?)`,
+        [request.username, request.passwordHash, EMPLOYEE_ROLE_ID, account.address, request.fullName, request.email, request.phone,
+          departmentRow.id, departmentRow.name, positionRow.id, positionRow.name]
+      );
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY") throw httpError(409, `Username "${request.username}" already exists`);
+      throw err;
+    }
+    await storeEmployeePrivateKey(inserted.insertId, account.privateKey, conn);
+    await conn.query(
+      "UPDATE employee_onboardings SET user_id = ?, wallet_address = ?, step = 'user_created', locked_at = NOW() WHERE id = ?",
+      [inserted.insertId, account.address, onboarding.id]
+    );
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+async function fundEmployeeWallet(onboarding) {
+  const receipt = await fundWallet(onboarding.wallet_address, `user:${onboarding.user_id}`);
+  await connection.promise().query(
+    "UPDATE employee_onboardings SET fund_tx_hash = ?, step = 'wallet_funded', locked_at = NOW() WHERE id = ?",
+    [receipt.transactionHash, onboarding.id]
+  );
+}
+
+async function queueRegistration(onboarding) {
+  const [users] = await connection.promise().query(
+    "SELECT full_name, email, phone, department, position FROM users WHERE id = ?",
+    [onboarding.user_id]
+  );
+  if (!users.length) throw new Error(`User ${onboarding.user_id} no longer exists`);
+  const user = users[0];
+
+  // Ghi lên blockchain qua chain job (tự thử lại nếu Ganache lỗi)
+  const job = await enqueueJob(
+    "register_employee",
+    {
+      userCode: String(onboarding.user_id),
+      fullName: user.full_name,
+      email: user.email,
+      phone: user.phone,
+      department: user.department,
+      position: user.position,
+      wallet: onboarding.wallet_address,
+    },
+    { reference: `register_employee:${onboarding.user_id}` }
+  );
+  await connection.promise().query(
+    "UPDATE employee_onboardings SET register_job_id = ?, step = 'registration_queued', locked_at = NOW() WHERE id = ?",
+    [job.id, onboarding.id]
+  );
+  await runJobNow(job.id);
+}
+
+/**
+ * Move a registration_queued onboarding on according to its chain job.
+ * @returns {Promise<boolean>} true when the saga can go on
+ */
+async function checkRegistration(onboarding) {
+  const job = await getJob(onboarding.register_job_id);
+  if (job.status === "succeeded") {
+    const conn = await connection.promise().getConnection();
+    try {
+      await conn.beginTransaction();
+      await conn.query("UPDATE users SET status = 1 WHERE id = ?", [onboarding.user_id]);
+      await conn.query(
+        `UPDATE employee_onboardings
+            SET step = 'registered', status = 'completed', completed_at = NOW(), last_error = NULL,
+                request = JSON_REMOVE(request, '$.passwordHash')
+          WHERE id = ?`,
+        [onboarding.id]
+      );
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    return true;
+  }
+  if (job.status === "dead") throw new Error(`Registration job ${job.id} gave up: ${job.last_error}`);
+
+  // Job đang chờ thử lại: worker sẽ kiểm tra lại sau
+  await connection.promise().query("UPDATE employee_onboardings SET last_error = ? WHERE id = ?", [job.last_error, onboarding.id]);
+  return false;
+}
+
+const STEP_ACTIONS = {
+  requested: async (onboarding) => (await createUserRow(onboarding), true),
+  user_created: async (onboarding) => (await fundEmployeeWallet(onboarding), true),
+  wallet_funded: async (onboarding) => (await queueRegistration(onboarding), true),
+  registration_queued: (onboarding) => checkRegistration(onboarding),
+};
+
+/**
+ * Run a claimed onboarding from the step it reached until it completes,
+ * fails or waits on its registration job. Releases the claim.
+ * @param {number} id
+ * @returns {Promise<object>} the employee_onboardings row
+ */
+async function runOnboarding(id) {
+  try {
+    for (;;) {
+      const onboarding = await loadOnboarding(id);
+      if (onboarding.status !== "in_progress") return onboarding;
+      if (!(await STEP_ACTIONS[onboarding.step](onboarding))) break;
+    }
+  } catch (err) {
+    await connection.promise().query(
+      "UPDATE employee_onboardings SET status = 'failed', last_error = ?, locked_at = NULL WHERE id = ?",
+      [String(err.message || err).slice(0, 500), id]
+    );
+    console.error(`❌ Onboarding ${id} failed:`, err.message || err);
+    err.onboardingId = id;
+    throw err;
+  }
+  await connection.promise().query("UPDATE employee_onboardings SET locked_at = NULL WHERE id = ?", [id]);
+  return loadOnboarding(id);
+}
+
+/**
+ * What POST /employee answers for an onboarding. Failed onboardings throw 409.
+ */
+async function toEmployeeResult(onboarding) {
+  if (onboarding.status === "failed" || onboarding.status === "rolled_back") {
+    const err = httpError(409, `Onboarding ${onboarding.id} ${onboarding.status === "failed" ? `failed: ${onboarding.last_error}` : "was rolled back"}`);
+    err.onboardingId = onboarding.id;
+    throw err;
+  }
+
+  const request = parseJson(onboarding.request, {});
+  const job = onboarding.register_job_id ? await getJob(onboarding.register_job_id) : null;
+  return {
+    userCode: onboarding.user_id,
+    fullName: request.fullName,
+    email: request.email,
+    phone: request.phone,
+    department: request.department,
+    position: request.position,
+    wallet: {
+      address: onboarding.wallet_address,
+    },
+    txHash: job?.result?.txHash || null,
+    registrationJob: job ? { id: job.id, status: job.status, error: job.last_error } : null,
+    onboarding: { id: onboarding.id, status: onboarding.status, step: onboarding.step },
+  };
+}
+
+async function resumeForRequest(onboarding) {
+  // Lần gửi trước có thể đã dừng giữa chừng: chạy tiếp nếu không ai đang chạy nó
+  if (onboarding.status === "in_progress" && (await claimOnboarding(onboarding.id))) {
+    return toEmployeeResult(await runOnboarding(onboarding.id));
+  }
+  return toEmployeeResult(onboarding);
+}
+
+/**
+ * Create an employee through the onboarding saga. department / position must
+ * exist (any case) and be in the actor's department scope; they are stored
+ * with their canonical name. With an idempotency key, a repeated request
+ * returns (and resumes) the onboarding of the first one.
+ * @param {{fullName: string, email: string, phone: string, department: string, position: string,
+ *          username: string, passwordHash: string}} employee - password already hashed
+ * @param {{id: number, role_id: number}} actor - user creating the employee
+ * @param {{idempotencyKey?: string|null}} [options]
+ * @returns {Promise<object>} the employee, wallet address, registration job and onboarding state
+ */
+export async function createEmployee(employee, actor, { idempotencyKey = null } = {}) {
+  const requestHash = hashRequest(employee);
+  const findByKey = async () => {
+    const [rows] = await connection.promise().query("SELECT * FROM employee_onboardings WHERE idempotency_key = ?", [idempotencyKey]);
+    if (rows[0] && rows[0].request_hash !== requestHash) {
+      throw httpError(422, "Idempotency-Key was already used for a different employee");
+    }
+    return rows[0] || null;
+  };
+
+  if (idempotencyKey) {
+    const existing = await findByKey();
+    if (existing) return resumeForRequest(existing);
+  }
+
+  // Phòng ban / chức vụ phải có sẵn; lưu theo tên chuẩn ("hr" → "HR")
+  const departmentRow = await resolveDepartment(employee.department);
+  const positionRow = await resolvePosition(employee.position);
+  await assertDepartmentInScope(actor, departmentRow.id);
+  // Không tạo ví nếu không mã hóa được khóa riêng
+  assertKeyVaultConfigured();
+
+  const [taken] = await connection.promise().query("SELECT id FROM users WHERE username = ?", [employee.username]);
+  if (taken.length) throw httpError(409, `Username "${employee.username}" already exists`);
+
+  const request = {
+    username: employee.username,
+    passwordHash: employee.passwordHash,
+    fullName: employee.fullName,
+    email: employee.email,
+    phone: employee.phone,
+    department: departmentRow.name,
+    position: positionRow.name,
+  };
+  let inserted;
+  try {
+    [inserted] = await connection.promise().query(
+      `INSERT INTO employee_onboardings (idempotency_key, request_hash, request, username, status, step, created_by, locked_at)
+       VALUES (?, ?, ?, ?, 'in_progress', 'requested', ?, NOW())`,
+      [idempotencyKey, requestHash, JSON.stringify(request), employee.username, actor?.id || null]
+    );
+  } catch (err) {
+    // Hai yêu cầu cùng key gửi đồng thời: yêu cầu sau nhận onboarding của yêu cầu trước
+    if (err.code === "ER_DUP_ENTRY" && idempotencyKey) return resumeForRequest(await findByKey());
+    throw err;
+  }
+
+  return toEmployeeResult(await runOnboarding(inserted.insertId));
+}
+
+function formatOnboarding(row) {
+  return {
+    id: row.id,
+    idempotencyKey: row.idempotency_key,
+    username: row.username,
+    userId: row.user_id,
+    status: row.status,
+    step: row.step,
+    stuck: Boolean(row.stuck),
+    walletAddress: row.wallet_address,
+    fundTxHash: row.fund_tx_hash,
+    registrationJob: row.register_job_id === null
+      ? null
+      : { id: row.register_job_id, status: row.job_status, error: row.job_error },
+    lastError: row.last_error,
+    refundTxHash: row.refund_tx_hash,
+    createdBy: row.created_by,
+    rolledBackBy: row.rolled_back_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at,
+    rolledBackAt: row.rolled_back_at,
+  };
+}
+
+const SELECT_ONBOARDING = `
+  SELECT o.*, j.status AS job_status, j.last_error AS job_error,
+         (o.status = 'in_progress' AND o.updated_at < (NOW() - INTERVAL ${STUCK_MINUTES} MINUTE)) AS stuck
+    FROM employee_onboardings o
+    LEFT JOIN chain_jobs j ON j.id = o.register_job_id`;
+
+/**
+ * @param {number|string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getOnboarding(id) {
+  const [rows] = await connection.promise().query(`${SELECT_ONBOARDING} WHERE o.id = ?`, [id]);
+  return rows[0] ? formatOnboarding(rows[0]) : null;
+}
+
+/**
+ * Onboardings newest first. `stuck` lists failed onboardings and those in
+ * progress that have not moved for ONBOARDING_STUCK_MINUTES.
+ * @param {{status?: string, stuck?: boolean, page?: number, limit?: number}} filters
+ * @returns {Promise<{onboardings: object[], page: number, limit: number, total: number}>}
+ */
+export async function listOnboardings({ status, stuck, ...paging } = {}) {
+  const { page, limit, offset } = parsePagination(paging);
+  const where = [];
+  const params = [];
+  if (status) {
+    if (!ONBOARDING_STATUSES.includes(status)) {
+      throw httpError(400, `status must be one of ${ONBOARDING_STATUSES.join(", ")}`);
+    }
+    where.push("o.status = ?");
+    params.push(status);
+  }
+  if (stuck) {
+    where.push("(o.status = 'failed' OR (o.status = 'in_progress' AND o.updated_at < (NOW() - INTERVAL ? MINUTE)))");
+    params.push(STUCK_MINUTES);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const [[{ total }]] = await connection.promise().query(`SELECT COUNT(*) AS total FROM employee_onboardings o ${whereSql}`, params);
+  const [rows] = await connection.promise().query(
+    `${SELECT_ONBOARDING} ${whereSql} ORDER BY o.id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return { onboardings: rows.map(formatOnboarding), page, limit, total: Number(total) };
+}
+
+/**
+ * Resume a failed or stuck onboarding from the step it reached. A
+ * registration job that gave up is put back in the queue.
+ * @param {number|string} id
+ * @returns {Promise<object>} the onboarding after the run
+ */
+export async function retryOnboarding(id) {
+  const onboarding = await loadOnboarding(id);
+  if (!onboarding) throw httpError(404, "Onboarding not found");
+  if (onboarding.status === "completed" || onboarding.status === "rolled_back") {
+    throw httpError(409, `Onboarding is ${onboarding.status}`);
+  }
+
+  if (onboarding.status === "failed") {
+    await connection.promise().query(
+      "UPDATE employee_onboardings SET status = 'in_progress', last_error = NULL WHERE id = ? AND status = 'failed'",
+      [id]
+    );
+  }
+  if (!(await claimOnboarding(id))) throw httpError(409, "Onboarding is running; try again later");
+
+  if (onboarding.register_job_id) {
+    const job = await getJob(onboarding.register_job_id);
+    if (job?.status === "dead") await replayJob(job.id);
+  }
+  try {
+    await runOnboarding(id);
+  } catch (err) {
+    // Lỗi đã được ghi vào onboarding; trả về trạng thái mới
+  }
+  return getOnboarding(id);
+}
+
+// Trả ETH đã nạp vào ví về ví owner trước khi xóa khóa riêng cùng user
+async function returnFunding(onboarding) {
+  const signer = await getEmployeeSigner(onboarding.user_id);
+  const gasPrice = BigInt(await web3.eth.getGasPrice());
+  const fee = ETH_TRANSFER_GAS * gasPrice;
+  const balance = BigInt(await web3.eth.getBalance(signer.address));
+  if (balance <= fee) return null;
+
+  const sent = await signAndSend(signer, { to: await getOwnerAddress(), value: balance - fee, gas: ETH_TRANSFER_GAS, gasPrice });
+  return sent.transactionHash;
+}
+
+/**
+ * Undo a failed or stuck onboarding: cancel its registration job, return the
+ * wallet funding to the owner and delete the half-created user. Refused while
+ * the funding transaction is still pending, and once the employee is
+ * registered on the contract (offboard them instead).
+ * @param {number|string} id
+ * @param {{id: number}} actor
+ * @returns {Promise<object>} the rolled back onboarding
+ */
+export async function rollbackOnboarding(id, actor) {
+  const db = connection.promise();
+  const onboarding = await loadOnboarding(id);
+  if (!onboarding) throw httpError(404, "Onboarding not found");
+  if (onboarding.status === "completed") throw httpError(409, "Onboarding is completed; offboard the employee instead");
+  if (onboarding.status === "rolled_back") throw httpError(409, "Onboarding is already rolled back");
+
+  // Khóa onboarding (kể cả khi đã failed) để worker / lần thử lại không chạy song song
+  const [claim] = await db.query(
+    `UPDATE employee_onboardings SET locked_at = NOW()
+      WHERE id = ? AND status IN ('in_progress', 'failed') AND (locked_at IS NULL OR locked_at < (NOW() - INTERVAL ? SECOND))`,
+    [id, LOCK_TIMEOUT_SECONDS]
+  );
+  if (claim.affectedRows === 0) throw httpError(409, "Onboarding is running; try again later");
+
+  try {
+    // Nạp ví chưa mine: số dư còn 0 nên không hoàn được, xóa user (và khóa ví) lúc này sẽ mất số ETH đến sau
+    const [funding] = onboarding.user_id
+      ? await db.query(
+        "SELECT id, status FROM chain_transactions WHERE reference = ? AND purpose = 'fund_wallet'",
+        [`user:${onboarding.user_id}`]
+      )
+      : [[]];
+    if (funding.some((tx) => tx.status === "pending")) {
+      throw httpError(409, "Wallet funding is still pending on the blockchain; try again once it is mined");
+    }
+
+    if (onboarding.register_job_id) {
+      await db.query(
+        "UPDATE chain_jobs SET status = 'dead', last_error = 'Onboarding rolled back', locked_at = NULL WHERE id = ? AND status IN ('pending', 'failed')",
+        [onboarding.register_job_id]
+      );
+      const job = await getJob(onboarding.register_job_id);
+      if (job.status === "running") throw httpError(409, "Registration is being sent to the blockchain; try again later");
+      if (job.status === "succeeded") throw httpError(409, "Employee is registered on the blockchain; retry the onboarding or offboard them");
+    }
+    if (onboarding.user_id && (await isRegisteredOnChain(onboarding.user_id))) {
+      throw httpError(409, "Employee is registered on the blockchain; retry the onboarding or offboard them");
+    }
+
+    let refundTx = null;
+    if (onboarding.user_id) {
+      // Chỉ cần chain khi ví đã (có thể đã) được nạp tiền
+      if (funding.length) refundTx = await returnFunding(onboarding);
+      await db.query("DELETE FROM users WHERE id = ?", [onboarding.user_id]);
+    }
+
+    await db.query(
+      `UPDATE employee_onboardings
+          SET status = 'rolled_back', rolled_back_by = ?, rolled_back_at = NOW(), refund_tx_hash = ?, locked_at = NULL,
+              request = JSON_REMOVE(request, '$.passwordHash')
+        WHERE id = ?`,
+      [actor?.id || null, refundTx, id]
+    );
+  } catch (err) {
+    await db.query("UPDATE employee_onboardings SET locked_at = NULL WHERE id = ?", [id]);
+    throw err;
+  }
+  return getOnboarding(id);
+}
+
+/**
+ * Advance onboardings left in progress: waiting on their registration job,
+ * or interrupted before their request finished.
+ * @returns {Promise<number>} number of onboardings advanced
+ */
+export async function processPendingOnboardings() {
+  const [rows] = await connection.promise().query(
+    `SELECT id FROM employee_onboardings
+      WHERE status = 'in_progress' AND (locked_at IS NULL OR locked_at < (NOW() - INTERVAL ? SECOND))
+      ORDER BY id`,
+    [LOCK_TIMEOUT_SECONDS]
+  );
+
+  let advanced = 0;
+  for (const { id } of rows) {
+    if (!(await claimOnboarding(id))) continue;
+    try {
+      await runOnboarding(id);
+    } catch (err) {
+      // Đã ghi lỗi vào onboarding
+    }
+    advanced++;
+  }
+  return advanced;
+}
+
+let workerTimer = null;
+
+/**
+ * Start polling in-progress onboardings. Safe to call once at startup.
+ */
+export function startOnboardingWorker() {
+  if (workerTimer) return;
+
+  const tick = async () => {
+    try {
+      await processPendingOnboardings();
+    } catch (err) {
+      console.error("❌ Onboarding worker error:", err.message || err);
+    }
+    workerTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  };
+
+  workerTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  console.log(`Onboarding worker started (poll ${POLL_INTERVAL_MS} ms)`);
+}
@@ -0,0 +1,429 @@
+import connection from "./connectDatabase.js";
+import { hasPermission } from "./permissionService.js";
+import { recordProfileChange } from "./employeeProfileService.js";
+import { httpError } from "../utils/httpError.js";
+
+/*
+ * Departments (a tree with one manager per node) and positions.
+ *
+ * users.department / users.position keep the canonical name next to the
+ * department_id / position_id links, because shifts, pay rates and the
+ * on-chain profile match on the name. Renaming a department or position
+ * therefore rewrites those names and queues an on-chain profile update for
+ * every employee in it.
+ *
+ * Scope: a user without org:all_departments only sees employees (and their
+ * access logs and cards) in their own department, the departments they
+ * manage and every department below those.
+ */
+
+export const ALL_DEPARTMENTS_PERMISSION = "org:all_departments";
+
+function validateNameAndDescription(body, partial, value) {
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name || name.length > 100) return "name is required (max 100 characters)";
+    value.name = name;
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && (typeof body.description !== "string" || body.description.length > 255)) {
+      return "description must be a string (max 255 characters) or null";
+    }
+    value.description = body.description ? body.description.trim() : null;
+  }
+  return null;
+}
+
+/**
+ * Validate department fields from a request body.
+ * @param {object} body
+ * @param {boolean} partial - true for updates (only validate present fields)
+ * @returns {{error?: string, value?: object}}
+ */
+export function validateDepartment(body = {}, partial = false) {
+  const value = {};
+  const error = validateNameAndDescription(body, partial, value);
+  if (error) return { error };
+
+  for (const key of ["parent_id", "manager_id"]) {
+    if (body[key] === undefined) continue;
+    if (body[key] !== null && !/^\d+$/.test(String(body[key]))) {
+      return { error: `${key} must be a positive integer or null` };
+    }
+    value[key] = body[key] === null ? null : Number(body[key]);
+  }
+  return { value };
+}
+
+/**
+ * Validate position fields from a request body.
+ * @param {object} body
+ * @param {boolean} partial
+ * @returns {{error?: string, value?: object}}
+ */
+export function validatePosition(body = {}, partial = false) {
+  const value = {};
+  const error = validateNameAndDescription(body, partial, value);
+  return error ? { error } : { value };
+}
+
+const DEPARTMENT_SELECT = `
+  SELECT d.id, d.name, d.description, d.parent_id, d.manager_id,
+         m.username AS manager_username, m.full_name AS manager_full_name,
+         (SELECT COUNT(*) FROM users u WHERE u.department_id = d.id) AS employee_count,
+         d.created_at, d.updated_at
+    FROM departments d
+    LEFT JOIN users m ON m.id = d.manager_id`;
+
+function formatDepartment(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    parent_id: row.parent_id,
+    manager: row.manager_id === null ? null : { id: row.manager_id, username: row.manager_username, full_name: row.manager_full_name },
+    employee_count: Number(row.employee_count),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Every department, as a flat list ordered by name (parent_id gives the tree).
+ * @returns {Promise<object[]>}
+ */
+export async function listDepartments() {
+  const [rows] = await connection.promise().query(`${DEPARTMENT_SELECT} ORDER BY d.name`);
+  return rows.map(formatDepartment);
+}
+
+/**
+ * One department with its direct sub-departments and employees.
+ * @param {number|string} departmentId
+ * @returns {Promise<object|undefined>}
+ */
+export async function getDepartment(departmentId) {
+  const [rows] = await connection.promise().query(`${DEPARTMENT_SELECT} WHERE d.id = ?`, [departmentId]);
+  if (!rows.length) return undefined;
+
+  const [[children], [employees]] = await Promise.all([
+    connection.promise().query("SELECT id, name FROM departments WHERE parent_id = ? ORDER BY name", [departmentId]),
+    connection.promise().query(
+      `SELECT id, username, full_name, position_id, position, status
+         FROM users WHERE department_id = ? ORDER BY id`,
+      [departmentId]
+    ),
+  ]);
+  return { ...formatDepartment(rows[0]), children, employees };
+}
+
+/**
+ * Check that parent_id / manager_id exist and that the new parent is not the
+ * department itself or one of its descendants.
+ */
+async function checkDepartmentLinks(conn, departmentId, fields) {
+  if (fields.manager_id) {
+    const [users] = await conn.query("SELECT id FROM users WHERE id = ?", [fields.manager_id]);
+    if (!users.length) throw httpError(400, "manager_id does not match any user");
+  }
+  if (fields.parent_id) {
+    const [departments] = await conn.query("SELECT id, parent_id FROM departments");
+    const parents = new Map(departments.map((d) => [Number(d.id), d.parent_id === null ? null : Number(d.parent_id)]));
+    if (!parents.has(fields.parent_id)) throw httpError(400, "parent_id does not match any department");
+
+    for (let id = fields.parent_id; id !== null; id = parents.get(id)) {
+      if (departmentId !== null && id === Number(departmentId)) {
+        throw httpError(400, "parent_id would make the department its own ancestor");
+      }
+    }
+  }
+}
+
+/**
+ * @param {object} fields - validated by validateDepartment
+ * @returns {Promise<object>}
+ */
+export async function createDepartment(fields) {
+  const db = connection.promise();
+  await checkDepartmentLinks(db, null, fields);
+
+  let result;
+  try {
+    [result] = await db.query(
+      "INSERT INTO departments (name, description, parent_id, manager_id) VALUES (?, ?, ?, ?)",
+      [fields.name, fields.description ?? null, fields.parent_id ?? null, fields.manager_id ?? null]
+    );
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw httpError(409, `Department "${fields.name}" already exists`);
+    throw err;
+  }
+  return getDepartment(result.insertId);
+}
+
+/**
+ * Rewrite the name copies of a renamed department / position and queue an
+ * on-chain profile update for every employee linked to it.
+ * @returns {Promise<number>} employees whose profile is re-synced
+ */
+async function renameInProfiles(conn, field, id, from, to, changedBy) {
+  const idColumn = field === "department" ? "department_id" : "position_id";
+  const [users] = await conn.query(`SELECT id FROM users WHERE ${idColumn} = ? FOR UPDATE`, [id]);
+  if (!users.length) return 0;
+
+  await conn.query(`UPDATE users SET ${field} = ? WHERE ${idColumn} = ?`, [to, id]);
+  for (const user of users) {
+    await recordProfileChange(conn, user.id, { [field]: { from, to } }, changedBy);
+  }
+  return users.length;
+}
+
+/**
+ * @param {number|string} departmentId
+ * @param {object} fields - validated by validateDepartment(partial)
+ * @param {{id: number}} actor
+ * @returns {Promise<{department: object, resyncedEmployees: number}>}
+ */
+export async function updateDepartment(departmentId, fields, actor) {
+  const conn = await connection.promise().getConnection();
+  let resyncedEmployees = 0;
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query("SELECT * FROM departments WHERE id = ? FOR UPDATE", [departmentId]);
+    if (!rows.length) throw httpError(404, "Department not found");
+    const current = rows[0];
+
+    await checkDepartmentLinks(conn, departmentId, fields);
+
+    const columns = Object.keys(fields);
+    if (columns.length > 0) {
+      await conn.query(
+        `UPDATE departments SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+        [...columns.map((column) => fields[column]), departmentId]
+      );
+    }
+
+    // Đổi tên: cập nhật các nơi so khớp theo tên (phân ca, hồ sơ nhân viên, blockchain)
+    if (fields.name !== undefined && fields.name !== current.name) {
+      await conn.query("UPDATE shift_assignments SET department = ? WHERE department = ?", [fields.name, current.name]);
+      resyncedEmployees = await renameInProfiles(conn, "department", departmentId, current.name, fields.name, actor.id);
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    if (err.code === "ER_DUP_ENTRY") throw httpError(409, `Department "${fields.name}" already exists`);
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return { department: await getDepartment(departmentId), resyncedEmployees };
+}
+
+/**
+ * Delete an empty department (no employees, no sub-departments).
+ * @param {number|string} departmentId
+ */
+export async function deleteDepartment(departmentId) {
+  const department = await getDepartment(departmentId);
+  if (!department) throw httpError(404, "Department not found");
+  if (department.employees.length) {
+    throw httpError(409, `Department still has ${department.employees.length} employee(s); move them first`);
+  }
+  if (department.children.length) {
+    throw httpError(409, "Department still has sub-departments; move or delete them first");
+  }
+  await connection.promise().query("DELETE FROM departments WHERE id = ?", [departmentId]);
+}
+
+/**
+ * @returns {Promise<object[]>} positions with the number of employees holding each one
+ */
+export async function listPositions() {
+  const [rows] = await connection.promise().query(
+    `SELECT p.*, (SELECT COUNT(*) FROM users u WHERE u.position_id = p.id) AS employee_count
+       FROM positions p ORDER BY p.name`
+  );
+  return rows.map((row) => ({ ...row, employee_count: Number(row.employee_count) }));
+}
+
+/**
+ * @param {number|string} positionId
+ * @returns {Promise<object|undefined>}
+ */
+export async function getPosition(positionId) {
+  const [rows] = await connection.promise().query(
+    `SELECT p.*, (SELECT COUNT(*) FROM users u WHERE u.position_id = p.id) AS employee_count
+       FROM positions p WHERE p.id = ?`,
+    [positionId]
+  );
+  return rows[0] && { ...rows[0], employee_count: Number(rows[0].employee_count) };
+}
+
+/**
+ * @param {object} fields - validated by validatePosition
+ * @returns {Promise<object>}
+ */
+export async function createPosition(fields) {
+  let result;
+  try {
+    [result] = await connection.promise().query(
+      "INSERT INTO positions (name, description) VALUES (?, ?)",
+      [fields.name, fields.description ?? null]
+    );
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw httpError(409, `Position "${fields.name}" already exists`);
+    throw err;
+  }
+  return getPosition(result.insertId);
+}
+
+/**
+ * @param {number|string} positionId
+ * @param {object} fields - validated by validatePosition(partial)
+ * @param {{id: number}} actor
+ * @returns {Promise<{position: object, resyncedEmployees: number}>}
+ */
+export async function updatePosition(positionId, fields, actor) {
+  const conn = await connection.promise().getConnection();
+  let resyncedEmployees = 0;
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query("SELECT * FROM positions WHERE id = ? FOR UPDATE", [positionId]);
+    if (!rows.length) throw httpError(404, "Position not found");
+    const current = rows[0];
+
+    const columns = Object.keys(fields);
+    if (columns.length > 0) {
+      await conn.query(
+        `UPDATE positions SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+        [...columns.map((column) => fields[column]), positionId]
+      );
+    }
+
+    // Đổi tên: mức lương theo chức vụ và hồ sơ nhân viên so khớp theo tên
+    if (fields.name !== undefined && fields.name !== current.name) {
+      await conn.query("UPDATE pay_rates SET position = ? WHERE position = ?", [fields.name, current.name]);
+      resyncedEmployees = await renameInProfiles(conn, "position", positionId, current.name, fields.name, actor.id);
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    if (err.code === "ER_DUP_ENTRY") throw httpError(409, `Position "${fields.name}" already exists`);
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return { position: await getPosition(positionId), resyncedEmployees };
+}
+
+/**
+ * Delete a position nobody holds.
+ * @param {number|string} positionId
+ */
+export async function deletePosition(positionId) {
+  const position = await getPosition(positionId);
+  if (!position) throw httpError(404, "Position not found");
+  if (position.employee_count > 0) {
+    throw httpError(409, `Position is still held by ${position.employee_count} employee(s)`);
+  }
+  await connection.promise().query("DELETE FROM positions WHERE id = ?", [positionId]);
+}
+
+/**
+ * Look up a department by name, ignoring case (the column collation is case
+ * insensitive), so "hr" resolves to the canonical "HR".
+ * @param {string} name
+ * @param {object} [conn]
+ * @returns {Promise<{id: number, name: string}>}
+ */
+export async function resolveDepartment(name, conn = connection.promise()) {
+  if (typeof name !== "string" || !name.trim()) throw httpError(400, "department is required");
+  const [rows] = await conn.query("SELECT id, name FROM departments WHERE name = ?", [name.trim()]);
+  if (!rows.length) throw httpError(400, `Unknown department "${name.trim()}"; create it with POST /api/departments first`);
+  return rows[0];
+}
+
+/**
+ * Look up a position by name, ignoring case.
+ * @param {string} name
+ * @param {object} [conn]
+ * @returns {Promise<{id: number, name: string}>}
+ */
+export async function resolvePosition(name, conn = connection.promise()) {
+  if (typeof name !== "string" || !name.trim()) throw httpError(400, "position is required");
+  const [rows] = await conn.query("SELECT id, name FROM positions WHERE name = ?", [name.trim()]);
+  if (!rows.length) throw httpError(400, `Unknown position "${name.trim()}"; create it with POST /api/positions first`);
+  return rows[0];
+}
+
+/**
+ * Departments a user may see: null when unrestricted (org:all_departments),
+ * otherwise the ids of their own department and the departments they manage,
+ * with every descendant.
+ * @param {{id: number, role_id: number}} user - decoded access token
+ * @returns {Promise<number[]|null>}
+ */
+export async function getDepartmentScope(user) {
+  if (await hasPermission(user, ALL_DEPARTMENTS_PERMISSION)) return null;
+
+  const [[departments], [users]] = await Promise.all([
+    connection.promise().query("SELECT id, parent_id, manager_id FROM departments"),
+    connection.promise().query("SELECT department_id FROM users WHERE id = ?", [user.id]),
+  ]);
+
+  const roots = departments.filter((d) => Number(d.manager_id) === Number(user.id)).map((d) => Number(d.id));
+  if (users[0]?.department_id) roots.push(Number(users[0].department_id));
+
+  const scope = new Set();
+  const queue = [...roots];
+  while (queue.length) {
+    const id = queue.shift();
+    if (scope.has(id)) continue;
+    scope.add(id);
+    for (const d of departments) {
+      if (Number(d.parent_id) === id) queue.push(Number(d.id));
+    }
+  }
+  return [...scope];
+}
+
+/**
+ * SQL condition restricting `column` (a department id) to a scope.
+ * @param {number[]|null} scope - from getDepartmentScope
+ * @param {string} column - e.g. "users.department_id"
+ * @returns {{sql: string, params: any[]}}
+ */
+export function scopeCondition(scope, column) {
+  if (scope === null) return { sql: "TRUE", params: [] };
+  if (!scope.length) return { sql: "FALSE", params: [] };
+  return { sql: `${column} IN (?)`, params: [scope] };
+}
+
+/**
+ * Throw 403 unless `userId` is the caller or an employee in the caller's
+ * department scope. Unknown users pass, so the caller can answer 404 itself.
+ * @param {{id: number, role_id: number}} user - decoded access token
+ * @param {number|string} userId
+ */
+export async function assertUserInScope(user, userId) {
+  if (String(userId) === String(user.id)) return;
+
+  const scope = await getDepartmentScope(user);
+  if (scope === null) return;
+
+  const [rows] = await connection.promise().query("SELECT department_id FROM users WHERE id = ?", [userId]);
+  if (rows.length && !scope.includes(Number(rows[0].department_id))) {
+    throw httpError(403, "Employee is outside your departments");
+  }
+}
+
+/**
+ * Throw 403 unless the department is in the caller's scope.
+ * @param {{id: number, role_id: number}} user
+ * @param {number|string} departmentId
+ */
+export async function assertDepartmentInScope(user, departmentId) {
+  const scope = await getDepartmentScope(user);
+  if (scope !== null && !scope.includes(Number(departmentId))) {
+    throw httpError(403, "Department is outside your departments");
+  }
+}
@@ -0,0 +1,127 @@
+import dotenv from "dotenv";
+import { web3 } from "../blockchain/contractInstance.js";
+import connection from "./connectDatabase.js";
+
+dotenv.config();
+
+export const RATE_UNITS = ["minute", "hour"];
+
+// Mức lương mặc định khi chưa cấu hình pay rate nào (giữ nguyên 0.1 ETH / phút như trước)
+const DEFAULT_RATE = {
+  id: null,
+  rate_unit: "minute",
+  rate_wei: web3.utils.toWei(process.env.DEFAULT_PAY_RATE_ETH_PER_MINUTE || "0.1", "ether"),
+  overtime_multiplier: "1",
+  overtime_after_minutes: null,
+};
+
+const MULTIPLIER_SCALE = 1000n;
+
+/**
+ * Validate a pay rate payload coming from the API.
+ * @param {object} body
+ * @param {boolean} [partial] - allow missing fields (update)
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validatePayRate(body, partial = false) {
+  const { user_id, position, rate_unit, rate_eth, overtime_multiplier, overtime_after_minutes, effective_from, effective_to } = body || {};
+
+  if (!partial && !user_id === !position) {
+    return { valid: false, error: "Exactly one of user_id or position is required" };
+  }
+  if (!partial || rate_unit !== undefined) {
+    if (!RATE_UNITS.includes(rate_unit)) return { valid: false, error: `rate_unit must be one of ${RATE_UNITS.join(", ")}` };
+  }
+  if (!partial || rate_eth !== undefined) {
+    const num = parseFloat(String(rate_eth));
+    if (rate_eth === undefined || rate_eth === null || isNaN(num) || num < 0) {
+      return { valid: false, error: "rate_eth must be a valid non-negative number" };
+    }
+  }
+  if (overtime_multiplier !== undefined) {
+    const num = parseFloat(String(overtime_multiplier));
+    if (isNaN(num) || num < 1) return { valid: false, error: "overtime_multiplier must be a number >= 1" };
+  }
+  if (overtime_after_minutes !== undefined && overtime_after_minutes !== null) {
+    if (!Number.isInteger(overtime_after_minutes) || overtime_after_minutes < 0) {
+      return { valid: false, error: "overtime_after_minutes must be a non-negative integer" };
+    }
+  }
+  if (!partial || effective_from !== undefined) {
+    if (!effective_from || isNaN(new Date(effective_from).getTime())) {
+      return { valid: false, error: "effective_from must be a valid date" };
+    }
+  }
+  if (effective_to !== undefined && effective_to !== null) {
+    if (isNaN(new Date(effective_to).getTime())) return { valid: false, error: "effective_to must be a valid date" };
+    if (effective_from && new Date(effective_to) <= new Date(effective_from)) {
+      return { valid: false, error: "effective_to must be after effective_from" };
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Shape a pay_rates row for API responses.
+ * @param {object} row
+ */
+export function formatPayRate(row) {
+  return {
+    id: row.id,
+    user_id: row.user_id ?? null,
+    position: row.position ?? null,
+    rate_unit: row.rate_unit,
+    rate_wei: String(row.rate_wei),
+    rate_eth: web3.utils.fromWei(String(row.rate_wei), "ether"),
+    overtime_multiplier: Number(row.overtime_multiplier),
+    overtime_after_minutes: row.overtime_after_minutes,
+    effective_from: row.effective_from ?? null,
+    effective_to: row.effective_to ?? null,
+    is_default: row.id === null,
+  };
+}
+
+/**
+ * Find the pay rate in effect for an employee at a given time.
+ * An employee-specific rate wins over the rate of the employee's position;
+ * when neither exists the default rate is returned.
+ * @param {number} userId
+ * @param {Date} at
+ * @returns {Promise<object>} pay_rates row (id is null for the default rate)
+ */
+export async function resolvePayRate(userId, at) {
+  const [rows] = await connection.promise().query(
+    `SELECT pr.*
+       FROM pay_rates pr
+       JOIN users u ON u.id = ?
+      WHERE (pr.user_id = u.id OR (pr.user_id IS NULL AND pr.position IS NOT NULL AND pr.position = u.position))
+        AND pr.effective_from <= ?
+        AND (pr.effective_to IS NULL OR pr.effective_to > ?)
+      ORDER BY (pr.user_id IS NOT NULL) DESC, pr.effective_from DESC
+      LIMIT 1`,
+    [userId, at, at]
+  );
+  return rows[0] || DEFAULT_RATE;
+}
+
+/**
+ * Compute the wage of a number of worked minutes with a pay rate.
+ * Minutes beyond overtime_after_minutes are paid with the overtime multiplier.
+ * @param {object} rate - pay_rates row
+ * @param {number} minutes
+ * @returns {{amountWei: string, regularMinutes: number, overtimeMinutes: number}}
+ */
+export function calculateWage(rate, minutes) {
+  const worked = Math.max(0, Math.floor(minutes));
+  const threshold = rate.overtime_after_minutes;
+  const overtimeMinutes = threshold === null || threshold === undefined ? 0 : Math.max(0, worked - threshold);
+  const regularMinutes = worked - overtimeMinutes;
+
+  // Số phút quy đổi (đã nhân hệ số tăng ca), chia cho 60 ở cuối nếu lương theo giờ để tránh sai số làm tròn
+  const multiplier = BigInt(Math.round(Number(rate.overtime_multiplier || 1) * Number(MULTIPLIER_SCALE)));
+  const weightedMinutes = BigInt(regularMinutes) * MULTIPLIER_SCALE + BigInt(overtimeMinutes) * multiplier;
+  const minutesPerUnit = rate.rate_unit === "hour" ? 60n : 1n;
+  const amountWei = (BigInt(rate.rate_wei) * weightedMinutes) / (MULTIPLIER_SCALE * minutesPerUnit);
+
+  return { amountWei: amountWei.toString(), regularMinutes, overtimeMinutes };
+}
@@ -0,0 +1,367 @@
+import dotenv from "dotenv";
+import { web3 } from "../blockchain/contractInstance.js";
+import { ensureWageTransfer, recordWorkCredit, creditWorkWithToken } from "../blockchain/utils/creditEmployeeWork.js";
+import { isTokenPayroll } from "../blockchain/utils/payrollToken.js";
+import connection from "./connectDatabase.js";
+import { priceSession } from "./workSessionService.js";
+import { addDays, zonedDateTimeToDate } from "../utils/time.js";
+import { httpError } from "../utils/httpError.js";
+import { LOCK_TIMEOUT_SECONDS, enqueueJob, replayJob } from "./chainJobService.js";
+import { assertPayrollCovered } from "./treasuryService.js";
+
+dotenv.config();
+
+// instant: ghi có ngay khi quẹt ra (cách cũ) – period: gộp theo kỳ lương rồi chi trả theo lô
+export const PAYROLL_MODE = process.env.PAYROLL_MODE === "instant" ? "instant" : "period";
+
+export const PERIOD_TYPES = ["weekly", "biweekly", "monthly"];
+
+const PERIOD_COLUMNS = `id, period_type, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+  DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date, status, created_by, approved_by, approved_at,
+  settled_at, created_at, updated_at`;
+
+// Phiên đã đóng, chưa ghi có và chưa thuộc kỳ lương nào, vào ca trong khoảng ngày của kỳ
+const UNSETTLED_SESSIONS = `ws.status = 'closed' AND ws.credit_status = 'pending' AND ws.payroll_item_id IS NULL
+  AND ws.checkin_at >= ? AND ws.checkin_at < (? + INTERVAL 1 DAY)`;
+
+/**
+ * Last day (inclusive) of a period starting on startDate.
+ * @param {string} periodType - weekly | biweekly | monthly
+ * @param {string} startDate - YYYY-MM-DD
+ * @returns {string}
+ */
+export function computePeriodEnd(periodType, startDate) {
+  if (periodType === "weekly") return addDays(startDate, 6);
+  if (periodType === "biweekly") return addDays(startDate, 13);
+
+  // Cùng ngày của tháng sau trừ 1 (ngày 31 → ngày cuối của tháng sau nếu tháng đó ngắn hơn)
+  const [y, m, d] = startDate.split("-").map(Number);
+  const lastDayOfNextMonth = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  const nextMonth = new Date(Date.UTC(y, m, Math.min(d, lastDayOfNextMonth)));
+  return addDays(nextMonth.toISOString().slice(0, 10), -1);
+}
+
+/**
+ * @param {number|string} periodId
+ * @returns {Promise<object|undefined>}
+ */
+export async function getPeriod(periodId) {
+  const [rows] = await connection.promise().query(`SELECT ${PERIOD_COLUMNS} FROM payroll_periods WHERE id = ?`, [periodId]);
+  return rows[0];
+}
+
+/**
+ * @returns {Promise<object[]>}
+ */
+export async function listPeriods() {
+  const [rows] = await connection.promise().query(`SELECT ${PERIOD_COLUMNS} FROM payroll_periods ORDER BY start_date DESC`);
+  return rows;
+}
+
+/**
+ * Approved (or already paid) period whose range contains a check-in time.
+ * Sessions that start there are no longer picked up by any period.
+ * @param {Date|string} checkinAt
+ * @returns {Promise<object|undefined>}
+ */
+export async function findLockedPeriod(checkinAt) {
+  const [rows] = await connection.promise().query(
+    `SELECT ${PERIOD_COLUMNS} FROM payroll_periods
+      WHERE status <> 'draft' AND start_date <= ? AND (end_date + INTERVAL 1 DAY) > ? LIMIT 1`,
+    [checkinAt, checkinAt]
+  );
+  return rows[0];
+}
+
+/**
+ * Create a draft payroll period. Periods may not overlap.
+ * @param {{periodType: string, startDate: string, createdBy: number}} params
+ * @returns {Promise<object>}
+ */
+export async function createPeriod({ periodType, startDate, createdBy }) {
+  const endDate = computePeriodEnd(periodType, startDate);
+
+  const [overlap] = await connection.promise().query(
+    "SELECT id FROM payroll_periods WHERE start_date <= ? AND end_date >= ? LIMIT 1",
+    [endDate, startDate]
+  );
+  if (overlap.length > 0) {
+    throw httpError(409, `Period overlaps existing payroll period ${overlap[0].id}`);
+  }
+
+  const [result] = await connection.promise().query(
+    "INSERT INTO payroll_periods (period_type, start_date, end_date, created_by) VALUES (?, ?, ?, ?)",
+    [periodType, startDate, endDate, createdBy]
+  );
+  return getPeriod(result.insertId);
+}
+
+/**
+ * Sum the unsettled closed sessions of a period per employee.
+ * @param {object} period
+ * @param {object} [conn] - connection to use (inside a transaction)
+ * @returns {Promise<object[]>}
+ */
+async function aggregateSessions(period, conn = connection.promise()) {
+  // Định giá các phiên chưa có amount_wei (đóng trước khi có pay rate...)
+  const [unpriced] = await conn.query(
+    `SELECT ws.id FROM work_sessions ws WHERE ${UNSETTLED_SESSIONS} AND ws.amount_wei IS NULL`,
+    [period.start_date, period.end_date]
+  );
+  for (const row of unpriced) {
+    await priceSession(row.id);
+  }
+
+  const [rows] = await conn.query(
+    `SELECT ws.user_id, users.username, COUNT(*) AS sessions_count,
+            COALESCE(SUM(ws.minutes_worked), 0) AS minutes_worked,
+            COALESCE(SUM(ws.amount_wei), 0) AS amount_wei
+       FROM work_sessions ws
+       LEFT JOIN users ON users.id = ws.user_id
+      WHERE ${UNSETTLED_SESSIONS}
+      GROUP BY ws.user_id, users.username
+      ORDER BY ws.user_id`,
+    [period.start_date, period.end_date]
+  );
+  return rows.map((row) => ({
+    user_id: row.user_id,
+    username: row.username,
+    sessions_count: Number(row.sessions_count),
+    minutes_worked: Number(row.minutes_worked),
+    amount_wei: String(row.amount_wei),
+  }));
+}
+
+function withTotals(period, items) {
+  const totalWei = items.reduce((sum, item) => sum + BigInt(item.amount_wei), 0n);
+  return {
+    period,
+    items: items.map((item) => ({ ...item, amount_eth: web3.utils.fromWei(String(item.amount_wei), "ether") })),
+    totalWei: totalWei.toString(),
+    totalEth: web3.utils.fromWei(totalWei.toString(), "ether"),
+  };
+}
+
+/**
+ * Per-employee totals of a period. Draft periods are computed live from the
+ * sessions; approved periods return the frozen payroll items.
+ * @param {number|string} periodId
+ */
+export async function previewPeriod(periodId) {
+  const period = await getPeriod(periodId);
+  if (!period) throw httpError(404, "Payroll period not found");
+
+  if (period.status === "draft") {
+    return withTotals(period, await aggregateSessions(period));
+  }
+
+  const [items] = await connection.promise().query(
+    `SELECT pi.*, users.username FROM payroll_items pi
+       LEFT JOIN users ON users.id = pi.user_id
+      WHERE pi.period_id = ? ORDER BY pi.user_id`,
+    [periodId]
+  );
+  return withTotals(period, items.map((item) => ({ ...item, amount_wei: String(item.amount_wei) })));
+}
+
+/**
+ * Approve a draft period: freeze one payroll item per employee and attach the
+ * counted sessions to it so they cannot be paid again elsewhere.
+ * @param {number|string} periodId
+ * @param {number} approvedBy
+ */
+export async function approvePeriod(periodId, approvedBy) {
+  const conn = await connection.promise().getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [periods] = await conn.query(`SELECT ${PERIOD_COLUMNS} FROM payroll_periods WHERE id = ? FOR UPDATE`, [periodId]);
+    const period = periods[0];
+    if (!period) throw httpError(404, "Payroll period not found");
+    if (period.status !== "draft") throw httpError(409, `Payroll period is already ${period.status}`);
+
+    const totals = await aggregateSessions(period, conn);
+    for (const total of totals) {
+      const [item] = await conn.query(
+        "INSERT INTO payroll_items (period_id, user_id, sessions_count, minutes_worked, amount_wei) VALUES (?, ?, ?, ?, ?)",
+        [periodId, total.user_id, total.sessions_count, total.minutes_worked, total.amount_wei]
+      );
+      await conn.query(
+        `UPDATE work_sessions ws SET ws.payroll_item_id = ? WHERE ws.user_id = ? AND ${UNSETTLED_SESSIONS}`,
+        [item.insertId, total.user_id, period.start_date, period.end_date]
+      );
+    }
+
+    await conn.query(
+      "UPDATE payroll_periods SET status = 'approved', approved_by = ?, approved_at = NOW() WHERE id = ?",
+      [approvedBy, periodId]
+    );
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return previewPeriod(periodId);
+}
+
+// Khoản "processing" lâu hơn thời gian khóa job coi như lần chạy trước đã chết giữa chừng
+const STALE_CLAIM = `(status IN ('pending', 'failed') OR (status = 'processing' AND claimed_at < (NOW() - INTERVAL ${LOCK_TIMEOUT_SECONDS} SECOND)))`;
+
+/**
+ * Pay one payroll item: transfer the wage, record it in the contract, then
+ * mark the item and its sessions as paid. The transfer hash is stored before
+ * recording, so a retry never sends the same wage twice. An item left
+ * "processing" by a run that died is claimed again once the chain job lock
+ * has expired; the owner transactions are reused by reference.
+ * @param {object} item - payroll_items row
+ * @param {object} period - payroll_periods row
+ * @returns {Promise<{id: number, status: string, error?: string}>}
+ */
+export async function settlePayrollItem(item, period) {
+  const [claim] = await connection.promise().query(
+    `UPDATE payroll_items SET status = 'processing', error = NULL, claimed_at = NOW() WHERE id = ? AND ${STALE_CLAIM}`,
+    [item.id]
+  );
+  if (claim.affectedRows === 0) {
+    return { id: item.id, user_id: item.user_id, status: item.status, skipped: true };
+  }
+
+  const userCode = String(item.user_id);
+  const periodStart = Math.floor(zonedDateTimeToDate(period.start_date, "00:00").getTime() / 1000);
+  const periodEnd = Math.floor(zonedDateTimeToDate(addDays(period.end_date, 1), "00:00").getTime() / 1000) - 1;
+
+  try {
+    let transferTx = item.transfer_tx_hash;
+    let recordTx = item.record_tx_hash;
+
+    if (BigInt(item.amount_wei) > 0n && isTokenPayroll()) {
+      // Token: chuyển và ghi sổ trong cùng một giao dịch
+      if (!recordTx) {
+        recordTx = await creditWorkWithToken(userCode, periodStart, periodEnd, item.amount_wei, `payroll_item:${item.id}`);
+        transferTx = recordTx;
+        await connection.promise().query(
+          "UPDATE payroll_items SET transfer_tx_hash = ?, record_tx_hash = ? WHERE id = ?",
+          [transferTx, recordTx, item.id]
+        );
+      }
+    } else if (BigInt(item.amount_wei) > 0n) {
+      // Lần chạy trước đã gửi tiền: chỉ gửi lại nếu giao dịch đó thất bại
+      const sentTx = await ensureWageTransfer(userCode, item.amount_wei, transferTx, `payroll_item:${item.id}`);
+      if (sentTx !== transferTx) {
+        transferTx = sentTx;
+        await connection.promise().query("UPDATE payroll_items SET transfer_tx_hash = ? WHERE id = ?", [transferTx, item.id]);
+      }
+      if (!recordTx) {
+        recordTx = await recordWorkCredit(userCode, periodStart, periodEnd, item.amount_wei, `payroll_item:${item.id}`);
+        await connection.promise().query("UPDATE payroll_items SET record_tx_hash = ? WHERE id = ?", [recordTx, item.id]);
+      }
+    }
+
+    await connection.promise().query(
+      "UPDATE payroll_items SET status = 'paid', paid_at = NOW() WHERE id = ?",
+      [item.id]
+    );
+    await connection.promise().query(
+      `UPDATE work_sessions SET credit_status = 'credited', credited_amount_wei = amount_wei,
+              transfer_tx_hash = ?, record_tx_hash = ?, credited_at = NOW()
+        WHERE payroll_item_id = ?`,
+      [transferTx, recordTx, item.id]
+    );
+    return { id: item.id, user_id: item.user_id, status: "paid", transferTx, recordTx };
+  } catch (err) {
+    const message = String(err.message || err).slice(0, 500);
+    await connection.promise().query("UPDATE payroll_items SET status = 'failed', error = ? WHERE id = ?", [message, item.id]);
+    return { id: item.id, user_id: item.user_id, status: "failed", error: message };
+  }
+}
+
+/**
+ * Recompute the status of a period from its items.
+ * @param {number|string} periodId
+ */
+export async function refreshPeriodStatus(periodId) {
+  const [counts] = await connection.promise().query(
+    "SELECT status, COUNT(*) AS count FROM payroll_items WHERE period_id = ? GROUP BY status",
+    [periodId]
+  );
+  const byStatus = Object.fromEntries(counts.map((row) => [row.status, Number(row.count)]));
+  const unpaid = (byStatus.pending || 0) + (byStatus.processing || 0) + (byStatus.failed || 0);
+
+  if (unpaid === 0) {
+    await connection.promise().query("UPDATE payroll_periods SET status = 'settled', settled_at = NOW() WHERE id = ?", [periodId]);
+  } else if (!byStatus.processing) {
+    await connection.promise().query("UPDATE payroll_periods SET status = 'partially_settled' WHERE id = ?", [periodId]);
+  }
+  return byStatus;
+}
+
+/**
+ * Settle one payroll item by id (chain job handler). Throws when the item is
+ * not paid so the job is retried.
+ * @param {number|string} itemId
+ * @returns {Promise<object>}
+ */
+export async function settlePayrollItemById(itemId) {
+  const [items] = await connection.promise().query("SELECT * FROM payroll_items WHERE id = ?", [itemId]);
+  const item = items[0];
+  if (!item) throw new Error(`Payroll item ${itemId} not found`);
+
+  const period = await getPeriod(item.period_id);
+  const result = await settlePayrollItem(item, period);
+  await refreshPeriodStatus(period.id);
+
+  if (result.status === "failed") throw new Error(result.error);
+  if (result.skipped) {
+    // Không giành được khoản: chỉ coi là xong khi khoản đã được trả, nếu không thì để job thử lại
+    const [current] = await connection.promise().query("SELECT status FROM payroll_items WHERE id = ?", [itemId]);
+    if (current[0]?.status !== "paid") {
+      throw new Error(`Payroll item ${itemId} is ${current[0]?.status} and claimed by another run; retrying later`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Start (or resume) the settlement of an approved period: every unpaid item
+ * gets a settle_payroll_item chain job, executed by the worker with retries.
+ * Jobs that already gave up (dead) are put back in the queue, and items left
+ * "processing" by a run that died are picked up again once their claim is
+ * stale. Refused (409) when the treasury cannot pay the unpaid items.
+ * @param {number|string} periodId
+ */
+export async function settlePeriod(periodId) {
+  const period = await getPeriod(periodId);
+  if (!period) throw httpError(404, "Payroll period not found");
+  if (!["approved", "settling", "partially_settled"].includes(period.status)) {
+    throw httpError(409, `Payroll period cannot be settled while ${period.status}`);
+  }
+
+  const [items] = await connection.promise().query(
+    `SELECT id, user_id, amount_wei FROM payroll_items WHERE period_id = ? AND ${STALE_CLAIM} ORDER BY id`,
+    [periodId]
+  );
+
+  // Không còn khoản nào cần chi (kỳ rỗng / chỉ còn khoản đang xử lý hoặc đã trả): chỉ cập nhật trạng thái kỳ
+  if (items.length === 0) {
+    await refreshPeriodStatus(periodId);
+    return { period: await getPeriod(periodId), jobs: [] };
+  }
+
+  // Không bắt đầu chi trả khi ví owner không đủ trả cả kỳ (lương + gas)
+  const totalWei = items.reduce((sum, item) => sum + BigInt(item.amount_wei), 0n);
+  await assertPayrollCovered(totalWei, items.length, `payroll period ${periodId}`);
+
+  await connection.promise().query("UPDATE payroll_periods SET status = 'settling' WHERE id = ?", [periodId]);
+
+  const jobs = [];
+  for (const item of items) {
+    let job = await enqueueJob("settle_payroll_item", { itemId: item.id }, { reference: `payroll_item:${item.id}` });
+    if (job.status === "dead") job = await replayJob(job.id);
+    jobs.push({ item_id: item.id, user_id: item.user_id, job_id: job.id, status: job.status });
+  }
+
+  return { period: await getPeriod(periodId), jobs };
+}
@@ -0,0 +1,130 @@
+import dotenv from "dotenv";
+import connection from "./connectDatabase.js";
+import { httpError } from "../utils/httpError.js";
+
+dotenv.config();
+
+// Quyền cần để quản lý phân quyền – không cho role tự gỡ quyền này của chính mình
+export const ROLES_MANAGE = "roles:manage";
+
+const CACHE_TTL_MS = Number(process.env.PERMISSION_CACHE_TTL_MS) || 60000;
+
+// role_id → { permissions: Set<string>, loadedAt: number }
+const cache = new Map();
+
+/**
+ * Drop cached role permissions (after they are edited).
+ */
+export function invalidatePermissionCache() {
+  cache.clear();
+}
+
+/**
+ * Permission codes granted to a role, cached for PERMISSION_CACHE_TTL_MS.
+ * @param {number} roleId
+ * @returns {Promise<Set<string>>}
+ */
+export async function getRolePermissions(roleId) {
+  const cached = cache.get(roleId);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.permissions;
+
+  const [rows] = await connection.promise().query(
+    `SELECT p.code FROM role_permissions rp
+       JOIN permissions p ON p.id = rp.permission_id
+      WHERE rp.role_id = ?`,
+    [roleId]
+  );
+  const permissions = new Set(rows.map((row) => row.code));
+  cache.set(roleId, { permissions, loadedAt: Date.now() });
+  return permissions;
+}
+
+/**
+ * @param {{role_id: number}} user - decoded access token
+ * @param {string} permission - e.g. "cards:write"
+ * @returns {Promise<boolean>}
+ */
+export async function hasPermission(user, permission) {
+  if (!user) return false;
+  const permissions = await getRolePermissions(Number(user.role_id));
+  return permissions.has(permission);
+}
+
+/**
+ * @returns {Promise<object[]>} every known permission
+ */
+export async function listPermissions() {
+  const [rows] = await connection.promise().query("SELECT id, code, description FROM permissions ORDER BY code");
+  return rows;
+}
+
+/**
+ * @returns {Promise<object[]>} roles with the permission codes they hold
+ */
+export async function listRolesWithPermissions() {
+  const [roles] = await connection.promise().query("SELECT id, role_name, description FROM roles ORDER BY id");
+  const [grants] = await connection.promise().query(
+    `SELECT rp.role_id, p.code FROM role_permissions rp
+       JOIN permissions p ON p.id = rp.permission_id
+      ORDER BY p.code`
+  );
+
+  return roles.map((role) => ({
+    ...role,
+    permissions: grants.filter((grant) => grant.role_id === role.id).map((grant) => grant.code),
+  }));
+}
+
+/**
+ * Replace the permissions of a role.
+ * @param {number|string} roleId
+ * @param {string[]} codes
+ * @param {{role_id: number}} actor - user making the change
+ * @returns {Promise<object>} the role with its new permissions
+ */
+export async function setRolePermissions(roleId, codes, actor) {
+  if (!Array.isArray(codes) || codes.some((code) => typeof code !== "string")) {
+    throw httpError(400, "permissions must be an array of permission codes");
+  }
+  const unique = [...new Set(codes)];
+
+  // Tránh admin tự khóa mình khỏi màn hình phân quyền
+  if (Number(roleId) === Number(actor.role_id) && !unique.includes(ROLES_MANAGE)) {
+    throw httpError(409, `Cannot remove ${ROLES_MANAGE} from your own role`);
+  }
+
+  const conn = await connection.promise().getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [roles] = await conn.query("SELECT id FROM roles WHERE id = ?", [roleId]);
+    if (roles.length === 0) throw httpError(404, "Role not found");
+
+    let permissionRows = [];
+    if (unique.length > 0) {
+      [permissionRows] = await conn.query("SELECT id, code FROM permissions WHERE code IN (?)", [unique]);
+    }
+    const known = new Set(permissionRows.map((row) => row.code));
+    const unknown = unique.filter((code) => !known.has(code));
+    if (unknown.length > 0) throw httpError(400, `Unknown permissions: ${unknown.join(", ")}`);
+
+    await conn.query("DELETE FROM role_permissions WHERE role_id = ?", [roleId]);
+    if (permissionRows.length > 0) {
+      await conn.query(
+        "INSERT INTO role_permissions (role_id, permission_id) VALUES ?",
+        [permissionRows.map((row) => [Number(roleId), row.id])]
+      );
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  invalidatePermissionCache();
+  const roles = await listRolesWithPermissions();
+  return roles.find((role) => role.id === Number(roleId));
+}
@@ -0,0 +1,409 @@
+import dotenv from "dotenv";
+import connection from "./connectDatabase.js";
+import { web3, employeeContract } from "../blockchain/contractInstance.js";
+import { getOwnerAddress } from "./chainTxService.js";
+import { isTokenPayroll, getTokenBalance } from "../blockchain/utils/payrollToken.js";
+import { syncChainEvents, getIndexerStatus } from "./chainIndexerService.js";
+import { httpError } from "../utils/httpError.js";
+
+dotenv.config();
+
+/*
+ * Compares, per employee, three views of the same money:
+ *
+ *   MySQL      – closed work sessions (priced from access_logs) and what was credited for them
+ *   contract   – EmployeeCredited / Withdrawn / Purchased (chain_events index) and getEmployeeBookBalance
+ *   wallet     – the real balance, against funding + wage transfers - withdrawals - purchases - gas
+ *                (PAYROLL_CURRENCY=token: the token balance, against credits - withdrawals - purchases,
+ *                since a token credit is the transfer itself and gas is paid in ETH)
+ *
+ * Every disagreement becomes a flag { reason, severity, detail } on the employee's row.
+ */
+
+// 0 = tắt job định kỳ (vẫn chạy tay được qua API)
+const INTERVAL_HOURS = process.env.RECONCILIATION_INTERVAL_HOURS === undefined
+  ? 24
+  : Number(process.env.RECONCILIATION_INTERVAL_HOURS);
+// Chênh lệch số dư ví chấp nhận được (wei)
+const TOLERANCE_WEI = BigInt(process.env.RECONCILIATION_TOLERANCE_WEI || 0);
+
+export const FLAG_REASONS = {
+  missing_credit: "Credited in MySQL but no matching EmployeeCredited on the contract",
+  double_credit: "Contract credited more than MySQL recorded",
+  missing_transfer: "Credited in MySQL but the wage transfer to the wallet is missing",
+  double_transfer: "More wage was transferred to the wallet than MySQL credited",
+  book_mismatch: "getEmployeeBookBalance disagrees with the indexed events",
+  untracked_transfer: "Wallet balance differs from tracked funding, wages, withdrawals, purchases and gas",
+  untracked_wallet_tx: "Wallet sent transactions that are not withdrawals, purchases (with their token approval) or offboarding sweeps",
+  unrecorded_wallet_tx: "Withdrawal or purchase not yet recorded on the contract",
+  not_registered: "Employee is not registered on the contract",
+  pending_credit: "Closed sessions not credited yet",
+  unpriced_sessions: "Closed sessions without an amount",
+  unresolved_sessions: "Disputed or auto-closed sessions",
+};
+
+let reconcileTimer = null;
+let running = null;
+
+const sumBy = (rows, key) => rows.reduce((sum, r) => sum + BigInt(r[key] ?? 0), 0n);
+
+function flag(flags, reason, severity, detail) {
+  flags.push({ reason, severity, detail });
+}
+
+/**
+ * Load every input of the comparison in bulk, keyed by user id / wallet.
+ */
+async function loadSources(userId) {
+  const db = connection.promise();
+  const userFilter = userId ? "AND u.id = ?" : "";
+  const userParams = userId ? [userId] : [];
+
+  const owner = (await getOwnerAddress()).toLowerCase();
+  const [users] = await db.query(
+    `SELECT u.id, u.username, u.wallet_address FROM users u
+      WHERE LOWER(u.wallet_address) <> ? ${userFilter} ORDER BY u.id`,
+    [owner, ...userParams]
+  );
+
+  const [sessions] = await db.query(
+    `SELECT user_id,
+            SUM(status = 'closed') AS closed,
+            SUM(status = 'closed' AND amount_wei IS NULL) AS unpriced,
+            SUM(status IN ('disputed', 'auto_closed')) AS unresolved,
+            SUM(status = 'closed' AND credit_status <> 'credited') AS uncredited,
+            CAST(COALESCE(SUM(CASE WHEN status = 'closed' THEN amount_wei END), 0) AS CHAR) AS expected_wei,
+            CAST(COALESCE(SUM(CASE WHEN credit_status = 'credited' THEN credited_amount_wei END), 0) AS CHAR) AS credited_wei
+       FROM work_sessions GROUP BY user_id`
+  );
+
+  const [events] = await db.query(
+    `SELECT user_code, event_name, contract_address, CAST(COALESCE(SUM(amount_wei), 0) AS CHAR) AS total
+       FROM chain_events
+      WHERE event_name IN ('EmployeeCredited', 'EmployeeWithdrawn', 'EmployeePurchased')
+      GROUP BY user_code, event_name, contract_address`
+  );
+
+  const [transfers] = await db.query(
+    `SELECT LOWER(to_address) AS wallet, purpose, CAST(SUM(value_wei) AS CHAR) AS total
+       FROM chain_transactions
+      WHERE status = 'mined' AND purpose IN ('fund_wallet', 'gas_subsidy', 'wage_transfer')
+      GROUP BY LOWER(to_address), purpose`
+  );
+
+  // Giao dịch rút / mua do chính ví nhân viên ký, lấy từ job ghi sổ tương ứng (kèm approve token trước khi mua)
+  const [walletJobs] = await db.query(
+    `SELECT type, status, JSON_UNQUOTE(JSON_EXTRACT(payload, '$.userCode')) AS user_code,
+            JSON_UNQUOTE(COALESCE(JSON_EXTRACT(payload, '$.transferTx'), JSON_EXTRACT(payload, '$.purchaseTx'))) AS tx_hash,
+            JSON_UNQUOTE(JSON_EXTRACT(payload, '$.approveTx')) AS approve_tx
+       FROM chain_jobs WHERE type IN ('record_withdraw', 'record_purchase')`
+  );
+
+  // Chuyển số dư ví khi nghỉ việc (token: cả lần trả lại ETH gas), kể cả khi không ghi sổ withdraw
+  const [sweeps] = await db.query(
+    `SELECT user_id, JSON_UNQUOTE(JSON_EXTRACT(steps, '$.sweep.transfer.txHash')) AS transfer_tx,
+            JSON_UNQUOTE(JSON_EXTRACT(steps, '$.sweep.gasReturn.txHash')) AS gas_return_tx
+       FROM offboardings WHERE JSON_EXTRACT(steps, '$.sweep') IS NOT NULL`
+  );
+
+  const byUser = (rows, key) => {
+    const map = new Map();
+    for (const row of rows) {
+      const id = String(row[key]);
+      if (!map.has(id)) map.set(id, []);
+      map.get(id).push(row);
+    }
+    return map;
+  };
+
+  return {
+    users,
+    sessions: new Map(sessions.map((s) => [String(s.user_id), s])),
+    events: byUser(events, "user_code"),
+    transfers: byUser(transfers, "wallet"),
+    walletJobs: byUser(walletJobs, "user_code"),
+    sweeps: byUser(sweeps, "user_id"),
+  };
+}
+
+async function getContractBookBalance(userCode) {
+  try {
+    return BigInt(await employeeContract.methods.getEmployeeBookBalance(userCode).call());
+  } catch (err) {
+    // revert "Employee not found"
+    return null;
+  }
+}
+
+async function getGasSpent(txHashes) {
+  let gas = 0n;
+  for (const hash of txHashes) {
+    const receipt = await web3.eth.getTransactionReceipt(hash).catch(() => null);
+    if (receipt) gas += BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice ?? 0);
+  }
+  return gas;
+}
+
+/**
+ * Reconcile one employee.
+ * @returns {Promise<object>} reconciliation_items row (wei as strings, flags array)
+ */
+async function reconcileEmployee(user, sources) {
+  const userCode = String(user.id);
+  const wallet = user.wallet_address;
+  const flags = [];
+
+  const s = sources.sessions.get(userCode) || {};
+  const expected = BigInt(s.expected_wei ?? 0);
+  const dbCredited = BigInt(s.credited_wei ?? 0);
+
+  // Lịch sử gồm cả contract cũ (trước khi deploy lại); sổ sách contract hiện tại chỉ có event của nó
+  const userEvents = sources.events.get(userCode) || [];
+  const eventTotal = (name, address) => sumBy(
+    userEvents.filter((e) => e.event_name === name && (!address || e.contract_address === address)),
+    "total"
+  );
+  const chainCredited = eventTotal("EmployeeCredited");
+  const chainWithdrawn = eventTotal("EmployeeWithdrawn");
+  const chainPurchased = eventTotal("EmployeePurchased");
+  const currentAddress = employeeContract.options.address;
+  const currentBook = eventTotal("EmployeeCredited", currentAddress) - eventTotal("EmployeeWithdrawn", currentAddress);
+
+  const transfers = sources.transfers.get(wallet.toLowerCase()) || [];
+  // Tiền nạp ví: lần nạp ban đầu và các lần gas station nạp phí gas
+  const funded = sumBy(transfers.filter((t) => t.purpose === "fund_wallet" || t.purpose === "gas_subsidy"), "total");
+  const wageTransferred = sumBy(transfers.filter((t) => t.purpose === "wage_transfer"), "total");
+
+  const jobs = (sources.walletJobs.get(userCode) || []).filter((j) => j.tx_hash);
+  // Mọi giao dịch server đã ký bằng ví nhân viên (JSON null được JSON_UNQUOTE trả về chuỗi "null")
+  const walletTxs = [...new Set([
+    ...jobs.flatMap((j) => [j.tx_hash, j.approve_tx]),
+    ...(sources.sweeps.get(userCode) || []).flatMap((o) => [o.transfer_tx, o.gas_return_tx]),
+  ].filter((hash) => hash && hash !== "null"))];
+
+  const [bookBalance, balance, sentCount, gasSpent] = await Promise.all([
+    getContractBookBalance(userCode),
+    (isTokenPayroll() ? getTokenBalance(wallet) : web3.eth.getBalance(wallet).then(BigInt)).catch(() => null),
+    web3.eth.getTransactionCount(wallet).then(Number).catch(() => null),
+    getGasSpent(walletTxs),
+  ]);
+
+  // MySQL ↔ contract
+  if (dbCredited > chainCredited) {
+    flag(flags, "missing_credit", "error", `${dbCredited - chainCredited} wei credited in MySQL is not on the contract`);
+  } else if (chainCredited > dbCredited) {
+    flag(flags, "double_credit", "error", `contract credited ${chainCredited - dbCredited} wei more than MySQL`);
+  }
+  // MySQL ↔ chuyển tiền lương (token: ghi có và chuyển token là cùng một giao dịch)
+  if (!isTokenPayroll()) {
+    if (dbCredited > wageTransferred) {
+      flag(flags, "missing_transfer", "error", `${dbCredited - wageTransferred} wei credited but never transferred`);
+    } else if (wageTransferred > dbCredited) {
+      flag(flags, "double_transfer", "error", `${wageTransferred - dbCredited} wei transferred without a matching credit`);
+    }
+  }
+  // Contract ↔ chỉ mục sự kiện (getEmployeeBookBalance không trừ tiền mua hàng)
+  if (bookBalance === null) {
+    flag(flags, "not_registered", "warning", FLAG_REASONS.not_registered);
+  } else if (bookBalance !== currentBook) {
+    flag(flags, "book_mismatch", "warning",
+      `contract book balance ${bookBalance} wei, indexed events give ${currentBook} wei`);
+  }
+
+  // Ví thật ↔ dòng tiền đã theo dõi
+  const expectedWallet = isTokenPayroll()
+    ? chainCredited - chainWithdrawn - chainPurchased
+    : funded + wageTransferred - chainWithdrawn - chainPurchased - gasSpent;
+  const diff = balance === null ? null : balance - expectedWallet;
+  if (diff !== null && (diff > TOLERANCE_WEI || -diff > TOLERANCE_WEI)) {
+    flag(flags, "untracked_transfer", "error",
+      diff > 0n ? `wallet holds ${diff} wei more than tracked flows` : `wallet holds ${-diff} wei less than tracked flows`);
+  }
+  if (sentCount !== null && sentCount > walletTxs.length) {
+    flag(flags, "untracked_wallet_tx", "warning", `${sentCount - walletTxs.length} of ${sentCount} wallet transactions are untracked`);
+  }
+  const unrecorded = jobs.filter((j) => j.status !== "succeeded");
+  if (unrecorded.length) {
+    flag(flags, "unrecorded_wallet_tx", "warning",
+      `${unrecorded.length} withdrawal/purchase record job(s) not succeeded: ${unrecorded.map((j) => j.tx_hash).join(" ")}`);
+  }
+
+  // Phiên làm việc
+  if (Number(s.uncredited || 0) > 0) {
+    flag(flags, "pending_credit", "info", `${s.uncredited} closed session(s), ${expected - dbCredited} wei not credited yet`);
+  }
+  if (Number(s.unpriced || 0) > 0) {
+    flag(flags, "unpriced_sessions", "warning", `${s.unpriced} closed session(s) without an amount`);
+  }
+  if (Number(s.unresolved || 0) > 0) {
+    flag(flags, "unresolved_sessions", "warning", `${s.unresolved} disputed or auto-closed session(s)`);
+  }
+
+  return {
+    user_id: user.id,
+    username: user.username,
+    wallet_address: wallet,
+    sessions_closed: Number(s.closed || 0),
+    sessions_unpriced: Number(s.unpriced || 0),
+    sessions_unresolved: Number(s.unresolved || 0),
+    expected_wei: expected.toString(),
+    db_credited_wei: dbCredited.toString(),
+    chain_credited_wei: chainCredited.toString(),
+    chain_withdrawn_wei: chainWithdrawn.toString(),
+    chain_purchased_wei: chainPurchased.toString(),
+    contract_book_balance_wei: bookBalance === null ? null : bookBalance.toString(),
+    funded_wei: funded.toString(),
+    wage_transferred_wei: wageTransferred.toString(),
+    gas_spent_wei: gasSpent.toString(),
+    expected_wallet_wei: expectedWallet.toString(),
+    wallet_balance_wei: balance === null ? null : balance.toString(),
+    wallet_diff_wei: diff === null ? null : diff.toString(),
+    flags,
+    // "info" (chưa ghi có, đang chờ kỳ lương) không tính là chênh lệch
+    flagged: flags.some((f) => f.severity !== "info"),
+  };
+}
+
+const ITEM_COLUMNS = [
+  "user_id", "wallet_address", "sessions_closed", "sessions_unpriced", "sessions_unresolved", "expected_wei",
+  "db_credited_wei", "chain_credited_wei", "chain_withdrawn_wei", "chain_purchased_wei", "contract_book_balance_wei",
+  "funded_wei", "wage_transferred_wei", "gas_spent_wei", "expected_wallet_wei", "wallet_balance_wei", "wallet_diff_wei",
+];
+
+async function runReconciliation({ triggeredBy, userId }) {
+  const db = connection.promise();
+  const [inserted] = await db.query("INSERT INTO reconciliation_runs (triggered_by) VALUES (?)", [triggeredBy || null]);
+  const runId = inserted.insertId;
+
+  try {
+    // Đưa chỉ mục sự kiện lên đầu chuỗi trước khi so sánh
+    try {
+      await syncChainEvents();
+    } catch (err) {
+      console.error("❌ Chain indexer sync before reconciliation failed:", err.message || err);
+    }
+    const { lastBlock } = await getIndexerStatus();
+
+    const sources = await loadSources(userId);
+    let flagged = 0;
+    for (const user of sources.users) {
+      const item = await reconcileEmployee(user, sources);
+      if (item.flagged) flagged += 1;
+      await db.query(
+        `INSERT INTO reconciliation_items (run_id, ${ITEM_COLUMNS.join(", ")}, flags, flagged)
+         VALUES (?, ${ITEM_COLUMNS.map(() => "?").join(", ")}, ?, ?)`,
+        [runId, ...ITEM_COLUMNS.map((c) => item[c]), JSON.stringify(item.flags), item.flagged]
+      );
+    }
+
+    await db.query(
+      `UPDATE reconciliation_runs SET status = 'completed', employees = ?, flagged = ?, indexed_to_block = ?, finished_at = NOW()
+        WHERE id = ?`,
+      [sources.users.length, flagged, lastBlock, runId]
+    );
+  } catch (err) {
+    await db.query(
+      "UPDATE reconciliation_runs SET status = 'failed', error = ?, finished_at = NOW() WHERE id = ?",
+      [String(err.message || err).slice(0, 1000), runId]
+    );
+    throw err;
+  }
+  return getRun(runId);
+}
+
+/**
+ * Reconcile every employee (or one) and store the result as a new run.
+ * Only one run at a time per server.
+ * @param {{triggeredBy?: number, userId?: number|string}} [options]
+ * @returns {Promise<object>} the finished run
+ */
+export async function reconcile({ triggeredBy, userId } = {}) {
+  if (running) throw httpError(409, "A reconciliation is already running");
+  running = runReconciliation({ triggeredBy, userId });
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * @param {number|string} runId
+ * @returns {Promise<object|undefined>}
+ */
+export async function getRun(runId) {
+  const [rows] = await connection.promise().query("SELECT * FROM reconciliation_runs WHERE id = ?", [runId]);
+  return rows[0];
+}
+
+/**
+ * @returns {Promise<object|undefined>} most recent completed run
+ */
+export async function getLatestRun() {
+  const [rows] = await connection.promise().query(
+    "SELECT * FROM reconciliation_runs WHERE status = 'completed' ORDER BY id DESC LIMIT 1"
+  );
+  return rows[0];
+}
+
+/**
+ * @param {number} [limit]
+ * @returns {Promise<object[]>}
+ */
+export async function listRuns(limit = 50) {
+  const [rows] = await connection.promise().query(
+    "SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT ?",
+    [Math.min(Number(limit) || 50, 500)]
+  );
+  return rows;
+}
+
+/**
+ * Rows of one run, employees with discrepancies first.
+ * @param {number|string} runId
+ * @param {{flaggedOnly?: boolean, reason?: string}} [filters]
+ * @returns {Promise<object[]>}
+ */
+export async function listRunItems(runId, { flaggedOnly = false, reason } = {}) {
+  const where = ["ri.run_id = ?"];
+  const params = [runId];
+  if (flaggedOnly) where.push("ri.flagged = TRUE");
+  if (reason) {
+    where.push("JSON_CONTAINS(ri.flags, JSON_OBJECT('reason', ?))");
+    params.push(reason);
+  }
+
+  const [rows] = await connection.promise().query(
+    `SELECT ri.*, u.username FROM reconciliation_items ri JOIN users u ON u.id = ri.user_id
+      WHERE ${where.join(" AND ")} ORDER BY ri.flagged DESC, ri.user_id`,
+    params
+  );
+  return rows.map((r) => ({
+    ...r,
+    flagged: Boolean(r.flagged),
+    flags: typeof r.flags === "string" ? JSON.parse(r.flags) : r.flags,
+  }));
+}
+
+/**
+ * Reconcile every RECONCILIATION_INTERVAL_HOURS (0 disables the schedule).
+ */
+export function startReconciliationJob() {
+  if (reconcileTimer || !(INTERVAL_HOURS > 0)) return;
+  const intervalMs = INTERVAL_HOURS * 60 * 60 * 1000;
+
+  const tick = async () => {
+    try {
+      const run = await reconcile();
+      if (run.flagged > 0) {
+        console.warn(`⚠️ Reconciliation #${run.id}: ${run.flagged} of ${run.employees} employees have discrepancies`);
+      }
+    } catch (err) {
+      console.error("❌ Reconciliation job error:", err.message || err);
+    }
+    reconcileTimer = setTimeout(tick, intervalMs);
+  };
+
+  reconcileTimer = setTimeout(tick, intervalMs);
+  console.log(`Reconciliation job started (every ${INTERVAL_HOURS} h)`);
+}
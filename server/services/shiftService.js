@@ -0,0 +1,191 @@
+import connection from "./connectDatabase.js";
+import { APP_TIMEZONE, toLocalDateString, addDays, weekdayOf, zonedDateTimeToDate } from "../utils/time.js";
+
+const ALL_WEEKDAYS = 127; // bit0 = Chủ nhật ... bit6 = Thứ bảy
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Convert a list of weekdays (0 = Sunday ... 6 = Saturday) to the bitmask stored in MySQL.
+ * @param {number[]} days
+ * @returns {number}
+ */
+export function weekdaysToMask(days) {
+  return days.reduce((mask, d) => mask | (1 << Number(d)), 0);
+}
+
+/**
+ * Convert a weekday bitmask back to a sorted list of weekdays.
+ * @param {number} mask
+ * @returns {number[]}
+ */
+export function maskToWeekdays(mask) {
+  const days = [];
+  for (let d = 0; d < 7; d++) {
+    if (mask & (1 << d)) days.push(d);
+  }
+  return days;
+}
+
+/**
+ * Validate a shift payload coming from the API.
+ * @param {object} body
+ * @param {boolean} [partial] - allow missing fields (update)
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateShift(body, partial = false) {
+  const { name, start_time, end_time, weekdays, grace_before_minutes, grace_after_minutes } = body || {};
+
+  if (!partial || name !== undefined) {
+    if (!name || String(name).trim() === "") return { valid: false, error: "name is required" };
+  }
+  for (const [field, value] of [["start_time", start_time], ["end_time", end_time]]) {
+    if (!partial || value !== undefined) {
+      if (!value || !TIME_PATTERN.test(String(value))) {
+        return { valid: false, error: `${field} must be in HH:MM or HH:MM:SS format` };
+      }
+    }
+  }
+  if (weekdays !== undefined) {
+    if (!Array.isArray(weekdays) || weekdays.length === 0 || weekdays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { valid: false, error: "weekdays must be a non-empty array of integers from 0 (Sunday) to 6 (Saturday)" };
+    }
+  }
+  for (const [field, value] of [["grace_before_minutes", grace_before_minutes], ["grace_after_minutes", grace_after_minutes]]) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      return { valid: false, error: `${field} must be a non-negative integer` };
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Shape a shifts row for API responses.
+ * @param {object} row
+ */
+export function formatShift(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    start_time: row.start_time,
+    end_time: row.end_time,
+    crosses_midnight: row.end_time <= row.start_time,
+    weekdays: maskToWeekdays(row.weekdays),
+    grace_before_minutes: row.grace_before_minutes,
+    grace_after_minutes: row.grace_after_minutes,
+    is_default: !!row.is_default,
+    is_active: !!row.is_active,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Load every shift that may apply to a user on the given local dates.
+ * Per-employee assignments win over department assignments; when nothing is
+ * assigned the default shift(s) are used.
+ * @param {number} userId
+ * @param {string[]} dates - YYYY-MM-DD
+ * @returns {Promise<Map<string, object[]>>} date → candidate shift rows
+ */
+async function getShiftsForDates(userId, dates) {
+  const sorted = [...dates].sort();
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+
+  const [assigned] = await connection.promise().query(
+    `SELECT s.*, a.id AS assignment_id, a.user_id AS assignment_user_id, a.weekdays AS assignment_weekdays,
+            DATE_FORMAT(a.effective_from, '%Y-%m-%d') AS effective_from,
+            DATE_FORMAT(a.effective_to, '%Y-%m-%d') AS effective_to
+       FROM shift_assignments a
+       JOIN shifts s ON s.id = a.shift_id
+       JOIN users u ON u.id = ?
+      WHERE s.is_active = 1
+        AND (a.user_id = u.id OR (a.user_id IS NULL AND a.department IS NOT NULL AND a.department = u.department))
+        AND a.effective_from <= ?
+        AND (a.effective_to IS NULL OR a.effective_to >= ?)`,
+    [userId, last, first]
+  );
+
+  const [defaults] = await connection.promise().query(
+    "SELECT * FROM shifts WHERE is_default = 1 AND is_active = 1"
+  );
+
+  const result = new Map();
+  for (const date of dates) {
+    const weekdayBit = 1 << weekdayOf(date);
+    const applicable = assigned.filter((row) => {
+      const mask = row.assignment_weekdays ?? row.weekdays;
+      return row.effective_from <= date && (!row.effective_to || row.effective_to >= date) && (mask & weekdayBit);
+    });
+
+    const personal = applicable.filter((row) => row.assignment_user_id !== null);
+    if (personal.length > 0) {
+      result.set(date, personal);
+    } else if (applicable.length > 0) {
+      result.set(date, applicable);
+    } else if (assigned.length === 0) {
+      // Chỉ dùng ca mặc định khi nhân viên không được phân ca nào
+      result.set(date, defaults.filter((row) => row.weekdays & weekdayBit));
+    } else {
+      result.set(date, []);
+    }
+  }
+  return result;
+}
+
+/**
+ * Build the entry/exit windows of a shift starting on a local date.
+ * @param {object} shift - shifts row
+ * @param {string} shiftDate - YYYY-MM-DD on which the shift starts
+ */
+function buildShiftWindows(shift, shiftDate) {
+  const startAt = zonedDateTimeToDate(shiftDate, shift.start_time, APP_TIMEZONE);
+  // Ca đêm: giờ kết thúc <= giờ bắt đầu nghĩa là kết thúc vào ngày hôm sau
+  const endDate = shift.end_time <= shift.start_time ? addDays(shiftDate, 1) : shiftDate;
+  const endAt = zonedDateTimeToDate(endDate, shift.end_time, APP_TIMEZONE);
+
+  const before = shift.grace_before_minutes * 60 * 1000;
+  const after = shift.grace_after_minutes * 60 * 1000;
+
+  return {
+    startAt,
+    endAt,
+    entry: { from: new Date(startAt.getTime() - before), to: new Date(startAt.getTime() + after) },
+    exit: { from: new Date(endAt.getTime() - before), to: new Date(endAt.getTime() + after) },
+  };
+}
+
+/**
+ * Evaluate a swipe against the employee's assigned shifts.
+ * @param {number} userId
+ * @param {number} accessType - 0: entry, 1: exit
+ * @param {Date} at - time of the swipe
+ * @returns {Promise<{status: number, shift_id: number|null, shift_date: string|null, shift_name?: string, window?: {from: Date, to: Date}}>}
+ */
+export async function evaluateSwipe(userId, accessType, at) {
+  const today = toLocalDateString(at);
+  // Ca đêm bắt đầu hôm qua vẫn có thể đang diễn ra
+  const dates = [addDays(today, -1), today];
+  const shiftsByDate = await getShiftsForDates(userId, dates);
+
+  let fallback = null;
+  for (const date of dates) {
+    for (const shift of shiftsByDate.get(date)) {
+      const windows = buildShiftWindows(shift, date);
+      const window = Number(accessType) === 1 ? windows.exit : windows.entry;
+
+      if (at >= window.from && at <= window.to) {
+        return { status: 1, shift_id: shift.id, shift_date: date, shift_name: shift.name, window };
+      }
+
+      // Ghi nhận ca gần nhất đang bao trùm lần quẹt (để lưu vết dù bị từ chối)
+      if (at >= windows.entry.from && at <= windows.exit.to) {
+        fallback = { status: 0, shift_id: shift.id, shift_date: date, shift_name: shift.name, window };
+      }
+    }
+  }
+
+  return fallback || { status: 0, shift_id: null, shift_date: null };
+}
+
+export { ALL_WEEKDAYS, TIME_PATTERN };
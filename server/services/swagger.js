@@ -23,6 +23,25 @@ const options = {
           bearerFormat: 'JWT',
           description: "Enter your JWT token in the format **Bearer &lt;token>**",
         },
+        // Đầu đọc RFID: X-Device-Id + X-Timestamp + X-Nonce, kèm X-Signature (hmac) hoặc X-Api-Key
+        deviceId: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Device-Id',
+          description: "device_code of the reader; also send X-Timestamp (unix seconds) and a unique X-Nonce",
+        },
+        deviceSignature: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Signature',
+          description: "hex HMAC-SHA256(secret, \"<X-Timestamp>.<X-Nonce>.<raw body>\") for hmac devices",
+        },
+        deviceApiKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Api-Key',
+          description: "API key for api_key devices (no replay protection: only accepted for card registration, not for swipes)",
+        },
       },
     },
     security: [
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import connection from "./connectDatabase.js";
+import { REFRESH_TOKEN_TTL_DAYS, generateAccessToken, generateRefreshToken, hashToken } from "../utils/token.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Store a new refresh token of a family and return the raw token.
+ * @param {object} conn
+ * @param {number} userId
+ * @param {string} familyId - all tokens rotated from one login share a family
+ * @param {{userAgent?: string, ip?: string}} meta
+ * @returns {Promise<{token: string, id: number}>}
+ */
+async function insertRefreshToken(conn, userId, familyId, { userAgent, ip } = {}) {
+  const token = generateRefreshToken();
+  const [result] = await conn.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, user_agent, ip_address, expires_at)
+     VALUES (?, ?, ?, ?, ?, NOW() + INTERVAL ? DAY)`,
+    [userId, familyId, hashToken(token), userAgent ? String(userAgent).slice(0, 255) : null, ip || null, REFRESH_TOKEN_TTL_DAYS]
+  );
+  return { token, id: result.insertId };
+}
+
+/**
+ * Issue an access token and a new refresh token family for a user that just
+ * logged in.
+ * @param {object} user - users row
+ * @param {{userAgent?: string, ip?: string}} [meta]
+ * @returns {Promise<{token: string, refresh_token: string}>}
+ */
+export async function issueTokens(user, meta) {
+  const { token: refreshToken } = await insertRefreshToken(connection.promise(), user.id, crypto.randomUUID(), meta);
+  return { token: generateAccessToken(user), refresh_token: refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Each refresh token works once; presenting one that was already rotated
+ * means it was stolen or replayed, so its whole family is revoked.
+ * @param {string} refreshToken
+ * @param {{userAgent?: string, ip?: string}} [meta]
+ * @returns {Promise<{token: string, refresh_token: string}>}
+ */
+export async function rotateRefreshToken(refreshToken, meta) {
+  const conn = await connection.promise().getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT rt.*, (rt.expires_at <= NOW()) AS expired, users.status AS user_status
+         FROM refresh_tokens rt
+         JOIN users ON users.id = rt.user_id
+        WHERE rt.token_hash = ?
+        FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+    const current = rows[0];
+    if (!current) throw httpError(401, "Invalid refresh token");
+
+    if (current.revoked_at) {
+      // Token đã dùng rồi bị dùng lại → thu hồi cả family
+      await conn.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'reuse_detected' WHERE family_id = ? AND revoked_at IS NULL",
+        [current.family_id]
+      );
+      await conn.commit();
+      throw httpError(401, "Refresh token has been revoked");
+    }
+    if (current.expired) throw httpError(401, "Refresh token has expired");
+    if (current.user_status === 0) throw httpError(403, "Account is inactive. Please contact admin.");
+
+    const next = await insertRefreshToken(conn, current.user_id, current.family_id, meta);
+    await conn.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'rotated', replaced_by = ? WHERE id = ?",
+      [next.id, current.id]
+    );
+
+    const [users] = await conn.query("SELECT * FROM users WHERE id = ?", [current.user_id]);
+    await conn.commit();
+
+    return { token: generateAccessToken(users[0]), refresh_token: next.token };
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Log out: revoke the refresh token family of this session and the access
+ * token used for the request.
+ * @param {object} accessPayload - decoded access token (req.user)
+ * @param {string} [refreshToken]
+ */
+export async function logout(accessPayload, refreshToken) {
+  if (refreshToken) {
+    await connection.promise().query(
+      `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'logout'
+        WHERE revoked_at IS NULL AND user_id = ?
+          AND family_id = (SELECT family_id FROM (SELECT family_id FROM refresh_tokens WHERE token_hash = ?) AS t)`,
+      [accessPayload.id, hashToken(refreshToken)]
+    );
+  }
+  if (accessPayload.jti) {
+    await connection.promise().query(
+      "INSERT IGNORE INTO revoked_access_tokens (jti, user_id, expires_at) VALUES (?, ?, FROM_UNIXTIME(?))",
+      [accessPayload.jti, accessPayload.id, accessPayload.exp]
+    );
+  }
+
+  // Dọn các bản ghi đã hết hạn, không còn cần để chặn
+  await connection.promise().query("DELETE FROM revoked_access_tokens WHERE expires_at < NOW()");
+}
+
+/**
+ * Revoke every access and refresh token of a user (deactivation, password
+ * change, "log out everywhere"). Access tokens carry the token_version they
+ * were issued with, so bumping it invalidates all of them at once.
+ * @param {number|string} userId
+ * @param {string} reason
+ * @param {object} [conn] - connection of an open transaction
+ */
+export async function revokeAllUserTokens(userId, reason, conn = connection.promise()) {
+  await conn.query("UPDATE users SET token_version = token_version + 1 WHERE id = ?", [userId]);
+  await conn.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL",
+    [reason, userId]
+  );
+}
+
+/**
+ * Check that a verified access token has not been revoked.
+ * @param {object} payload - decoded access token
+ * @returns {Promise<string|null>} reason the token is rejected, or null if it is still valid
+ */
+export async function checkAccessToken(payload) {
+  const [rows] = await connection.promise().query(
+    `SELECT users.status, users.token_version,
+            EXISTS(SELECT 1 FROM revoked_access_tokens WHERE jti = ?) AS revoked
+       FROM users WHERE users.id = ?`,
+    [payload.jti || "", payload.id]
+  );
+  const user = rows[0];
+  if (!user) return "User no longer exists";
+  if (user.status === 0) return "Account is inactive. Please contact admin.";
+  if ((payload.tv || 0) !== user.token_version) return "Token has been revoked";
+  if (user.revoked) return "Token has been revoked";
+  return null;
+}
@@ -0,0 +1,312 @@
+import dotenv from "dotenv";
+import connection from "./connectDatabase.js";
+import { web3 } from "../blockchain/contractInstance.js";
+import { PAYROLL_CURRENCY, PAYROLL_TOKEN_AUTO_MINT, isTokenPayroll, getTokenBalance } from "../blockchain/utils/payrollToken.js";
+import { getOwnerAddress } from "./chainTxService.js";
+import { resolvePayRate, calculateWage } from "./payRateService.js";
+import { notify } from "./notifierService.js";
+import { httpError } from "../utils/httpError.js";
+
+dotenv.config();
+
+/*
+ * Treasury = the owner account every wage, wallet funding and gas subsidy is
+ * paid from. The report puts its balance next to what is already owed:
+ *
+ *   open sessions       – wage earned so far by employees still checked in
+ *   uncredited sessions – closed sessions not paid and not in a payroll period yet
+ *   unsettled payroll   – items of approved periods that are not paid
+ *
+ * plus the gas to pay them. Runway is the ETH left after those liabilities
+ * divided by the average daily ETH outflow of the owner account.
+ */
+
+const eth = (name, fallback) => BigInt(web3.utils.toWei(String(process.env[name] || fallback), "ether"));
+
+// 0 = tắt kiểm tra định kỳ
+const CHECK_INTERVAL_MINUTES = process.env.TREASURY_CHECK_INTERVAL_MINUTES === undefined
+  ? 15
+  : Number(process.env.TREASURY_CHECK_INTERVAL_MINUTES);
+// Ngưỡng cảnh báo: số dư ETH tối thiểu và số ngày còn trả được
+const MIN_BALANCE_WEI = eth("TREASURY_MIN_BALANCE_ETH", "1");
+const MIN_RUNWAY_DAYS = Number(process.env.TREASURY_MIN_RUNWAY_DAYS) || 7;
+// Số ngày gần nhất dùng để tính mức chi trung bình
+const RUNWAY_WINDOW_DAYS = Number(process.env.TREASURY_RUNWAY_WINDOW_DAYS) || 30;
+// Gas ước tính cho mỗi lần trả lương (chuyển tiền + ghi sổ creditForWork)
+const GAS_PER_PAYMENT = BigInt(process.env.TREASURY_GAS_PER_PAYMENT || 250000);
+// Cảnh báo cùng mức được gửi lại sau khoảng này
+const ALERT_REPEAT_HOURS = Number(process.env.TREASURY_ALERT_REPEAT_HOURS) || 24;
+
+export const ALERT_LEVELS = ["ok", "low", "critical"];
+
+let monitorTimer = null;
+
+const sumWei = (rows, key = "amount_wei") => rows.reduce((sum, r) => sum + BigInt(r[key] ?? 0), 0n);
+
+/**
+ * Wage owed for sessions still open, priced as if they closed now.
+ * @returns {Promise<{count: number, amountWei: bigint}>}
+ */
+async function getOpenSessionLiability() {
+  const [sessions] = await connection.promise().query(
+    "SELECT id, user_id, checkin_at, TIMESTAMPDIFF(MINUTE, checkin_at, NOW()) AS minutes FROM work_sessions WHERE status = 'open'"
+  );
+  let amountWei = 0n;
+  for (const session of sessions) {
+    const rate = await resolvePayRate(session.user_id, new Date(session.checkin_at));
+    amountWei += BigInt(calculateWage(rate, Number(session.minutes) || 0).amountWei);
+  }
+  return { count: sessions.length, amountWei };
+}
+
+/**
+ * Everything the owner account still has to pay, in the payroll currency.
+ * @returns {Promise<object>} wei amounts as bigint
+ */
+async function getLiabilities() {
+  const db = connection.promise();
+  const [uncredited] = await db.query(
+    `SELECT amount_wei FROM work_sessions
+      WHERE status = 'closed' AND payroll_item_id IS NULL AND credit_status <> 'credited'`
+  );
+  const [unpaidItems] = await db.query(
+    "SELECT amount_wei FROM payroll_items WHERE status IN ('pending', 'processing', 'failed')"
+  );
+  const open = await getOpenSessionLiability();
+
+  const uncreditedWei = sumWei(uncredited);
+  const unpaidWei = sumWei(unpaidItems);
+  const payments = uncredited.length + unpaidItems.length + open.count;
+  return {
+    openSessions: { count: open.count, amountWei: open.amountWei },
+    uncreditedSessions: {
+      count: uncredited.length,
+      unpriced: uncredited.filter((s) => s.amount_wei === null).length,
+      amountWei: uncreditedWei,
+    },
+    unsettledPayroll: { count: unpaidItems.length, amountWei: unpaidWei },
+    payments,
+    totalWei: open.amountWei + uncreditedWei + unpaidWei,
+  };
+}
+
+/**
+ * Average ETH the owner account spent per day (transfers + gas) over the window.
+ * @returns {Promise<bigint>}
+ */
+async function getDailyOutflowWei(owner) {
+  const [rows] = await connection.promise().query(
+    `SELECT CAST(COALESCE(SUM(value_wei + COALESCE(gas_used, 0) * COALESCE(gas_price, 0)), 0) AS CHAR) AS spent
+       FROM chain_transactions
+      WHERE LOWER(from_address) = ? AND status = 'mined' AND mined_at >= (NOW() - INTERVAL ? DAY)`,
+    [owner.toLowerCase(), RUNWAY_WINDOW_DAYS]
+  );
+  return BigInt(rows[0].spent) / BigInt(RUNWAY_WINDOW_DAYS);
+}
+
+/**
+ * Can the treasury pay `amountWei` of wages for `payments` payments now?
+ * ETH mode: wages and gas come out of the ETH balance. Token mode: wages are
+ * paid in tokens (minted on demand unless PAYROLL_TOKEN_AUTO_MINT=false) and
+ * only the gas needs ETH.
+ * @param {bigint} amountWei
+ * @param {number} payments
+ * @param {{ethWei: bigint, tokenWei: bigint|null, gasPrice: bigint}} balances
+ */
+function assessCoverage(amountWei, payments, { ethWei, tokenWei, gasPrice }) {
+  const gasWei = GAS_PER_PAYMENT * BigInt(payments) * gasPrice;
+  const ethNeeded = isTokenPayroll() ? gasWei : amountWei + gasWei;
+  const tokenShortfall = isTokenPayroll() && !PAYROLL_TOKEN_AUTO_MINT && tokenWei < amountWei ? amountWei - tokenWei : 0n;
+  const ethShortfall = ethWei < ethNeeded ? ethNeeded - ethWei : 0n;
+  return {
+    covered: ethShortfall === 0n && tokenShortfall === 0n,
+    requiredWei: amountWei.toString(),
+    gasWei: gasWei.toString(),
+    ethShortfallWei: ethShortfall.toString(),
+    tokenShortfallWei: tokenShortfall.toString(),
+  };
+}
+
+async function getBalances() {
+  const owner = await getOwnerAddress();
+  const [ethWei, tokenWei, gasPrice] = await Promise.all([
+    web3.eth.getBalance(owner).then(BigInt),
+    isTokenPayroll() ? getTokenBalance(owner) : null,
+    web3.eth.getGasPrice().then(BigInt),
+  ]);
+  return { owner, ethWei, tokenWei, gasPrice };
+}
+
+/**
+ * Balance, liabilities, coverage, runway and the alert level they give.
+ * @returns {Promise<object>} wei amounts as strings
+ */
+export async function getTreasuryReport() {
+  const balances = await getBalances();
+  const [liabilities, dailyOutflowWei] = await Promise.all([getLiabilities(), getDailyOutflowWei(balances.owner)]);
+  const coverage = assessCoverage(liabilities.totalWei, liabilities.payments, balances);
+
+  // ETH còn lại sau khi trả hết các khoản đang nợ
+  const freeEthWei = balances.ethWei - (isTokenPayroll() ? 0n : liabilities.totalWei) - BigInt(coverage.gasWei);
+  const runwayDays = dailyOutflowWei > 0n
+    ? Math.max(0, Number((freeEthWei * 100n) / dailyOutflowWei) / 100)
+    : null;
+
+  const reasons = [];
+  if (!coverage.covered) reasons.push("liabilities_not_covered");
+  if (balances.ethWei < MIN_BALANCE_WEI) reasons.push("balance_below_minimum");
+  if (runwayDays !== null && runwayDays < MIN_RUNWAY_DAYS) reasons.push("runway_below_minimum");
+  const level = !coverage.covered ? "critical" : reasons.length ? "low" : "ok";
+
+  const amount = (section) => ({ ...section, amountWei: section.amountWei.toString() });
+  return {
+    currency: PAYROLL_CURRENCY,
+    owner: balances.owner,
+    balances: {
+      ethWei: balances.ethWei.toString(),
+      tokenWei: balances.tokenWei === null ? null : balances.tokenWei.toString(),
+    },
+    liabilities: {
+      openSessions: amount(liabilities.openSessions),
+      uncreditedSessions: amount(liabilities.uncreditedSessions),
+      unsettledPayroll: amount(liabilities.unsettledPayroll),
+      totalWei: liabilities.totalWei.toString(),
+      estimatedGasWei: coverage.gasWei,
+    },
+    coverage,
+    dailyOutflowWei: dailyOutflowWei.toString(),
+    runwayDays,
+    thresholds: {
+      minBalanceWei: MIN_BALANCE_WEI.toString(),
+      minRunwayDays: MIN_RUNWAY_DAYS,
+      runwayWindowDays: RUNWAY_WINDOW_DAYS,
+    },
+    level,
+    reasons,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+async function recordAlert({ level, reasons, report, message, channels }) {
+  await connection.promise().query(
+    `INSERT INTO treasury_alerts (level, reasons, balance_wei, liability_wei, runway_days, message, channels)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      level,
+      JSON.stringify(reasons),
+      report?.balances.ethWei ?? null,
+      report?.liabilities.totalWei ?? null,
+      report?.runwayDays ?? null,
+      message,
+      JSON.stringify(channels),
+    ]
+  );
+}
+
+function describe(report) {
+  const fmt = (wei) => `${web3.utils.fromWei(wei, "ether")} ETH`;
+  const parts = [
+    `balance ${fmt(report.balances.ethWei)}`,
+    `liabilities ${web3.utils.fromWei(report.liabilities.totalWei, "ether")} ${report.currency === "token" ? "tokens" : "ETH"}`,
+    `runway ${report.runwayDays === null ? "n/a" : `${report.runwayDays} days`}`,
+  ];
+  if (report.coverage.ethShortfallWei !== "0") parts.push(`short ${fmt(report.coverage.ethShortfallWei)}`);
+  if (report.coverage.tokenShortfallWei !== "0") {
+    parts.push(`short ${web3.utils.fromWei(report.coverage.tokenShortfallWei, "ether")} tokens`);
+  }
+  return parts.join(", ");
+}
+
+/**
+ * Build the report and alert when the level changed since the last alert, or
+ * is still low / critical after TREASURY_ALERT_REPEAT_HOURS.
+ * @returns {Promise<{report: object, alerted: boolean}>}
+ */
+export async function checkTreasury() {
+  const report = await getTreasuryReport();
+
+  const [last] = await connection.promise().query(
+    `SELECT level, TIMESTAMPDIFF(MINUTE, created_at, NOW()) AS age_minutes
+       FROM treasury_alerts WHERE level IN ('ok', 'low', 'critical') ORDER BY id DESC LIMIT 1`
+  );
+  const previous = last[0]?.level || "ok";
+  const stale = last[0] && Number(last[0].age_minutes) >= ALERT_REPEAT_HOURS * 60;
+  const shouldAlert = report.level !== previous || (report.level !== "ok" && stale);
+  if (!shouldAlert) return { report, alerted: false };
+
+  const message = describe(report);
+  const channels = await notify({
+    type: "treasury",
+    level: report.level === "ok" ? "info" : report.level === "critical" ? "critical" : "warning",
+    title: report.level === "ok" ? "Treasury funds recovered" : `Treasury funds ${report.level}`,
+    message: report.reasons.length ? `${report.reasons.join(", ")} – ${message}` : message,
+    data: report,
+  });
+  await recordAlert({ level: report.level, reasons: report.reasons, report, message, channels });
+  return { report, alerted: true };
+}
+
+/**
+ * Refuse a payroll run the treasury cannot pay, alerting about it.
+ * @param {string|bigint} amountWei - wages of the run
+ * @param {number} payments - number of payments (for the gas estimate)
+ * @param {string} [context] - e.g. "payroll period 4"
+ * @throws {Error & {status: 409}} when not covered
+ */
+export async function assertPayrollCovered(amountWei, payments, context = "payroll run") {
+  const coverage = assessCoverage(BigInt(amountWei), payments, await getBalances());
+  if (coverage.covered) return coverage;
+
+  const shortfall = [
+    coverage.ethShortfallWei !== "0" && `${web3.utils.fromWei(coverage.ethShortfallWei, "ether")} ETH`,
+    coverage.tokenShortfallWei !== "0" && `${web3.utils.fromWei(coverage.tokenShortfallWei, "ether")} tokens`,
+  ].filter(Boolean).join(" and ");
+  const message = `Treasury cannot cover ${context}: short ${shortfall}`;
+
+  const channels = await notify({ type: "payroll_blocked", level: "critical", title: "Payroll run blocked", message, data: coverage });
+  await recordAlert({ level: "payroll_blocked", reasons: ["liabilities_not_covered"], report: null, message, channels });
+
+  const err = httpError(409, message);
+  err.coverage = coverage;
+  throw err;
+}
+
+/**
+ * @param {{level?: string, limit?: number}} [filters]
+ * @returns {Promise<object[]>} newest first
+ */
+export async function listAlerts({ level, limit = 50 } = {}) {
+  const where = level ? "WHERE level = ?" : "";
+  const [rows] = await connection.promise().query(
+    `SELECT * FROM treasury_alerts ${where} ORDER BY id DESC LIMIT ?`,
+    [...(level ? [level] : []), Math.min(Number(limit) || 50, 500)]
+  );
+  return rows.map((r) => ({
+    ...r,
+    balance_wei: r.balance_wei === null ? null : String(r.balance_wei),
+    liability_wei: r.liability_wei === null ? null : String(r.liability_wei),
+    runway_days: r.runway_days === null ? null : Number(r.runway_days),
+    reasons: typeof r.reasons === "string" ? JSON.parse(r.reasons) : r.reasons,
+    channels: typeof r.channels === "string" ? JSON.parse(r.channels) : r.channels,
+  }));
+}
+
+/**
+ * Check the treasury every TREASURY_CHECK_INTERVAL_MINUTES (0 disables the monitor).
+ */
+export function startTreasuryMonitor() {
+  if (monitorTimer || !(CHECK_INTERVAL_MINUTES > 0)) return;
+  const intervalMs = CHECK_INTERVAL_MINUTES * 60 * 1000;
+
+  const tick = async () => {
+    try {
+      await checkTreasury();
+    } catch (err) {
+      console.error("❌ Treasury monitor error:", err.message || err);
+    }
+    monitorTimer = setTimeout(tick, intervalMs);
+  };
+
+  monitorTimer = setTimeout(tick, intervalMs);
+  console.log(`Treasury monitor started (every ${CHECK_INTERVAL_MINUTES} min)`);
+}
@@ -0,0 +1,308 @@
+import connection from "./connectDatabase.js";
+import { web3 } from "../blockchain/contractInstance.js";
+import { ensureWageTransfer, recordWorkCredit, creditWorkWithToken } from "../blockchain/utils/creditEmployeeWork.js";
+import { isTokenPayroll } from "../blockchain/utils/payrollToken.js";
+import { calculateWage, resolvePayRate } from "./payRateService.js";
+import { LOCK_TIMEOUT_SECONDS } from "./chainJobService.js";
+
+export const SESSION_STATUSES = ["open", "closed", "auto_closed", "disputed"];
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Open a new work session for an entry swipe. Any session the employee left
+ * open (no exit swipe) is marked as disputed so it can be reviewed.
+ * @param {number} userId
+ * @param {number} entryLogId - access_logs.id of the entry swipe
+ * @param {Date} at - time of the entry swipe
+ * @param {number|null} shiftId
+ * @returns {Promise<{id: number, disputed: number}>}
+ */
+export async function openSession(userId, entryLogId, at, shiftId) {
+  const [disputed] = await connection.promise().query(
+    "UPDATE work_sessions SET status = 'disputed', note = 'Missing exit swipe' WHERE user_id = ? AND status = 'open'",
+    [userId]
+  );
+
+  const [result] = await connection.promise().query(
+    "INSERT INTO work_sessions (user_id, entry_log_id, shift_id, status, checkin_at) VALUES (?, ?, ?, 'open', ?)",
+    [userId, entryLogId, shiftId, at]
+  );
+
+  return { id: result.insertId, disputed: disputed.affectedRows };
+}
+
+/**
+ * Close the employee's open session with an exit swipe.
+ * Returns null when there is no open session (e.g. a second exit swipe),
+ * so the same entry can never be paired twice.
+ * @param {number} userId
+ * @param {number} exitLogId - access_logs.id of the exit swipe
+ * @param {Date} at - time of the exit swipe
+ * @param {string} [note] - reason when the session is closed without a swipe
+ * @returns {Promise<object|null>} the closed work_sessions row
+ */
+export async function closeSession(userId, exitLogId, at, note = null) {
+  const [open] = await connection.promise().query(
+    "SELECT * FROM work_sessions WHERE user_id = ? AND status = 'open' ORDER BY checkin_at DESC LIMIT 1",
+    [userId]
+  );
+  if (open.length === 0) return null;
+
+  const session = open[0];
+  const minutes = Math.max(0, Math.floor((toSeconds(at) - toSeconds(session.checkin_at)) / 60));
+
+  // Điều kiện status = 'open' đảm bảo chỉ một lần quẹt ra đóng được phiên
+  const [result] = await connection.promise().query(
+    "UPDATE work_sessions SET status = 'closed', exit_log_id = ?, checkout_at = ?, minutes_worked = ?, note = COALESCE(?, note) WHERE id = ? AND status = 'open'",
+    [exitLogId, at, minutes, note, session.id]
+  );
+  if (result.affectedRows === 0) return null;
+
+  await priceSession(session.id);
+  return getSession(session.id);
+}
+
+/**
+ * Session a late exit swipe would close: the latest session that started
+ * before the swipe, if it never got an exit swipe (open, disputed or auto_closed).
+ * @param {number} userId
+ * @param {Date} at - original time of the exit swipe
+ * @returns {Promise<object|null>} the work_sessions row, or null if nothing to pair
+ */
+export async function findLateExitSession(userId, at) {
+  const [rows] = await connection.promise().query(
+    "SELECT * FROM work_sessions WHERE user_id = ? AND checkin_at <= ? ORDER BY checkin_at DESC LIMIT 1",
+    [userId, at]
+  );
+  const session = rows[0];
+  if (!session || session.exit_log_id || !["open", "disputed", "auto_closed"].includes(session.status)) return null;
+  return session;
+}
+
+/**
+ * Pair an exit swipe that an offline reader uploaded after newer swipes of the
+ * same employee. The session found by findLateExitSession is closed at the
+ * swipe time.
+ * @param {number} userId
+ * @param {number} exitLogId - access_logs.id of the exit swipe
+ * @param {Date} at - original time of the exit swipe
+ * @returns {Promise<object|null>} the closed work_sessions row, or null if nothing to pair
+ */
+export async function closeSessionWithLateExit(userId, exitLogId, at) {
+  const session = await findLateExitSession(userId, at);
+  if (!session) return null;
+
+  const minutes = Math.max(0, Math.floor((toSeconds(at) - toSeconds(session.checkin_at)) / 60));
+  const [result] = await connection.promise().query(
+    `UPDATE work_sessions SET status = 'closed', exit_log_id = ?, checkout_at = ?, minutes_worked = ?, note = 'Closed by late exit swipe'
+      WHERE id = ? AND exit_log_id IS NULL AND status IN ('open', 'disputed', 'auto_closed')`,
+    [exitLogId, at, minutes, session.id]
+  );
+  if (result.affectedRows === 0) return null;
+
+  await priceSession(session.id);
+  return getSession(session.id);
+}
+
+/**
+ * Pair an entry swipe that an offline reader uploaded after newer swipes of
+ * the same employee. If the employee's next swipe is an exit that no session
+ * uses yet, the two form a closed session; otherwise the entry becomes a
+ * disputed session for an admin to resolve.
+ * @param {number} userId
+ * @param {number} entryLogId - access_logs.id of the entry swipe
+ * @param {Date} at - original time of the entry swipe
+ * @param {number|null} shiftId
+ * @returns {Promise<object>} the new work_sessions row
+ */
+export async function openSessionWithLateEntry(userId, entryLogId, at, shiftId) {
+  const [next] = await connection.promise().query(
+    `SELECT al.id, al.access_type, al.access_time, ws.id AS session_id
+       FROM access_logs al
+       LEFT JOIN work_sessions ws ON ws.exit_log_id = al.id
+      WHERE al.user_id = ? AND al.id <> ? AND al.access_time >= ?
+      ORDER BY al.access_time ASC, al.id ASC LIMIT 1`,
+    [userId, entryLogId, at]
+  );
+  const exit = next[0];
+
+  if (exit && Number(exit.access_type) === 1 && !exit.session_id) {
+    const minutes = Math.max(0, Math.floor((toSeconds(exit.access_time) - toSeconds(at)) / 60));
+    const [result] = await connection.promise().query(
+      `INSERT INTO work_sessions (user_id, entry_log_id, exit_log_id, shift_id, status, checkin_at, checkout_at, minutes_worked, note)
+       VALUES (?, ?, ?, ?, 'closed', ?, ?, ?, 'Opened by late entry swipe')`,
+      [userId, entryLogId, exit.id, shiftId, at, exit.access_time, minutes]
+    );
+    await priceSession(result.insertId);
+    return getSession(result.insertId);
+  }
+
+  const [result] = await connection.promise().query(
+    "INSERT INTO work_sessions (user_id, entry_log_id, shift_id, status, checkin_at, note) VALUES (?, ?, ?, 'disputed', ?, 'Late entry swipe without matching exit')",
+    [userId, entryLogId, shiftId, at]
+  );
+  return getSession(result.insertId);
+}
+
+/**
+ * Compute and store the wage of a closed session using the pay rate in effect
+ * at check-in time.
+ * @param {number} sessionId
+ * @returns {Promise<{amountWei: string, payRateId: number|null, regularMinutes: number, overtimeMinutes: number}>}
+ */
+export async function priceSession(sessionId) {
+  const session = await getSession(sessionId);
+  const rate = await resolvePayRate(session.user_id, new Date(session.checkin_at));
+  const wage = calculateWage(rate, session.minutes_worked || 0);
+
+  await connection.promise().query(
+    "UPDATE work_sessions SET pay_rate_id = ?, amount_wei = ? WHERE id = ?",
+    [rate.id, wage.amountWei, sessionId]
+  );
+  return { ...wage, payRateId: rate.id };
+}
+
+/**
+ * Credit a closed session on-chain (PAYROLL_MODE=instant). The credit_status
+ * claim makes sure a session is credited at most once even if this is called
+ * concurrently; sessions already in a payroll run are skipped. The transfer
+ * hash is stored before recording, so a retry never sends the same wage twice.
+ * A session left "crediting" by a run that died is claimed again once the
+ * chain job lock has expired; the owner transactions are reused by reference.
+ * @param {number} sessionId
+ * @returns {Promise<object|null>} credit result, or null if the session is not creditable
+ */
+export async function creditSession(sessionId) {
+  const [claim] = await connection.promise().query(
+    `UPDATE work_sessions SET credit_status = 'crediting', credit_error = NULL, credit_claimed_at = NOW()
+      WHERE id = ? AND status = 'closed' AND payroll_item_id IS NULL
+        AND (credit_status IN ('pending', 'failed') OR (credit_status = 'crediting' AND credit_claimed_at < (NOW() - INTERVAL ? SECOND)))`,
+    [sessionId, LOCK_TIMEOUT_SECONDS]
+  );
+  if (claim.affectedRows === 0) return null;
+
+  const session = await getSession(sessionId);
+  const userCode = String(session.user_id);
+
+  try {
+    // Lương tính theo mức lương có hiệu lực tại thời điểm vào ca; không định giá lại khi đã chuyển tiền
+    const wage = session.transfer_tx_hash
+      ? { amountWei: String(session.amount_wei), regularMinutes: null, overtimeMinutes: null }
+      : await priceSession(sessionId);
+
+    let transferTx = session.transfer_tx_hash;
+    let recordTx = session.record_tx_hash;
+
+    if (BigInt(wage.amountWei) > 0n && isTokenPayroll()) {
+      // Token: chuyển và ghi sổ trong cùng một giao dịch
+      if (!recordTx) {
+        recordTx = await creditWorkWithToken(userCode, toSeconds(session.checkin_at), toSeconds(session.checkout_at), wage.amountWei, `work_session:${sessionId}`);
+        transferTx = recordTx;
+      }
+    } else if (BigInt(wage.amountWei) > 0n) {
+      const sentTx = await ensureWageTransfer(userCode, wage.amountWei, transferTx, `work_session:${sessionId}`);
+      if (sentTx !== transferTx) {
+        transferTx = sentTx;
+        await connection.promise().query("UPDATE work_sessions SET transfer_tx_hash = ? WHERE id = ?", [transferTx, sessionId]);
+      }
+      if (!recordTx) {
+        recordTx = await recordWorkCredit(userCode, toSeconds(session.checkin_at), toSeconds(session.checkout_at), wage.amountWei, `work_session:${sessionId}`);
+      }
+    }
+
+    await connection.promise().query(
+      "UPDATE work_sessions SET credit_status = 'credited', credited_amount_wei = ?, transfer_tx_hash = ?, record_tx_hash = ?, credited_at = NOW() WHERE id = ?",
+      [wage.amountWei, transferTx || null, recordTx || null, sessionId]
+    );
+    return {
+      message: BigInt(wage.amountWei) > 0n ? "Credited" : "Nothing to credit",
+      minutes: session.minutes_worked,
+      amountEth: web3.utils.fromWei(String(wage.amountWei), "ether"),
+      amountWei: String(wage.amountWei),
+      transferTx,
+      recordTx,
+      regularMinutes: wage.regularMinutes,
+      overtimeMinutes: wage.overtimeMinutes,
+    };
+  } catch (err) {
+    await connection.promise().query(
+      "UPDATE work_sessions SET credit_status = 'failed', credit_error = ? WHERE id = ?",
+      [String(err.message || err).slice(0, 500), sessionId]
+    );
+    throw err;
+  }
+}
+
+/**
+ * Close sessions left open longer than maxHours as auto_closed. They are not
+ * credited until an admin resolves them with the real checkout time.
+ * @param {number} maxHours
+ * @returns {Promise<number>} number of sessions auto-closed
+ */
+export async function autoCloseStaleSessions(maxHours) {
+  const [result] = await connection.promise().query(
+    `UPDATE work_sessions
+        SET status = 'auto_closed', note = 'No exit swipe within ${Number(maxHours)} hours'
+      WHERE status = 'open' AND checkin_at < (NOW() - INTERVAL ? HOUR)`,
+    [Number(maxHours)]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Resolve a disputed or auto-closed session with the real checkout time.
+ * @param {number} sessionId
+ * @param {Date} checkoutAt
+ * @param {string} [note]
+ * @returns {Promise<object|null>} the updated row, or null if it cannot be resolved
+ */
+export async function resolveSession(sessionId, checkoutAt, note) {
+  const session = await getSession(sessionId);
+  if (!session || !["disputed", "auto_closed"].includes(session.status)) return null;
+
+  const minutes = Math.floor((toSeconds(checkoutAt) - toSeconds(session.checkin_at)) / 60);
+  if (minutes < 0) throw new Error("checkout_at must be after checkin_at");
+
+  const [result] = await connection.promise().query(
+    "UPDATE work_sessions SET status = 'closed', checkout_at = ?, minutes_worked = ?, note = ? WHERE id = ? AND status IN ('disputed', 'auto_closed')",
+    [checkoutAt, minutes, note || "Resolved by admin", sessionId]
+  );
+  if (result.affectedRows === 0) return null;
+
+  await priceSession(sessionId);
+  return getSession(sessionId);
+}
+
+/**
+ * @param {number} sessionId
+ * @returns {Promise<object|undefined>}
+ */
+export async function getSession(sessionId) {
+  const [rows] = await connection.promise().query("SELECT * FROM work_sessions WHERE id = ?", [sessionId]);
+  return rows[0];
+}
+
+/**
+ * List sessions, optionally filtered by employee, status and check-in date range.
+ * @param {{userId?: number|string, from?: string, to?: string, status?: string}} filters
+ * @returns {Promise<object[]>}
+ */
+export async function listSessions({ userId, from, to, status } = {}) {
+  const conditions = [];
+  const values = [];
+  if (userId) { conditions.push("ws.user_id = ?"); values.push(userId); }
+  if (from) { conditions.push("ws.checkin_at >= ?"); values.push(from); }
+  if (to) { conditions.push("ws.checkin_at < (? + INTERVAL 1 DAY)"); values.push(to); }
+  if (status) { conditions.push("ws.status = ?"); values.push(status); }
+
+  const [rows] = await connection.promise().query(
+    `SELECT ws.*, users.username
+       FROM work_sessions ws
+       LEFT JOIN users ON users.id = ws.user_id
+      ${conditions.length ? "WHERE " + conditions.join(" AND ") : ""}
+      ORDER BY ws.checkin_at DESC`,
+    values
+  );
+  return rows;
+}
@@ -0,0 +1,79 @@
+/**
+ * Escape one CSV field (RFC 4180). Text starting with = + - @ is prefixed with
+ * a quote so spreadsheets do not evaluate it as a formula.
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document with a header row.
+ * @param {object[]} rows
+ * @param {Array<string|{key: string, header?: string, value?: (row: object) => *}>} columns
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const cols = columns.map((c) => (typeof c === "string" ? { key: c } : c));
+  const lines = [cols.map((c) => csvField(c.header || c.key)).join(",")];
+  for (const row of rows) {
+    lines.push(cols.map((c) => csvField(c.value ? c.value(row) : row[c.key])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Parse a CSV document (RFC 4180: quoted fields, "" escapes, line breaks
+ * inside quotes). The delimiter is "," or ";" (spreadsheets in some locales
+ * export with ";"), whichever appears first in the header line. A leading
+ * BOM is ignored and every value is kept as text.
+ * @param {string} text
+ * @returns {string[][]} rows of fields
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const headerEnd = source.search(/\r?\n/);
+  const header = headerEnd === -1 ? source : source.slice(0, headerEnd);
+  const delimiter = !header.includes(",") && header.includes(";") ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
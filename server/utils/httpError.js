@@ -0,0 +1,12 @@
+/**
+ * Create an Error carrying the HTTP status a route should answer with.
+ * Services throw these; routes map `err.status` to the response code.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error & {status: number}}
+ */
+export function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
@@ -0,0 +1,85 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const scrypt = promisify(crypto.scrypt);
+
+// Tham số scrypt; đổi tham số thì các hash cũ sẽ được băm lại ở lần đăng nhập kế tiếp
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+export const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+
+/**
+ * Hash a password with a random salt.
+ * Format: scrypt$N$r$p$<salt base64>$<hash base64>
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(String(password), salt, KEY_LENGTH, { N, r, p });
+  return ["scrypt", N, r, p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+/**
+ * @param {string} stored - value of users.password
+ * @returns {boolean} true when the value is a hash produced by hashPassword
+ */
+export function isPasswordHash(stored) {
+  return typeof stored === "string" && stored.startsWith("scrypt$");
+}
+
+/**
+ * Check a password against the stored value. Rows created before hashing
+ * still hold the plaintext password; they verify once and are flagged for
+ * rehash so the caller can upgrade them.
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>}
+ */
+export async function verifyPassword(password, stored) {
+  if (!stored || password === undefined || password === null) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isPasswordHash(stored)) {
+    // Mật khẩu plaintext cũ
+    const a = Buffer.from(String(password));
+    const b = Buffer.from(String(stored));
+    const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, N, r, p, saltB64, hashB64] = stored.split("$");
+  const expected = Buffer.from(hashB64, "base64");
+  const actual = await scrypt(String(password), Buffer.from(saltB64, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+
+  const valid = crypto.timingSafeEqual(actual, expected);
+  const outdated = Number(N) !== SCRYPT_PARAMS.N || Number(r) !== SCRYPT_PARAMS.r || Number(p) !== SCRYPT_PARAMS.p;
+  return { valid, needsRehash: valid && outdated };
+}
+
+/**
+ * Password policy: minimum length, at least one letter and one digit, and
+ * not the username.
+ * @param {string} password
+ * @param {{username?: string}} [context]
+ * @returns {string|null} error message, or null when the password is acceptable
+ */
+export function validatePasswordPolicy(password, { username } = {}) {
+  if (typeof password !== "string" || password.length === 0) return "password is required";
+  if (password.length < PASSWORD_MIN_LENGTH) return `password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  if (password.length > 128) return "password must be at most 128 characters";
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) return "password must contain both letters and digits";
+  if (username && password.toLowerCase() === String(username).toLowerCase()) return "password must not be the same as the username";
+  return null;
+}
@@ -0,0 +1,95 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Múi giờ dùng để tính ca làm việc, kỳ lương... (mặc định giờ Việt Nam)
+export const APP_TIMEZONE = process.env.APP_TIMEZONE || "Asia/Ho_Chi_Minh";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Split a Date into its wall-clock components in the given time zone.
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ */
+export function getZonedParts(date, timeZone = APP_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const year = get("year");
+  const month = get("month");
+  const day = get("day");
+
+  return {
+    year,
+    month,
+    day,
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+    // 0 = Chủ nhật ... 6 = Thứ bảy
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+  };
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in the given time zone.
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function toLocalDateString(date, timeZone = APP_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Add a number of days to a YYYY-MM-DD string.
+ * @param {string} dateStr
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return `${dt.getUTCFullYear()}-${pad(dt.getUTCMonth() + 1)}-${pad(dt.getUTCDate())}`;
+}
+
+/**
+ * Weekday (0 = Sunday) of a YYYY-MM-DD string.
+ * @param {string} dateStr
+ * @returns {number}
+ */
+export function weekdayOf(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * Convert a wall-clock date + time in the given time zone to a Date instant.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} timeStr - HH:MM or HH:MM:SS
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+export function zonedDateTimeToDate(dateStr, timeStr, timeZone = APP_TIMEZONE) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const [hh, mi, ss = 0] = timeStr.split(":").map(Number);
+  const asUtc = Date.UTC(y, m - 1, d, hh, mi, ss);
+
+  // Độ lệch của múi giờ tại thời điểm đó (ms)
+  const p = getZonedParts(new Date(asUtc), timeZone);
+  const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - asUtc;
+
+  return new Date(asUtc - offset);
+}
@@ -1,8 +1,11 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 
 dotenv.config();
 
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
 export const generateAccessToken = (user) => {
   // user: object chứa thông tin user, ví dụ { id, email, role }
   return jwt.sign(
@@ -11,8 +14,17 @@ export const generateAccessToken = (user) => {
       username: user.username,
       role_id: user.role_id,
       wallet_address: user.wallet_address,
+      tv: user.token_version || 0, // token_version: tăng lên để thu hồi mọi token của user
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || "1h" } // token hết hạn sau 1 giờ
+    {
+      expiresIn: process.env.JWT_EXPIRES_IN || "15m", // access token ngắn hạn, gia hạn bằng refresh token
+      jwtid: crypto.randomUUID(), // jti dùng để thu hồi riêng token này khi logout
+    }
   );
-};
\ No newline at end of file
+};
+
+// Refresh token là chuỗi ngẫu nhiên (không phải JWT); DB chỉ lưu SHA-256 của nó
+export const generateRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+export const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");